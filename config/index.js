@@ -0,0 +1,256 @@
+// config/index.js - Validated application settings
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Times of day are HH:mm, as for shifts (utils/shifts.js TIME_PATTERN)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_ORIGINS = [
+  'https://geofence-key-guard.netlify.app',
+  'http://localhost:5173',
+  'http://localhost:3000'
+];
+
+/**
+ * Every setting with its environment variable and default. Values come from,
+ * in order of precedence: the environment (including .env), the optional
+ * JSON config file, then the default. The config file mirrors the shape of
+ * the exported object, e.g. { "sessions": { "idleTimeoutMinutes": 10 } }, and
+ * is read from CONFIG_FILE or ./config.json when present.
+ */
+const SETTINGS = [
+  { key: 'env', env: 'NODE_ENV', type: 'string', default: 'development' },
+  { key: 'port', env: 'PORT', type: 'integer', default: 4000, min: 1, max: 65535 },
+
+  { key: 'database.uri', env: 'MONGODB_URI', type: 'string', required: true },
+
+  { key: 'jwt.secret', env: 'JWT_SECRET', type: 'string', required: true },
+  // Access tokens are short-lived; clients renew them with a rotating refresh token
+  { key: 'jwt.accessTokenExpiresIn', env: 'JWT_ACCESS_TOKEN_EXPIRES_IN', type: 'string', default: '15m' },
+  { key: 'jwt.refreshTokenTtlHours', env: 'JWT_REFRESH_TOKEN_TTL_HOURS', type: 'integer', default: 24, min: 1 },
+
+  { key: 'cors.origins', env: 'CORS_ORIGINS', type: 'list', default: DEFAULT_ORIGINS },
+  // Proxies whose X-Forwarded-For is believed when working out client IPs: a
+  // hop count (0 trusts none) or addresses and subnets, e.g. "loopback, 10.0.0.0/8"
+  { key: 'trustProxy', env: 'TRUST_PROXY', type: 'list', default: ['loopback'] },
+
+  { key: 'webauthn.rpId', env: 'WEBAUTHN_RP_ID', type: 'string', default: 'localhost' },
+  { key: 'webauthn.rpName', env: 'WEBAUTHN_RP_NAME', type: 'string', default: 'Lab Management System' },
+  { key: 'webauthn.origins', env: 'WEBAUTHN_ORIGINS', type: 'list', default: DEFAULT_ORIGINS },
+
+  { key: 'websocket.instanceId', env: 'INSTANCE_ID', type: 'string', default: null },
+  { key: 'websocket.sessionStore', env: 'WS_SESSION_STORE', type: 'enum', values: ['memory', 'mongo'], default: 'memory' },
+
+  // Session policy for labs that have not set their own (see utils/sessionPolicy.js)
+  { key: 'sessions.heartbeatIntervalSeconds', env: 'SESSION_HEARTBEAT_INTERVAL_SECONDS', type: 'integer', default: 30, min: 10 },
+  { key: 'sessions.idleTimeoutMinutes', env: 'SESSION_IDLE_TIMEOUT_MINUTES', type: 'integer', default: 5, min: 1 },
+  { key: 'sessions.maxAgeHours', env: 'SESSION_MAX_AGE_HOURS', type: 'integer', default: 24, min: 1 },
+  { key: 'sessions.endOnGeofenceExit', env: 'SESSION_END_ON_GEOFENCE_EXIT', type: 'boolean', default: false },
+  // What happens once an employee has been outside the geofence for outsideGeofenceMinutes
+  { key: 'sessions.outsideGeofenceAction', env: 'SESSION_OUTSIDE_GEOFENCE_ACTION', type: 'enum', values: ['none', 'warn', 'pause_accrual', 'end_session'], default: 'none' },
+  { key: 'sessions.outsideGeofenceMinutes', env: 'SESSION_OUTSIDE_GEOFENCE_MINUTES', type: 'integer', default: 5, min: 0 },
+  { key: 'sessions.locationRiskBlockLevel', env: 'SESSION_LOCATION_RISK_BLOCK_LEVEL', type: 'enum', values: ['off', 'medium', 'high'], default: 'off' },
+  { key: 'sessions.cleanupIntervalMinutes', env: 'SESSION_CLEANUP_INTERVAL_MINUTES', type: 'integer', default: 1, min: 1 },
+
+  // WebSocket login sessions: how long the desktop's session secret is valid,
+  // how long a session is kept once both sides disconnected, and how old any
+  // session may get before the sweep every sessionCleanupIntervalMinutes removes it
+  { key: 'websocket.sessionSecretTtlMinutes', env: 'WS_SESSION_SECRET_TTL_MINUTES', type: 'integer', default: 10, min: 1 },
+  { key: 'websocket.disconnectedSessionTtlMinutes', env: 'WS_DISCONNECTED_SESSION_TTL_MINUTES', type: 'integer', default: 5, min: 1 },
+  { key: 'websocket.sessionMaxAgeMinutes', env: 'WS_SESSION_MAX_AGE_MINUTES', type: 'integer', default: 60, min: 1 },
+  { key: 'websocket.sessionCleanupIntervalMinutes', env: 'WS_SESSION_CLEANUP_INTERVAL_MINUTES', type: 'integer', default: 60, min: 1 },
+
+  // Password login throttling (see utils/loginProtection.js)
+  { key: 'loginProtection.failureWindowMinutes', env: 'LOGIN_FAILURE_WINDOW_MINUTES', type: 'integer', default: 15, min: 1 },
+  { key: 'loginProtection.maxAccountFailures', env: 'LOGIN_MAX_ACCOUNT_FAILURES', type: 'integer', default: 5, min: 1 },
+  { key: 'loginProtection.maxIpFailures', env: 'LOGIN_MAX_IP_FAILURES', type: 'integer', default: 20, min: 1 },
+  { key: 'loginProtection.lockoutMinutes', env: 'LOGIN_LOCKOUT_MINUTES', type: 'integer', default: 15, min: 1 },
+  { key: 'loginProtection.delayAfterFailures', env: 'LOGIN_DELAY_AFTER_FAILURES', type: 'integer', default: 2, min: 1 },
+  { key: 'loginProtection.maxDelaySeconds', env: 'LOGIN_MAX_DELAY_SECONDS', type: 'integer', default: 30, min: 1 },
+
+  // Location spoofing and impossible travel checks (see utils/locationRisk.js)
+  { key: 'locationRisk.maxSpeedKmh', env: 'LOCATION_RISK_MAX_SPEED_KMH', type: 'integer', default: 250, min: 1 },
+  { key: 'locationRisk.jumpDistanceMeters', env: 'LOCATION_RISK_JUMP_DISTANCE_METERS', type: 'integer', default: 1000, min: 1 },
+  { key: 'locationRisk.jumpWindowSeconds', env: 'LOCATION_RISK_JUMP_WINDOW_SECONDS', type: 'integer', default: 120, min: 1 },
+  { key: 'locationRisk.identicalFixCount', env: 'LOCATION_RISK_IDENTICAL_FIX_COUNT', type: 'integer', default: 5, min: 3, max: 20 },
+
+  // Allowed radius of a lab's geofence, whether set as geofenceRadius or as a circle zone
+  { key: 'geofence.minRadiusMeters', env: 'GEOFENCE_MIN_RADIUS_METERS', type: 'integer', default: 20, min: 1 },
+  { key: 'geofence.maxRadiusMeters', env: 'GEOFENCE_MAX_RADIUS_METERS', type: 'integer', default: 1000, min: 1 },
+
+  // When location fixes count as leaving or re-entering the geofence (see utils/geofenceState.js)
+  { key: 'geofenceEvents.confirmFixes', env: 'GEOFENCE_CONFIRM_FIXES', type: 'integer', default: 3, min: 1 },
+  { key: 'geofenceEvents.dwellSeconds', env: 'GEOFENCE_DWELL_SECONDS', type: 'integer', default: 60, min: 0 },
+  { key: 'geofenceEvents.graceMeters', env: 'GEOFENCE_GRACE_METERS', type: 'integer', default: 25, min: 0 },
+
+  // Net minutes inside the geofence that make a full day of attendance
+  { key: 'attendance.fullDayMinutes', env: 'ATTENDANCE_FULL_DAY_MINUTES', type: 'integer', default: 480, min: 1, max: 1440 },
+  // How many days back employees may request attendance corrections; keep it
+  // within retention.activityLogDays so corrected days can still be recomputed
+  { key: 'attendance.correctionWindowDays', env: 'ATTENDANCE_CORRECTION_WINDOW_DAYS', type: 'integer', default: 14, min: 1 },
+
+  // Weekdays (0 = Sunday) that leave does not count for employees without a shift
+  { key: 'leave.weekendDays', env: 'LEAVE_WEEKEND_DAYS', type: 'list', default: ['0', '6'] },
+
+  // How often shift events (late arrival, early leave, no-show) are brought up to date
+  { key: 'shifts.evaluationIntervalMinutes', env: 'SHIFT_EVALUATION_INTERVAL_MINUTES', type: 'integer', default: 5, min: 1 },
+
+  // Outbound webhooks (see utils/webhooks.js); retries wait retryBaseSeconds, doubling up to the cap
+  { key: 'webhooks.timeoutSeconds', env: 'WEBHOOK_TIMEOUT_SECONDS', type: 'integer', default: 10, min: 1, max: 60 },
+  { key: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', default: 8, min: 1 },
+  { key: 'webhooks.retryBaseSeconds', env: 'WEBHOOK_RETRY_BASE_SECONDS', type: 'integer', default: 30, min: 1 },
+  { key: 'webhooks.maxRetryDelayMinutes', env: 'WEBHOOK_MAX_RETRY_DELAY_MINUTES', type: 'integer', default: 360, min: 1 },
+  { key: 'webhooks.pollIntervalSeconds', env: 'WEBHOOK_POLL_INTERVAL_SECONDS', type: 'integer', default: 5, min: 1 },
+  // Lets webhooks reach localhost and private networks; for development and tests only
+  { key: 'webhooks.allowPrivateTargets', env: 'WEBHOOK_ALLOW_PRIVATE_TARGETS', type: 'boolean', default: false },
+
+  // Outgoing mail; email notifications are off while smtp.host is unset. For
+  // development point it at a local catch-all such as MailHog (localhost:1025)
+  { key: 'smtp.host', env: 'SMTP_HOST', type: 'string', default: null },
+  { key: 'smtp.port', env: 'SMTP_PORT', type: 'integer', default: 587, min: 1, max: 65535 },
+  { key: 'smtp.secure', env: 'SMTP_SECURE', type: 'boolean', default: false },
+  { key: 'smtp.user', env: 'SMTP_USER', type: 'string', default: null },
+  { key: 'smtp.password', env: 'SMTP_PASSWORD', type: 'string', default: null },
+  { key: 'smtp.from', env: 'SMTP_FROM', type: 'string', default: 'Lab Management System <no-reply@localhost>' },
+
+  // Email notification queue (see utils/notifications.js)
+  { key: 'notifications.maxAttempts', env: 'NOTIFICATION_MAX_ATTEMPTS', type: 'integer', default: 5, min: 1 },
+  { key: 'notifications.retryBaseSeconds', env: 'NOTIFICATION_RETRY_BASE_SECONDS', type: 'integer', default: 60, min: 1 },
+  { key: 'notifications.pollIntervalSeconds', env: 'NOTIFICATION_POLL_INTERVAL_SECONDS', type: 'integer', default: 10, min: 1 },
+  // Working hours for labs that have not set their own; presence outside them is after-hours
+  { key: 'notifications.workdayStart', env: 'NOTIFICATION_WORKDAY_START', type: 'time', default: '07:00' },
+  { key: 'notifications.workdayEnd', env: 'NOTIFICATION_WORKDAY_END', type: 'time', default: '20:00' },
+  { key: 'notifications.afterHoursCheckMinutes', env: 'NOTIFICATION_AFTER_HOURS_CHECK_MINUTES', type: 'integer', default: 5, min: 1 },
+
+  { key: 'retention.activityLogDays', env: 'ACTIVITY_LOG_RETENTION_DAYS', type: 'integer', default: 30, min: 1 },
+  { key: 'retention.sessionDays', env: 'SESSION_RETENTION_DAYS', type: 'integer', default: 90, min: 1 },
+  { key: 'retention.webhookDeliveryDays', env: 'WEBHOOK_DELIVERY_RETENTION_DAYS', type: 'integer', default: 30, min: 1 },
+  { key: 'retention.notificationDays', env: 'NOTIFICATION_RETENTION_DAYS', type: 'integer', default: 30, min: 1 }
+];
+
+const getPath = (object, key) => key.split('.').reduce(
+  (value, part) => (value !== undefined && value !== null ? value[part] : undefined),
+  object
+);
+
+const setPath = (object, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => {
+    node[part] = node[part] || {};
+    return node[part];
+  }, object);
+  target[last] = value;
+};
+
+const readConfigFile = (env) => {
+  const filePath = path.resolve(env.CONFIG_FILE || 'config.json');
+
+  if (!fs.existsSync(filePath)) {
+    if (env.CONFIG_FILE) {
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+  }
+};
+
+// Convert a raw env or file value to the setting's type; returns an error string on failure
+const coerce = (setting, raw) => {
+  switch (setting.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value)) {
+        return { error: 'must be an integer' };
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        return { error: `must be at least ${setting.min}` };
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        return { error: `must be at most ${setting.max}` };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      if (['true', '1', 'yes'].includes(String(raw).trim().toLowerCase())) {
+        return { value: true };
+      }
+      if (['false', '0', 'no'].includes(String(raw).trim().toLowerCase())) {
+        return { value: false };
+      }
+      return { error: 'must be true or false' };
+    case 'list': {
+      const items = Array.isArray(raw) ? raw : String(raw).split(',');
+      return { value: items.map(item => String(item).trim()).filter(Boolean) };
+    }
+    case 'time':
+      return TIME_PATTERN.test(String(raw).trim())
+        ? { value: String(raw).trim() }
+        : { error: 'must be a time of day as HH:mm' };
+    case 'enum':
+      return setting.values.includes(raw)
+        ? { value: raw }
+        : { error: `must be one of ${setting.values.join(', ')}` };
+    default:
+      return { value: String(raw) };
+  }
+};
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+};
+
+/**
+ * Build the settings object from an environment and optional config file.
+ * Throws one error listing every missing or invalid setting.
+ */
+const loadConfig = (env = process.env) => {
+  const file = readConfigFile(env);
+  const config = {};
+  const problems = [];
+
+  SETTINGS.forEach(setting => {
+    const envValue = env[setting.env];
+    const fileValue = getPath(file, setting.key);
+    const raw = envValue !== undefined && envValue !== '' ? envValue : fileValue;
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (setting.required) {
+        problems.push(`${setting.env} (${setting.key}) is required`);
+      }
+      setPath(config, setting.key, setting.default === undefined ? null : setting.default);
+      return;
+    }
+
+    const { value, error } = coerce(setting, raw);
+    if (error) {
+      problems.push(`${setting.env} (${setting.key}) ${error}`);
+      return;
+    }
+    setPath(config, setting.key, value);
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return deepFreeze(config);
+};
+
+module.exports = loadConfig();
@@ -1,9 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const EmployeeSession = require('../models/EmployeeSession');
+const config = require('../config');
+const { getSessionPolicy, checkSessionPolicy } = require('../utils/sessionPolicy');
+const { closeEmployeeSession } = require('../utils/employeeSession');
+
+/**
+ * The EmployeeSession a token was issued for, if it is still open. A session
+ * past its lab's idle timeout or maximum length is ended here, before the
+ * request can count as activity. Returns `{ session }`, with a `violation`
+ * when the policy ended it.
+ */
+const loadActiveSession = async (decoded) => {
+  if (!decoded.sid) {
+    return { session: null };
+  }
+
+  const session = await EmployeeSession.findOne({ _id: decoded.sid, userId: decoded.id, isActive: true })
+    .populate('labId', 'sessionPolicy');
+  if (!session) {
+    return { session: null };
+  }
+
+  const violation = checkSessionPolicy(session, getSessionPolicy(session.labId));
+  if (violation) {
+    await closeEmployeeSession(session, {
+      action: 'timeout',
+      reason: violation.reason,
+      metadata: { thresholdMinutes: violation.thresholdMinutes }
+    });
+    return { session: null, violation };
+  }
+
+  return { session };
+};
 
 /**
  * Authentication middleware
- * Verifies JWT token and adds user info to request object
+ * Verifies JWT token, checks that its session has not been revoked and adds
+ * user info to request object
  */
 const auth = async (req, res, next) => {
   try {
@@ -22,7 +57,19 @@ const auth = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, config.jwt.secret);
+
+    // Tokens die with their session (logout, timeout, revocation)
+    const { session, violation } = await loadActiveSession(decoded);
+    if (violation) {
+      return res.status(401).json({
+        message: violation.message,
+        code: violation.reason === 'idle_timeout' ? 'SESSION_INACTIVE' : 'SESSION_EXPIRED'
+      });
+    }
+    if (!session) {
+      return res.status(401).json({ message: 'Session has ended, please log in again', code: 'SESSION_REVOKED' });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.id)
@@ -42,7 +89,8 @@ const auth = async (req, res, next) => {
       name: user.name,
       employeeId: user.employeeId,
       department: user.department,
-      designation: user.designation
+      designation: user.designation,
+      sessionId: decoded.sid
     };
     
     next();
@@ -54,7 +102,7 @@ const auth = async (req, res, next) => {
     }
     
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Token has expired' });
+      return res.status(401).json({ message: 'Token has expired', code: 'TOKEN_EXPIRED' });
     }
     
     res.status(401).json({ message: 'Token verification failed' });
@@ -139,7 +187,12 @@ const optionalAuth = async (req, res, next) => {
       return next(); // No token, continue without user info
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, config.jwt.secret);
+    const { session } = await loadActiveSession(decoded);
+    if (!session) {
+      return next(); // Ended or revoked session, continue without user info
+    }
+
     const user = await User.findById(decoded.id)
       .populate('labId', 'name address location geofence')
       .select('-password');
@@ -153,7 +206,8 @@ const optionalAuth = async (req, res, next) => {
         name: user.name,
         employeeId: user.employeeId,
         department: user.department,
-        designation: user.designation
+        designation: user.designation,
+        sessionId: decoded.sid
       };
     }
     
@@ -0,0 +1,29 @@
+// middleware/dateRange.js
+const { query } = require('express-validator');
+const { toDateKey, parseDateKey, addDays } = require('../utils/attendance');
+
+const MAX_RANGE_DAYS = 92;
+
+const dateRangeValidators = () => [
+  query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)')
+];
+
+// Date range from ?from=&to= (YYYY-MM-DD, inclusive); defaults to the last 7 days
+const getDateRange = (req) => {
+  const to = req.query.to ? req.query.to.slice(0, 10) : toDateKey(new Date());
+  const from = req.query.from ? req.query.from.slice(0, 10) : toDateKey(addDays(parseDateKey(to), -6));
+
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (addDays(parseDateKey(from), MAX_RANGE_DAYS) <= parseDateKey(to)) {
+    return { error: `Date range may span at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to };
+};
+
+module.exports = {
+  dateRangeValidators,
+  getDateRange
+};
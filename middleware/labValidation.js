@@ -0,0 +1,56 @@
+// middleware/labValidation.js
+const { body } = require('express-validator');
+const config = require('../config');
+const { validateGeofenceZone } = require('../utils/geofence');
+
+/**
+ * Lab field validators shared by registration and the lab settings API.
+ * With `optional` set, each field is only validated when present so that
+ * partial updates are accepted.
+ */
+const field = (name, optional) => (optional ? body(name).optional() : body(name));
+
+const labDetailsValidators = ({ optional = false } = {}) => [
+  field('name', optional).trim().isLength({ min: 2 }).withMessage('Lab name must be at least 2 characters'),
+  field('address', optional).trim().isLength({ min: 5 }).withMessage('Address must be at least 5 characters'),
+  field('phone', optional).trim().matches(/^\+?[\d\s-()]+$/).withMessage('Invalid phone number')
+];
+
+const labLocationValidators = ({ optional = false } = {}) => [
+  field('latitude', optional).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  field('longitude', optional).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+];
+
+// Geofence settings are always optional; labs fall back to the default radius
+const geofenceValidators = () => {
+  const { minRadiusMeters, maxRadiusMeters } = config.geofence;
+  return [
+    body('geofenceRadius').optional().isInt({ min: minRadiusMeters, max: maxRadiusMeters }).withMessage(`Geofence radius must be between ${minRadiusMeters} and ${maxRadiusMeters} meters`),
+    body('geofenceZones').optional().isArray({ max: 20 }).withMessage('Geofence zones must be a list of at most 20 zones'),
+    body('geofenceZones.*').custom(zone => {
+      const zoneError = validateGeofenceZone(zone);
+      if (zoneError) {
+        throw new Error(zoneError);
+      }
+      return true;
+    })
+  ];
+};
+
+// Session policy fields are optional; null clears a field back to the default
+const sessionPolicyValidators = () => [
+  body('heartbeatIntervalSeconds').optional({ values: 'null' }).isInt({ min: 10, max: 600 }).withMessage('Heartbeat interval must be between 10 and 600 seconds'),
+  body('idleTimeoutMinutes').optional({ values: 'null' }).isInt({ min: 1, max: 1440 }).withMessage('Idle timeout must be between 1 and 1440 minutes'),
+  body('maxSessionHours').optional({ values: 'null' }).isInt({ min: 1, max: 72 }).withMessage('Max session length must be between 1 and 72 hours'),
+  body('endSessionOnGeofenceExit').optional({ values: 'null' }).isBoolean().withMessage('endSessionOnGeofenceExit must be true or false'),
+  body('outsideGeofenceAction').optional({ values: 'null' }).isIn(['none', 'warn', 'pause_accrual', 'end_session']).withMessage('outsideGeofenceAction must be none, warn, pause_accrual or end_session'),
+  body('outsideGeofenceMinutes').optional({ values: 'null' }).isInt({ min: 0, max: 1440 }).withMessage('outsideGeofenceMinutes must be between 0 and 1440'),
+  body('locationRiskBlockLevel').optional({ values: 'null' }).isIn(['off', 'medium', 'high']).withMessage('locationRiskBlockLevel must be off, medium or high')
+];
+
+module.exports = {
+  labDetailsValidators,
+  labLocationValidators,
+  geofenceValidators,
+  sessionPolicyValidators
+};
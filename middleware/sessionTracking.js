@@ -1,19 +1,24 @@
 // middleware/sessionTracking.js
 const EmployeeSession = require('../models/EmployeeSession');
 const ActivityLog = require('../models/ActivityLog');
-const { isWithinGeofence } = require('../utils/geofence');
+const Lab = require('../models/Lab');
+const { getSessionPolicy, checkSessionPolicy } = require('../utils/sessionPolicy');
+const { closeEmployeeSession } = require('../utils/employeeSession');
+const { isWithinGeofence, getLabZones } = require('../utils/geofence');
+const { trackGeofenceCrossing } = require('../utils/geofenceState');
+const { enforceGeofencePolicy } = require('../utils/geofenceEnforcement');
 
 // Middleware to track user activity on API calls
 const trackActivity = async (req, res, next) => {
   // Only track authenticated users
   if (req.user) {
     try {
-      const sessionToken = req.headers.authorization?.replace('Bearer ', '');
+      const { sessionId } = req.user;
       
-      if (sessionToken) {
+      if (sessionId) {
         // Find active session
         const session = await EmployeeSession.findOne({ 
-          sessionToken, 
+          _id: sessionId,
           userId: req.user.id, 
           isActive: true 
         }).populate('labId');
@@ -52,27 +57,16 @@ const trackActivity = async (req, res, next) => {
 
             // Check geofence for employees
             if (req.user.role === 'lab_employee' && session.labId) {
-              const geofenceCheck = isWithinGeofence(
-                location,
-                session.labId.location,
-                session.labId.geofence.radius
-              );
+              const geofenceCheck = isWithinGeofence(location, getLabZones(session.labId));
               
               activityData.distanceFromLab = geofenceCheck.distance;
               activityData.isWithinGeofence = geofenceCheck.isWithin;
-
-              // Log geofence violation if outside bounds
-              if (!geofenceCheck.isWithin) {
-                await new ActivityLog({
-                  ...activityData,
-                  action: 'geofence_violation',
-                  metadata: {
-                    ...activityData.metadata,
-                    violationDistance: geofenceCheck.distance,
-                    allowedRadius: session.labId.geofence.radius
-                  }
-                }).save();
-              }
+              const tracked = await trackGeofenceCrossing(session, geofenceCheck, location);
+              await enforceGeofencePolicy(session, getSessionPolicy(session.labId), tracked, {
+                location,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+              });
             }
           }
 
@@ -137,11 +131,11 @@ const logApiResponse = (req, res, next) => {
 const validateSession = async (req, res, next) => {
   if (req.user) {
     try {
-      const sessionToken = req.headers.authorization?.replace('Bearer ', '');
+      const { sessionId } = req.user;
       
-      if (sessionToken) {
+      if (sessionId) {
         const session = await EmployeeSession.findOne({
-          sessionToken,
+          _id: sessionId,
           userId: req.user.id,
           isActive: true
         });
@@ -153,56 +147,27 @@ const validateSession = async (req, res, next) => {
           });
         }
 
-        // Check if session is too old (24 hours)
-        const sessionAge = Date.now() - session.loginTime.getTime();
-        const maxSessionAge = 24 * 60 * 60 * 1000; // 24 hours
-
-        if (sessionAge > maxSessionAge) {
-          // Mark session as expired
-          session.isActive = false;
-          session.logoutTime = new Date();
-          session.sessionDuration = Math.round(sessionAge / (1000 * 60));
-          await session.save();
-
-          return res.status(401).json({ 
-            message: 'Session expired due to age',
-            code: 'SESSION_EXPIRED'
-          });
-        }
-
-        // Check if session has been inactive too long (6 hours)
-        const inactiveTime = Date.now() - session.lastActivity.getTime();
-        const maxInactiveTime = 6 * 60 * 60 * 1000; // 6 hours
+        // Enforce the lab's session policy (max length and idle timeout)
+        const lab = await Lab.findById(session.labId).select('sessionPolicy');
+        const policy = getSessionPolicy(lab);
+        const violation = checkSessionPolicy(session, policy);
 
-        if (inactiveTime > maxInactiveTime) {
-          // Mark session as expired due to inactivity
-          session.isActive = false;
-          session.logoutTime = new Date();
-          session.sessionDuration = Math.round((session.lastActivity.getTime() - session.loginTime.getTime()) / (1000 * 60));
-          await session.save();
-
-          // Log timeout activity
-          await new ActivityLog({
-            userId: req.user.id,
-            labId: req.user.labId,
-            sessionId: session._id,
+        if (violation) {
+          await closeEmployeeSession(session, {
             action: 'timeout',
-            timestamp: new Date(),
-            metadata: {
-              reason: 'max_inactivity_exceeded',
-              inactiveMinutes: Math.round(inactiveTime / (1000 * 60)),
-              maxInactiveMinutes: Math.round(maxInactiveTime / (1000 * 60))
-            }
-          }).save();
+            reason: violation.reason,
+            metadata: { thresholdMinutes: violation.thresholdMinutes }
+          });
 
           return res.status(401).json({ 
-            message: 'Session expired due to inactivity',
-            code: 'SESSION_INACTIVE'
+            message: violation.message,
+            code: violation.reason === 'idle_timeout' ? 'SESSION_INACTIVE' : 'SESSION_EXPIRED'
           });
         }
 
         // Attach session info to request
         req.session = session;
+        req.sessionPolicy = policy;
       }
     } catch (error) {
       console.error('Session validation error:', error);
@@ -223,14 +188,16 @@ const requireActiveSession = (req, res, next) => {
       });
     }
 
-    // Check if last heartbeat was too long ago (5 minutes)
+    // Check if last heartbeat was too long ago
     const lastHeartbeat = req.session.lastActivity;
-    const heartbeatThreshold = 5 * 60 * 1000; // 5 minutes
+    const policy = req.sessionPolicy || getSessionPolicy(null);
+    const heartbeatThreshold = policy.idleTimeoutMinutes * 60 * 1000;
     
     if (Date.now() - lastHeartbeat.getTime() > heartbeatThreshold) {
       return res.status(401).json({
         message: 'Session inactive - heartbeat required',
         code: 'HEARTBEAT_REQUIRED',
+        heartbeatInterval: policy.heartbeatIntervalSeconds,
         lastActivity: lastHeartbeat
       });
     }
@@ -239,11 +206,13 @@ const requireActiveSession = (req, res, next) => {
   next();
 };
 
-// Combined middleware for comprehensive session tracking
+// Combined middleware for comprehensive session tracking. The session is
+// validated first: tracking refreshes lastActivity, after which an idle
+// session could never time out.
 const sessionTrackingMiddleware = [
+  validateSession,
   trackActivity,
-  logApiResponse,
-  validateSession
+  logApiResponse
 ];
 
 module.exports = {
@@ -31,8 +31,16 @@ const activityLogSchema = new mongoose.Schema({
       'timeout',
       'manual_logout',
       'geofence_violation',
+      'geofence_exit',
+      'geofence_enter',
+      'geofence_warning',
+      'accrual_paused',
+      'accrual_resumed',
+      'geofence_session_end',
       'session_start',
-      'session_end'
+      'session_end',
+      'forced_logout',
+      'location_risk'
     ],
     required: true,
     index: true
@@ -71,7 +79,25 @@ const activityLogSchema = new mongoose.Schema({
     logoutMethod: String,
     browser: String,
     os: String,
-    deviceType: String
+    deviceType: String,
+    violationDistance: Number,
+    allowedRadius: Number,
+    nearestZone: String,
+    reason: String,
+    thresholdMinutes: Number,
+    outsideDurationSeconds: Number,
+    pausedSeconds: Number,
+    terminatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    gpsAccuracy: Number,
+    riskScore: Number,
+    riskLevel: String,
+    riskFlags: [String],
+    speedKmh: Number,
+    jumpDistance: Number,
+    blocked: Boolean
   }
 }, {
   timestamps: true
@@ -0,0 +1,47 @@
+// models/AdminEvent.js
+const mongoose = require('mongoose');
+
+// Something lab admins watch live: presence changes, geofence crossings and
+// failed logins. Kept a day so reconnecting dashboards can catch up.
+const adminEventSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'employee_online',
+      'employee_offline',
+      'session_timeout',
+      'geofence_exit',
+      'geofence_enter',
+      'geofence_warning',
+      'accrual_paused',
+      'accrual_resumed',
+      'geofence_session_end',
+      'failed_login'
+    ],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmployeeSession'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adminEventSchema.index({ labId: 1, _id: 1 });
+adminEventSchema.index({ labId: 1, createdAt: 1 });
+adminEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AdminEvent', adminEventSchema);
@@ -0,0 +1,76 @@
+// models/Attendance.js
+const mongoose = require('mongoose');
+
+// One employee's workday, derived from their sessions (see utils/attendance.js)
+const attendanceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  // Calendar day in server time, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  dayStart: {
+    type: Date,
+    required: true
+  },
+  firstIn: Date,
+  lastOut: Date,
+  workedMinutes: {
+    type: Number,
+    default: 0
+  },
+  outOfFenceMinutes: {
+    type: Number,
+    default: 0
+  },
+  sessionCount: {
+    type: Number,
+    default: 0
+  },
+  // Approved corrections that were applied to this day
+  corrections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceCorrection'
+  }],
+  status: {
+    type: String,
+    enum: ['present', 'partial', 'absent', 'on_leave', 'holiday', 'day_off'],
+    required: true
+  },
+  // Why the employee was not expected, for days without work
+  holidayName: String,
+  leaveRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveRequest'
+  },
+  // A session of this day was still open when the record was computed
+  hasActiveSession: {
+    type: Boolean,
+    default: false
+  },
+  // The day is over and none of its sessions can change any more
+  isFinal: {
+    type: Boolean,
+    default: false
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+attendanceSchema.index({ userId: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ labId: 1, date: 1 });
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
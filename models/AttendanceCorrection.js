@@ -0,0 +1,72 @@
+// models/AttendanceCorrection.js
+const mongoose = require('mongoose');
+
+/**
+ * An employee's request to correct their attendance. Approved corrections are
+ * applied when attendance is computed; the sessions and activity logs they
+ * correct stay as recorded.
+ *
+ * - missed_punch: on site from startTime to endTime without a session
+ * - login_denied: on site, but the login was rejected (e.g. bad GPS)
+ * - wrong_logout: the session ended at the wrong time; endTime is the real
+ *   logout and startTime is copied from the session's login
+ */
+const attendanceCorrectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['missed_punch', 'login_denied', 'wrong_logout'],
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmployeeSession'
+  },
+  loginAttemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoginAttempt'
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+attendanceCorrectionSchema.index({ labId: 1, status: 1, createdAt: -1 });
+attendanceCorrectionSchema.index({ userId: 1, status: 1, startTime: 1 });
+
+module.exports = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
@@ -12,11 +12,6 @@ const employeeSessionSchema = new mongoose.Schema({
     ref: 'Lab',
     required: true
   },
-  sessionToken: {
-    type: String,
-    required: true,
-    index: true
-  },
   loginTime: {
     type: Date,
     default: Date.now,
@@ -42,6 +37,50 @@ const employeeSessionSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+  // Confirmed side of the geofence and any change not yet confirmed (see utils/geofenceState.js)
+  geofenceTracking: {
+    state: {
+      type: String,
+      enum: ['inside', 'outside'],
+      default: 'inside'
+    },
+    since: Date,
+    pendingState: {
+      type: String,
+      enum: ['inside', 'outside', null],
+      default: null
+    },
+    pendingSince: Date,
+    pendingFixes: {
+      type: Number,
+      default: 0
+    },
+    // When the lab's outside-geofence action was taken for the current stay outside
+    enforcedAt: Date,
+    updatedAt: Date
+  },
+  // Risk level of the latest location fix; a change is what gets logged (see utils/locationRisk.js)
+  locationRiskLevel: {
+    type: String,
+    enum: ['none', 'low', 'medium', 'high'],
+    default: 'none'
+  },
+  // Time that does not count towards the session's duration (outside-geofence policy)
+  accrualPausedSince: Date,
+  pausedSeconds: {
+    type: Number,
+    default: 0
+  },
+  // Set when the session's first access and refresh tokens were handed out
+  tokensIssuedAt: Date,
+  // Set once the lab's admins were told the session runs outside working hours
+  afterHoursNotifiedAt: Date,
+  // Socket subscribed to notices for this session (see subscribe_session)
+  realtimeConnection: {
+    instance: String,
+    connectionId: String,
+    connectedAt: Date
+  },
   logoutTime: {
     type: Date
   },
@@ -62,7 +101,7 @@ const employeeSessionSchema = new mongoose.Schema({
     },
     action: {
       type: String,
-      enum: ['login', 'heartbeat', 'logout', 'timeout', 'location_update'],
+      enum: ['login', 'heartbeat', 'logout', 'timeout', 'location_update', 'session_end', 'forced_logout', 'geofence_session_end'],
       required: true
     },
     location: {
@@ -78,14 +117,20 @@ const employeeSessionSchema = new mongoose.Schema({
 // Indexes for better performance
 employeeSessionSchema.index({ userId: 1, isActive: 1 });
 employeeSessionSchema.index({ labId: 1, isActive: 1 });
-employeeSessionSchema.index({ sessionToken: 1 });
 employeeSessionSchema.index({ lastActivity: 1 });
 employeeSessionSchema.index({ loginTime: -1 });
 
+// Minutes the session counts for up to `until`, less time accrual was paused
+employeeSessionSchema.methods.getAccruedMinutes = function(until = new Date()) {
+  const pausedMs = (this.pausedSeconds || 0) * 1000 +
+    (this.accrualPausedSince ? Math.max(until - this.accrualPausedSince, 0) : 0);
+  return Math.max(Math.round((until - this.loginTime - pausedMs) / (1000 * 60)), 0);
+};
+
 // Pre-save middleware to calculate session duration
 employeeSessionSchema.pre('save', function(next) {
   if (this.logoutTime && this.loginTime) {
-    this.sessionDuration = Math.round((this.logoutTime - this.loginTime) / (1000 * 60));
+    this.sessionDuration = this.getAccruedMinutes(this.logoutTime);
   }
   next();
 });
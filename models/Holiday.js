@@ -0,0 +1,31 @@
+// models/Holiday.js
+const mongoose = require('mongoose');
+
+// A day the whole lab is closed
+const holidaySchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  // YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ labId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
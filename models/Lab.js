@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+// A geofence zone is either a circle around a center point or a GeoJSON polygon
+const geofenceZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    required: true
+  },
+  center: {
+    latitude: Number,
+    longitude: Number
+  },
+  radius: {
+    type: Number // in meters, circle zones only
+  },
+  polygon: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: {
+      type: [[[Number]]], // [longitude, latitude] positions
+      default: undefined
+    }
+  }
+});
+
 const labSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -60,8 +90,40 @@ const labSchema = new mongoose.Schema({
     radius: {
       type: Number,
       default: 35 
+    },
+    // When empty, the lab is evaluated as a single circle of `radius` around `location`
+    zones: {
+      type: [geofenceZoneSchema],
+      default: []
     }
   },
+  // Unset fields fall back to the configured defaults (see utils/sessionPolicy.js)
+  sessionPolicy: {
+    heartbeatIntervalSeconds: Number,
+    idleTimeoutMinutes: Number,
+    maxSessionHours: Number,
+    endSessionOnGeofenceExit: Boolean,
+    // Taken once an employee has been outside the geofence for outsideGeofenceMinutes
+    outsideGeofenceAction: {
+      type: String,
+      enum: ['none', 'warn', 'pause_accrual', 'end_session']
+    },
+    outsideGeofenceMinutes: Number,
+    // Lowest location risk level that rejects a login or location fix
+    locationRiskBlockLevel: {
+      type: String,
+      enum: ['off', 'medium', 'high']
+    }
+  },
+  // Email notifications (see utils/notifications.js); unset hours fall back to the configured defaults
+  notificationSettings: {
+    disabledTypes: {
+      type: [String],
+      default: []
+    },
+    workdayStart: String,
+    workdayEnd: String
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,44 @@
+// models/LabSettingsChange.js
+const mongoose = require('mongoose');
+
+const labSettingsChangeSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true,
+    index: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['details', 'geofence', 'session_policy'],
+    required: true
+  },
+  changes: [{
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  // Active sessions flagged as outside the geofence after this change
+  flaggedSessions: {
+    type: Number,
+    default: 0
+  },
+  ipAddress: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+labSettingsChangeSchema.index({ labId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('LabSettingsChange', labSettingsChangeSchema);
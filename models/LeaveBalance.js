@@ -0,0 +1,40 @@
+// models/LeaveBalance.js
+const mongoose = require('mongoose');
+
+// An employee's own allowance of a leave type for one year, overriding the
+// type's annualAllowanceDays. Used days are counted from approved requests.
+const leaveBalanceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  leaveTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  allowanceDays: {
+    type: Number,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leaveBalanceSchema.index({ userId: 1, leaveTypeId: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeaveBalance', leaveBalanceSchema);
@@ -0,0 +1,60 @@
+// models/LeaveRequest.js
+const mongoose = require('mongoose');
+
+// An employee's request for leave over a range of days
+const leaveRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  leaveTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  // Inclusive YYYY-MM-DD days
+  startDate: {
+    type: String,
+    required: true
+  },
+  endDate: {
+    type: String,
+    required: true
+  },
+  // Working days in the range, i.e. what the request takes from the balance
+  days: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+leaveRequestSchema.index({ userId: 1, status: 1, startDate: 1 });
+leaveRequestSchema.index({ labId: 1, status: 1, startDate: 1 });
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
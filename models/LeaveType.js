@@ -0,0 +1,39 @@
+// models/LeaveType.js
+const mongoose = require('mongoose');
+
+// A kind of leave a lab grants, e.g. annual, sick or unpaid leave
+const leaveTypeSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Working days per calendar year; null means no limit (e.g. unpaid leave)
+  annualAllowanceDays: {
+    type: Number,
+    default: null
+  },
+  isPaid: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leaveTypeSchema.index({ labId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeaveType', leaveTypeSchema);
@@ -2,15 +2,19 @@
 const mongoose = require('mongoose');
 
 const loginAttemptSchema = new mongoose.Schema({
+  // Not set when the email does not belong to an active account
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   labId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Lab',
-    required: true
+    ref: 'Lab'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
   },
   attemptLocation: {
     latitude: {
@@ -26,13 +30,12 @@ const loginAttemptSchema = new mongoose.Schema({
     type: Boolean,
     required: true
   },
+  // Not evaluated for attempts rejected before the password check passed
   isWithinGeofence: {
-    type: Boolean,
-    required: true
+    type: Boolean
   },
   distanceFromLab: {
-    type: Number, // in meters
-    required: true
+    type: Number // in meters
   },
   ipAddress: {
     type: String,
@@ -44,13 +47,34 @@ const loginAttemptSchema = new mongoose.Schema({
   },
   failureReason: {
     type: String,
-    enum: ['invalid_credentials', 'outside_geofence', 'account_inactive'],
+    enum: ['invalid_credentials', 'outside_geofence', 'account_inactive', 'locked_out', 'location_risk'],
     default: undefined // Allow undefined for successful logins
   },
+  metadata: {
+    gpsAccuracy: Number,
+    effectiveRadius: Number,
+    gpsBuffer: Number,
+    isWithinOriginalRadius: Boolean,
+    isWithinGPSBuffer: Boolean,
+    securityLevel: String,
+    strictMode: Boolean,
+    matchedZone: String,
+    distanceToEdge: Number,
+    riskScore: Number,
+    riskLevel: String,
+    riskFlags: [String],
+    speedKmh: Number,
+    jumpDistance: Number
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
 });
 
+// Attempt history by email and IP, e.g. the labs targeted before a lockout (see utils/loginProtection.js)
+loginAttemptSchema.index({ email: 1, timestamp: -1 });
+loginAttemptSchema.index({ ipAddress: 1, timestamp: -1 });
+loginAttemptSchema.index({ labId: 1, timestamp: -1 });
+
 module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
\ No newline at end of file
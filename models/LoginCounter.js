@@ -0,0 +1,33 @@
+// models/LoginCounter.js
+const mongoose = require('mongoose');
+
+// Password login attempts of one email address or one IP in the current
+// failure window, claimed before the password is checked (see utils/loginProtection.js)
+const loginCounterSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Email address for account counters, IP address for IP counters
+  key: {
+    type: String,
+    required: true
+  },
+  // Failed attempts plus attempts whose password is still being checked
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date
+}, {
+  timestamps: true
+});
+
+loginCounterSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('LoginCounter', loginCounterSchema);
@@ -0,0 +1,55 @@
+// models/LoginLockout.js
+const mongoose = require('mongoose');
+
+// A temporary block on password logins for one email address or one IP
+const loginLockoutSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Email address for account locks, IP address for IP locks
+  key: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Labs whose accounts were targeted; decides which admins see the lock
+  labIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab'
+  }],
+  failedAttempts: {
+    type: Number,
+    required: true
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  // Until the lock is over or cleared; at most one active lock per email or IP
+  active: {
+    type: Boolean,
+    default: true
+  },
+  clearedAt: Date,
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+loginLockoutSchema.index({ scope: 1, key: 1, lockedAt: -1 });
+loginLockoutSchema.index({ labIds: 1, lockedUntil: -1 });
+loginLockoutSchema.index({ scope: 1, key: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+module.exports = mongoose.model('LoginLockout', loginLockoutSchema);
@@ -0,0 +1,57 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+// An email to one user, queued until sent, kept afterwards as a log entry
+const notificationSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due; pushed forward while an instance is sending
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: Date,
+  messageId: String,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ labId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,46 @@
+// models/PasskeyCredential.js
+const mongoose = require('mongoose');
+
+const passkeyCredentialSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  credentialId: {
+    type: String, // base64url
+    required: true,
+    unique: true
+  },
+  publicKey: {
+    type: String, // base64url-encoded COSE public key
+    required: true
+  },
+  signCount: {
+    type: Number,
+    default: 0
+  },
+  transports: [{
+    type: String,
+    enum: ['ble', 'cable', 'hybrid', 'internal', 'nfc', 'smart-card', 'usb']
+  }],
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice']
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  attestationFormat: String,
+  aaguid: String,
+  deviceInfo: mongoose.Schema.Types.Mixed,
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PasskeyCredential', passkeyCredentialSchema);
@@ -0,0 +1,50 @@
+// models/RefreshToken.js
+const mongoose = require('mongoose');
+
+// One refresh token of an employee session. Only a hash of the token is
+// stored; a used token is kept so that presenting it again can be detected.
+const refreshTokenSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmployeeSession',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: String,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ sessionId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ userId: 1 });
+// Keep expired tokens a week longer so late reuse is still recognised
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
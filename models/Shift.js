@@ -0,0 +1,53 @@
+// models/Shift.js
+const mongoose = require('mongoose');
+
+// A shift template: when employees assigned to it are expected on site
+const shiftSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Local server time, HH:mm; an end before the start ends the next day
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  // Weekly recurrence, 0 = Sunday
+  daysOfWeek: {
+    type: [Number],
+    default: [1, 2, 3, 4, 5]
+  },
+  // Minutes after the start that still count as on time
+  lateGraceMinutes: {
+    type: Number,
+    default: 10
+  },
+  // Minutes before the end that still count as a full shift
+  earlyLeaveGraceMinutes: {
+    type: Number,
+    default: 10
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Shift', shiftSchema);
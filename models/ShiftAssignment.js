@@ -0,0 +1,42 @@
+// models/ShiftAssignment.js
+const mongoose = require('mongoose');
+
+// Puts an employee, or a whole department, on a shift for a range of days.
+// An employee's own assignment wins over their department's.
+const shiftAssignmentSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  // Inclusive YYYY-MM-DD days; no end means until further notice
+  effectiveFrom: {
+    type: String,
+    required: true
+  },
+  effectiveTo: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shiftAssignmentSchema.index({ labId: 1, userId: 1 });
+shiftAssignmentSchema.index({ labId: 1, department: 1 });
+
+module.exports = mongoose.model('ShiftAssignment', shiftAssignmentSchema);
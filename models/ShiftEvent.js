@@ -0,0 +1,46 @@
+// models/ShiftEvent.js
+const mongoose = require('mongoose');
+
+// A deviation from an assigned shift (see utils/shifts.js)
+const shiftEventSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true
+  },
+  // Day the shift starts on, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['late_arrival', 'early_leave', 'no_show'],
+    required: true
+  },
+  expectedAt: {
+    type: Date,
+    required: true
+  },
+  // First login or last logout; not set for no-shows
+  actualAt: Date,
+  // How late or how early, in minutes
+  minutes: Number
+}, {
+  timestamps: true
+});
+
+shiftEventSchema.index({ userId: 1, date: 1, type: 1 }, { unique: true });
+shiftEventSchema.index({ labId: 1, date: -1 });
+
+module.exports = mongoose.model('ShiftEvent', shiftEventSchema);
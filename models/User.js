@@ -58,6 +58,13 @@ const userSchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number
   },
+  // Email notification types the user has opted out of
+  notificationPreferences: {
+    disabledTypes: {
+      type: [String],
+      default: []
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
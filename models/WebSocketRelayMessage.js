@@ -0,0 +1,36 @@
+// models/WebSocketRelayMessage.js
+const mongoose = require('mongoose');
+
+// A message for a socket held by another server instance
+const webSocketRelayMessageSchema = new mongoose.Schema({
+  targetInstance: {
+    type: String,
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['desktop', 'mobile', 'employee'],
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  // EmployeeSession whose tokens the receiving instance adds to the message
+  issueTokensFor: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webSocketRelayMessageSchema.index({ targetInstance: 1, _id: 1 });
+// Undelivered messages are only useful for a short while
+webSocketRelayMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 });
+
+module.exports = mongoose.model('WebSocketRelayMessage', webSocketRelayMessageSchema);
@@ -0,0 +1,54 @@
+// models/WebSocketSession.js
+const mongoose = require('mongoose');
+
+// Persisted state of an in-flight desktop/mobile QR login. Socket objects are
+// never stored; only which server instance currently holds each side.
+const webSocketSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userEmail: String,
+  labName: String,
+  mode: String,
+  // User a passkey is being enrolled for, taken from the desktop's access token
+  enrollUserId: String,
+  state: {
+    type: String,
+    enum: ['waiting_for_mobile', 'mobile_connected', 'authenticated', 'location_pending', 'granted', 'enrolled', 'denied', 'expired'],
+    default: 'waiting_for_mobile'
+  },
+  stateEnteredAt: Number,
+  stateExpiresAt: Number,
+  expiredFrom: String,
+  requireLocation: {
+    type: Boolean,
+    default: true
+  },
+  authData: mongoose.Schema.Types.Mixed,
+  webauthnChallenge: mongoose.Schema.Types.Mixed,
+  secretHash: String,
+  secretExpiresAt: Number,
+  locationData: mongoose.Schema.Types.Mixed,
+  locationCheckResult: mongoose.Schema.Types.Mixed,
+  desktopClient: mongoose.Schema.Types.Mixed,
+  mobileClient: mongoose.Schema.Types.Mixed,
+  desktopInstance: String,
+  desktopConnectionId: String,
+  mobileInstance: String,
+  mobileConnectionId: String,
+  createdAt: {
+    type: Number,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 60 * 60 * 1000) // 1 hour
+  }
+});
+
+webSocketSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+webSocketSessionSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('WebSocketSession', webSocketSessionSchema);
@@ -0,0 +1,47 @@
+// models/Webhook.js
+const mongoose = require('mongoose');
+
+// An HTTP endpoint a lab has registered to receive events (see utils/webhooks.js)
+const webhookSchema = new mongoose.Schema({
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Event types delivered to the endpoint (see WEBHOOK_EVENTS)
+  events: {
+    type: [String],
+    required: true
+  },
+  // Key the payloads are signed with; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ labId: 1, isActive: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,56 @@
+// models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+// One event sent, or still to be sent, to one webhook, with every attempt made
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  labId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lab',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body sent on every attempt
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due; pushed forward while an instance is sending
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  lastStatusCode: Number,
+  lastError: String,
+  attemptLog: [{
+    attemptedAt: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
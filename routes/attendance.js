@@ -0,0 +1,376 @@
+// routes/attendance.js
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Lab = require('../models/Lab');
+const EmployeeSession = require('../models/EmployeeSession');
+const LoginAttempt = require('../models/LoginAttempt');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const config = require('../config');
+const { auth, requireLabAdmin, requireLabEmployee } = require('../middleware/auth');
+const { dateRangeValidators, getDateRange } = require('../middleware/dateRange');
+const {
+  toDateKey,
+  getEmployeeAttendance,
+  reopenAttendanceDays,
+  summarizeAttendance
+} = require('../utils/attendance');
+const { loadLabSchedule } = require('../utils/shifts');
+
+const router = express.Router();
+
+const CORRECTION_TYPES = ['missed_punch', 'login_denied', 'wrong_logout'];
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Longest stretch a missed punch or denied login may add
+const MAX_CORRECTION_HOURS = 24;
+
+// Get own attendance
+router.get('/me', [auth, ...dateRangeValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, error } = getDateRange(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await User.findById(req.user.id).select('labId department createdAt');
+    const records = await getEmployeeAttendance(user, from, to);
+
+    res.json({
+      from,
+      to,
+      records,
+      summary: summarizeAttendance(records)
+    });
+
+  } catch (error) {
+    console.error('Attendance fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get attendance of lab employees (only lab admin can do this)
+router.get('/', [
+  auth,
+  requireLabAdmin,
+  ...dateRangeValidators(),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, error } = getDateRange(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { userId, department } = req.query;
+    const employeeQuery = { labId: req.user.labId, role: 'lab_employee' };
+    if (userId) {
+      employeeQuery._id = userId;
+    }
+    if (department) {
+      employeeQuery.department = department;
+    }
+
+    const employees = await User.find(employeeQuery)
+      .select('name email employeeId department designation labId createdAt')
+      .sort({ name: 1 });
+    const lab = await Lab.findById(req.user.labId).select('sessionPolicy');
+    const schedule = await loadLabSchedule(req.user.labId);
+
+    const attendance = [];
+    for (const employee of employees) {
+      const records = await getEmployeeAttendance(employee, from, to, { lab, schedule });
+      attendance.push({
+        user: {
+          id: employee._id,
+          name: employee.name,
+          email: employee.email,
+          employeeId: employee.employeeId,
+          department: employee.department,
+          designation: employee.designation
+        },
+        records,
+        summary: summarizeAttendance(records)
+      });
+    }
+
+    res.json({
+      from,
+      to,
+      employees: attendance,
+      summary: summarizeAttendance(attendance.flatMap(entry => entry.records))
+    });
+
+  } catch (error) {
+    console.error('Lab attendance fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Check a correction request against the employee's records. Returns
+ * `{ correction }` with the fields to save, or `{ status, message }`.
+ */
+const buildCorrection = async (req) => {
+  const { type, reason, sessionId, loginAttemptId } = req.body;
+  const now = Date.now();
+  const endTime = new Date(req.body.endTime);
+  let startTime = req.body.startTime ? new Date(req.body.startTime) : null;
+
+  if (type === 'wrong_logout') {
+    if (!sessionId) {
+      return { status: 400, message: 'sessionId is required for a wrong logout correction' };
+    }
+    const session = await EmployeeSession.findOne({ _id: sessionId, userId: req.user.id }).select('loginTime isActive');
+    if (!session) {
+      return { status: 404, message: 'Session not found' };
+    }
+    if (session.isActive) {
+      return { status: 400, message: 'Only ended sessions can be corrected' };
+    }
+    const pending = await AttendanceCorrection.exists({ sessionId, status: 'pending' });
+    if (pending) {
+      return { status: 409, message: 'A correction for this session is already pending' };
+    }
+    startTime = session.loginTime;
+  } else {
+    if (!startTime) {
+      return { status: 400, message: 'startTime is required' };
+    }
+    if (endTime - startTime > MAX_CORRECTION_HOURS * 60 * 60 * 1000) {
+      return { status: 400, message: `A correction may cover at most ${MAX_CORRECTION_HOURS} hours` };
+    }
+  }
+
+  if (endTime <= startTime) {
+    return { status: 400, message: 'endTime must be after the start' };
+  }
+  if (endTime > now) {
+    return { status: 400, message: 'endTime must not be in the future' };
+  }
+  if (startTime < now - config.attendance.correctionWindowDays * 24 * 60 * 60 * 1000) {
+    return { status: 400, message: `Corrections can only be requested for the last ${config.attendance.correctionWindowDays} days` };
+  }
+
+  if (type === 'login_denied' && loginAttemptId) {
+    const attempt = await LoginAttempt.exists({ _id: loginAttemptId, userId: req.user.id, isSuccessful: false });
+    if (!attempt) {
+      return { status: 404, message: 'Failed login attempt not found' };
+    }
+  }
+
+  return {
+    correction: {
+      userId: req.user.id,
+      labId: req.user.labId,
+      type,
+      startTime,
+      endTime,
+      sessionId: type === 'wrong_logout' ? sessionId : undefined,
+      loginAttemptId: type === 'login_denied' ? loginAttemptId : undefined,
+      reason
+    }
+  };
+};
+
+// Request an attendance correction (employees only)
+router.post('/corrections', [
+  auth,
+  requireLabEmployee,
+  body('type').isIn(CORRECTION_TYPES).withMessage(`type must be one of ${CORRECTION_TYPES.join(', ')}`),
+  body('reason').trim().isLength({ min: 10, max: 500 }).withMessage('Reason must be between 10 and 500 characters'),
+  body('startTime').optional().isISO8601().withMessage('startTime must be a date and time'),
+  body('endTime').isISO8601().withMessage('endTime must be a date and time'),
+  body('sessionId').optional().isMongoId().withMessage('Invalid session ID'),
+  body('loginAttemptId').optional().isMongoId().withMessage('Invalid login attempt ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { correction, status, message } = await buildCorrection(req);
+    if (!correction) {
+      return res.status(status).json({ message });
+    }
+
+    const saved = await new AttendanceCorrection(correction).save();
+    res.status(201).json({ message: 'Correction request submitted', correction: saved });
+
+  } catch (error) {
+    console.error('Attendance correction request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const correctionStatusValidator = () => query('status').optional().isIn(CORRECTION_STATUSES).withMessage(`status must be one of ${CORRECTION_STATUSES.join(', ')}`);
+
+// Get own correction requests
+router.get('/corrections/me', [auth, correctionStatusValidator()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { userId: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const corrections = await AttendanceCorrection.find(filter)
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ corrections, total: corrections.length });
+
+  } catch (error) {
+    console.error('Attendance corrections fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw a pending correction request
+router.post('/corrections/:id/cancel', auth, async (req, res) => {
+  try {
+    const correction = await AttendanceCorrection.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!correction) {
+      return res.status(404).json({ message: 'Pending correction not found' });
+    }
+
+    res.json({ message: 'Correction request cancelled', correction });
+
+  } catch (error) {
+    console.error('Attendance correction cancel error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get correction requests of the lab, pending ones by default (only lab admin can do this)
+router.get('/corrections', [
+  auth,
+  requireLabAdmin,
+  correctionStatusValidator(),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { labId: req.user.labId, status: req.query.status || 'pending' };
+    if (req.query.userId) {
+      filter.userId = req.query.userId;
+    }
+
+    const corrections = await AttendanceCorrection.find(filter)
+      .populate('userId', 'name email employeeId department')
+      .populate('sessionId', 'loginTime logoutTime lastActivity')
+      .populate('loginAttemptId', 'timestamp failureReason isWithinGeofence distanceFromLab attemptLocation')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ corrections, total: corrections.length });
+
+  } catch (error) {
+    console.error('Lab attendance corrections fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Settle a pending request; only one admin can win if two review at once
+const reviewCorrection = (req, status) => AttendanceCorrection.findOneAndUpdate(
+  { _id: req.params.id, labId: req.user.labId, status: 'pending' },
+  {
+    status,
+    reviewedBy: req.user.id,
+    reviewedAt: new Date(),
+    reviewNote: req.body.note
+  },
+  { new: true }
+);
+
+// Approve a correction and recompute the days it touches (only lab admin can do this)
+router.post('/corrections/:id/approve', [
+  auth,
+  requireLabAdmin,
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const correction = await reviewCorrection(req, 'approved');
+    if (!correction) {
+      return res.status(404).json({ message: 'Pending correction not found' });
+    }
+
+    // A corrected logout may shorten the session; the days it used to cover change too
+    let end = correction.endTime;
+    if (correction.sessionId) {
+      const session = await EmployeeSession.findById(correction.sessionId).select('logoutTime lastActivity');
+      if (session) {
+        end = new Date(Math.max(end, session.logoutTime || session.lastActivity));
+      }
+    }
+
+    await reopenAttendanceDays(correction.userId, correction.startTime, end);
+
+    const employee = await User.findById(correction.userId).select('labId department createdAt');
+    const attendance = employee
+      ? await getEmployeeAttendance(employee, toDateKey(correction.startTime), toDateKey(end))
+      : [];
+
+    res.json({ message: 'Correction approved', correction, attendance });
+
+  } catch (error) {
+    console.error('Attendance correction approval error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject a correction (only lab admin can do this)
+router.post('/corrections/:id/reject', [
+  auth,
+  requireLabAdmin,
+  body('note').trim().isLength({ min: 3, max: 500 }).withMessage('Note must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const correction = await reviewCorrection(req, 'rejected');
+    if (!correction) {
+      return res.status(404).json({ message: 'Pending correction not found' });
+    }
+
+    res.json({ message: 'Correction rejected', correction });
+
+  } catch (error) {
+    console.error('Attendance correction rejection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,5 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
@@ -8,24 +7,35 @@ const Lab = require('../models/Lab');
 const LoginAttempt = require('../models/LoginAttempt');
 const EmployeeSession = require('../models/EmployeeSession');
 const ActivityLog = require('../models/ActivityLog');
-const { isWithinGeofence, validateLocation, formatDistance } = require('../utils/geofence');
+const { isWithinGeofence, getLabZones, validateLocation, formatDistance } = require('../utils/geofence');
+const { getDeviceInfo } = require('../utils/deviceInfo');
+const { openEmployeeSession, refreshEmployeeSession, closeUserSessions } = require('../utils/employeeSession');
+const { revokeSessionTokens } = require('../utils/tokens');
+const sessionEvents = require('../utils/sessionEvents');
+const { publishFailedLogin } = require('../utils/adminEvents');
+const { getSessionPolicy } = require('../utils/sessionPolicy');
+const { claimLoginAttempt, recordFailedLogin, recordPasswordVerified, recordLockedOutAttempt } = require('../utils/loginProtection');
+const { assessLocationRisk, shouldBlockLocation, getLastLoginFix, riskMetadata, logLocationRisk } = require('../utils/locationRisk');
 const { auth, requireLabAdmin } = require('../middleware/auth');
+const config = require('../config');
+const { labDetailsValidators, labLocationValidators, geofenceValidators } = require('../middleware/labValidation');
 
 const router = express.Router();
 
+// Hash of a random password at the cost used for real ones. Unknown emails are
+// checked against it so that they take as long to reject as wrong passwords.
+const DUMMY_PASSWORD_HASH = '$2a$12$HMIzx3JM4eDZU6afqz5SzuNSzG7CU0jqE8ci6vQw64OGXu9f4QyIy';
+
 // Updated Lab Registration route in routes/auth.js
 router.post('/register-lab', [
-  body('name').trim().isLength({ min: 2 }).withMessage('Lab name must be at least 2 characters'),
-  body('address').trim().isLength({ min: 5 }).withMessage('Address must be at least 5 characters'),
-  body('phone').trim().matches(/^\+?[\d\s-()]+$/).withMessage('Invalid phone number'),
+  ...labDetailsValidators(),
   body('email').isEmail().normalizeEmail().withMessage('Invalid email'),
   body('registrationNumber').trim().isLength({ min: 3 }).withMessage('Registration number required'),
   body('adminName').trim().isLength({ min: 2 }).withMessage('Admin name must be at least 2 characters'),
   body('adminEmail').isEmail().normalizeEmail().withMessage('Invalid admin email'),
   body('adminPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
-  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
-  body('geofenceRadius').optional().isInt({ min: 20, max: 1000 }).withMessage('Geofence radius must be between 20 and 1000 meters')
+  ...labLocationValidators(),
+  ...geofenceValidators()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -35,7 +45,7 @@ router.post('/register-lab', [
 
     const {
       name, address, phone, email, registrationNumber,
-      adminName, adminEmail, adminPassword, latitude, longitude, geofenceRadius
+      adminName, adminEmail, adminPassword, latitude, longitude, geofenceRadius, geofenceZones
     } = req.body;
 
     // Check if lab already exists
@@ -70,6 +80,7 @@ router.post('/register-lab', [
       },
       geofence: {
         radius: parseInt(geofenceRadius) || 100, // Default to 100m if not provided
+        zones: geofenceZones || [],
         updatedAt: new Date()
       }
     });
@@ -95,7 +106,8 @@ router.post('/register-lab', [
       message: 'Lab registered successfully',
       labId: lab._id,
       adminUserId: adminUser._id,
-      geofenceRadius: lab.geofence.radius
+      geofenceRadius: lab.geofence.radius,
+      geofenceZones: lab.geofence.zones
     });
 
   } catch (error) {
@@ -126,79 +138,87 @@ router.post('/login', [
 
     // Find user
     const user = await User.findOne({ email, isActive: true }).populate('labId');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    const attempt = {
+      email,
+      user,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      location: userLocation
+    };
+
+    // Turn away locked or throttled emails and IPs, and count the attempt, before checking the password
+    const { rejection, claimed } = await claimLoginAttempt(attempt);
+    if (rejection) {
+      if (rejection.status === 423) {
+        await recordLockedOutAttempt(attempt);
+      }
+      res.set('Retry-After', String(rejection.retryAfterSeconds));
+      return res.status(rejection.status).json({
+        message: rejection.message,
+        code: rejection.code,
+        retryAfterSeconds: rejection.retryAfterSeconds,
+        lockedUntil: rejection.lockedUntil
+      });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Unknown emails and wrong passwords get the same answer, in the same time
+    const passwordMatches = await bcrypt.compare(String(password), user ? user.password : DUMMY_PASSWORD_HASH);
+    const isPasswordValid = !!user && passwordMatches;
     if (!isPasswordValid) {
+      await recordFailedLogin(attempt);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
+    await recordPasswordVerified({ claimed });
+
+    // Compare the fix with where the user last logged in; the raw accuracy is
+    // kept because a reported 0 is itself a spoofing sign
+    const riskFix = { ...userLocation, accuracy, timestamp: new Date() };
+    const risk = assessLocationRisk(riskFix, getLastLoginFix(user));
+    if (user.role === 'lab_employee' && shouldBlockLocation(risk, getSessionPolicy(user.labId))) {
+      const blockedAttempt = await new LoginAttempt({
+        userId: user._id,
+        labId: user.labId._id,
+        email: user.email,
+        attemptLocation: userLocation,
+        isSuccessful: false,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent') || 'Unknown',
+        failureReason: 'location_risk',
+        metadata: {
+          gpsAccuracy: userLocation.accuracy,
+          ...riskMetadata(risk)
+        }
+      }).save();
+      await publishFailedLogin(blockedAttempt);
+
+      return res.status(403).json({
+        message: 'Access denied. Your reported location could not be trusted.',
+        code: 'LOCATION_RISK',
+        riskLevel: risk.level,
+        riskFlags: risk.flags.map(flag => flag.type)
+      });
+    }
+
+    let geofenceCheck = null;
 
     // Check geofence for lab employees
     if (user.role === 'lab_employee') {
       try {
         // Check if lab has geofence setup
-        if (!user.labId.geofence || !user.labId.geofence.radius) {
+        const zones = getLabZones(user.labId);
+        if (zones.length === 0) {
           return res.status(500).json({ 
             message: 'Lab geofence not configured. Please contact administrator.' 
           });
         }
 
-        const radius = user.labId.geofence.radius;
-        
-        // DETERMINE SECURITY MODE BASED ON RADIUS SIZE
-        let geofenceOptions = {};
-        
-        if (radius <= 15) {
-          // VERY STRICT: For radii 15m and below - no GPS buffer
-          geofenceOptions = {
-            strictMode: true,
-            customBuffer: 0,
-            minBuffer: 0,
-            maxBuffer: 0
-          };
-        } else if (radius <= 25) {
-          // STRICT: For radii 16-25m - minimal GPS buffer
-          geofenceOptions = {
-            strictMode: false,
-            customBuffer: 2,
-            minBuffer: 0,
-            maxBuffer: 3
-          };
-        } else if (radius <= 50) {
-          // MODERATE: For radii 26-50m - small GPS buffer
-          geofenceOptions = {
-            strictMode: false,
-            customBuffer: null, // Use smart buffer
-            minBuffer: 0,
-            maxBuffer: 8
-          };
-        } else {
-          // STANDARD: For radii above 50m - normal GPS buffer
-          geofenceOptions = {
-            strictMode: false,
-            customBuffer: null, // Use smart buffer
-            minBuffer: 0,
-            maxBuffer: 20
-          };
-        }
-
-        console.log('Geofence check with options:', {
-          radius,
-          options: geofenceOptions,
-          userLocation,
-          labLocation: user.labId.location
+        console.log('Geofence check against zones:', {
+          zones: zones.map(zone => ({ name: zone.name, type: zone.type, radius: zone.radius })),
+          userLocation
         });
 
-        const geofenceCheck = isWithinGeofence(
-          userLocation,
-          user.labId.location,
-          radius,
-          geofenceOptions
-        );
+        // Security mode (and GPS buffer bounds) are derived per zone from its size
+        geofenceCheck = isWithinGeofence(userLocation, zones);
 
         console.log('Geofence check result:', geofenceCheck);
 
@@ -206,6 +226,7 @@ router.post('/login', [
         const attemptData = {
           userId: user._id,
           labId: user.labId._id,
+          email: user.email,
           attemptLocation: userLocation,
           isSuccessful: geofenceCheck.isWithin,
           isWithinGeofence: geofenceCheck.isWithin,
@@ -219,7 +240,9 @@ router.post('/login', [
             isWithinOriginalRadius: geofenceCheck.isWithinOriginalRadius,
             isWithinGPSBuffer: geofenceCheck.isWithinGPSBuffer,
             securityLevel: geofenceCheck.securityLevel,
-            strictMode: geofenceCheck.strictMode
+            strictMode: geofenceCheck.strictMode,
+            matchedZone: geofenceCheck.matchedZone ? geofenceCheck.matchedZone.name : undefined,
+            distanceToEdge: geofenceCheck.distanceToEdge
           }
         };
 
@@ -231,13 +254,18 @@ router.post('/login', [
         await loginAttempt.save();
 
         if (!geofenceCheck.isWithin) {
+          await publishFailedLogin(loginAttempt);
+
           const responseData = {
             message: `Access denied. You must be within the lab premises to login.`,
             distance: formatDistance(geofenceCheck.distance),
             distanceInMeters: geofenceCheck.distance,
-            allowedRadius: formatDistance(user.labId.geofence.radius),
-            allowedRadiusInMeters: user.labId.geofence.radius,
-            effectiveRadius: formatDistance(geofenceCheck.effectiveRadius),
+            distanceToEdge: formatDistance(geofenceCheck.distanceToEdge),
+            distanceToEdgeInMeters: geofenceCheck.distanceToEdge,
+            nearestZone: geofenceCheck.nearestZone,
+            allowedRadius: geofenceCheck.radiusInMeters !== null ? formatDistance(geofenceCheck.radiusInMeters) : null,
+            allowedRadiusInMeters: geofenceCheck.radiusInMeters,
+            effectiveRadius: geofenceCheck.effectiveRadius !== null ? formatDistance(geofenceCheck.effectiveRadius) : null,
             effectiveRadiusInMeters: geofenceCheck.effectiveRadius,
             gpsAccuracyBuffer: geofenceCheck.gpsAccuracyBuffer,
             securityLevel: geofenceCheck.securityLevel,
@@ -264,7 +292,7 @@ router.post('/login', [
 
         // Log success with buffer info
         if (geofenceCheck.isWithinGPSBuffer) {
-          console.log(`Employee ${user.email} logged in using GPS buffer. Distance: ${geofenceCheck.distance}m, Security: ${geofenceCheck.securityLevel}`);
+          console.log(`Employee ${user.email} logged in using GPS buffer. Zone: ${geofenceCheck.matchedZone.name}, Distance: ${geofenceCheck.distance}m, Security: ${geofenceCheck.securityLevel}`);
         }
 
       } catch (geofenceError) {
@@ -276,18 +304,59 @@ router.post('/login', [
       }
     }
 
-    // Rest of login logic (token generation, session creation, etc.)
-    const token = jwt.sign(
-      { id: user._id, role: user.role, labId: user.labId._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const deviceInfo = getDeviceInfo(req);
+
+    // Admins are not bound by the geofence, but their logins are still audited
+    if (user.role === 'lab_admin') {
+      try {
+        geofenceCheck = isWithinGeofence(userLocation, getLabZones(user.labId));
+      } catch (geofenceError) {
+        console.error('Admin geofence calculation error:', geofenceError);
+      }
+
+      await new LoginAttempt({
+        userId: user._id,
+        labId: user.labId._id,
+        email: user.email,
+        attemptLocation: userLocation,
+        isSuccessful: true,
+        isWithinGeofence: geofenceCheck ? geofenceCheck.isWithin : false,
+        distanceFromLab: geofenceCheck ? geofenceCheck.distance : 0,
+        ipAddress: deviceInfo.ipAddress,
+        userAgent: deviceInfo.userAgent
+      }).save();
+    }
+
+    const { token, refreshToken, session } = await openEmployeeSession({
+      user,
+      location: userLocation,
+      deviceInfo,
+      geofenceCheck,
+      loginMethod: 'password',
+      endpoint: '/api/auth/login'
+    });
 
-    // [... rest of the login logic remains the same ...]
+    if (risk.flags.length > 0) {
+      await logLocationRisk({
+        assessment: risk,
+        blocked: false,
+        userId: user._id,
+        labId: user.labId._id,
+        sessionId: session._id,
+        location: riskFix,
+        metadata: {
+          ipAddress: deviceInfo.ipAddress,
+          userAgent: deviceInfo.userAgent,
+          endpoint: '/api/auth/login'
+        }
+      });
+    }
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn: config.jwt.accessTokenExpiresIn,
       user: {
         id: user._id,
         name: user.name,
@@ -299,6 +368,12 @@ router.post('/login', [
           name: user.labId.name
         }
       },
+      session: {
+        id: session._id,
+        loginTime: session.loginTime,
+        deviceInfo: session.deviceInfo,
+        heartbeatInterval: getSessionPolicy(user.labId).heartbeatIntervalSeconds
+      },
       useCurrentLocation: userLocation,
     });
 
@@ -313,18 +388,18 @@ router.post('/login', [
 // Logout endpoint with session cleanup
 router.post('/logout', auth, async (req, res) => {
   try {
-    const sessionToken = req.headers.authorization?.replace('Bearer ', '');
+    const { sessionId } = req.user;
 
-    if (sessionToken) {
+    if (sessionId) {
       const session = await EmployeeSession.findOne({
-        sessionToken,
+        _id: sessionId,
         userId: req.user.id,
         isActive: true
       });
 
       if (session) {
-        // Calculate session duration
-        const duration = Math.round((new Date() - session.loginTime) / (1000 * 60)); // minutes
+        // Session duration in minutes, less any time accrual was paused
+        const duration = session.getAccruedMinutes();
         
         session.isActive = false;
         session.logoutTime = new Date();
@@ -341,6 +416,8 @@ router.post('/logout', auth, async (req, res) => {
         });
 
         await session.save();
+        await revokeSessionTokens(session._id, 'logout');
+        sessionEvents.emit('session_closed', { session, action: 'logout', reason: 'manual', metadata: {} });
 
         // Log logout activity
         await new ActivityLog({
@@ -370,6 +447,61 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, refreshToken } = await refreshEmployeeSession(req.body.refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      token,
+      refreshToken,
+      expiresIn: config.jwt.accessTokenExpiresIn
+    });
+
+  } catch (error) {
+    if (error.code) {
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out of every device: ends all of the user's active sessions
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const sessionsEnded = await closeUserSessions(req.user.id, {
+      action: 'session_end',
+      reason: 'logout_all_devices',
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: '/api/auth/logout-all'
+      }
+    });
+
+    res.json({
+      message: 'Logged out of all devices',
+      sessionsEnded,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get current user profile with session info
 router.get('/profile', auth, async (req, res) => {
   try {
@@ -378,9 +510,9 @@ router.get('/profile', auth, async (req, res) => {
       .select('-password');
     
     // Get current active session
-    const sessionToken = req.headers.authorization?.replace('Bearer ', '');
+    const { sessionId } = req.user;
     const currentSession = await EmployeeSession.findOne({
-      sessionToken,
+      _id: sessionId,
       userId: req.user.id,
       isActive: true
     });
@@ -485,26 +617,17 @@ router.post('/verify-location', auth, async (req, res) => {
       });
     }
 
-    // Check if user is within geofence
+    // Check if user is within any of the lab's geofence zones
     const userLocation = { latitude, longitude };
-    const labLocation = {
-      latitude: lab.location.latitude,
-      longitude: lab.location.longitude
-    };
-    
-    const geofenceResult = isWithinGeofence(
-      userLocation,
-      labLocation,
-      lab.geofence.radius
-    );
+    const geofenceResult = isWithinGeofence(userLocation, getLabZones(lab));
 
     // Log the verification attempt
     console.log(`Location verification for user ${user.email}:`, {
       userLocation,
-      labLocation,
       distance: geofenceResult.distance,
+      distanceToEdge: geofenceResult.distanceToEdge,
       isWithin: geofenceResult.isWithin,
-      radius: lab.geofence.radius
+      matchedZone: geofenceResult.matchedZone
     });
 
     // You might want to log this to a LocationCheck collection for audit purposes
@@ -521,7 +644,10 @@ router.post('/verify-location', auth, async (req, res) => {
       success: true,
       isWithinGeofence: geofenceResult.isWithin,
       distance: geofenceResult.distance,
-      radius: lab.geofence.radius,
+      distanceToEdge: geofenceResult.distanceToEdge,
+      radius: geofenceResult.radiusInMeters,
+      matchedZone: geofenceResult.matchedZone,
+      nearestZone: geofenceResult.nearestZone,
       message: geofenceResult.isWithin 
         ? 'User is within lab premises' 
         : 'User is outside lab premises'
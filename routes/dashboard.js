@@ -2,7 +2,12 @@ const express = require('express');
 const User = require('../models/User');
 const Lab = require('../models/Lab');
 const LoginAttempt = require('../models/LoginAttempt');
+const ActivityLog = require('../models/ActivityLog');
+const ShiftEvent = require('../models/ShiftEvent');
+const Holiday = require('../models/Holiday');
+const LeaveRequest = require('../models/LeaveRequest');
 const { auth, requireLabAdmin } = require('../middleware/auth');
+const { toDateKey } = require('../utils/attendance');
 
 const router = express.Router();
 
@@ -29,6 +34,19 @@ router.get('/stats', auth, requireLabAdmin, async (req, res) => {
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
+    const todayKey = toDateKey(today);
+
+    // Get active employees on approved leave today, and whether the lab is closed
+    const onLeaveIds = await LeaveRequest.distinct('userId', {
+      labId: labId,
+      status: 'approved',
+      startDate: { $lte: todayKey },
+      endDate: { $gte: todayKey }
+    });
+    const employeesOnLeave = onLeaveIds.length > 0
+      ? await User.countDocuments({ _id: { $in: onLeaveIds }, role: 'lab_employee', isActive: true })
+      : 0;
+    const todayHoliday = await Holiday.findOne({ labId: labId, date: todayKey }).select('name');
 
     const todayLoginAttempts = await LoginAttempt.countDocuments({
       labId: labId,
@@ -56,6 +74,42 @@ router.get('/stats', auth, requireLabAdmin, async (req, res) => {
       timestamp: { $gte: today, $lt: tomorrow }
     });
 
+    // Get location fixes flagged as possibly spoofed today; blocked logins
+    // are login attempts, blocked heartbeats and updates are activity entries
+    const todayLocationRiskFlags = await ActivityLog.countDocuments({
+      labId: labId,
+      action: 'location_risk',
+      timestamp: { $gte: today, $lt: tomorrow }
+    });
+
+    const todayLocationRiskBlocks = await ActivityLog.countDocuments({
+      labId: labId,
+      action: 'location_risk',
+      'metadata.blocked': true,
+      timestamp: { $gte: today, $lt: tomorrow }
+    }) + await LoginAttempt.countDocuments({
+      labId: labId,
+      failureReason: 'location_risk',
+      timestamp: { $gte: today, $lt: tomorrow }
+    });
+
+    const recentLocationRisks = await ActivityLog.find({
+      labId: labId,
+      action: 'location_risk'
+    })
+      .populate('userId', 'name email employeeId')
+      .sort({ timestamp: -1 })
+      .limit(5);
+
+    // Get late arrivals, early leaves and no-shows for shifts starting today
+    const [todayLateArrivals, todayEarlyLeaves, todayNoShows] = await Promise.all(
+      ['late_arrival', 'early_leave', 'no_show'].map(type => ShiftEvent.countDocuments({
+        labId: labId,
+        date: todayKey,
+        type
+      }))
+    );
+
     // Get recent login attempts
     const recentLoginAttempts = await LoginAttempt.find({
       labId: labId
@@ -68,13 +122,24 @@ router.get('/stats', auth, requireLabAdmin, async (req, res) => {
       totalEmployees,
       activeEmployees,
       inactiveEmployees: totalEmployees - activeEmployees,
+      employeesOnLeave,
+      // Active employees expected at work today
+      availableEmployees: todayHoliday ? 0 : activeEmployees - employeesOnLeave,
       todayStats: {
+        holiday: todayHoliday ? todayHoliday.name : null,
+        onLeave: employeesOnLeave,
         totalAttempts: todayLoginAttempts,
         successfulLogins: todaySuccessfulLogins,
         failedLogins: todayFailedLogins,
-        geofenceViolations: todayGeofenceViolations
+        geofenceViolations: todayGeofenceViolations,
+        locationRiskFlags: todayLocationRiskFlags,
+        locationRiskBlocks: todayLocationRiskBlocks,
+        lateArrivals: todayLateArrivals,
+        earlyLeaves: todayEarlyLeaves,
+        noShows: todayNoShows
       },
-      recentLoginAttempts
+      recentLoginAttempts,
+      recentLocationRisks
     });
 
   } catch (error) {
@@ -0,0 +1,353 @@
+// routes/lab.js
+const express = require('express');
+const { validationResult } = require('express-validator');
+const Lab = require('../models/Lab');
+const EmployeeSession = require('../models/EmployeeSession');
+const LabSettingsChange = require('../models/LabSettingsChange');
+const { auth, requireLabAdmin } = require('../middleware/auth');
+const {
+  labDetailsValidators,
+  labLocationValidators,
+  geofenceValidators,
+  sessionPolicyValidators
+} = require('../middleware/labValidation');
+const { isWithinGeofence, getLabZones } = require('../utils/geofence');
+const { POLICY_FIELDS, getSessionPolicy } = require('../utils/sessionPolicy');
+const { trackGeofenceCrossing } = require('../utils/geofenceState');
+const { enforceGeofencePolicy } = require('../utils/geofenceEnforcement');
+
+const router = express.Router();
+
+// Plain JSON copy without Mongo subdocument ids, so stored and submitted values compare equal
+const normalizeValue = (value) => JSON.parse(
+  JSON.stringify(value === undefined ? null : value, (key, val) => (key === '_id' ? undefined : val))
+);
+
+// Apply updates to the lab and return the list of fields that actually changed
+const applyLabChanges = (lab, updates) => {
+  const changes = [];
+
+  Object.entries(updates).forEach(([field, newValue]) => {
+    const oldValue = normalizeValue(lab.get(field));
+    const normalizedNew = normalizeValue(newValue);
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(normalizedNew)) {
+      changes.push({ field, oldValue, newValue: normalizedNew });
+      lab.set(field, newValue);
+    }
+  });
+
+  return changes;
+};
+
+const recordLabChange = (req, lab, category, changes, flaggedSessions = 0) => {
+  return new LabSettingsChange({
+    labId: lab._id,
+    changedBy: req.user.id,
+    category,
+    changes,
+    flaggedSessions,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }).save();
+};
+
+/**
+ * Re-check every active employee session against the lab's current geofence.
+ * The session's last known location is fed into its inside/outside tracking
+ * like a new fix (see utils/geofenceState.js), so moving the fence confirms
+ * exits and applies the lab's outside-geofence policy the same way a move of
+ * the employee would. Returns the sessions whose location is now outside.
+ */
+const reevaluateActiveSessions = async (lab) => {
+  const zones = getLabZones(lab);
+  const policy = getSessionPolicy(lab);
+  const flagged = [];
+
+  if (zones.length === 0) {
+    return flagged;
+  }
+
+  const sessions = await EmployeeSession.find({
+    labId: lab._id,
+    isActive: true
+  }).populate('userId', 'name email employeeId role');
+
+  for (const session of sessions) {
+    if (!session.userId || session.userId.role !== 'lab_employee' || !session.currentLocation) {
+      continue;
+    }
+
+    try {
+      const location = session.currentLocation;
+      const geofenceCheck = isWithinGeofence(location, zones);
+      const tracked = await trackGeofenceCrossing(session, geofenceCheck, location);
+      const enforcement = await enforceGeofencePolicy(session, policy, tracked, { location });
+
+      if (!geofenceCheck.isWithin) {
+        flagged.push({
+          sessionId: session._id,
+          user: {
+            id: session.userId._id,
+            name: session.userId.name,
+            email: session.userId.email,
+            employeeId: session.userId.employeeId
+          },
+          currentLocation: location,
+          distanceToEdge: geofenceCheck.distanceToEdge,
+          nearestZone: geofenceCheck.nearestZone,
+          geofenceState: tracked.state,
+          enforcement: enforcement ? enforcement.action : null
+        });
+      }
+    } catch (error) {
+      console.error(`Geofence re-evaluation error for session ${session._id}:`, error);
+    }
+  }
+
+  return flagged;
+};
+
+// Get lab settings (admin only)
+router.get('/settings', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const lab = await Lab.findById(req.user.labId).select('-adminPassword');
+
+    if (!lab) {
+      return res.status(404).json({ message: 'Lab not found' });
+    }
+
+    res.json({
+      lab,
+      effectiveZones: getLabZones(lab),
+      effectiveSessionPolicy: getSessionPolicy(lab)
+    });
+  } catch (error) {
+    console.error('Lab settings fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update lab contact details and location (admin only)
+router.put('/settings', [
+  auth,
+  requireLabAdmin,
+  ...labDetailsValidators({ optional: true }),
+  ...labLocationValidators({ optional: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, address, phone, latitude, longitude } = req.body;
+
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return res.status(400).json({ message: 'Latitude and longitude must be updated together' });
+    }
+
+    const lab = await Lab.findById(req.user.labId);
+    if (!lab) {
+      return res.status(404).json({ message: 'Lab not found' });
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (address !== undefined) updates.address = address;
+    if (phone !== undefined) updates.phone = phone;
+    if (latitude !== undefined) {
+      updates.location = {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude)
+      };
+    }
+
+    const changes = applyLabChanges(lab, updates);
+
+    if (changes.length === 0) {
+      return res.json({ message: 'No changes to apply', changes: [] });
+    }
+
+    await lab.save();
+
+    // Moving the lab moves the default geofence circle with it
+    let flaggedSessions = [];
+    const locationChanged = changes.some(change => change.field === 'location');
+    if (locationChanged && lab.geofence.zones.length === 0) {
+      flaggedSessions = await reevaluateActiveSessions(lab);
+    }
+
+    await recordLabChange(req, lab, 'details', changes, flaggedSessions.length);
+
+    const updatedLab = await Lab.findById(lab._id).select('-adminPassword');
+
+    res.json({
+      message: 'Lab settings updated successfully',
+      lab: updatedLab,
+      changes,
+      flaggedSessions
+    });
+  } catch (error) {
+    console.error('Lab settings update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update lab geofence radius and/or zones (admin only)
+router.put('/geofence', [
+  auth,
+  requireLabAdmin,
+  ...geofenceValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { geofenceRadius, geofenceZones } = req.body;
+
+    if (geofenceRadius === undefined && geofenceZones === undefined) {
+      return res.status(400).json({ message: 'Provide geofenceRadius and/or geofenceZones' });
+    }
+
+    const lab = await Lab.findById(req.user.labId);
+    if (!lab) {
+      return res.status(404).json({ message: 'Lab not found' });
+    }
+
+    const updates = {};
+    if (geofenceRadius !== undefined) updates['geofence.radius'] = parseInt(geofenceRadius);
+    if (geofenceZones !== undefined) updates['geofence.zones'] = geofenceZones;
+
+    const changes = applyLabChanges(lab, updates);
+
+    if (changes.length === 0) {
+      return res.json({ message: 'No changes to apply', changes: [] });
+    }
+
+    await lab.save();
+
+    const flaggedSessions = await reevaluateActiveSessions(lab);
+    await recordLabChange(req, lab, 'geofence', changes, flaggedSessions.length);
+
+    res.json({
+      message: 'Geofence updated successfully',
+      geofence: lab.geofence,
+      effectiveZones: getLabZones(lab),
+      changes,
+      flaggedSessions
+    });
+  } catch (error) {
+    console.error('Geofence update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A policy only works if one missed heartbeat does not end the session and
+// the idle timeout fits inside the max session length
+const validatePolicyConsistency = (policy) => {
+  if (policy.idleTimeoutMinutes * 60 < policy.heartbeatIntervalSeconds * 2) {
+    return 'Idle timeout must be at least twice the heartbeat interval';
+  }
+  if (policy.maxSessionHours * 60 < policy.idleTimeoutMinutes) {
+    return 'Max session length must not be shorter than the idle timeout';
+  }
+  return null;
+};
+
+// Update the lab's session policy (admin only)
+router.put('/session-policy', [
+  auth,
+  requireLabAdmin,
+  ...sessionPolicyValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const provided = POLICY_FIELDS.filter(field => req.body[field] !== undefined);
+    if (provided.length === 0) {
+      return res.status(400).json({ message: `Provide at least one of ${POLICY_FIELDS.join(', ')}` });
+    }
+
+    const lab = await Lab.findById(req.user.labId);
+    if (!lab) {
+      return res.status(404).json({ message: 'Lab not found' });
+    }
+
+    const updates = {};
+    provided.forEach(field => {
+      const value = req.body[field];
+      if (value === null) {
+        updates[`sessionPolicy.${field}`] = undefined;
+      } else if (field === 'endSessionOnGeofenceExit') {
+        updates[`sessionPolicy.${field}`] = value === true || value === 'true';
+      } else if (field === 'locationRiskBlockLevel' || field === 'outsideGeofenceAction') {
+        updates[`sessionPolicy.${field}`] = value;
+      } else {
+        updates[`sessionPolicy.${field}`] = parseInt(value);
+      }
+    });
+
+    const changes = applyLabChanges(lab, updates);
+
+    if (changes.length === 0) {
+      return res.json({ message: 'No changes to apply', changes: [] });
+    }
+
+    const effectivePolicy = getSessionPolicy(lab);
+    const policyError = validatePolicyConsistency(effectivePolicy);
+    if (policyError) {
+      return res.status(400).json({ message: policyError, effectivePolicy });
+    }
+
+    await lab.save();
+    await recordLabChange(req, lab, 'session_policy', changes);
+
+    res.json({
+      message: 'Session policy updated successfully',
+      sessionPolicy: lab.sessionPolicy,
+      effectivePolicy,
+      changes
+    });
+  } catch (error) {
+    console.error('Session policy update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get history of lab settings changes (admin only)
+router.get('/settings/history', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, category } = req.query;
+    const query = { labId: req.user.labId };
+
+    if (category) {
+      query.category = category;
+    }
+
+    const history = await LabSettingsChange.find(query)
+      .populate('changedBy', 'name email employeeId')
+      .sort({ timestamp: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await LabSettingsChange.countDocuments(query);
+
+    res.json({
+      history,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Lab settings history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
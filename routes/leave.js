@@ -0,0 +1,585 @@
+// routes/leave.js
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Holiday = require('../models/Holiday');
+const LeaveType = require('../models/LeaveType');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeaveRequest = require('../models/LeaveRequest');
+const ShiftEvent = require('../models/ShiftEvent');
+const { auth, requireLabAdmin, requireLabEmployee } = require('../middleware/auth');
+const {
+  toDateKey,
+  parseDateKey,
+  getEmployeeAttendance,
+  reopenAttendanceDays,
+  reopenLabAttendanceDay
+} = require('../utils/attendance');
+const { countLeaveDaysByYear, getLeaveBalances, getLeaveBalance } = require('../utils/leave');
+
+const router = express.Router();
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const yearValidator = () => query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year').toInt();
+
+const currentYear = () => new Date().getFullYear();
+
+/**
+ * Leave already taken into account for past days has to be reflected there:
+ * attendance is recomputed and shift events of the range (no-shows etc.) are
+ * dropped.
+ */
+const applyLeaveToPastDays = async (request) => {
+  await ShiftEvent.deleteMany({ userId: request.userId, date: { $gte: request.startDate, $lte: request.endDate } });
+  await reopenAttendanceDays(request.userId, parseDateKey(request.startDate), parseDateKey(request.endDate));
+
+  const today = toDateKey(new Date());
+  if (request.startDate <= today) {
+    const employee = await User.findById(request.userId).select('labId department createdAt');
+    if (employee) {
+      await getEmployeeAttendance(employee, request.startDate, request.endDate);
+    }
+  }
+};
+
+// Get leave types of the lab
+router.get('/types', auth, async (req, res) => {
+  try {
+    const filter = { labId: req.user.labId };
+    if (req.user.role !== 'lab_admin' || req.query.includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+
+    const leaveTypes = await LeaveType.find(filter).sort({ name: 1 });
+    res.json({ leaveTypes, total: leaveTypes.length });
+
+  } catch (error) {
+    console.error('Leave types fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const leaveTypeValidators = ({ optional = false } = {}) => [
+  (optional ? body('name').optional() : body('name')).trim().isLength({ min: 2, max: 50 }).withMessage('Leave type name must be between 2 and 50 characters'),
+  body('annualAllowanceDays').optional({ values: 'null' }).isInt({ min: 0, max: 366 }).withMessage('Annual allowance must be between 0 and 366 days').toInt(),
+  body('isPaid').optional().isBoolean().withMessage('isPaid must be true or false')
+];
+
+// Create leave type (only lab admin can do this)
+router.post('/types', [auth, requireLabAdmin, ...leaveTypeValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, annualAllowanceDays, isPaid } = req.body;
+
+    const existing = await LeaveType.exists({ labId: req.user.labId, name });
+    if (existing) {
+      return res.status(400).json({ message: 'A leave type with this name already exists' });
+    }
+
+    const leaveType = await new LeaveType({
+      labId: req.user.labId,
+      name,
+      annualAllowanceDays: annualAllowanceDays === undefined ? null : annualAllowanceDays,
+      isPaid,
+      createdBy: req.user.id
+    }).save();
+
+    res.status(201).json({ message: 'Leave type created successfully', leaveType });
+
+  } catch (error) {
+    console.error('Leave type creation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update leave type (only lab admin can do this)
+router.put('/types/:id', [
+  auth,
+  requireLabAdmin,
+  ...leaveTypeValidators({ optional: true }),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const leaveType = await LeaveType.findOne({ _id: req.params.id, labId: req.user.labId });
+    if (!leaveType) {
+      return res.status(404).json({ message: 'Leave type not found' });
+    }
+
+    const { name, annualAllowanceDays, isPaid, isActive } = req.body;
+    if (name) leaveType.name = name;
+    if (annualAllowanceDays !== undefined) leaveType.annualAllowanceDays = annualAllowanceDays;
+    if (typeof isPaid === 'boolean') leaveType.isPaid = isPaid;
+    if (typeof isActive === 'boolean') leaveType.isActive = isActive;
+
+    await leaveType.save();
+    res.json({ message: 'Leave type updated successfully', leaveType });
+
+  } catch (error) {
+    console.error('Leave type update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get own leave balances
+router.get('/balances/me', [auth, yearValidator()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const year = req.query.year || currentYear();
+    const user = await User.findById(req.user.id).select('labId department');
+    const balances = await getLeaveBalances(user, year);
+
+    res.json({ year, balances });
+
+  } catch (error) {
+    console.error('Leave balances fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get leave balances of lab employees (only lab admin can do this)
+router.get('/balances', [
+  auth,
+  requireLabAdmin,
+  yearValidator(),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const year = req.query.year || currentYear();
+    const employeeFilter = { labId: req.user.labId, role: 'lab_employee' };
+    if (req.query.userId) {
+      employeeFilter._id = req.query.userId;
+    }
+
+    const employees = await User.find(employeeFilter)
+      .select('name email employeeId department labId')
+      .sort({ name: 1 });
+
+    const result = [];
+    for (const employee of employees) {
+      result.push({
+        user: {
+          id: employee._id,
+          name: employee.name,
+          email: employee.email,
+          employeeId: employee.employeeId,
+          department: employee.department
+        },
+        balances: await getLeaveBalances(employee, year)
+      });
+    }
+
+    res.json({ year, employees: result });
+
+  } catch (error) {
+    console.error('Lab leave balances fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set an employee's own allowance of a leave type for a year (only lab admin can do this)
+router.put('/balances', [
+  auth,
+  requireLabAdmin,
+  body('userId').isMongoId().withMessage('Valid user ID required'),
+  body('leaveTypeId').isMongoId().withMessage('Valid leave type ID required'),
+  body('year').isInt({ min: 2000, max: 2100 }).withMessage('Invalid year').toInt(),
+  body('allowanceDays').isInt({ min: 0, max: 366 }).withMessage('Allowance must be between 0 and 366 days').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, leaveTypeId, year, allowanceDays } = req.body;
+
+    const employee = await User.findOne({ _id: userId, labId: req.user.labId, role: 'lab_employee' }).select('labId department');
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const leaveType = await LeaveType.exists({ _id: leaveTypeId, labId: req.user.labId });
+    if (!leaveType) {
+      return res.status(404).json({ message: 'Leave type not found' });
+    }
+
+    await LeaveBalance.findOneAndUpdate(
+      { userId, leaveTypeId, year },
+      { labId: req.user.labId, allowanceDays, updatedBy: req.user.id },
+      { upsert: true }
+    );
+
+    res.json({
+      message: 'Leave allowance updated successfully',
+      balance: await getLeaveBalance(employee, leaveTypeId, year)
+    });
+
+  } catch (error) {
+    console.error('Leave allowance update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request leave (employees only)
+router.post('/requests', [
+  auth,
+  requireLabEmployee,
+  body('leaveTypeId').isMongoId().withMessage('Valid leave type ID required'),
+  body('startDate').isISO8601().withMessage('startDate must be a date (YYYY-MM-DD)'),
+  body('endDate').isISO8601().withMessage('endDate must be a date (YYYY-MM-DD)'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { leaveTypeId, reason } = req.body;
+    const startDate = req.body.startDate.slice(0, 10);
+    const endDate = req.body.endDate.slice(0, 10);
+
+    if (endDate < startDate) {
+      return res.status(400).json({ message: 'endDate must not be before startDate' });
+    }
+    if (Number(endDate.slice(0, 4)) - Number(startDate.slice(0, 4)) > 1) {
+      return res.status(400).json({ message: 'Leave may run into the next year, but no further' });
+    }
+
+    const user = await User.findById(req.user.id).select('labId department');
+
+    const balance = await getLeaveBalance(user, leaveTypeId, Number(startDate.slice(0, 4)));
+    if (!balance) {
+      return res.status(404).json({ message: 'Leave type not found' });
+    }
+
+    const overlapping = await LeaveRequest.exists({
+      userId: req.user.id,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate }
+    });
+    if (overlapping) {
+      return res.status(409).json({ message: 'You already have leave requested for some of these days' });
+    }
+
+    // Days over the new year come out of the next year's balance
+    const daysByYear = await countLeaveDaysByYear(user, startDate, endDate);
+    const days = daysByYear.reduce((sum, part) => sum + part.days, 0);
+    if (days === 0) {
+      return res.status(400).json({ message: 'The requested range has no working days' });
+    }
+
+    for (const { year, days: yearDays } of daysByYear) {
+      const yearBalance = await getLeaveBalance(user, leaveTypeId, year);
+      const available = yearBalance.remainingDays === null ? null : yearBalance.remainingDays - yearBalance.pendingDays;
+      if (available !== null && yearDays > available) {
+        return res.status(400).json({
+          message: `Not enough ${yearBalance.leaveType.name} left in ${year}: ${yearDays} days requested, ${Math.max(available, 0)} available`,
+          code: 'INSUFFICIENT_LEAVE_BALANCE',
+          balance: yearBalance
+        });
+      }
+    }
+
+    const leaveRequest = await new LeaveRequest({
+      userId: req.user.id,
+      labId: req.user.labId,
+      leaveTypeId,
+      startDate,
+      endDate,
+      days,
+      reason
+    }).save();
+
+    res.status(201).json({ message: 'Leave request submitted', leaveRequest });
+
+  } catch (error) {
+    console.error('Leave request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const requestStatusValidator = () => query('status').optional().isIn(REQUEST_STATUSES).withMessage(`status must be one of ${REQUEST_STATUSES.join(', ')}`);
+
+// Get own leave requests
+router.get('/requests/me', [auth, requestStatusValidator(), yearValidator()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const year = req.query.year || currentYear();
+    const filter = { userId: req.user.id, startDate: { $gte: `${year}-01-01`, $lte: `${year}-12-31` } };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const leaveRequests = await LeaveRequest.find(filter)
+      .populate('leaveTypeId', 'name isPaid')
+      .populate('reviewedBy', 'name email')
+      .sort({ startDate: -1 });
+
+    res.json({ leaveRequests, total: leaveRequests.length });
+
+  } catch (error) {
+    console.error('Leave requests fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a pending request, or approved leave that has not started yet
+router.post('/requests/:id/cancel', auth, async (req, res) => {
+  try {
+    const leaveRequest = await LeaveRequest.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        userId: req.user.id,
+        $or: [
+          { status: 'pending' },
+          { status: 'approved', startDate: { $gt: toDateKey(new Date()) } }
+        ]
+      },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!leaveRequest) {
+      return res.status(404).json({ message: 'No cancellable leave request found' });
+    }
+
+    res.json({ message: 'Leave request cancelled', leaveRequest });
+
+  } catch (error) {
+    console.error('Leave request cancel error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get leave requests of the lab, pending ones by default (only lab admin can do this)
+router.get('/requests', [
+  auth,
+  requireLabAdmin,
+  requestStatusValidator(),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { labId: req.user.labId, status: req.query.status || 'pending' };
+    if (req.query.userId) {
+      filter.userId = req.query.userId;
+    }
+
+    const leaveRequests = await LeaveRequest.find(filter)
+      .populate('userId', 'name email employeeId department')
+      .populate('leaveTypeId', 'name isPaid')
+      .populate('reviewedBy', 'name email')
+      .sort({ startDate: 1 });
+
+    res.json({ leaveRequests, total: leaveRequests.length });
+
+  } catch (error) {
+    console.error('Lab leave requests fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a leave request (only lab admin can do this)
+router.post('/requests/:id/approve', [
+  auth,
+  requireLabAdmin,
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pending = await LeaveRequest.findOne({ _id: req.params.id, labId: req.user.labId, status: 'pending' });
+    if (!pending) {
+      return res.status(404).json({ message: 'Pending leave request not found' });
+    }
+
+    // Holidays or shifts may have changed since the request was made
+    const employee = await User.findById(pending.userId).select('labId department');
+    const daysByYear = employee ? await countLeaveDaysByYear(employee, pending.startDate, pending.endDate) : [];
+    const days = employee ? daysByYear.reduce((sum, part) => sum + part.days, 0) : pending.days;
+
+    for (const { year, days: yearDays } of daysByYear) {
+      const balance = await getLeaveBalance(employee, pending.leaveTypeId, year);
+      if (balance && balance.remainingDays !== null && yearDays > balance.remainingDays) {
+        return res.status(409).json({
+          message: `Not enough ${balance.leaveType.name} left in ${year} to approve ${yearDays} days`,
+          code: 'INSUFFICIENT_LEAVE_BALANCE',
+          balance
+        });
+      }
+    }
+
+    const leaveRequest = await LeaveRequest.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      {
+        status: 'approved',
+        days,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      },
+      { new: true }
+    );
+
+    if (!leaveRequest) {
+      return res.status(404).json({ message: 'Pending leave request not found' });
+    }
+
+    await applyLeaveToPastDays(leaveRequest);
+
+    res.json({ message: 'Leave request approved', leaveRequest });
+
+  } catch (error) {
+    console.error('Leave request approval error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject a leave request (only lab admin can do this)
+router.post('/requests/:id/reject', [
+  auth,
+  requireLabAdmin,
+  body('note').trim().isLength({ min: 3, max: 500 }).withMessage('Note must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const leaveRequest = await LeaveRequest.findOneAndUpdate(
+      { _id: req.params.id, labId: req.user.labId, status: 'pending' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      },
+      { new: true }
+    );
+
+    if (!leaveRequest) {
+      return res.status(404).json({ message: 'Pending leave request not found' });
+    }
+
+    res.json({ message: 'Leave request rejected', leaveRequest });
+
+  } catch (error) {
+    console.error('Leave request rejection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the lab's holiday calendar for a year
+router.get('/holidays', [auth, yearValidator()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const year = req.query.year || currentYear();
+    const holidays = await Holiday.find({
+      labId: req.user.labId,
+      date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` }
+    }).sort({ date: 1 });
+
+    res.json({ year, holidays });
+
+  } catch (error) {
+    console.error('Holidays fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a lab holiday (only lab admin can do this)
+router.post('/holidays', [
+  auth,
+  requireLabAdmin,
+  body('date').isISO8601().withMessage('date must be a date (YYYY-MM-DD)'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Holiday name must be between 2 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const date = req.body.date.slice(0, 10);
+
+    const existing = await Holiday.exists({ labId: req.user.labId, date });
+    if (existing) {
+      return res.status(400).json({ message: 'This day is already a holiday' });
+    }
+
+    const holiday = await new Holiday({
+      labId: req.user.labId,
+      date,
+      name: req.body.name,
+      createdBy: req.user.id
+    }).save();
+
+    // Nobody was expected that day after all
+    await ShiftEvent.deleteMany({ labId: req.user.labId, date });
+    await reopenLabAttendanceDay(req.user.labId, date);
+
+    res.status(201).json({ message: 'Holiday added successfully', holiday });
+
+  } catch (error) {
+    console.error('Holiday creation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a lab holiday (only lab admin can do this)
+router.delete('/holidays/:id', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const holiday = await Holiday.findOneAndDelete({ _id: req.params.id, labId: req.user.labId });
+
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    await reopenLabAttendanceDay(req.user.labId, holiday.date);
+
+    res.json({ message: 'Holiday removed successfully' });
+
+  } catch (error) {
+    console.error('Holiday removal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
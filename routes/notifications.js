@@ -0,0 +1,235 @@
+// routes/notifications.js
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Lab = require('../models/Lab');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { auth, requireLabAdmin } = require('../middleware/auth');
+const { TIME_PATTERN } = require('../utils/shifts');
+const { isMailConfigured } = require('../utils/mailer');
+const {
+  NOTIFICATION_TYPES,
+  TEST_TYPE,
+  getWorkingHours,
+  notifyUser
+} = require('../utils/notifications');
+
+const router = express.Router();
+
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+
+const TYPE_NAMES = Object.keys(NOTIFICATION_TYPES);
+
+// Notification types a role receives, each with whether it is turned off
+const describeTypes = (role, disabledTypes) => TYPE_NAMES
+  .filter(type => !role || NOTIFICATION_TYPES[type].roles.includes(role))
+  .map(type => ({
+    type,
+    description: NOTIFICATION_TYPES[type].description,
+    enabled: !disabledTypes.includes(type)
+  }));
+
+const disabledTypesValidators = () => [
+  body('disabledTypes').isArray().withMessage('disabledTypes must be a list'),
+  body('disabledTypes.*').isIn(TYPE_NAMES).withMessage(`Notification types must be among ${TYPE_NAMES.join(', ')}`)
+];
+
+const listValidators = () => [
+  query('status').optional().isIn(NOTIFICATION_STATUSES).withMessage(`Status must be one of ${NOTIFICATION_STATUSES.join(', ')}`),
+  query('type').optional().isIn([...TYPE_NAMES, TEST_TYPE]).withMessage('Unknown notification type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+];
+
+// One page of notifications matching `filter`, newest first
+const listNotifications = async (filter, { status, type, page = 1, limit = 20 }) => {
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+
+  const notifications = await Notification.find(filter)
+    .populate('userId', 'name email employeeId')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip((page - 1) * limit);
+
+  const total = await Notification.countDocuments(filter);
+
+  return {
+    notifications,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    total
+  };
+};
+
+// Get the current user's notification preferences
+router.get('/preferences/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      emailEnabled: isMailConfigured(),
+      types: describeTypes(req.user.role, user.notificationPreferences.disabledTypes)
+    });
+
+  } catch (error) {
+    console.error('Notification preferences fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Choose which notification types the current user does not want
+router.put('/preferences/me', [auth, ...disabledTypesValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { 'notificationPreferences.disabledTypes': [...new Set(req.body.disabledTypes)] },
+      { new: true }
+    ).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'Notification preferences updated',
+      types: describeTypes(req.user.role, user.notificationPreferences.disabledTypes)
+    });
+
+  } catch (error) {
+    console.error('Notification preferences update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the lab's notification settings (only lab admin can do this)
+router.get('/settings', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const lab = await Lab.findById(req.user.labId).select('notificationSettings');
+    if (!lab) {
+      return res.status(404).json({ message: 'Lab not found' });
+    }
+
+    res.json({
+      emailEnabled: isMailConfigured(),
+      notificationSettings: lab.notificationSettings,
+      workingHours: getWorkingHours(lab),
+      types: describeTypes(null, lab.notificationSettings.disabledTypes)
+    });
+
+  } catch (error) {
+    console.error('Notification settings fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the lab's notification settings; null working hours fall back to the defaults
+router.put('/settings', [
+  auth,
+  requireLabAdmin,
+  body('disabledTypes').optional().isArray().withMessage('disabledTypes must be a list'),
+  body('disabledTypes.*').isIn(TYPE_NAMES).withMessage(`Notification types must be among ${TYPE_NAMES.join(', ')}`),
+  body('workdayStart').optional({ values: 'null' }).matches(TIME_PATTERN).withMessage('Workday start must be HH:mm'),
+  body('workdayEnd').optional({ values: 'null' }).matches(TIME_PATTERN).withMessage('Workday end must be HH:mm')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lab = await Lab.findById(req.user.labId);
+    if (!lab) {
+      return res.status(404).json({ message: 'Lab not found' });
+    }
+
+    const { disabledTypes, workdayStart, workdayEnd } = req.body;
+    if (disabledTypes) lab.notificationSettings.disabledTypes = [...new Set(disabledTypes)];
+    if (workdayStart !== undefined) lab.notificationSettings.workdayStart = workdayStart || undefined;
+    if (workdayEnd !== undefined) lab.notificationSettings.workdayEnd = workdayEnd || undefined;
+
+    await lab.save();
+
+    res.json({
+      message: 'Notification settings updated',
+      notificationSettings: lab.notificationSettings,
+      workingHours: getWorkingHours(lab)
+    });
+
+  } catch (error) {
+    console.error('Notification settings update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a test email to the current user
+router.post('/test', auth, async (req, res) => {
+  try {
+    if (!isMailConfigured()) {
+      return res.status(503).json({ message: 'Email is not configured', code: 'EMAIL_NOT_CONFIGURED' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const notification = await notifyUser(user, TEST_TYPE);
+    if (!notification) {
+      return res.status(500).json({ message: 'Test email could not be queued' });
+    }
+
+    res.status(202).json({ message: 'Test email queued', notification });
+
+  } catch (error) {
+    console.error('Test notification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current user's notifications
+router.get('/me', [auth, ...listValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await listNotifications({ userId: req.user.id }, req.query));
+
+  } catch (error) {
+    console.error('My notifications fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the lab's notification log (only lab admin can do this)
+router.get('/', [
+  auth,
+  requireLabAdmin,
+  ...listValidators(),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { labId: req.user.labId };
+    if (req.query.userId) {
+      filter.userId = req.query.userId;
+    }
+
+    res.json(await listNotifications(filter, req.query));
+
+  } catch (error) {
+    console.error('Lab notifications fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -3,27 +3,93 @@ const express = require('express');
 const EmployeeSession = require('../models/EmployeeSession');
 const ActivityLog = require('../models/ActivityLog');
 const User = require('../models/User');
+const Lab = require('../models/Lab');
 const { auth, requireLabAdmin } = require('../middleware/auth');
-const { isWithinGeofence } = require('../utils/geofence');
+const { isWithinGeofence, getLabZones } = require('../utils/geofence');
+const { getSessionPolicy, checkSessionPolicy } = require('../utils/sessionPolicy');
+const { closeEmployeeSession, closeUserSessions } = require('../utils/employeeSession');
+const { revokeSessionTokens } = require('../utils/tokens');
+const sessionEvents = require('../utils/sessionEvents');
+const { assessLocationRisk, shouldBlockLocation, getSessionFixes, logLocationRisk } = require('../utils/locationRisk');
+const { trackGeofenceCrossing } = require('../utils/geofenceState');
+const { enforceGeofencePolicy } = require('../utils/geofenceEnforcement');
+const { notifyUser } = require('../utils/notifications');
 
 const router = express.Router();
 
-// Heartbeat endpoint - employees call this every 30 seconds
+const policyErrorCode = (violation) => (violation.reason === 'idle_timeout' ? 'SESSION_INACTIVE' : 'SESSION_EXPIRED');
+
+// Apply the lab's outside-geofence policy after an employee's fix was tracked
+const applyGeofencePolicy = (req, session, policy, tracked, location) => (tracked
+  ? enforceGeofencePolicy(session, policy, tracked, {
+    location,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  })
+  : null);
+
+const geofencePolicyResponse = (enforcement) => ({
+  message: enforcement.message,
+  code: 'GEOFENCE_POLICY',
+  thresholdMinutes: enforcement.thresholdMinutes
+});
+
+// Score a fix against the session's earlier fixes and log it if flagged at
+// a level other than the previous fix's. Only employees can be blocked, as
+// only they are bound by the geofence.
+const screenLocationFix = async (req, session, policy, fix, endpoint) => {
+  const risk = assessLocationRisk(fix, getSessionFixes(session));
+  const blocked = req.user.role === 'lab_employee' && shouldBlockLocation(risk, policy);
+
+  const previousLevel = session.locationRiskLevel || 'none';
+  if (risk.level === previousLevel) {
+    return { risk, blocked };
+  }
+
+  // Stored right away, as a blocked fix never reaches the session's save
+  session.locationRiskLevel = risk.level;
+  await EmployeeSession.updateOne({ _id: session._id }, { $set: { locationRiskLevel: risk.level } });
+
+  if (risk.flags.length > 0) {
+    await logLocationRisk({
+      assessment: risk,
+      blocked,
+      userId: req.user.id,
+      labId: req.user.labId,
+      sessionId: session._id,
+      location: fix,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint
+      }
+    });
+  }
+
+  return { risk, blocked };
+};
+
+const locationRiskResponse = (risk) => ({
+  message: 'Location rejected because it could not be trusted',
+  code: 'LOCATION_RISK',
+  riskLevel: risk.level,
+  riskFlags: risk.flags.map(flag => flag.type)
+});
+
+const parseAccuracy = (accuracy) => (isNaN(parseFloat(accuracy)) ? undefined : parseFloat(accuracy));
+
+// Heartbeat endpoint - employees call this at their lab's heartbeat interval
 router.post('/heartbeat', auth, async (req, res) => {
   try {
-    const { latitude, longitude } = req.body;
-    const sessionToken = req.headers.authorization?.replace('Bearer ', '');
+    const { latitude, longitude, accuracy } = req.body;
+    const { sessionId } = req.user;
 
     if (!latitude || !longitude) {
       return res.status(400).json({ message: 'Location data required' });
     }
 
-    if (!sessionToken) {
-      return res.status(401).json({ message: 'Session token required' });
-    }
-
     const session = await EmployeeSession.findOne({
-      sessionToken,
+      _id: sessionId,
       userId: req.user.id,
       isActive: true
     }).populate('labId');
@@ -32,11 +98,35 @@ router.post('/heartbeat', auth, async (req, res) => {
       return res.status(404).json({ message: 'No active session found' });
     }
 
+    // A heartbeat cannot revive a session the lab's policy has already ended
+    const policy = getSessionPolicy(session.labId);
+    const violation = checkSessionPolicy(session, policy);
+    if (violation) {
+      await closeEmployeeSession(session, {
+        action: 'timeout',
+        reason: violation.reason,
+        metadata: { thresholdMinutes: violation.thresholdMinutes }
+      });
+      return res.status(401).json({
+        message: violation.message,
+        code: policyErrorCode(violation)
+      });
+    }
+
     const location = {
       latitude: parseFloat(latitude),
       longitude: parseFloat(longitude)
     };
 
+    const { risk, blocked } = await screenLocationFix(req, session, policy, {
+      ...location,
+      accuracy,
+      timestamp: new Date()
+    }, '/api/realtime/heartbeat');
+    if (blocked) {
+      return res.status(403).json(locationRiskResponse(risk));
+    }
+
     // Update session
     session.lastActivity = new Date();
     session.currentLocation = location;
@@ -48,7 +138,8 @@ router.post('/heartbeat', auth, async (req, res) => {
       location: location,
       metadata: {
         ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
+        userAgent: req.get('User-Agent'),
+        gpsAccuracy: parseAccuracy(accuracy)
       }
     });
 
@@ -56,12 +147,10 @@ router.post('/heartbeat', auth, async (req, res) => {
 
     // Check geofence for employees
     let geofenceStatus = { isWithin: true, distance: 0 };
+    let tracked = null;
     if (req.user.role === 'lab_employee' && session.labId) {
-      geofenceStatus = isWithinGeofence(
-        location,
-        session.labId.location,
-        session.labId.geofence.radius
-      );
+      geofenceStatus = isWithinGeofence(location, getLabZones(session.labId));
+      tracked = await trackGeofenceCrossing(session, geofenceStatus, location);
     }
 
     // Log heartbeat activity
@@ -80,31 +169,24 @@ router.post('/heartbeat', auth, async (req, res) => {
       }
     }).save();
 
-    // Log geofence violation if outside bounds
-    if (req.user.role === 'lab_employee' && !geofenceStatus.isWithin) {
-      await new ActivityLog({
-        userId: req.user.id,
-        labId: req.user.labId,
-        sessionId: session._id,
-        action: 'geofence_violation',
-        location,
-        distanceFromLab: geofenceStatus.distance,
-        isWithinGeofence: false,
-        metadata: {
-          violationDistance: geofenceStatus.distance,
-          allowedRadius: session.labId.geofence.radius,
-          ipAddress: req.ip,
-          userAgent: req.get('User-Agent')
-        }
-      }).save();
+    const enforcement = await applyGeofencePolicy(req, session, policy, tracked, location);
+    if (enforcement && enforcement.ended) {
+      return res.status(401).json(geofencePolicyResponse(enforcement));
     }
 
     res.json({
       status: 'active',
+      heartbeatInterval: policy.heartbeatIntervalSeconds,
+      sessionPolicy: policy,
       isWithinGeofence: geofenceStatus.isWithin,
       distance: geofenceStatus.distance,
+      distanceToEdge: geofenceStatus.distanceToEdge || 0,
+      matchedZone: geofenceStatus.matchedZone || null,
+      geofenceState: tracked ? tracked.state : 'inside',
+      geofenceNotice: enforcement ? { action: enforcement.action, message: enforcement.message } : null,
+      locationRisk: { level: risk.level, flags: risk.flags.map(flag => flag.type) },
       lastActivity: session.lastActivity,
-      sessionDuration: Math.round((new Date() - session.loginTime) / (1000 * 60)),
+      sessionDuration: session.getAccruedMinutes(),
       message: geofenceStatus.isWithin ? 'Location updated' : 'Warning: Outside geofence area'
     });
 
@@ -117,21 +199,17 @@ router.post('/heartbeat', auth, async (req, res) => {
 // Manual logout
 router.post('/logout', auth, async (req, res) => {
   try {
-    const sessionToken = req.headers.authorization?.replace('Bearer ', '');
-
-    if (!sessionToken) {
-      return res.status(401).json({ message: 'Session token required' });
-    }
+    const { sessionId } = req.user;
 
     const session = await EmployeeSession.findOne({
-      sessionToken,
+      _id: sessionId,
       userId: req.user.id,
       isActive: true
     });
 
     if (session) {
-      // Calculate session duration
-      const duration = Math.round((new Date() - session.loginTime) / (1000 * 60)); // minutes
+      // Session duration in minutes, less any time accrual was paused
+      const duration = session.getAccruedMinutes();
       
       session.isActive = false;
       session.logoutTime = new Date();
@@ -150,6 +228,8 @@ router.post('/logout', auth, async (req, res) => {
       });
 
       await session.save();
+      await revokeSessionTokens(session._id, 'logout');
+      sessionEvents.emit('session_closed', { session, action: 'logout', reason: 'manual', metadata: {} });
 
       // Log logout activity
       await new ActivityLog({
@@ -230,6 +310,108 @@ router.get('/active-employees', auth, requireLabAdmin, async (req, res) => {
   }
 });
 
+// Admins must say why they end someone's session; it is kept in the activity log
+const getTerminationReason = (req) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  return reason.length >= 3 && reason.length <= 500 ? reason : null;
+};
+
+const terminationMetadata = (req, endpoint) => ({
+  terminatedBy: req.user.id,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  endpoint
+});
+
+// Force logout of one session (admin only)
+router.post('/sessions/:sessionId/terminate', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const reason = getTerminationReason(req);
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason of 3 to 500 characters is required' });
+    }
+
+    const session = await EmployeeSession.findOne({
+      _id: req.params.sessionId,
+      labId: req.user.labId,
+      isActive: true
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'No active session found' });
+    }
+
+    if (session._id.toString() === req.user.sessionId) {
+      return res.status(400).json({ message: 'Use logout to end your own session' });
+    }
+
+    await closeEmployeeSession(session, {
+      action: 'forced_logout',
+      reason,
+      metadata: terminationMetadata(req, '/api/realtime/sessions/:sessionId/terminate')
+    });
+    await notifyUser(await User.findById(session.userId), 'forced_logout', {
+      sessionCount: 1,
+      reason,
+      time: new Date().toLocaleString()
+    });
+
+    res.json({
+      message: 'Session terminated',
+      sessionId: session._id,
+      userId: session.userId,
+      sessionDuration: session.sessionDuration
+    });
+
+  } catch (error) {
+    console.error('Session termination error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Force logout of every session of an employee (admin only)
+router.post('/employees/:userId/terminate-sessions', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const reason = getTerminationReason(req);
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason of 3 to 500 characters is required' });
+    }
+
+    const employee = await User.findOne({
+      _id: req.params.userId,
+      labId: req.user.labId,
+      role: 'lab_employee'
+    });
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const sessionsEnded = await closeUserSessions(employee._id, {
+      action: 'forced_logout',
+      reason,
+      metadata: terminationMetadata(req, '/api/realtime/employees/:userId/terminate-sessions')
+    });
+    if (sessionsEnded > 0) {
+      await notifyUser(employee, 'forced_logout', {
+        sessionCount: sessionsEnded,
+        reason,
+        time: new Date().toLocaleString()
+      });
+    }
+
+    res.json({
+      message: 'Employee sessions terminated',
+      userId: employee._id,
+      sessionsEnded
+    });
+
+  } catch (error) {
+    console.error('Employee session termination error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get employee activity timeline (admin only)
 router.get('/employee-activity/:userId', auth, requireLabAdmin, async (req, res) => {
   try {
@@ -504,8 +686,10 @@ router.get('/dashboard-summary', auth, requireLabAdmin, async (req, res) => {
     const yesterday = new Date(today);
     yesterday.setDate(yesterday.getDate() - 1);
 
-    // Get active sessions (last 5 minutes)
-    const activeThreshold = new Date(now.getTime() - 5 * 60 * 1000);
+    // Get active sessions (heartbeat within the lab's idle timeout)
+    const lab = await Lab.findById(req.user.labId).select('sessionPolicy');
+    const { idleTimeoutMinutes } = getSessionPolicy(lab);
+    const activeThreshold = new Date(now.getTime() - idleTimeoutMinutes * 60 * 1000);
     const activeSessions = await EmployeeSession.countDocuments({
       labId: req.user.labId,
       isActive: true,
@@ -536,10 +720,10 @@ router.get('/dashboard-summary', auth, requireLabAdmin, async (req, res) => {
     const todaysWorkMinutes = todaysCompletedSessions.reduce((total, session) => 
       total + (session.sessionDuration || 0), 0);
 
-    // Recent geofence violations (last 24 hours)
+    // Recent geofence exits and violations (last 24 hours)
     const recentViolations = await ActivityLog.countDocuments({
       labId: req.user.labId,
-      action: 'geofence_violation',
+      action: { $in: ['geofence_exit', 'geofence_violation'] },
       timestamp: { $gte: yesterday }
     });
 
@@ -573,7 +757,7 @@ router.get('/dashboard-summary', auth, requireLabAdmin, async (req, res) => {
         averageSessionDuration: avgSessionDuration
       },
       thresholds: {
-        activeThreshold: 5, // minutes
+        activeThreshold: idleTimeoutMinutes, // minutes
         onlineThreshold: 2  // minutes
       }
     });
@@ -587,15 +771,15 @@ router.get('/dashboard-summary', auth, requireLabAdmin, async (req, res) => {
 // Update location manually (for testing or manual updates)
 router.post('/update-location', auth, async (req, res) => {
   try {
-    const { latitude, longitude } = req.body;
-    const sessionToken = req.headers.authorization?.replace('Bearer ', '');
+    const { latitude, longitude, accuracy } = req.body;
+    const { sessionId } = req.user;
 
     if (!latitude || !longitude) {
       return res.status(400).json({ message: 'Latitude and longitude required' });
     }
 
     const session = await EmployeeSession.findOne({
-      sessionToken,
+      _id: sessionId,
       userId: req.user.id,
       isActive: true
     }).populate('labId');
@@ -604,24 +788,53 @@ router.post('/update-location', auth, async (req, res) => {
       return res.status(404).json({ message: 'No active session found' });
     }
 
+    const policy = getSessionPolicy(session.labId);
+    const violation = checkSessionPolicy(session, policy);
+    if (violation) {
+      await closeEmployeeSession(session, {
+        action: 'timeout',
+        reason: violation.reason,
+        metadata: { thresholdMinutes: violation.thresholdMinutes }
+      });
+      return res.status(401).json({
+        message: violation.message,
+        code: policyErrorCode(violation)
+      });
+    }
+
     const location = {
       latitude: parseFloat(latitude),
       longitude: parseFloat(longitude)
     };
 
+    const { risk, blocked } = await screenLocationFix(req, session, policy, {
+      ...location,
+      accuracy,
+      timestamp: new Date()
+    }, '/api/realtime/update-location');
+    if (blocked) {
+      return res.status(403).json(locationRiskResponse(risk));
+    }
+
     // Update session location
     session.currentLocation = location;
     session.lastActivity = new Date();
+    session.activityLog.push({
+      timestamp: new Date(),
+      action: 'location_update',
+      location,
+      metadata: {
+        gpsAccuracy: parseAccuracy(accuracy)
+      }
+    });
     await session.save();
 
     // Check geofence
     let geofenceStatus = { isWithin: true, distance: 0 };
+    let tracked = null;
     if (req.user.role === 'lab_employee' && session.labId) {
-      geofenceStatus = isWithinGeofence(
-        location,
-        session.labId.location,
-        session.labId.geofence.radius
-      );
+      geofenceStatus = isWithinGeofence(location, getLabZones(session.labId));
+      tracked = await trackGeofenceCrossing(session, geofenceStatus, location);
     }
 
     // Log location update
@@ -640,10 +853,18 @@ router.post('/update-location', auth, async (req, res) => {
       }
     }).save();
 
+    const enforcement = await applyGeofencePolicy(req, session, policy, tracked, location);
+    if (enforcement && enforcement.ended) {
+      return res.status(401).json(geofencePolicyResponse(enforcement));
+    }
+
     res.json({
       message: 'Location updated successfully',
       location,
       geofenceStatus,
+      geofenceState: tracked ? tracked.state : 'inside',
+      geofenceNotice: enforcement ? { action: enforcement.action, message: enforcement.message } : null,
+      locationRisk: { level: risk.level, flags: risk.flags.map(flag => flag.type) },
       lastActivity: session.lastActivity
     });
 
@@ -0,0 +1,314 @@
+// routes/shifts.js
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const ShiftEvent = require('../models/ShiftEvent');
+const { auth, requireLabAdmin } = require('../middleware/auth');
+const { dateRangeValidators, getDateRange } = require('../middleware/dateRange');
+const { TIME_PATTERN } = require('../utils/shifts');
+
+const router = express.Router();
+
+const EVENT_TYPES = ['late_arrival', 'early_leave', 'no_show'];
+
+const SHIFT_FIELDS = ['name', 'startTime', 'endTime', 'daysOfWeek', 'lateGraceMinutes', 'earlyLeaveGraceMinutes'];
+
+// With `optional` set, only the fields present are validated (partial updates)
+const shiftValidators = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Shift name must be between 2 and 100 characters'),
+    field('startTime').matches(TIME_PATTERN).withMessage('Start time must be HH:mm'),
+    field('endTime').matches(TIME_PATTERN).withMessage('End time must be HH:mm'),
+    body('daysOfWeek').optional().isArray({ min: 1, max: 7 }).withMessage('Days of week must be a list of 1 to 7 days'),
+    body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)').toInt(),
+    body('lateGraceMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Late grace must be between 0 and 240 minutes').toInt(),
+    body('earlyLeaveGraceMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Early leave grace must be between 0 and 240 minutes').toInt()
+  ];
+};
+
+const pickShiftFields = (source) => SHIFT_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) {
+    fields[field] = field === 'daysOfWeek' ? [...new Set(source[field])].sort() : source[field];
+  }
+  return fields;
+}, {});
+
+// Get shift templates of the lab (only lab admin can do this)
+router.get('/', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const filter = { labId: req.user.labId };
+    if (req.query.includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+
+    const shifts = await Shift.find(filter).sort({ startTime: 1, name: 1 });
+    res.json({ shifts, total: shifts.length });
+
+  } catch (error) {
+    console.error('Shifts fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create shift template (only lab admin can do this)
+router.post('/', [auth, requireLabAdmin, ...shiftValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shift = await new Shift({
+      ...pickShiftFields(req.body),
+      labId: req.user.labId,
+      createdBy: req.user.id
+    }).save();
+
+    res.status(201).json({ message: 'Shift created successfully', shift });
+
+  } catch (error) {
+    console.error('Shift creation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update shift template (only lab admin can do this)
+router.put('/:id', [
+  auth,
+  requireLabAdmin,
+  ...shiftValidators({ optional: true }),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shift = await Shift.findOne({ _id: req.params.id, labId: req.user.labId });
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    shift.set(pickShiftFields(req.body));
+    if (typeof req.body.isActive === 'boolean') {
+      shift.isActive = req.body.isActive;
+    }
+    await shift.save();
+
+    res.json({ message: 'Shift updated successfully', shift });
+
+  } catch (error) {
+    console.error('Shift update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deactivate shift template; its assignments stop applying (only lab admin can do this)
+router.delete('/:id', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const shift = await Shift.findOneAndUpdate(
+      { _id: req.params.id, labId: req.user.labId },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    res.json({ message: 'Shift deactivated successfully', shift });
+
+  } catch (error) {
+    console.error('Shift deactivation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get shift assignments of the lab (only lab admin can do this)
+router.get('/assignments', [
+  auth,
+  requireLabAdmin,
+  query('shiftId').optional().isMongoId().withMessage('Invalid shift ID'),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shiftId, userId, department } = req.query;
+    const filter = { labId: req.user.labId };
+    if (shiftId) filter.shiftId = shiftId;
+    if (userId) filter.userId = userId;
+    if (department) filter.department = department;
+
+    const assignments = await ShiftAssignment.find(filter)
+      .populate('shiftId', 'name startTime endTime daysOfWeek isActive')
+      .populate('userId', 'name email employeeId department')
+      .sort({ effectiveFrom: -1 });
+
+    res.json({ assignments, total: assignments.length });
+
+  } catch (error) {
+    console.error('Shift assignments fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Assign a shift to an employee or a department (only lab admin can do this)
+router.post('/assignments', [
+  auth,
+  requireLabAdmin,
+  body('shiftId').isMongoId().withMessage('Valid shift ID required'),
+  body('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  body('department').optional().trim().isLength({ min: 2 }).withMessage('Department required'),
+  body('effectiveFrom').isISO8601().withMessage('effectiveFrom must be a date (YYYY-MM-DD)'),
+  body('effectiveTo').optional({ values: 'null' }).isISO8601().withMessage('effectiveTo must be a date (YYYY-MM-DD)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shiftId, userId, department } = req.body;
+    const effectiveFrom = req.body.effectiveFrom.slice(0, 10);
+    const effectiveTo = req.body.effectiveTo ? req.body.effectiveTo.slice(0, 10) : undefined;
+
+    if (!userId === !department) {
+      return res.status(400).json({ message: 'Assign the shift to either a userId or a department' });
+    }
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+      return res.status(400).json({ message: 'effectiveTo must not be before effectiveFrom' });
+    }
+
+    const shift = await Shift.findOne({ _id: shiftId, labId: req.user.labId, isActive: true });
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    if (userId) {
+      const employee = await User.exists({ _id: userId, labId: req.user.labId, role: 'lab_employee' });
+      if (!employee) {
+        return res.status(404).json({ message: 'Employee not found' });
+      }
+    }
+
+    const assignment = await new ShiftAssignment({
+      labId: req.user.labId,
+      shiftId,
+      userId,
+      department,
+      effectiveFrom,
+      effectiveTo,
+      createdBy: req.user.id
+    }).save();
+
+    res.status(201).json({ message: 'Shift assigned successfully', assignment });
+
+  } catch (error) {
+    console.error('Shift assignment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a shift assignment (only lab admin can do this)
+router.delete('/assignments/:id', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const assignment = await ShiftAssignment.findOneAndDelete({ _id: req.params.id, labId: req.user.labId });
+
+    if (!assignment) {
+      return res.status(404).json({ message: 'Shift assignment not found' });
+    }
+
+    res.json({ message: 'Shift assignment removed successfully' });
+
+  } catch (error) {
+    console.error('Shift assignment removal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const eventTypeValidator = () => query('type').optional().isIn(EVENT_TYPES).withMessage(`type must be one of ${EVENT_TYPES.join(', ')}`);
+
+// Get own late arrivals, early leaves and no-shows
+router.get('/events/me', [auth, ...dateRangeValidators(), eventTypeValidator()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, error } = getDateRange(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const filter = { userId: req.user.id, date: { $gte: from, $lte: to } };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const events = await ShiftEvent.find(filter)
+      .populate('shiftId', 'name startTime endTime')
+      .sort({ date: -1, expectedAt: -1 });
+
+    res.json({ from, to, events, total: events.length });
+
+  } catch (error) {
+    console.error('Shift events fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get late arrivals, early leaves and no-shows of the lab (only lab admin can do this)
+router.get('/events', [
+  auth,
+  requireLabAdmin,
+  ...dateRangeValidators(),
+  eventTypeValidator(),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, error } = getDateRange(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const filter = { labId: req.user.labId, date: { $gte: from, $lte: to } };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    if (req.query.userId) {
+      filter.userId = req.query.userId;
+    }
+
+    const events = await ShiftEvent.find(filter)
+      .populate('userId', 'name email employeeId department')
+      .populate('shiftId', 'name startTime endTime')
+      .sort({ date: -1, expectedAt: -1 });
+
+    const summary = EVENT_TYPES.reduce((counts, type) => ({
+      ...counts,
+      [type]: events.filter(event => event.type === type).length
+    }), {});
+
+    res.json({ from, to, events, total: events.length, summary });
+
+  } catch (error) {
+    console.error('Lab shift events fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,10 @@ const User = require('../models/User');
 const Lab = require('../models/Lab');
 const LoginAttempt = require('../models/LoginAttempt');
 const { auth, requireLabAdmin } = require('../middleware/auth');
+const { closeUserSessions } = require('../utils/employeeSession');
+const { getActiveLockouts, clearLockout } = require('../utils/loginProtection');
+const { queueWebhookEvent, webhookUser } = require('../utils/webhooks');
+const { notifyUser } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -57,6 +61,8 @@ router.post('/create-employee', [
     });
 
     await employee.save();
+    await queueWebhookEvent(employee.labId, 'employee.created', { employee: webhookUser(employee) });
+    await notifyUser(employee, 'account_created', { email: employee.email });
 
     // Return employee data without password
     const employeeData = await User.findById(employee._id)
@@ -145,8 +151,21 @@ router.put('/employees/:id', [
     if (designation) employee.designation = designation;
     if (typeof isActive === 'boolean') employee.isActive = isActive;
 
+    const changedFields = employee.modifiedPaths();
     await employee.save();
 
+    if (changedFields.length > 0) {
+      await queueWebhookEvent(employee.labId, 'employee.updated', {
+        employee: webhookUser(employee),
+        changedFields
+      });
+    }
+
+    // A deactivated employee's tokens stop working immediately
+    if (isActive === false) {
+      await closeUserSessions(employee._id, { action: 'session_end', reason: 'account_deactivated' });
+    }
+
     const updatedEmployee = await User.findById(employee._id).select('-password');
     res.json(updatedEmployee);
 
@@ -169,7 +188,9 @@ router.delete('/employees/:id', auth, requireLabAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Employee not found' });
     }
 
+    await closeUserSessions(employee._id, { action: 'session_end', reason: 'account_deleted' });
     await User.findByIdAndDelete(req.params.id);
+    await queueWebhookEvent(employee.labId, 'employee.deleted', { employee: webhookUser(employee) });
     res.json({ message: 'Employee deleted successfully' });
 
   } catch (error) {
@@ -196,8 +217,15 @@ router.get('/login-attempts', auth, requireLabAdmin, async (req, res) => {
 
     const total = await LoginAttempt.countDocuments(query);
 
+    // Locks currently blocking password logins, narrowed to the user if filtered
+    let activeLockouts = await getActiveLockouts(req.user.labId);
+    if (userId) {
+      activeLockouts = activeLockouts.filter(lock => lock.userId && lock.userId._id.toString() === userId);
+    }
+
     res.json({
       loginAttempts,
+      activeLockouts,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -209,4 +237,40 @@ router.get('/login-attempts', auth, requireLabAdmin, async (req, res) => {
   }
 });
 
+// Get account and IP login locks in force for the lab (only lab admin can do this)
+router.get('/login-lockouts', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const lockouts = await getActiveLockouts(req.user.labId);
+
+    res.json({
+      lockouts,
+      total: lockouts.length
+    });
+
+  } catch (error) {
+    console.error('Login lockouts fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a login lock early (only lab admin can do this)
+router.delete('/login-lockouts/:id', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const lockout = await clearLockout(req.params.id, {
+      labId: req.user.labId,
+      clearedBy: req.user.id
+    });
+
+    if (!lockout) {
+      return res.status(404).json({ message: 'Active lockout not found' });
+    }
+
+    res.json({ message: 'Lockout cleared successfully', lockout });
+
+  } catch (error) {
+    console.error('Login lockout clear error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
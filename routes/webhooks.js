@@ -0,0 +1,307 @@
+// routes/webhooks.js
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { auth, requireLabAdmin } = require('../middleware/auth');
+const {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  generateWebhookSecret,
+  checkWebhookTarget,
+  createDelivery
+} = require('../utils/webhooks');
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Plain http is allowed; local receivers only with webhooks.allowPrivateTargets
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true, require_tld: false };
+
+const publicTarget = async (url) => {
+  const problem = await checkWebhookTarget(url);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+};
+
+// With `optional` set, only the fields present are validated (partial updates)
+const webhookValidators = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').trim().isURL(URL_OPTIONS).withMessage('URL must be an http or https URL').bail().custom(publicTarget),
+    field('events').isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Events must be among ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// Delivery list entries leave out the body and attempt log
+const summarizeDelivery = (delivery) => ({
+  _id: delivery._id,
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  lastStatusCode: delivery.lastStatusCode,
+  lastError: delivery.lastError,
+  createdAt: delivery.createdAt
+});
+
+// Get event types webhooks can subscribe to
+router.get('/events', auth, requireLabAdmin, (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, testEvent: TEST_EVENT });
+});
+
+// Get webhooks of the lab (only lab admin can do this)
+router.get('/', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ labId: req.user.labId }).sort({ createdAt: -1 });
+    res.json({ webhooks, total: webhooks.length });
+
+  } catch (error) {
+    console.error('Webhooks fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Register a webhook; its signing secret is only returned here and on rotation
+router.post('/', [auth, requireLabAdmin, ...webhookValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    const secret = generateWebhookSecret();
+
+    const webhook = await new Webhook({
+      labId: req.user.labId,
+      url,
+      events: [...new Set(events)],
+      description,
+      isActive,
+      secret,
+      createdBy: req.user.id
+    }).save();
+
+    const webhookData = webhook.toObject();
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: { ...webhookData, secret }
+    });
+
+  } catch (error) {
+    console.error('Webhook creation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a webhook with counts of its deliveries by status
+router.get('/:id', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, labId: req.user.labId });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const deliveryCounts = {};
+    for (const status of DELIVERY_STATUSES) {
+      deliveryCounts[status] = await WebhookDelivery.countDocuments({ webhookId: webhook._id, status });
+    }
+
+    res.json({ webhook, deliveryCounts });
+
+  } catch (error) {
+    console.error('Webhook fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a webhook (only lab admin can do this)
+router.put('/:id', [auth, requireLabAdmin, ...webhookValidators({ optional: true })], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, labId: req.user.labId });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    if (url) webhook.url = url;
+    if (events) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) webhook.isActive = isActive === true || isActive === 'true';
+
+    await webhook.save();
+    res.json({ message: 'Webhook updated successfully', webhook });
+
+  } catch (error) {
+    console.error('Webhook update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace a webhook's signing secret; deliveries from now on use the new one
+router.post('/:id/rotate-secret', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, labId: req.user.labId },
+      { secret },
+      { new: true }
+    );
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook secret rotated', webhook: { ...webhook.toObject(), secret } });
+
+  } catch (error) {
+    console.error('Webhook secret rotation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a webhook together with its delivery history
+router.delete('/:id', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, labId: req.user.labId });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    res.json({ message: 'Webhook deleted successfully' });
+
+  } catch (error) {
+    console.error('Webhook deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Queue a test delivery to a webhook, whatever events it subscribes to
+router.post('/:id/test', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, labId: req.user.labId });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    if (!webhook.isActive) {
+      return res.status(400).json({ message: 'Webhook is disabled' });
+    }
+
+    const delivery = await createDelivery(webhook, TEST_EVENT, {
+      message: 'Test delivery',
+      requestedBy: req.user.id
+    });
+
+    res.status(202).json({ message: 'Test delivery queued', delivery: summarizeDelivery(delivery) });
+
+  } catch (error) {
+    console.error('Webhook test error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get deliveries of a webhook, newest first (only lab admin can do this)
+router.get('/:id/deliveries', [
+  auth,
+  requireLabAdmin,
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`Status must be one of ${DELIVERY_STATUSES.join(', ')}`),
+  query('event').optional().isIn([...WEBHOOK_EVENTS, TEST_EVENT]).withMessage('Unknown event'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.exists({ _id: req.params.id, labId: req.user.labId });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const { status, event, page = 1, limit = 20 } = req.query;
+    const filter = { webhookId: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-body -attemptLog')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      deliveries: deliveries.map(summarizeDelivery),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Webhook deliveries fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one delivery with the body sent and every attempt (status and error only)
+router.get('/deliveries/:deliveryId', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, labId: req.user.labId });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    // Listed field by field so receiver responses stored by older versions stay hidden
+    const attemptLog = delivery.attemptLog.map(({ attemptedAt, statusCode, error, durationMs }) => ({
+      attemptedAt,
+      statusCode,
+      error,
+      durationMs
+    }));
+
+    res.json({ delivery: { ...summarizeDelivery(delivery), body: JSON.parse(delivery.body), attemptLog } });
+
+  } catch (error) {
+    console.error('Webhook delivery fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a failed delivery again, with a fresh set of attempts
+router.post('/deliveries/:deliveryId/retry', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, labId: req.user.labId, status: 'failed' },
+      { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+      { new: true }
+    );
+    if (!delivery) {
+      return res.status(404).json({ message: 'Failed delivery not found' });
+    }
+
+    res.json({ message: 'Delivery queued for retry', delivery: summarizeDelivery(delivery) });
+
+  } catch (error) {
+    console.error('Webhook delivery retry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
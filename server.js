@@ -2,18 +2,59 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const cors = require('cors');
-const dotenv = require('dotenv');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
 const connectDB = require('./config/database');
 
 // Import models for session cleanup
 const EmployeeSession = require('./models/EmployeeSession');
 const ActivityLog = require('./models/ActivityLog');
+const User = require('./models/User');
+const Lab = require('./models/Lab');
+const LoginAttempt = require('./models/LoginAttempt');
+const PasskeyCredential = require('./models/PasskeyCredential');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const Notification = require('./models/Notification');
+const {
+  createRegistrationOptions,
+  createAuthenticationOptions,
+  verifyRegistration,
+  verifyAuthentication
+} = require('./utils/webauthn');
+const { isWithinGeofence, getLabZones } = require('./utils/geofence');
+const { buildDeviceInfo, getUpgradeDeviceInfo } = require('./utils/deviceInfo');
+const { openEmployeeSession, issueSessionTokens, closeEmployeeSession } = require('./utils/employeeSession');
+const sessionEvents = require('./utils/sessionEvents');
+const { publishAdminEvent, publishFailedLogin } = require('./utils/adminEvents');
+const { queueWebhookEvent, processWebhookDeliveries, webhookUser } = require('./utils/webhooks');
+const { notifyAfterHoursPresence, processNotifications } = require('./utils/notifications');
+const { getSessionPolicy, checkSessionPolicy } = require('./utils/sessionPolicy');
+const { toDateKey, addDays, getEmployeeAttendance } = require('./utils/attendance');
+const { loadLabSchedule, syncShiftEvents } = require('./utils/shifts');
+const { assessLocationRisk, shouldBlockLocation, getLastLoginFix, riskMetadata, logLocationRisk } = require('./utils/locationRisk');
+const { auth, requireLabAdmin } = require('./middleware/auth');
+const { createSessionStore } = require('./websocket/sessionStore');
+const { createRelay } = require('./websocket/relay');
+const { createAdminEventStream } = require('./websocket/adminEventStream');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  ERROR_CODES,
+  parseInboundMessage,
+  validateOutboundMessage,
+  negotiateProtocolVersion
+} = require('./websocket/protocol');
+const {
+  STATES,
+  MESSAGE_RULES,
+  getSourceStates,
+  enterState,
+  isStateExpired
+} = require('./websocket/sessionState');
 const { log } = require('console');
 
-// Load environment variables
-dotenv.config();
-
 // Connect to database
 connectDB();
 
@@ -25,26 +66,50 @@ const wss = new WebSocket.Server({ server });
 
 // Middleware
 app.use(cors({
-  origin: ['https://geofence-key-guard.netlify.app', 'http://localhost:5173', 'http://localhost:3000'],
+  origin: config.cors.origins,
   credentials: true
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Trust proxy for accurate IP addresses
-app.set('trust proxy', true);
+// Only configured proxies may report the client IP, so that clients cannot
+// pick their own (login lockouts are kept per IP)
+const [proxyHops] = config.trustProxy;
+app.set('trust proxy', config.trustProxy.length === 1 && /^\d+$/.test(proxyHops)
+  ? Number(proxyHops)
+  : config.trustProxy);
+
+// In-flight WebSocket login sessions live in a pluggable store so they survive
+// restarts and can be shared by several instances behind a load balancer.
+// Socket objects never leave this process; messages for a socket held by
+// another instance go through the relay.
+const instanceId = config.websocket.instanceId || uuidv4();
+const sessionStoreType = config.websocket.sessionStore;
+const sessionStore = createSessionStore(sessionStoreType);
+const relay = createRelay(sessionStoreType, instanceId);
 
-// Store active WebSocket sessions and connections
-const webSocketSessions = new Map(); // sessionId -> { desktopWs, mobileWs, authData }
 const webSocketConnections = new Map(); // connectionId -> { ws, sessionId, type }
+const localSockets = new Map(); // `${sessionId}:${role}` -> { ws, connectionId }
+
+const socketKey = (sessionId, role) => `${sessionId}:${role}`;
 
 // WebSocket utility functions
 const sendMessage = (ws, type, data) => {
   console.log(`📤 Sending messageiing type is  ${type} `);
+
+  const problems = validateOutboundMessage(type, data);
+  if (problems.length > 0) {
+    console.error(`❌ Outbound ${type} message does not match its schema:`, problems);
+  }
   
   if (ws && ws.readyState === WebSocket.OPEN) {
     try {
-      ws.send(JSON.stringify({ type, data, timestamp: Date.now() }));
+      ws.send(JSON.stringify({
+        type,
+        data,
+        version: ws.protocolVersion || PROTOCOL_VERSION,
+        timestamp: Date.now()
+      }));
       console.log(`📤 Sent ${type} message:`, data);
     } catch (error) {
       console.error(`❌ Error sending ${type} message:`, error);
@@ -54,379 +119,944 @@ const sendMessage = (ws, type, data) => {
   }
 };
 
-const broadcastToSession = (sessionId, type, data, excludeWs = null) => {
-  const session = webSocketSessions.get(sessionId);
+// Structured error reply; `code` is one of ERROR_CODES
+const sendError = (ws, code, message, extra = {}) => {
+  sendMessage(ws, 'error', { code, message, ...extra });
+};
+
+const isRoleConnected = (session, role) => !!(session && session[`${role}Instance`]);
+
+// Add the tokens of a just opened EmployeeSession to a message. They are
+// issued on the instance that sends it, so they never pass through the relay.
+const sendWithSessionTokens = async (ws, type, data, employeeSessionId) => {
+  const tokens = await issueSessionTokens(employeeSessionId);
+  if (!tokens) {
+    sendError(ws, ERROR_CODES.AUTHENTICATION_FAILED, 'Session has ended, please log in again');
+    return;
+  }
+
+  sendMessage(ws, type, { ...data, token: tokens.token, refreshToken: tokens.refreshToken });
+};
+
+// Send to the desktop or mobile side of a session, wherever its socket lives.
+// With `issueTokensFor` set, the message gets that EmployeeSession's tokens.
+const sendToSessionSocket = async (session, role, type, data, { issueTokensFor } = {}) => {
+  const local = localSockets.get(socketKey(session.sessionId, role));
+  if (local) {
+    if (issueTokensFor) {
+      await sendWithSessionTokens(local.ws, type, data, issueTokensFor);
+    } else {
+      sendMessage(local.ws, type, data);
+    }
+    return;
+  }
+
+  const targetInstance = session[`${role}Instance`];
+  if (targetInstance && targetInstance !== instanceId) {
+    try {
+      await relay.publish(targetInstance, { sessionId: session.sessionId, role, type, data, issueTokensFor });
+    } catch (error) {
+      console.error(`❌ Error relaying ${type} message to ${role} of session ${session.sessionId}:`, error);
+    }
+  } else {
+    console.warn(`⚠️ Cannot send ${type} message - ${role} not connected for session ${session.sessionId}`);
+  }
+};
+
+const broadcastToSession = async (sessionId, type, data, excludeRole = null) => {
+  const session = await sessionStore.get(sessionId);
   if (session) {
     console.log(`📡 Broadcasting ${type} to session ${sessionId}`);
-    if (session.desktopWs && session.desktopWs !== excludeWs) {
-      sendMessage(session.desktopWs, type, data);
-    }
-    if (session.mobileWs && session.mobileWs !== excludeWs) {
-      sendMessage(session.mobileWs, type, data);
+    for (const role of ['desktop', 'mobile']) {
+      if (role !== excludeRole && isRoleConnected(session, role)) {
+        await sendToSessionSocket(session, role, type, data);
+      }
     }
   } else {
     console.warn(`⚠️ Session ${sessionId} not found for broadcast`);
   }
 };
 
+// Messages relayed from other instances for sockets held here
+relay.start(({ sessionId, role, type, data, issueTokensFor }) => {
+  const local = localSockets.get(socketKey(sessionId, role));
+  if (local && issueTokensFor) {
+    sendWithSessionTokens(local.ws, type, data, issueTokensFor).catch(error => {
+      console.error(`❌ Error issuing tokens for relayed ${type} message of session ${sessionId}:`, error);
+    });
+  } else if (local) {
+    sendMessage(local.ws, type, data);
+  } else {
+    console.warn(`⚠️ Relayed ${type} message for ${role} of session ${sessionId} has no local socket`);
+  }
+});
+
+// Employee sessions are bound to a socket with subscribe_session; the socket's
+// instance is kept on the EmployeeSession so notices can be relayed to it
+const sendToEmployeeSocket = async (employeeSession, type, data) => {
+  const connection = employeeSession.realtimeConnection;
+  if (!connection || !connection.instance) {
+    return;
+  }
+
+  await sendToSessionSocket({
+    sessionId: employeeSession._id.toString(),
+    employeeInstance: connection.instance
+  }, 'employee', type, data);
+};
+
+const SESSION_END_MESSAGES = {
+  forced_logout: 'You were signed out by a lab administrator',
+  timeout: 'Your session timed out',
+  session_end: 'Your session has ended',
+  geofence_session_end: 'Your session ended because you stayed outside the lab premises'
+};
+
+sessionEvents.on('session_closed', ({ session, action, reason }) => {
+  // The employee ended it themselves
+  if (action === 'logout') {
+    return;
+  }
+
+  sendToEmployeeSocket(session, 'session_terminated', {
+    sessionId: session._id.toString(),
+    action,
+    reason,
+    message: SESSION_END_MESSAGES[action] || SESSION_END_MESSAGES.session_end
+  }).catch(error => {
+    console.error(`❌ Error notifying employee session ${session._id}:`, error);
+  });
+});
+
+sessionEvents.on('geofence_notice', ({ session, action, message, data }) => {
+  sendToEmployeeSocket(session, 'geofence_notice', {
+    sessionId: session._id.toString(),
+    action,
+    message,
+    thresholdMinutes: data.thresholdMinutes,
+    outsideDurationSeconds: data.outsideDurationSeconds,
+    pausedSeconds: data.pausedSeconds
+  }).catch(error => {
+    console.error(`❌ Error notifying employee session ${session._id}:`, error);
+  });
+});
+
+// Lab admins subscribed with subscribe_admin_events get presence changes live
+const adminEventStream = createAdminEventStream({
+  send: sendMessage,
+  onSessionEnded: (connectionId, ws) => {
+    const connection = webSocketConnections.get(connectionId);
+    webSocketConnections.delete(connectionId);
+    sendMessage(ws, 'session_terminated', {
+      sessionId: connection ? connection.sessionId : '',
+      action: 'session_end',
+      message: SESSION_END_MESSAGES.session_end
+    });
+  }
+});
+
+const isEmployeeSession = async (session) => {
+  const user = await User.findById(session.userId).select('role');
+  return !!user && user.role === 'lab_employee';
+};
+
+sessionEvents.on('session_opened', ({ session, user, loginMethod }) => {
+  queueWebhookEvent(session.labId, 'login.succeeded', {
+    user: webhookUser(user),
+    sessionId: session._id.toString(),
+    loginMethod,
+    location: session.currentLocation
+  });
+
+  if (user.role !== 'lab_employee') {
+    return;
+  }
+
+  publishAdminEvent({
+    labId: session.labId,
+    type: 'employee_online',
+    userId: session.userId,
+    sessionId: session._id,
+    data: { loginMethod, location: session.currentLocation }
+  });
+});
+
+sessionEvents.on('session_closed', async ({ session, action, reason, metadata }) => {
+  try {
+    if (!(await isEmployeeSession(session))) {
+      return;
+    }
+
+    await publishAdminEvent({
+      labId: session.labId,
+      type: action === 'timeout' ? 'session_timeout' : 'employee_offline',
+      userId: session.userId,
+      sessionId: session._id,
+      data: {
+        action,
+        reason,
+        sessionDuration: session.sessionDuration,
+        thresholdMinutes: metadata.thresholdMinutes
+      }
+    });
+
+    if (action === 'timeout') {
+      await queueWebhookEvent(session.labId, 'session.timeout', {
+        userId: (session.userId._id || session.userId).toString(),
+        sessionId: session._id.toString(),
+        reason,
+        thresholdMinutes: metadata.thresholdMinutes,
+        sessionDuration: session.sessionDuration
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Error publishing end of session ${session._id}:`, error);
+  }
+});
+
+// Secret handed to the desktop that owns a session; only its hash is kept
+
+const hashSessionSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const createSessionSecret = () => {
+  const value = crypto.randomBytes(32).toString('hex');
+  return {
+    value,
+    secretHash: hashSessionSecret(value),
+    secretExpiresAt: Date.now() + config.websocket.sessionSecretTtlMinutes * 60 * 1000
+  };
+};
+
+const isValidSessionSecret = (session, secret) => {
+  if (!session || !session.secretHash || typeof secret !== 'string' || secret.length === 0) {
+    return false;
+  }
+  if (Date.now() > session.secretExpiresAt) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(session.secretHash, 'hex'),
+    Buffer.from(hashSessionSecret(secret), 'hex')
+  );
+};
+
+// Report a passkey failure to both sides of the pairing
+const sendPasskeyError = (sessionId, code, message) => {
+  return broadcastToSession(sessionId, 'error', { code, message });
+};
+
+const isRegistrationMode = (mode) => ['register', 'registration', 'create'].includes(mode);
+
+/**
+ * The signed-in user a desktop enrolls a passkey for. Enrollment adds a way to
+ * log in as that user, so it takes a valid access token of an open session;
+ * the email the desktop sends is never trusted for it. Returns null if the
+ * token does not prove who the caller is.
+ */
+const getEnrollingUser = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    return null;
+  }
+
+  const sessionOpen = decoded.sid && await EmployeeSession.exists({
+    _id: decoded.sid,
+    userId: decoded.id,
+    isActive: true
+  });
+  if (!sessionOpen) {
+    return null;
+  }
+
+  return User.findOne({ _id: decoded.id, isActive: true });
+};
+
+// Issue a WebAuthn challenge bound to this WebSocket session
+const issuePasskeyChallenge = async (session) => {
+  const user = isRegistrationMode(session.mode)
+    ? await User.findOne({ _id: session.enrollUserId, isActive: true })
+    : await User.findOne({ email: session.userEmail, isActive: true });
+  if (!user) {
+    throw Object.assign(new Error('User not found or inactive'), { code: ERROR_CODES.USER_NOT_FOUND });
+  }
+
+  const credentials = await PasskeyCredential.find({ userId: user._id });
+
+  if (isRegistrationMode(session.mode)) {
+    return createRegistrationOptions(user, credentials);
+  }
+
+  if (credentials.length === 0) {
+    throw Object.assign(new Error('No passkey registered for this user'), { code: ERROR_CODES.PASSKEY_NOT_REGISTERED });
+  }
+
+  return createAuthenticationOptions(user, credentials);
+};
+
+// Verify an attestation from the mobile device and store the new credential
+const registerPasskeyCredential = async (session, authData) => {
+  // Challenges are single-use, even across instances
+  const challenge = await sessionStore.consume(session.sessionId, 'webauthnChallenge');
+
+  if (!challenge) {
+    throw new Error('No challenge was issued for this session');
+  }
+
+  const verifiedCredential = await verifyRegistration(authData.credential, challenge);
+
+  const existing = await PasskeyCredential.findOne({ credentialId: verifiedCredential.credentialId });
+  if (existing) {
+    throw new Error('Passkey is already registered');
+  }
+
+  await new PasskeyCredential({
+    ...verifiedCredential,
+    userId: challenge.userId,
+    deviceInfo: authData.deviceInfo
+  }).save();
+
+  return {
+    success: true,
+    credential: verifiedCredential.credentialId,
+    userId: challenge.userId,
+    userEmail: session.userEmail,
+    deviceInfo: authData.deviceInfo,
+    timestamp: Date.now(),
+    type: 'creation'
+  };
+};
+
+// Verify an assertion from the mobile device against the user's stored credential
+const verifyPasskeyAssertion = async (session, authData) => {
+  // Challenges are single-use, even across instances
+  const challenge = await sessionStore.consume(session.sessionId, 'webauthnChallenge');
+
+  if (!challenge) {
+    throw new Error('No challenge was issued for this session');
+  }
+
+  const response = authData.credential;
+  if (!response || !response.id) {
+    throw new Error('No passkey assertion received');
+  }
+
+  const credential = await PasskeyCredential.findOne({
+    credentialId: response.id,
+    userId: challenge.userId
+  });
+  if (!credential) {
+    throw new Error('Passkey is not registered for this user');
+  }
+
+  const { newSignCount } = await verifyAuthentication(response, challenge, credential);
+
+  credential.signCount = newSignCount;
+  credential.lastUsedAt = new Date();
+  await credential.save();
+
+  return {
+    success: true,
+    credential: credential.credentialId,
+    userId: challenge.userId,
+    userEmail: session.userEmail,
+    deviceInfo: authData.deviceInfo,
+    timestamp: Date.now(),
+    type: 'authentication'
+  };
+};
+
+// Bind a socket on this instance to one side of a session
+const attachSocket = (ws, connectionId, sessionId, role) => {
+  webSocketConnections.set(connectionId, { ws, sessionId, type: role });
+  localSockets.set(socketKey(sessionId, role), { ws, connectionId });
+  return {
+    [`${role}Instance`]: instanceId,
+    [`${role}ConnectionId`]: connectionId,
+    [`${role}Client`]: ws.clientInfo
+  };
+};
+
+// Undo attachSocket for this connection only; the same side may already be
+// held by a newer connection
+const detachSocket = (connectionId, sessionId, role) => {
+  webSocketConnections.delete(connectionId);
+
+  const key = socketKey(sessionId, role);
+  const local = localSockets.get(key);
+  if (local && local.connectionId === connectionId) {
+    localSockets.delete(key);
+  }
+};
+
+// Pairing state timers held by this instance; other instances catch expired
+// sessions when they next touch them
+const stateTimers = new Map();
+
+const scheduleStateTimeout = (session) => {
+  clearTimeout(stateTimers.get(session.sessionId));
+  stateTimers.delete(session.sessionId);
+
+  if (session.stateExpiresAt) {
+    const timer = setTimeout(() => {
+      stateTimers.delete(session.sessionId);
+      expireSession(session.sessionId, session.state).catch(error => {
+        console.error(`❌ Error expiring WebSocket session ${session.sessionId}:`, error);
+      });
+    }, Math.max(session.stateExpiresAt - Date.now(), 0));
+    stateTimers.set(session.sessionId, timer);
+  }
+};
+
+// Move a session to `state` if it is currently in a state allowed to do so.
+// Returns the updated session, or null if another message got there first.
+const transitionSession = async (sessionId, state, patch = {}) => {
+  const session = await sessionStore.updateIfState(sessionId, getSourceStates(state), {
+    ...patch,
+    ...enterState(state)
+  });
+
+  if (session) {
+    console.log(`🔁 WebSocket session ${sessionId} is now ${state}`);
+    scheduleStateTimeout(session);
+    await broadcastToSession(sessionId, 'session_state', {
+      sessionId,
+      state: session.state,
+      stateExpiresAt: session.stateExpiresAt
+    });
+  }
+
+  return session;
+};
+
+const expireSession = async (sessionId, state) => {
+  const session = await sessionStore.updateIfState(sessionId, [state], {
+    ...enterState(STATES.EXPIRED),
+    expiredFrom: state
+  });
+
+  if (session) {
+    console.log(`⌛ WebSocket session ${sessionId} expired while ${state}`);
+    scheduleStateTimeout(session);
+    await broadcastToSession(sessionId, 'session_expired', {
+      sessionId,
+      state: session.state,
+      expiredFrom: state,
+      message: 'Login session timed out. Please start again.'
+    });
+  }
+
+  return session;
+};
+
+// Load the session a message applies to and check that its sender and the
+// session's state allow it. Replies with an error and returns null otherwise.
+const loadSessionForMessage = async (ws, connectionId, type, data) => {
+  const rule = MESSAGE_RULES[type];
+  const connection = webSocketConnections.get(connectionId);
+
+  let sessionId;
+  if (type === 'register_mobile') {
+    sessionId = data.sessionId;
+  } else if (connection) {
+    sessionId = connection.sessionId;
+  } else {
+    sendError(ws, ERROR_CODES.NOT_REGISTERED, 'Register as desktop or mobile before sending this message');
+    return null;
+  }
+
+  if (rule.role && connection.type !== rule.role) {
+    sendError(ws, ERROR_CODES.ROLE_NOT_ALLOWED, `Only the ${rule.role} may send ${type}`, { sessionId });
+    return null;
+  }
+
+  let session = await sessionStore.get(sessionId);
+  if (!session) {
+    sendError(ws, ERROR_CODES.SESSION_NOT_FOUND, 'Session not found', { sessionId });
+    return null;
+  }
+
+  if (isStateExpired(session)) {
+    session = (await expireSession(sessionId, session.state)) || (await sessionStore.get(sessionId));
+  }
+
+  if (session.state === STATES.EXPIRED) {
+    sendError(ws, ERROR_CODES.SESSION_EXPIRED, 'Login session timed out. Please start again.', { sessionId });
+    return null;
+  }
+
+  if (!rule.states.includes(session.state)) {
+    sendError(ws, ERROR_CODES.INVALID_STATE, `${type} is not allowed while the session is ${session.state}`, {
+      sessionId,
+      state: session.state,
+      allowedStates: rule.states
+    });
+    return null;
+  }
+
+  return session;
+};
+
 // WebSocket handlers
-function handleDesktopRegistration(ws, connectionId, data) {
-  const { sessionId, userEmail, labName } = data;
+async function handleDesktopRegistration(ws, connectionId, data) {
+  const { sessionId, userEmail, labName, sessionSecret, token } = data;
   
   console.log(`🖥️ Desktop registration for session: ${sessionId}`);
+
+  // The session mode is chosen here, by the signed-in desktop, and never by the mobile
+  const registration = isRegistrationMode(data.mode);
+  let enrollingUser = null;
+  if (registration) {
+    enrollingUser = token && await getEnrollingUser(token);
+    if (!enrollingUser) {
+      console.error(`❌ Rejected passkey enrollment without a valid session for: ${sessionId}`);
+      sendError(ws, ERROR_CODES.AUTHENTICATION_FAILED, 'Log in before registering a passkey', { sessionId });
+      return;
+    }
+  }
   
-  webSocketConnections.set(connectionId, { ws, sessionId, type: 'desktop' });
-  
-  if (!webSocketSessions.has(sessionId)) {
-    webSocketSessions.set(sessionId, {
-      desktopWs: ws,
-      mobileWs: null,
-      authData: null,
-      userEmail,
-      labName,
-      requireLocation: true, // Default to true for login
-      createdAt: Date.now()
-    });
+  const secret = createSessionSecret();
+  const secretFields = {
+    secretHash: secret.secretHash,
+    secretExpiresAt: secret.secretExpiresAt
+  };
+
+  let session = await sessionStore.create(sessionId, {
+    authData: null,
+    userEmail: registration
+      ? enrollingUser.email
+      : (userEmail ? userEmail.trim().toLowerCase() : userEmail),
+    mode: registration ? 'register' : 'login',
+    enrollUserId: registration ? enrollingUser._id.toString() : null,
+    labName,
+    requireLocation: true, // Default to true for login
+    ...enterState(STATES.WAITING_FOR_MOBILE),
+    ...secretFields
+  });
+
+  if (session) {
+    scheduleStateTimeout(session);
   } else {
-    webSocketSessions.get(sessionId).desktopWs = ws;
+    // Re-attaching to an existing session requires the secret issued to its owner
+    const existing = await sessionStore.get(sessionId);
+    if (!isValidSessionSecret(existing, sessionSecret)) {
+      console.error(`❌ Rejected desktop re-registration for session: ${sessionId}`);
+      sendError(ws, ERROR_CODES.INVALID_SESSION_SECRET, 'Session secret missing, invalid or expired', { sessionId });
+      return;
+    }
   }
+
+  session = await sessionStore.update(sessionId, {
+    ...secretFields,
+    ...attachSocket(ws, connectionId, sessionId, 'desktop')
+  });
   
   console.log(`✅ Desktop registered for session: ${sessionId}`);
   sendMessage(ws, 'desktop_registered', { 
     sessionId, 
-    status: 'waiting_for_mobile',
+    sessionSecret: secret.value,
+    sessionSecretExpiresAt: secret.secretExpiresAt,
+    status: session.state,
+    stateExpiresAt: session.stateExpiresAt,
     message: 'QR code ready for scanning'
   });
 }
 
-function handleMobileRegistration(ws, connectionId, data) {
-  const { sessionId, userEmail, challenge, requireLocation, mode } = data;
+async function handleMobileRegistration(ws, connectionId, data, session) {
+  const { sessionId, userEmail, requireLocation } = data;
   
   console.log(`📱 Mobile registration for session: ${sessionId}`);
-  console.log(`📱 Registration data:`, { userEmail, mode, requireLocation });
-  
-  webSocketConnections.set(connectionId, { ws, sessionId, type: 'mobile' });
+  console.log(`📱 Registration data:`, { userEmail, mode: session.mode, requireLocation });
   
-  if (webSocketSessions.has(sessionId)) {
-    const session = webSocketSessions.get(sessionId);
-    session.mobileWs = ws;
-    session.requireLocation = requireLocation !== undefined ? requireLocation : true; // Default to true
-    session.mode = mode || 'login';
-    
-    console.log(`✅ Mobile registered for session: ${sessionId}, requireLocation: ${session.requireLocation}`);
-    
-    sendMessage(ws, 'mobile_registered', { 
-      sessionId,
-      userEmail,
-      challenge,
-      requireLocation: session.requireLocation,
-      mode: session.mode,
-      message: 'Ready for passkey authentication'
-    });
-    
-    broadcastToSession(sessionId, 'mobile_connected', { 
-      message: 'Mobile device connected. Waiting for authentication...',
-      requireLocation: session.requireLocation,
-      mode: session.mode
-    }, ws);
-  } else {
-    console.error(`❌ Invalid session ID: ${sessionId}`);
-    sendMessage(ws, 'error', { message: 'Invalid session ID' });
+  // Only the first mobile to scan the QR code can claim the session
+  session = await transitionSession(sessionId, STATES.MOBILE_CONNECTED, {
+    ...attachSocket(ws, connectionId, sessionId, 'mobile'),
+    // Every tracked session needs a server-verified location, whatever the client asks for
+    requireLocation: true,
+    // An enrollment is bound to the desktop's signed-in user; the mobile may
+    // only name the account for a login, which its passkey then has to prove
+    userEmail: session.userEmail || (isRegistrationMode(session.mode) ? null : userEmail)
+  });
+
+  if (!session) {
+    detachSocket(connectionId, sessionId, 'mobile');
+    sendError(ws, ERROR_CODES.INVALID_STATE, 'Another device has already joined this session', { sessionId });
+    return;
   }
-}
 
-function handlePasskeyAuthSuccess(ws, connectionId, data) {
-  const connection = webSocketConnections.get(connectionId);
-  if (!connection) {
-    console.error(`❌ Connection not found for ID: ${connectionId}`);
+  let passkeyOptions;
+  try {
+    const { options, challenge } = await issuePasskeyChallenge(session);
+    session = await sessionStore.update(sessionId, { webauthnChallenge: challenge });
+    passkeyOptions = options;
+  } catch (error) {
+    console.error(`❌ Could not issue passkey challenge for session: ${sessionId}:`, error.message);
+    await sendPasskeyError(sessionId, error.code || ERROR_CODES.PASSKEY_CHALLENGE_FAILED, error.message);
+    await transitionSession(sessionId, STATES.DENIED, { denialReason: error.message });
     return;
   }
   
-  const { sessionId } = connection;
+  console.log(`✅ Mobile registered for session: ${sessionId}, requireLocation: ${session.requireLocation}`);
   
-  console.log(`🔐 Passkey authentication successful for session: ${sessionId}`);
-  console.log(`🔐 Received data:`, JSON.stringify(data, null, 2));
+  sendMessage(ws, 'mobile_registered', { 
+    sessionId,
+    userEmail: session.userEmail,
+    challenge: passkeyOptions.challenge,
+    publicKeyOptions: passkeyOptions,
+    requireLocation: session.requireLocation,
+    mode: session.mode,
+    message: 'Ready for passkey authentication'
+  });
   
-  // Handle both nested and direct authData formats
-  let authData = data.authData || data;
+  await broadcastToSession(sessionId, 'mobile_connected', { 
+    message: 'Mobile device connected. Waiting for authentication...',
+    requireLocation: session.requireLocation,
+    mode: session.mode
+  }, 'mobile');
+}
+
+// Login and registration differ only in how the passkey is checked and what
+// the two sides are told; the rest of the flow is shared
+const PASSKEY_CEREMONIES = {
+  passkey_auth_success: {
+    registration: false,
+    verify: verifyPasskeyAssertion,
+    nextState: STATES.AUTHENTICATED,
+    nextStep: 'location_check',
+    failureCode: ERROR_CODES.PASSKEY_VERIFICATION_FAILED,
+    mobileMessage: 'passkey_verified_confirmed',
+    mobileText: 'Authentication successful!',
+    desktopMessage: 'passkey_verified',
+    desktopText: 'Passkey authentication successful.'
+  },
+  passkey_created: {
+    registration: true,
+    verify: registerPasskeyCredential,
+    // Enrolling proves nothing about where the user is; they log in with the new passkey next
+    nextState: STATES.ENROLLED,
+    nextStep: 'login',
+    failureCode: ERROR_CODES.PASSKEY_REGISTRATION_FAILED,
+    mobileMessage: 'passkey_created_confirmed',
+    mobileText: 'Passkey created successfully! Log in with it to continue.',
+    desktopMessage: 'passkey_created',
+    desktopText: 'Passkey created successfully. Log in with it to continue.'
+  }
+};
+
+async function handlePasskeyResult(ws, connectionId, data, session, type) {
+  const ceremony = PASSKEY_CEREMONIES[type];
+  const { sessionId } = session;
+
+  console.log(`🔐 ${type} received for session: ${sessionId}`);
+
+  if (ceremony.registration !== isRegistrationMode(session.mode)) {
+    sendError(ws, ERROR_CODES.INVALID_STATE, `${type} does not match the session mode ${session.mode}`, {
+      sessionId,
+      state: session.state
+    });
+    return;
+  }
   
-  console.log(`🔐 Processed authData:`, authData);
+  // Handle both nested and direct authData formats; the protocol schema
+  // guarantees a credential is present
+  const authData = data.authData || data;
   
-  if (!authData) {
-    console.error(`❌ No authData received for session: ${sessionId}`);
-    console.error(`❌ Full data object:`, data);
-    sendMessage(ws, 'error', { message: 'No authentication data received' });
+  let verifiedAuth;
+  try {
+    verifiedAuth = await ceremony.verify(session, authData);
+  } catch (error) {
+    // The challenge is spent either way, so the pairing cannot be retried
+    console.error(`❌ ${type} failed for session: ${sessionId}:`, error.message);
+    await sendPasskeyError(sessionId, ceremony.failureCode, error.message);
+    await transitionSession(sessionId, STATES.DENIED, { denialReason: error.message });
+    return;
+  }
+
+  session = await transitionSession(sessionId, ceremony.nextState, { authData: verifiedAuth });
+  if (!session) {
+    sendError(ws, ERROR_CODES.INVALID_STATE, 'Session changed state during passkey verification', { sessionId });
     return;
   }
   
-  // SKIP CREDENTIAL VALIDATION FOR NOW - Just proceed with authentication
-  console.log(`✅ Skipping credential validation - proceeding with authentication flow`);
+  console.log(`✅ Auth data stored for session: ${sessionId}`);
   
-  const session = webSocketSessions.get(sessionId);
-  if (session) {
-    session.authData = {
-      success: true,
-      credential: authData.credential || 'test-credential-id',
-      userEmail: authData.userEmail || session.userEmail,
-      deviceInfo: authData.deviceInfo || { platform: 'test', timestamp: Date.now() },
-      timestamp: Date.now(),
-      type: 'authentication'
-    };
-    
-    console.log(`✅ Auth data stored for session: ${sessionId}`);
-    
-    // Send confirmation to mobile
-    sendMessage(ws, 'passkey_verified_confirmed', {
-      message: 'Authentication successful!',
-      sessionId,
+  // Send confirmation to mobile
+  sendMessage(ws, ceremony.mobileMessage, {
+    message: ceremony.mobileText,
+    sessionId,
+    nextStep: ceremony.nextStep,
+    requireLocation: session.requireLocation
+  });
+  
+  // Notify desktop about the successful passkey step
+  if (isRoleConnected(session, 'desktop')) {
+    await sendToSessionSocket(session, 'desktop', ceremony.desktopMessage, {
+      message: ceremony.desktopText,
+      authData: session.authData,
+      nextStep: ceremony.nextStep,
       requireLocation: session.requireLocation
     });
-    
-    // Notify desktop about successful authentication
-    if (session.desktopWs) {
-      sendMessage(session.desktopWs, 'passkey_verified', {
-        message: 'Passkey authentication successful.',
-        authData: session.authData,
-        nextStep: session.requireLocation ? 'location_check' : 'access_granted',
-        requireLocation: session.requireLocation
-      });
-    }
-    
-    // SIMPLIFIED FLOW: If location is required, directly request it from mobile
-    if (session.requireLocation) {
-      console.log(`📍 Location required for session ${sessionId}, requesting directly from mobile`);
-      
-      // Send location request directly to mobile
-      sendMessage(session.mobileWs, 'request_location', {
-        sessionId,
-        authData: session.authData,
-        message: 'Please provide your location for verification'
-      });
-    } else {
-      // No location required, proceed with access granted
-      console.log(`✅ No location required for session ${sessionId}, granting access`);
-      broadcastToSession(sessionId, 'access_granted', {
-        message: 'Access granted! Welcome to the lab.',
-        authData: session.authData,
-        redirectTo: '/dashboard/employee'
-      });
-    }
-  } else {
-    console.error(`❌ Session not found: ${sessionId}`);
-    sendMessage(ws, 'error', { message: 'Session not found' });
   }
-}
 
-// Modified handlePasskeyCreated function (same logic applies)
-function handlePasskeyCreated(ws, connectionId, data) {
-  const connection = webSocketConnections.get(connectionId);
-  if (!connection) {
-    console.error(`❌ Connection not found for ID: ${connectionId}`);
+  if (ceremony.registration) {
+    console.log(`🔑 Passkey enrolled for session: ${sessionId}`);
     return;
   }
   
-  const { sessionId } = connection;
-  
-  console.log(`🆕 Passkey created for session: ${sessionId}`);
-  console.log(`🆕 Received data:`, JSON.stringify(data, null, 2));
-  
-  // Handle both nested and direct authData formats
-  let authData = data.authData || data;
-  
-  console.log(`🆕 Processed authData:`, authData);
-  
-  if (!authData) {
-    console.error(`❌ No authData received for session: ${sessionId}`);
-    console.error(`❌ Full data object:`, data);
-    sendMessage(ws, 'error', { message: 'No authentication data received' });
-    return;
+  // Access is only granted once the server has verified the mobile's location
+  session = await transitionSession(sessionId, STATES.LOCATION_PENDING);
+  if (session) {
+    console.log(`📍 Requesting location from mobile for session ${sessionId}`);
+    await sendToSessionSocket(session, 'mobile', 'request_location', {
+      sessionId,
+      authData: session.authData,
+      message: 'Please provide your location for verification'
+    });
   }
+}
+
+// Handle location request from desktop
+async function handleLocationRequest(ws, connectionId, data, session) {
+  const { sessionId } = session;
+  const { authData, requestId } = data;
   
-  // SKIP CREDENTIAL VALIDATION FOR NOW - Just proceed with authentication
-  console.log(`✅ Skipping credential validation - proceeding with passkey creation flow`);
+  console.log(`🖥️ Desktop requesting location for session: ${sessionId}, requestId: ${requestId}`);
   
-  const session = webSocketSessions.get(sessionId);
-  if (session) {
-    session.authData = {
-      success: true,
-      credential: authData.credential || 'test-credential-id',
-      userEmail: authData.userEmail || session.userEmail,
-      deviceInfo: authData.deviceInfo || { platform: 'test', timestamp: Date.now() },
-      timestamp: Date.now(),
-      type: 'creation'
-    };
-    
-    console.log(`✅ Creation data stored for session: ${sessionId}`);
+  if (isRoleConnected(session, 'mobile')) {
+    console.log(`📍 Forwarding location request to mobile for session: ${sessionId}`);
     
-    // Send confirmation to mobile
-    sendMessage(ws, 'passkey_created_confirmed', {
-      message: 'Passkey created successfully!',
+    // Forward location request to mobile device
+    await sendToSessionSocket(session, 'mobile', 'request_location', {
       sessionId,
-      requireLocation: session.requireLocation
+      authData,
+      requestId,
+      message: 'Desktop requesting location data'
     });
     
-    // Notify desktop about successful passkey creation
-    if (session.desktopWs) {
-      sendMessage(session.desktopWs, 'passkey_created', {
-        message: 'Passkey created successfully.',
-        authData: session.authData,
-        nextStep: session.requireLocation ? 'location_check' : 'access_granted',
-        requireLocation: session.requireLocation
-      });
-    }
-    
-    // SIMPLIFIED FLOW: If location is required, directly request it from mobile
-    if (session.requireLocation) {
-      console.log(`📍 Location required for session ${sessionId}, requesting directly from mobile`);
-      
-      // Send location request directly to mobile
-      sendMessage(session.mobileWs, 'request_location', {
-        sessionId,
-        authData: session.authData,
-        message: 'Please provide your location for verification'
-      });
-    } else {
-      // No location required, proceed with access granted
-      console.log(`✅ No location required for session ${sessionId}, granting access`);
-      broadcastToSession(sessionId, 'access_granted', {
-        message: 'Access granted! Welcome to the lab.',
-        authData: session.authData,
-        redirectTo: '/dashboard/employee'
-      });
-    }
+    console.log(`✅ Location request forwarded to mobile for session: ${sessionId}`);
   } else {
-    console.error(`❌ Session not found: ${sessionId}`);
-    sendMessage(ws, 'error', { message: 'Session not found' });
+    console.error(`❌ Mobile device not connected for session: ${sessionId}`);
+    sendError(ws, ERROR_CODES.MOBILE_NOT_CONNECTED, 'Mobile device not connected', { sessionId });
   }
 }
 
-function handlePasskeyCreated(ws, connectionId, data) {
-  const connection = webSocketConnections.get(connectionId);
-  if (!connection) {
-    console.error(`❌ Connection not found for ID: ${connectionId}`);
+
+// Tell both sides the location check failed and remember the verdict
+const denyAccess = async (sessionId, session, reason, details = {}) => {
+  const denied = await transitionSession(sessionId, STATES.DENIED, {
+    denialReason: reason,
+    locationCheckResult: { success: false, error: reason, ...details }
+  });
+  if (!denied) {
+    console.warn(`⚠️ Session ${sessionId} already left the location check; not denying`);
+    return;
+  }
+  console.log(`❌ Access denied for session: ${sessionId}: ${reason}`);
+
+  await broadcastToSession(sessionId, 'access_denied', {
+    message: reason,
+    ...details,
+    authData: session.authData
+  });
+
+  if (isRoleConnected(denied, 'mobile')) {
+    await sendToSessionSocket(denied, 'mobile', 'location_check_complete', {
+      success: false,
+      ...details,
+      error: reason,
+      message: 'Location verification failed'
+    });
+  }
+};
+
+// Evaluate the mobile's reported location against the user's lab geofence and
+// either open a tracked session or deny access. The client never decides this.
+const verifySessionLocation = async (sessionId, session, location) => {
+  // Only a verified assertion logs a user in; an enrollment never does
+  if (!session.authData || session.authData.type !== 'authentication') {
+    await denyAccess(sessionId, session, 'Log in with a passkey before verifying your location');
+    return;
+  }
+
+  const user = await User.findOne({ _id: session.authData.userId, isActive: true }).populate('labId');
+  if (!user) {
+    await denyAccess(sessionId, session, 'User not found or inactive');
+    return;
+  }
+
+  const userLocation = {
+    latitude: parseFloat(location.latitude),
+    longitude: parseFloat(location.longitude),
+    accuracy: location.accuracy ? parseFloat(location.accuracy) : null
+  };
+
+  let geofenceCheck;
+  try {
+    geofenceCheck = isWithinGeofence(userLocation, getLabZones(user.labId));
+  } catch (geofenceError) {
+    console.error(`❌ Geofence calculation error for session: ${sessionId}:`, geofenceError);
+    await denyAccess(sessionId, session, 'Invalid location data provided');
+    return;
+  }
+
+  // Compare with where the user last logged in, using the raw accuracy
+  const riskFix = { ...userLocation, accuracy: location.accuracy, timestamp: new Date() };
+  const risk = assessLocationRisk(riskFix, getLastLoginFix(user));
+
+  // Admins are not bound by the geofence or risk policy, but their logins are still audited
+  const riskBlocked = user.role === 'lab_employee' && shouldBlockLocation(risk, getSessionPolicy(user.labId));
+  const granted = !riskBlocked && (user.role !== 'lab_employee' || geofenceCheck.isWithin);
+  const mobileInfo = session.mobileClient || buildDeviceInfo();
+
+  let failureReason;
+  if (riskBlocked) {
+    failureReason = 'location_risk';
+  } else if (!granted) {
+    failureReason = 'outside_geofence';
+  }
+
+  const loginAttempt = await new LoginAttempt({
+    userId: user._id,
+    labId: user.labId._id,
+    email: user.email,
+    attemptLocation: userLocation,
+    isSuccessful: granted,
+    isWithinGeofence: geofenceCheck.isWithin,
+    distanceFromLab: geofenceCheck.distance,
+    ipAddress: mobileInfo.ipAddress,
+    userAgent: mobileInfo.userAgent,
+    failureReason,
+    metadata: {
+      ...riskMetadata(risk),
+      gpsAccuracy: userLocation.accuracy,
+      effectiveRadius: geofenceCheck.effectiveRadius,
+      gpsBuffer: geofenceCheck.gpsAccuracyBuffer,
+      isWithinOriginalRadius: geofenceCheck.isWithinOriginalRadius,
+      isWithinGPSBuffer: geofenceCheck.isWithinGPSBuffer,
+      securityLevel: geofenceCheck.securityLevel,
+      strictMode: geofenceCheck.strictMode,
+      matchedZone: geofenceCheck.matchedZone ? geofenceCheck.matchedZone.name : undefined,
+      distanceToEdge: geofenceCheck.distanceToEdge
+    }
+  }).save();
+
+  if (!granted) {
+    await publishFailedLogin(loginAttempt);
+  }
+
+  const details = {
+    distance: geofenceCheck.distance,
+    distanceToEdge: geofenceCheck.distanceToEdge,
+    matchedZone: geofenceCheck.matchedZone,
+    location: userLocation
+  };
+
+  if (riskBlocked) {
+    await denyAccess(sessionId, session, 'Access denied. Your reported location could not be trusted.', {
+      ...details,
+      riskLevel: risk.level,
+      riskFlags: risk.flags.map(flag => flag.type)
+    });
     return;
   }
-  
-  const { sessionId } = connection;
-  
-  console.log(`🆕 Passkey created for session: ${sessionId}`);
-  console.log(`🆕 Received data:`, JSON.stringify(data, null, 2));
-  
-  // Handle both nested and direct authData formats
-  let authData = data.authData || data;
-  
-  console.log(`🆕 Processed authData:`, authData);
-  
-  if (!authData) {
-    console.error(`❌ No authData received for session: ${sessionId}`);
-    console.error(`❌ Full data object:`, data);
-    sendMessage(ws, 'error', { message: 'No authentication data received' });
+
+  if (!granted) {
+    await denyAccess(sessionId, session, 'Access denied. You must be within the lab premises to login.', details);
     return;
   }
-  
-  // SKIP CREDENTIAL VALIDATION FOR NOW - Just proceed with authentication
-  console.log(`✅ Skipping credential validation - proceeding with passkey creation flow`);
-  
-  const session = webSocketSessions.get(sessionId);
-  if (session) {
-    session.authData = {
-      success: true,
-      credential: authData.credential || 'test-credential-id',
-      userEmail: authData.userEmail || session.userEmail,
-      deviceInfo: authData.deviceInfo || { platform: 'test', timestamp: Date.now() },
-      timestamp: Date.now(),
-      type: 'creation'
-    };
-    
-    console.log(`✅ Creation data stored for session: ${sessionId}`);
-    
-    // Send confirmation to mobile
-    sendMessage(ws, 'passkey_created_confirmed', {
-      message: 'Passkey created successfully!',
-      sessionId,
-      requireLocation: session.requireLocation
-    });
-    
-    // Notify desktop about successful passkey creation
-    if (session.desktopWs) {
-      sendMessage(session.desktopWs, 'passkey_created', {
-        message: 'Passkey created successfully. Checking location...',
-        authData: session.authData,
-        nextStep: 'location_check',
-        requireLocation: session.requireLocation
-      });
-      
-      // If location is required, desktop should now request location
-      if (session.requireLocation) {
-        console.log(`📍 Location required for session ${sessionId}, desktop should request location`);
-        
-        // Send location request instruction to desktop
-        sendMessage(session.desktopWs, 'request_location_from_mobile', {
-          sessionId,
-          authData: session.authData,
-          message: 'Please request location from mobile device'
-        });
-      } else {
-        // No location required, proceed with access granted
-        console.log(`✅ No location required for session ${sessionId}, granting access`);
-        broadcastToSession(sessionId, 'access_granted', {
-          message: 'Access granted! Welcome to the lab.',
-          authData: session.authData,
-          redirectTo: '/dashboard/employee'
-        });
-      }
-    }
-  } else {
-    console.error(`❌ Session not found: ${sessionId}`);
-    sendMessage(ws, 'error', { message: 'Session not found' });
+
+  // Claim the grant before opening the employee session so that a repeated
+  // location message cannot open a second one
+  session = await transitionSession(sessionId, STATES.GRANTED, {
+    locationCheckResult: { success: true, ...details }
+  });
+  if (!session) {
+    console.warn(`⚠️ Location already handled for session: ${sessionId}`);
+    return;
   }
-}
 
-// Handle location request from desktop
-function handleLocationRequest(ws, connectionId, data) {
-  const connection = webSocketConnections.get(connectionId);
-  if (!connection) {
-    console.error(`❌ Connection not found for ID: ${connectionId}`);
+  // Tokens are issued when access_granted reaches the desktop's instance
+  let employeeSession;
+  try {
+    ({ session: employeeSession } = await openEmployeeSession({
+      user,
+      location: userLocation,
+      deviceInfo: session.desktopClient || buildDeviceInfo(),
+      geofenceCheck,
+      loginMethod: 'passkey',
+      endpoint: 'websocket',
+      issueTokens: false
+    }));
+  } catch (error) {
+    console.error(`❌ Could not open employee session for WebSocket session: ${sessionId}:`, error);
+    await denyAccess(sessionId, session, 'Location verification failed due to a server error');
     return;
   }
-  
-  const { sessionId } = connection;
-  const { authData, requestId } = data;
-  
-  console.log(`🖥️ Desktop requesting location for session: ${sessionId}, requestId: ${requestId}`);
-  
-  const session = webSocketSessions.get(sessionId);
-  sendMessage(session.mobileWs, 'request_location', {
-    sessionId,
-    authData,
-    requestId,
-    message: 'Desktop requesting location data'
-  });
-  
-  console.log(`✅ Location request forwarded to mobile for session: ${sessionId}`);
-  if (session && session.mobileWs) {
-    console.log(`📍 Forwarding location request to mobile for session: ${sessionId}`);
-    
-    // Forward location request to mobile device
-  
-  } else {
-    console.error(`❌ Mobile device not connected for session: ${sessionId}`);
-    sendMessage(ws, 'error', { 
-      message: 'Mobile device not connected',
-      sessionId 
+
+  console.log(`✅ Access granted for session: ${sessionId}`);
+
+  if (risk.flags.length > 0) {
+    await logLocationRisk({
+      assessment: risk,
+      blocked: false,
+      userId: user._id,
+      labId: user.labId._id,
+      sessionId: employeeSession._id,
+      location: riskFix,
+      metadata: {
+        ipAddress: mobileInfo.ipAddress,
+        userAgent: mobileInfo.userAgent,
+        endpoint: 'websocket'
+      }
     });
   }
-}
 
+  // Only the desktop receives the bearer and refresh tokens
+  if (isRoleConnected(session, 'desktop')) {
+    await sendToSessionSocket(session, 'desktop', 'access_granted', {
+      message: 'Access granted! Welcome to the lab.',
+      ...details,
+      authData: session.authData,
+      expiresIn: config.jwt.accessTokenExpiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        employeeId: user.employeeId,
+        lab: {
+          id: user.labId._id,
+          name: user.labId.name
+        }
+      },
+      session: {
+        id: employeeSession._id,
+        loginTime: employeeSession.loginTime,
+        deviceInfo: employeeSession.deviceInfo,
+        heartbeatInterval: getSessionPolicy(user.labId).heartbeatIntervalSeconds
+      },
+      redirectTo: '/dashboard/employee'
+    }, { issueTokensFor: employeeSession._id.toString() });
+  }
 
-function handleLocationReceived(ws, connectionId, data) {
-  const connection = webSocketConnections.get(connectionId);
-  if (!connection) {
-    console.error(`❌ Connection not found for ID: ${connectionId}`);
-    return;
+  if (isRoleConnected(session, 'mobile')) {
+    await sendToSessionSocket(session, 'mobile', 'access_granted', {
+      message: 'Access granted! Welcome to the lab.',
+      ...details,
+      redirectTo: '/dashboard/employee'
+    });
+    await sendToSessionSocket(session, 'mobile', 'location_check_complete', {
+      success: true,
+      ...details,
+      message: 'Location verified successfully!'
+    });
   }
-  
-  const { sessionId } = connection;
+};
+
+async function handleLocationReceived(ws, connectionId, data, session) {
+  const { sessionId } = session;
+  // The protocol schema guarantees a location with in-range coordinates
   const { location, authData } = data;
   
   console.log(`📱 Location received from mobile for session: ${sessionId}:`, {
@@ -435,15 +1065,14 @@ function handleLocationReceived(ws, connectionId, data) {
     accuracy: location.accuracy
   });
   
-  const session = webSocketSessions.get(sessionId);
-  if (session && session.desktopWs) {
+  if (isRoleConnected(session, 'desktop')) {
     console.log(`📍 Forwarding location data to desktop for session: ${sessionId}`);
     
     // Store location data in session
-    session.locationData = location;
+    session = await sessionStore.update(sessionId, { locationData: location });
     
     // Forward location data to desktop
-    sendMessage(session.desktopWs, 'location_received', {
+    await sendToSessionSocket(session, 'desktop', 'location_received', {
       sessionId,
       location: {
         latitude: location.latitude,
@@ -457,152 +1086,256 @@ function handleLocationReceived(ws, connectionId, data) {
     });
     
     console.log(`✅ Location data forwarded to desktop for session: ${sessionId}`);
+
+    try {
+      await verifySessionLocation(sessionId, session, location);
+    } catch (error) {
+      console.error(`❌ Location verification error for session: ${sessionId}:`, error);
+      await denyAccess(sessionId, session, 'Location verification failed due to a server error');
+    }
   } else {
     console.error(`❌ Desktop not connected for session: ${sessionId}`);
-    sendMessage(ws, 'error', { 
-      message: 'Desktop not connected',
-      sessionId 
-    });
+    sendError(ws, ERROR_CODES.DESKTOP_NOT_CONNECTED, 'Desktop not connected', { sessionId });
   }
 }
 
-function handleLocationCheckComplete(ws, connectionId, data) {
-  const connection = webSocketConnections.get(connectionId);
-  if (!connection) {
-    console.error(`❌ Connection not found for ID: ${connectionId}`);
+// The desktop may report its own view of the location check, but the verdict
+// always comes from verifySessionLocation; this only echoes the server's result
+async function handleLocationCheckComplete(ws, connectionId, data, session) {
+  const { sessionId } = session;
+  const { success } = data;
+
+  const verdict = session.locationCheckResult;
+  if (!verdict) {
+    sendError(ws, ERROR_CODES.LOCATION_NOT_VERIFIED, 'Location has not been verified by the server yet', { sessionId });
     return;
   }
-  
-  const { sessionId } = connection;
-  const { success, distance, location, error } = data;
-  
-  console.log(`🎯 Location check complete for session: ${sessionId}`, { 
-    success, 
-    distance: distance ? `${distance}m` : 'N/A' 
+
+  if (success !== undefined && success !== verdict.success) {
+    console.warn(`⚠️ Client-reported location result for session ${sessionId} disagrees with server verdict`);
+  }
+
+  sendMessage(ws, 'location_check_complete', {
+    success: verdict.success,
+    distance: verdict.distance,
+    location: verdict.location,
+    error: verdict.error,
+    message: verdict.success ? 'Location verified successfully!' : 'Location verification failed'
   });
-  
-  const session = webSocketSessions.get(sessionId);
-  if (session) {
-    // Store final result in session
-    session.locationCheckResult = { success, distance, location, error };
-    
-    if (success) {
-      console.log(`✅ Access granted for session: ${sessionId}`);
-      broadcastToSession(sessionId, 'access_granted', {
-        message: 'Access granted! Welcome to the lab.',
-        distance,
-        location,
-        authData: session.authData,
-        redirectTo: '/dashboard/employee'
-      });
-      
-      // Send final success to mobile
-      if (session.mobileWs) {
-        sendMessage(session.mobileWs, 'location_check_complete', {
-          success: true,
-          distance,
-          location,
-          message: 'Location verified successfully!'
-        });
-      }
-    } else {
-      console.log(`❌ Access denied for session: ${sessionId}: ${error}`);
-      broadcastToSession(sessionId, 'access_denied', {
-        message: error || 'Access denied. Location check failed.',
-        distance,
-        location,
-        authData: session.authData
-      });
-      
-      // Send failure to mobile
-      if (session.mobileWs) {
-        sendMessage(session.mobileWs, 'location_check_complete', {
-          success: false,
-          distance,
-          location,
-          error: error || 'Location check failed',
-          message: 'Location verification failed'
-        });
-      }
-    }
-  } else {
-    console.error(`❌ Session not found for location check: ${sessionId}`);
+}
+
+// Bind this connection to the caller's employee session so that it hears when
+// the session ends (timeout, force logout, ...)
+async function handleSessionSubscription(ws, connectionId, data) {
+  let decoded;
+  try {
+    decoded = jwt.verify(data.token, config.jwt.secret);
+  } catch (error) {
+    sendError(ws, ERROR_CODES.AUTHENTICATION_FAILED, 'Access token is invalid or has expired');
+    return;
+  }
+
+  const employeeSession = decoded.sid && await EmployeeSession.findOne({
+    _id: decoded.sid,
+    userId: decoded.id,
+    isActive: true
+  });
+  if (!employeeSession) {
+    sendError(ws, ERROR_CODES.AUTHENTICATION_FAILED, 'Session has ended, please log in again');
+    return;
   }
+
+  // Checked after the lookup so that two subscriptions cannot both pass
+  if (webSocketConnections.has(connectionId)) {
+    sendError(ws, ERROR_CODES.INVALID_STATE, 'This connection is already bound to a session');
+    return;
+  }
+
+  const sessionId = employeeSession._id.toString();
+  attachSocket(ws, connectionId, sessionId, 'employee');
+  await EmployeeSession.updateOne({ _id: sessionId }, {
+    realtimeConnection: { instance: instanceId, connectionId, connectedAt: new Date() }
+  });
+
+  console.log(`🔔 Connection ${connectionId} subscribed to employee session ${sessionId}`);
+  sendMessage(ws, 'session_subscribed', { sessionId });
+}
+
+// Stream the events of the caller's lab to this connection (lab admins only)
+async function handleAdminEventSubscription(ws, connectionId, data) {
+  let decoded;
+  try {
+    decoded = jwt.verify(data.token, config.jwt.secret);
+  } catch (error) {
+    sendError(ws, ERROR_CODES.AUTHENTICATION_FAILED, 'Access token is invalid or has expired');
+    return;
+  }
+
+  const adminSession = decoded.sid && await EmployeeSession.exists({
+    _id: decoded.sid,
+    userId: decoded.id,
+    isActive: true
+  });
+  if (!adminSession) {
+    sendError(ws, ERROR_CODES.AUTHENTICATION_FAILED, 'Session has ended, please log in again');
+    return;
+  }
+
+  // Role and lab come from the account, not the token, which may predate a change
+  const admin = await User.findOne({ _id: decoded.id, isActive: true }).select('role labId');
+  if (!admin || admin.role !== 'lab_admin') {
+    sendError(ws, ERROR_CODES.ROLE_NOT_ALLOWED, 'Only lab administrators can subscribe to lab events');
+    return;
+  }
+
+  // Checked after the lookup so that two subscriptions cannot both pass
+  if (webSocketConnections.has(connectionId)) {
+    sendError(ws, ERROR_CODES.INVALID_STATE, 'This connection is already bound to a session');
+    return;
+  }
+
+  webSocketConnections.set(connectionId, { ws, sessionId: decoded.sid, type: 'admin' });
+  const subscribed = await adminEventStream.subscribe(ws, connectionId, {
+    userId: admin._id,
+    labId: admin.labId,
+    sessionId: decoded.sid,
+    lastEventId: data.lastEventId
+  });
+  if (!subscribed) {
+    webSocketConnections.delete(connectionId);
+    return;
+  }
+
+  console.log(`🔔 Connection ${connectionId} subscribed to events of lab ${admin.labId}`);
 }
 
-function handleWebSocketDisconnection(connectionId) {
+async function handleWebSocketDisconnection(connectionId) {
   const connection = webSocketConnections.get(connectionId);
   if (connection) {
     const { sessionId, type } = connection;
     console.log(`🔌 ${type} disconnected from session: ${sessionId}`);
+
+    detachSocket(connectionId, sessionId, type);
+
+    if (type === 'admin') {
+      adminEventStream.unsubscribe(connectionId);
+      return;
+    }
+
+    if (type === 'employee') {
+      try {
+        await EmployeeSession.updateOne(
+          { _id: sessionId, 'realtimeConnection.connectionId': connectionId },
+          { $unset: { realtimeConnection: 1 } }
+        );
+      } catch (error) {
+        console.error(`❌ WebSocket disconnection error for ${connectionId}:`, error);
+      }
+      return;
+    }
     
-    const session = webSocketSessions.get(sessionId);
-    if (session) {
-      if (type === 'desktop') {
-        session.desktopWs = null;
-      } else if (type === 'mobile') {
-        session.mobileWs = null;
+    try {
+      let session = await sessionStore.get(sessionId);
+      // Only clear the side if it has not been re-attached elsewhere meanwhile
+      if (session && session[`${type}ConnectionId`] === connectionId) {
+        session = await sessionStore.update(sessionId, {
+          [`${type}Instance`]: null,
+          [`${type}ConnectionId`]: null
+        });
       }
       
-      // Clean up session after 5 minutes if both disconnected
-      if (!session.desktopWs && !session.mobileWs) {
-        setTimeout(() => {
-          if (webSocketSessions.has(sessionId)) {
-            webSocketSessions.delete(sessionId);
-            console.log(`🧹 WebSocket session ${sessionId} cleaned up`);
+      // Clean up the session a while after both sides disconnected
+      if (session && !isRoleConnected(session, 'desktop') && !isRoleConnected(session, 'mobile')) {
+        setTimeout(async () => {
+          try {
+            const current = await sessionStore.get(sessionId);
+            if (current && !isRoleConnected(current, 'desktop') && !isRoleConnected(current, 'mobile')) {
+              await sessionStore.delete(sessionId);
+              console.log(`🧹 WebSocket session ${sessionId} cleaned up`);
+            }
+          } catch (error) {
+            console.error(`❌ WebSocket session cleanup error for ${sessionId}:`, error);
           }
-        }, 300000); // 5 minutes
+        }, config.websocket.disconnectedSessionTtlMinutes * 60 * 1000);
       }
+    } catch (error) {
+      console.error(`❌ WebSocket disconnection error for ${connectionId}:`, error);
     }
-    
-    webSocketConnections.delete(connectionId);
   }
 }
 
+// Inbound message types and their handlers. Payloads are validated against
+// the protocol schema, and sender and session state against MESSAGE_RULES,
+// before a handler sees them
+const messageHandlers = {
+  register_desktop: handleDesktopRegistration,
+  register_mobile: handleMobileRegistration,
+  passkey_auth_success: handlePasskeyResult,
+  passkey_created: handlePasskeyResult,
+  request_location: handleLocationRequest,
+  location_received: handleLocationReceived,
+  location_check_complete: handleLocationCheckComplete,
+  subscribe_session: handleSessionSubscription,
+  subscribe_admin_events: handleAdminEventSubscription,
+  ping: (ws) => sendMessage(ws, 'pong', { timestamp: Date.now() })
+};
+
+const getRequestedProtocolVersion = (req) => {
+  try {
+    return new URL(req.url, 'http://localhost').searchParams.get('protocolVersion');
+  } catch (error) {
+    return null;
+  }
+};
+
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
   const connectionId = uuidv4();
   console.log(`🔗 New WebSocket connection: ${connectionId}`);
+
+  const protocolVersion = negotiateProtocolVersion(getRequestedProtocolVersion(req));
+  if (protocolVersion === null) {
+    sendError(ws, ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION, 'Requested protocol version is not supported', {
+      supportedVersions: SUPPORTED_PROTOCOL_VERSIONS
+    });
+    ws.close(1002, 'Unsupported protocol version');
+    return;
+  }
+  ws.protocolVersion = protocolVersion;
+
+  // Remember who is on the other end for login auditing
+  ws.clientInfo = getUpgradeDeviceInfo(req);
   
-  sendMessage(ws, 'connected', { connectionId });
+  sendMessage(ws, 'connected', {
+    connectionId,
+    protocolVersion,
+    supportedVersions: SUPPORTED_PROTOCOL_VERSIONS
+  });
   
-  ws.on('message', (message) => {
+  ws.on('message', async (message) => {
+    const { type, data, requestId, error } = parseInboundMessage(message);
+
+    if (error) {
+      console.warn(`❓ Rejected message from ${connectionId}: ${error.message}`);
+      sendError(ws, error.code, error.message, { requestId, details: error.details });
+      return;
+    }
+
+    console.log(`📥 Received message: ${type} from ${connectionId}`);
+
     try {
-      const { type, data } = JSON.parse(message);
-      console.log(`📥 Received message: ${type} from ${connectionId}`);
-      
-      switch (type) {
-        case 'register_desktop':
-          handleDesktopRegistration(ws, connectionId, data);
-          break;
-        case 'register_mobile':
-          handleMobileRegistration(ws, connectionId, data);
-          break;
-        case 'passkey_auth_success':
-          handlePasskeyAuthSuccess(ws, connectionId, data);
-          break;
-        case 'passkey_created':
-          handlePasskeyCreated(ws, connectionId, data);
-          break;
-        case 'request_location':
-          handleLocationRequest(ws, connectionId, data);
-          break;
-        case 'location_received':
-          handleLocationReceived(ws, connectionId, data);
-          break;
-        case 'location_check_complete':
-          handleLocationCheckComplete(ws, connectionId, data);
-          break;
-        case 'ping':
-          sendMessage(ws, 'pong', { timestamp: Date.now() });
-          break;
-        default:
-          console.warn(`❓ Unknown message type: ${type}`);
-          sendMessage(ws, 'error', { message: `Unknown message type: ${type}` });
+      let session = null;
+      if (MESSAGE_RULES[type]) {
+        session = await loadSessionForMessage(ws, connectionId, type, data);
+        if (!session) {
+          return;
+        }
       }
-    } catch (error) {
-      console.error('❌ Error parsing WebSocket message:', error);
-      sendMessage(ws, 'error', { message: 'Invalid message format' });
+
+      await messageHandlers[type](ws, connectionId, data, session, type);
+    } catch (handlerError) {
+      console.error(`❌ Error handling ${type} message from ${connectionId}:`, handlerError);
+      sendError(ws, ERROR_CODES.INTERNAL_ERROR, `Could not process ${type} message`, { requestId });
     }
   });
   
@@ -622,47 +1355,94 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/realtime', require('./routes/realtime'));
+app.use('/api/lab', require('./routes/lab'));
+app.use('/api/attendance', require('./routes/attendance'));
+app.use('/api/shifts', require('./routes/shifts'));
+app.use('/api/leave', require('./routes/leave'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // WebSocket session management endpoints
-app.get('/api/websocket/sessions', (req, res) => {
-  const sessionList = Array.from(webSocketSessions.entries()).map(([id, session]) => ({
-    sessionId: id,
-    hasDesktop: !!session.desktopWs,
-    hasMobile: !!session.mobileWs,
-    hasAuth: !!session.authData,
-    hasLocation: !!session.locationData,
-    userEmail: session.userEmail,
-    requireLocation: session.requireLocation,
-    createdAt: session.createdAt
-  }));
-  
-  res.json({ sessions: sessionList });
+// Lab admins only see in-flight logins of users in their own lab
+app.get('/api/websocket/sessions', auth, requireLabAdmin, async (req, res) => {
+  try {
+    const sessions = await sessionStore.list();
+    const emails = sessions
+      .map(session => session.userEmail)
+      .filter(Boolean);
+
+    const labUsers = await User.find({
+      labId: req.user.labId,
+      email: { $in: emails }
+    }).select('email');
+    const labEmails = new Set(labUsers.map(user => user.email));
+
+    const sessionList = sessions
+      .filter(session => labEmails.has(session.userEmail))
+      .map(session => ({
+        sessionId: session.sessionId,
+        hasDesktop: isRoleConnected(session, 'desktop'),
+        hasMobile: isRoleConnected(session, 'mobile'),
+        hasAuth: !!session.authData,
+        hasLocation: !!session.locationData,
+        state: session.state,
+        stateEnteredAt: session.stateEnteredAt,
+        stateExpiresAt: session.stateExpiresAt,
+        userEmail: session.userEmail,
+        requireLocation: session.requireLocation,
+        createdAt: session.createdAt
+      }));
+    
+    res.json({ sessions: sessionList });
+  } catch (error) {
+    console.error('WebSocket sessions fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
-app.post('/api/websocket/verify-session', (req, res) => {
-  const { sessionId } = req.body;
-  const session = webSocketSessions.get(sessionId);
-  
-  if (session) {
+// The owner proves itself with the secret issued at register_desktop time
+app.post('/api/websocket/verify-session', async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    const sessionSecret = req.header('X-Session-Secret') || req.body.sessionSecret;
+    const session = typeof sessionId === 'string' ? await sessionStore.get(sessionId) : null;
+    
+    if (!session) {
+      return res.status(404).json({ valid: false, message: 'Session not found' });
+    }
+
+    if (!isValidSessionSecret(session, sessionSecret)) {
+      return res.status(401).json({ valid: false, message: 'Session secret missing, invalid or expired' });
+    }
+
     res.json({
       valid: true,
+      state: session.state,
       hasAuth: !!session.authData,
       hasLocation: !!session.locationData,
       requireLocation: session.requireLocation,
       userEmail: session.userEmail,
       labName: session.labName
     });
-  } else {
-    res.status(404).json({ valid: false, message: 'Session not found' });
+  } catch (error) {
+    console.error('WebSocket session verification error:', error);
+    res.status(500).json({ valid: false, message: 'Server error' });
   }
 });
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+  let activeSessions = null;
+  try {
+    activeSessions = await sessionStore.count();
+  } catch (error) {
+    console.error('WebSocket session count error:', error);
+  }
+
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV,
+    environment: config.env,
     features: {
       realTimeTracking: true,
       sessionManagement: true,
@@ -671,7 +1451,9 @@ app.get('/api/health', (req, res) => {
       locationForwarding: true
     },
     webSocket: {
-      activeSessions: webSocketSessions.size,
+      instanceId,
+      sessionStore: sessionStore.type,
+      activeSessions,
       activeConnections: webSocketConnections.size
     },
     uptime: process.uptime()
@@ -679,32 +1461,34 @@ app.get('/api/health', (req, res) => {
 });
 
 // Root endpoint with comprehensive API documentation
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
+  let activeSessions = null;
+  try {
+    activeSessions = await sessionStore.count();
+  } catch (error) {
+    console.error('WebSocket session count error:', error);
+  }
+
   res.json({
     message: 'Unified Lab Management System API with WebSocket Authentication',
     version: '2.3.0',
     status: 'Running',
     webSocket: {
-      endpoint: `ws://localhost:${process.env.PORT || 4000}`,
-      activeSessions: webSocketSessions.size,
+      endpoint: `ws://localhost:${config.port}`,
+      activeSessions,
       activeConnections: webSocketConnections.size,
-      supportedMessages: [
-        'register_desktop',
-        'register_mobile', 
-        'passkey_auth_success',
-        'passkey_created',
-        'request_location',
-        'location_received',
-        'location_check_complete',
-        'ping'
-      ]
+      protocolVersion: PROTOCOL_VERSION,
+      supportedProtocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      supportedMessages: Object.keys(messageHandlers)
     },
     endpoints: {
       health: '/api/health',
       auth: {
         register: 'POST /api/auth/register-lab',
         login: 'POST /api/auth/login',
+        refresh: 'POST /api/auth/refresh',
         logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
         profile: 'GET /api/auth/profile',
         sessionHistory: 'GET /api/auth/session-history'
       },
@@ -713,21 +1497,92 @@ app.get('/', (req, res) => {
         listEmployees: 'GET /api/users/employees',
         updateEmployee: 'PUT /api/users/employees/:id',
         deleteEmployee: 'DELETE /api/users/employees/:id',
-        loginAttempts: 'GET /api/users/login-attempts'
+        loginAttempts: 'GET /api/users/login-attempts',
+        loginLockouts: 'GET /api/users/login-lockouts',
+        clearLoginLockout: 'DELETE /api/users/login-lockouts/:id'
       },
       dashboard: {
         stats: 'GET /api/dashboard/stats',
         labInfo: 'GET /api/dashboard/lab-info'
       },
+      lab: {
+        settings: 'GET /api/lab/settings',
+        updateSettings: 'PUT /api/lab/settings',
+        updateGeofence: 'PUT /api/lab/geofence',
+        updateSessionPolicy: 'PUT /api/lab/session-policy',
+        settingsHistory: 'GET /api/lab/settings/history'
+      },
       realtime: {
         heartbeat: 'POST /api/realtime/heartbeat',
         logout: 'POST /api/realtime/logout',
         activeEmployees: 'GET /api/realtime/active-employees',
+        terminateSession: 'POST /api/realtime/sessions/:sessionId/terminate',
+        terminateEmployeeSessions: 'POST /api/realtime/employees/:userId/terminate-sessions',
         employeeActivity: 'GET /api/realtime/employee-activity/:userId',
         sessionStats: 'GET /api/realtime/session-stats',
         dashboardSummary: 'GET /api/realtime/dashboard-summary',
         updateLocation: 'POST /api/realtime/update-location'
       },
+      attendance: {
+        mine: 'GET /api/attendance/me?from=&to=',
+        lab: 'GET /api/attendance?from=&to=&userId=&department=',
+        requestCorrection: 'POST /api/attendance/corrections',
+        myCorrections: 'GET /api/attendance/corrections/me?status=',
+        cancelCorrection: 'POST /api/attendance/corrections/:id/cancel',
+        corrections: 'GET /api/attendance/corrections?status=&userId=',
+        approveCorrection: 'POST /api/attendance/corrections/:id/approve',
+        rejectCorrection: 'POST /api/attendance/corrections/:id/reject'
+      },
+      shifts: {
+        list: 'GET /api/shifts',
+        create: 'POST /api/shifts',
+        update: 'PUT /api/shifts/:id',
+        deactivate: 'DELETE /api/shifts/:id',
+        assignments: 'GET /api/shifts/assignments',
+        assign: 'POST /api/shifts/assignments',
+        unassign: 'DELETE /api/shifts/assignments/:id',
+        events: 'GET /api/shifts/events?from=&to=&type=&userId=',
+        myEvents: 'GET /api/shifts/events/me?from=&to='
+      },
+      leave: {
+        types: 'GET /api/leave/types',
+        createType: 'POST /api/leave/types',
+        updateType: 'PUT /api/leave/types/:id',
+        myBalances: 'GET /api/leave/balances/me?year=',
+        balances: 'GET /api/leave/balances?year=&userId=',
+        setAllowance: 'PUT /api/leave/balances',
+        request: 'POST /api/leave/requests',
+        myRequests: 'GET /api/leave/requests/me?status=&year=',
+        cancelRequest: 'POST /api/leave/requests/:id/cancel',
+        requests: 'GET /api/leave/requests?status=&userId=',
+        approveRequest: 'POST /api/leave/requests/:id/approve',
+        rejectRequest: 'POST /api/leave/requests/:id/reject',
+        holidays: 'GET /api/leave/holidays?year=',
+        addHoliday: 'POST /api/leave/holidays',
+        removeHoliday: 'DELETE /api/leave/holidays/:id'
+      },
+      webhooks: {
+        events: 'GET /api/webhooks/events',
+        list: 'GET /api/webhooks',
+        create: 'POST /api/webhooks',
+        get: 'GET /api/webhooks/:id',
+        update: 'PUT /api/webhooks/:id',
+        rotateSecret: 'POST /api/webhooks/:id/rotate-secret',
+        delete: 'DELETE /api/webhooks/:id',
+        test: 'POST /api/webhooks/:id/test',
+        deliveries: 'GET /api/webhooks/:id/deliveries?status=&event=&page=&limit=',
+        delivery: 'GET /api/webhooks/deliveries/:deliveryId',
+        retryDelivery: 'POST /api/webhooks/deliveries/:deliveryId/retry'
+      },
+      notifications: {
+        myPreferences: 'GET /api/notifications/preferences/me',
+        updateMyPreferences: 'PUT /api/notifications/preferences/me',
+        settings: 'GET /api/notifications/settings',
+        updateSettings: 'PUT /api/notifications/settings',
+        test: 'POST /api/notifications/test',
+        mine: 'GET /api/notifications/me?status=&type=&page=&limit=',
+        list: 'GET /api/notifications?status=&type=&userId=&page=&limit='
+      },
       websocket: {
         sessions: 'GET /api/websocket/sessions',
         verifySession: 'POST /api/websocket/verify-session'
@@ -738,48 +1593,24 @@ app.get('/', (req, res) => {
 });
 
 // Database session cleanup functions
+// End sessions that broke their lab's policy (idle timeout or max length)
 const cleanupInactiveSessions = async () => {
   try {
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    
-    const inactiveSessions = await EmployeeSession.find({
-      isActive: true,
-      lastActivity: { $lt: fiveMinutesAgo }
-    });
+    const activeSessions = await EmployeeSession.find({ isActive: true })
+      .populate('labId', 'sessionPolicy');
 
     let cleanedCount = 0;
-    for (const session of inactiveSessions) {
-      const duration = Math.round((new Date() - session.loginTime) / (1000 * 60));
-      
-      session.isActive = false;
-      session.logoutTime = new Date();
-      session.sessionDuration = duration;
-      
-      session.activityLog.push({
-        timestamp: new Date(),
-        action: 'timeout',
-        metadata: {
-          sessionDuration: duration,
-          reason: 'inactivity_timeout',
-          timeoutThreshold: 5
-        }
-      });
-
-      await session.save();
+    for (const session of activeSessions) {
+      const violation = checkSessionPolicy(session, getSessionPolicy(session.labId));
+      if (!violation) {
+        continue;
+      }
 
-      await new ActivityLog({
-        userId: session.userId,
-        labId: session.labId,
-        sessionId: session._id,
+      await closeEmployeeSession(session, {
         action: 'timeout',
-        timestamp: new Date(),
-        metadata: {
-          sessionDuration: duration,
-          reason: 'inactivity_timeout',
-          timeoutThreshold: 5,
-          lastActivity: session.lastActivity
-        }
-      }).save();
+        reason: violation.reason,
+        metadata: { thresholdMinutes: violation.thresholdMinutes }
+      });
 
       cleanedCount++;
     }
@@ -794,43 +1625,134 @@ const cleanupInactiveSessions = async () => {
 
 const cleanupOldLogs = async () => {
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const logCutoff = new Date();
+    logCutoff.setDate(logCutoff.getDate() - config.retention.activityLogDays);
 
     const deletedLogs = await ActivityLog.deleteMany({
-      timestamp: { $lt: thirtyDaysAgo }
+      timestamp: { $lt: logCutoff }
     });
 
-    const ninetyDaysAgo = new Date();
-    ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
+    const sessionCutoff = new Date();
+    sessionCutoff.setDate(sessionCutoff.getDate() - config.retention.sessionDays);
 
     const deletedSessions = await EmployeeSession.deleteMany({
       isActive: false,
-      logoutTime: { $lt: ninetyDaysAgo }
+      logoutTime: { $lt: sessionCutoff }
+    });
+
+    const deliveryCutoff = new Date();
+    deliveryCutoff.setDate(deliveryCutoff.getDate() - config.retention.webhookDeliveryDays);
+
+    const deletedDeliveries = await WebhookDelivery.deleteMany({
+      status: { $ne: 'pending' },
+      createdAt: { $lt: deliveryCutoff }
     });
 
-    console.log(`[${new Date().toISOString()}] Daily cleanup: Removed ${deletedLogs.deletedCount} old activity logs and ${deletedSessions.deletedCount} old sessions`);
+    const notificationCutoff = new Date();
+    notificationCutoff.setDate(notificationCutoff.getDate() - config.retention.notificationDays);
+
+    const deletedNotifications = await Notification.deleteMany({
+      status: { $ne: 'pending' },
+      createdAt: { $lt: notificationCutoff }
+    });
+
+    console.log(`[${new Date().toISOString()}] Daily cleanup: Removed ${deletedLogs.deletedCount} old activity logs, ${deletedSessions.deletedCount} old sessions, ${deletedDeliveries.deletedCount} old webhook deliveries and ${deletedNotifications.deletedCount} old notifications`);
   } catch (error) {
     console.error('Daily cleanup error:', error);
   }
 };
 
-const cleanupOldWebSocketSessions = () => {
-  const now = Date.now();
-  const oneHourAgo = now - (60 * 60 * 1000);
-  
-  for (const [sessionId, session] of webSocketSessions.entries()) {
-    if (session.createdAt < oneHourAgo) {
-      webSocketSessions.delete(sessionId);
-      console.log(`🧹 Cleaned up old WebSocket session: ${sessionId}`);
+const cleanupOldWebSocketSessions = async () => {
+  try {
+    const cutoff = Date.now() - config.websocket.sessionMaxAgeMinutes * 60 * 1000;
+    const deletedCount = await sessionStore.deleteCreatedBefore(cutoff);
+
+    if (deletedCount > 0) {
+      console.log(`🧹 Cleaned up ${deletedCount} old WebSocket sessions`);
     }
+  } catch (error) {
+    console.error('WebSocket session cleanup error:', error);
   }
 };
 
 // Start cleanup intervals
-setInterval(cleanupInactiveSessions, 5 * 60 * 1000); // Every 5 minutes
+// Settle yesterday's attendance while its activity logs are still kept
+const recordDailyAttendance = async () => {
+  try {
+    const yesterday = toDateKey(addDays(new Date(), -1));
+    const employees = await User.find({ role: 'lab_employee', isActive: true }).select('labId department createdAt');
+    const labs = new Map();
+
+    for (const employee of employees) {
+      const labKey = employee.labId.toString();
+      if (!labs.has(labKey)) {
+        labs.set(labKey, {
+          lab: await Lab.findById(employee.labId).select('sessionPolicy'),
+          schedule: await loadLabSchedule(employee.labId)
+        });
+      }
+      await getEmployeeAttendance(employee, yesterday, yesterday, labs.get(labKey));
+    }
+  } catch (error) {
+    console.error('Attendance recording error:', error);
+  }
+};
+
+// Compare today's and yesterday's shifts (overnight ones may still run) with sessions
+const evaluateShifts = async () => {
+  try {
+    const dateKeys = [toDateKey(addDays(new Date(), -1)), toDateKey(new Date())];
+    const employees = await User.find({ role: 'lab_employee', isActive: true }).select('labId department');
+    const schedules = new Map();
+
+    for (const employee of employees) {
+      const labKey = employee.labId.toString();
+      if (!schedules.has(labKey)) {
+        schedules.set(labKey, await loadLabSchedule(employee.labId));
+      }
+      for (const dateKey of dateKeys) {
+        await syncShiftEvents(employee, dateKey, schedules.get(labKey));
+      }
+    }
+  } catch (error) {
+    console.error('Shift evaluation error:', error);
+  }
+};
+
+// Send queued webhook deliveries that are due (first attempts and retries)
+const sendWebhookDeliveries = async () => {
+  try {
+    await processWebhookDeliveries();
+  } catch (error) {
+    console.error('Webhook delivery error:', error);
+  }
+};
+
+// Send queued email notifications and look for employees present after hours
+const sendNotifications = async () => {
+  try {
+    await processNotifications();
+  } catch (error) {
+    console.error('Notification delivery error:', error);
+  }
+};
+
+const checkAfterHoursPresence = async () => {
+  try {
+    await notifyAfterHoursPresence();
+  } catch (error) {
+    console.error('After-hours presence check error:', error);
+  }
+};
+
+setInterval(cleanupInactiveSessions, config.sessions.cleanupIntervalMinutes * 60 * 1000);
 setInterval(cleanupOldLogs, 24 * 60 * 60 * 1000); // Every 24 hours
-setInterval(cleanupOldWebSocketSessions, 60 * 60 * 1000); // Every hour
+setInterval(cleanupOldWebSocketSessions, config.websocket.sessionCleanupIntervalMinutes * 60 * 1000);
+setInterval(recordDailyAttendance, 60 * 60 * 1000); // Every hour
+setInterval(evaluateShifts, config.shifts.evaluationIntervalMinutes * 60 * 1000);
+setInterval(sendWebhookDeliveries, config.webhooks.pollIntervalSeconds * 1000);
+setInterval(sendNotifications, config.notifications.pollIntervalSeconds * 1000);
+setInterval(checkAfterHoursPresence, config.notifications.afterHoursCheckMinutes * 60 * 1000);
 
 // Run initial cleanup on startup
 setTimeout(cleanupInactiveSessions, 10000); // 10 seconds after startup
@@ -840,6 +1762,10 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n[${new Date().toISOString()}] Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    // Stop accepting relayed messages for sockets about to close
+    relay.stop();
+    adminEventStream.stop();
+
     // Close all WebSocket connections
     wss.clients.forEach((ws) => {
       if (ws.readyState === WebSocket.OPEN) {
@@ -847,43 +1773,14 @@ const gracefulShutdown = async (signal) => {
       }
     });
 
-    // Mark all active database sessions as logged out
-    const activeSessions = await EmployeeSession.find({ isActive: true });
-    
-    for (const session of activeSessions) {
-      const duration = Math.round((new Date() - session.loginTime) / (1000 * 60));
-      
-      session.isActive = false;
-      session.logoutTime = new Date();
-      session.sessionDuration = duration;
-      
-      session.activityLog.push({
-        timestamp: new Date(),
-        action: 'logout',
-        metadata: {
-          sessionDuration: duration,
-          reason: 'server_shutdown',
-          signal: signal
-        }
-      });
-
-      await session.save();
-
-      await new ActivityLog({
-        userId: session.userId,
-        labId: session.labId,
-        sessionId: session._id,
-        action: 'timeout',
-        timestamp: new Date(),
-        metadata: {
-          sessionDuration: duration,
-          reason: 'server_shutdown',
-          signal: signal
-        }
-      }).save();
-    }
+    // Employee sessions stay open: their clients reconnect to another instance
+    // or to this one once it is back. Only the socket bindings held here go.
+    const released = await EmployeeSession.updateMany(
+      { isActive: true, 'realtimeConnection.instance': instanceId },
+      { $unset: { realtimeConnection: 1 } }
+    );
 
-    console.log(`[${new Date().toISOString()}] Cleaned up ${activeSessions.length} active sessions due to shutdown`);
+    console.log(`[${new Date().toISOString()}] Released ${released.modifiedCount} employee session sockets held by this instance`);
     
     // Close database connection
     const mongoose = require('mongoose');
@@ -920,20 +1817,22 @@ app.use('*', (req, res) => {
       '/api/users/*',
       '/api/dashboard/*',
       '/api/realtime/*',
+      '/api/lab/*',
       '/api/websocket/*'
     ]
   });
 });
 
-const PORT = process.env.PORT || 4000;
+const PORT = config.port;
 
 server.listen(PORT, () => {
   console.log(`[${new Date().toISOString()}] 🚀 Unified Lab Management Server running on port ${PORT}`);
   console.log(`[${new Date().toISOString()}] 🌐 HTTP API: http://localhost:${PORT}`);
   console.log(`[${new Date().toISOString()}] 📡 WebSocket: ws://localhost:${PORT}`);
-  console.log(`[${new Date().toISOString()}] Environment: ${process.env.NODE_ENV}`);
+  console.log(`[${new Date().toISOString()}] Environment: ${config.env}`);
   console.log(`[${new Date().toISOString()}] Features: Real-time tracking, Session management, WebSocket auth, Location forwarding`);
-  console.log(`[${new Date().toISOString()}] Cleanup: DB sessions every 5min, Logs every 24h, WS sessions every 1h`);
+  console.log(`[${new Date().toISOString()}] Email: ${config.smtp.host ? `via ${config.smtp.host}:${config.smtp.port}` : 'off (SMTP_HOST not set)'}`);
+  console.log(`[${new Date().toISOString()}] Cleanup: DB sessions every ${config.sessions.cleanupIntervalMinutes}min, Logs every 24h, WS sessions every 1h`);
   console.log(`[${new Date().toISOString()}] WebSocket Messages: register_desktop, register_mobile, passkey_auth_success, passkey_created, request_location, location_received`);
 });
 
@@ -0,0 +1,119 @@
+// test/attendance.test.js - Attendance status of days with and without work
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Holiday = require('../models/Holiday');
+const LeaveRequest = require('../models/LeaveRequest');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const { getDaysOff, buildAttendanceDay, summarizeAttendance } = require('../utils/attendance');
+const { findWeeklyDayOff } = require('../utils/shifts');
+const { queryOf } = require('./fixtures/query');
+
+// Week of Monday 13 January 2025
+const MONDAY = '2025-01-13';
+const WEDNESDAY = '2025-01-15';
+const SATURDAY = '2025-01-18';
+const SUNDAY = '2025-01-19';
+
+const labId = new mongoose.Types.ObjectId();
+const officeWorker = { _id: new mongoose.Types.ObjectId(), labId, department: 'Admin' };
+const shiftWorker = { _id: new mongoose.Types.ObjectId(), labId, department: 'Imaging' };
+
+// Imaging works Saturday to Wednesday
+const weekendShift = {
+  _id: new mongoose.Types.ObjectId(),
+  labId,
+  isActive: true,
+  startTime: '08:00',
+  endTime: '16:00',
+  daysOfWeek: [6, 0, 1, 2, 3]
+};
+const schedule = {
+  assignments: [{ labId, shiftId: weekendShift._id, department: 'Imaging', effectiveFrom: '2025-01-01' }],
+  shiftsById: new Map([[weekendShift._id.toString(), weekendShift]])
+};
+
+const emptyDay = (user, dateKey, dayOff) => buildAttendanceDay({
+  user,
+  dateKey,
+  sessions: [],
+  fixesBySession: new Map(),
+  maxGapMs: 30 * 60 * 1000,
+  now: Date.now(),
+  dayOff
+});
+
+test('weekends are days off without a shift, and the shift pattern decides with one', () => {
+  const dayOff = (user, dateKey) => findWeeklyDayOff(user, dateKey, schedule.assignments, schedule.shiftsById);
+
+  assert.deepStrictEqual(dayOff(officeWorker, SATURDAY), { type: 'weekend' });
+  assert.deepStrictEqual(dayOff(officeWorker, SUNDAY), { type: 'weekend' });
+  assert.strictEqual(dayOff(officeWorker, WEDNESDAY), null);
+
+  assert.strictEqual(dayOff(shiftWorker, SATURDAY), null);
+  assert.deepStrictEqual(dayOff(shiftWorker, '2025-01-16'), { type: 'off', shiftId: weekendShift._id });
+});
+
+test('days off by weekly pattern, leave and holidays are listed together', async (t) => {
+  const leaveId = new mongoose.Types.ObjectId();
+  t.mock.method(Holiday, 'find', () => queryOf([{ date: MONDAY, name: 'Founders Day' }]));
+  t.mock.method(LeaveRequest, 'find', () => queryOf([{ _id: leaveId, startDate: '2025-01-17', endDate: '2025-01-20' }]));
+  t.mock.method(ShiftAssignment, 'find', () => queryOf(schedule.assignments));
+  t.mock.method(Shift, 'find', () => queryOf([weekendShift]));
+
+  const daysOff = await getDaysOff(officeWorker, MONDAY, '2025-01-20');
+
+  assert.deepStrictEqual(daysOff.get(MONDAY), { type: 'holiday', name: 'Founders Day' });
+  assert.strictEqual(daysOff.has(WEDNESDAY), false);
+  assert.deepStrictEqual(daysOff.get('2025-01-17'), { type: 'leave', leaveRequestId: leaveId });
+  // Leave over a weekend takes no days from it; the weekend stays a weekend
+  assert.deepStrictEqual(daysOff.get(SATURDAY), { type: 'weekend' });
+  assert.deepStrictEqual(daysOff.get(SUNDAY), { type: 'weekend' });
+  assert.deepStrictEqual(daysOff.get('2025-01-20'), { type: 'leave', leaveRequestId: leaveId });
+});
+
+test('shift workers have the weekdays their shift skips off, and work weekends', async (t) => {
+  t.mock.method(Holiday, 'find', () => queryOf([]));
+  t.mock.method(LeaveRequest, 'find', () => queryOf([]));
+
+  const daysOff = await getDaysOff(shiftWorker, WEDNESDAY, SUNDAY, schedule);
+
+  assert.deepStrictEqual([...daysOff.keys()].sort(), ['2025-01-16', '2025-01-17']);
+  assert.strictEqual(daysOff.get('2025-01-17').type, 'off');
+});
+
+test('a weekend or a shift day off without work is not an absence', () => {
+  assert.strictEqual(emptyDay(officeWorker, SATURDAY, { type: 'weekend' }).status, 'day_off');
+  assert.strictEqual(emptyDay(shiftWorker, '2025-01-16', { type: 'off', shiftId: weekendShift._id }).status, 'day_off');
+  assert.strictEqual(emptyDay(officeWorker, WEDNESDAY, null).status, 'absent');
+  assert.strictEqual(emptyDay(officeWorker, MONDAY, { type: 'holiday', name: 'Founders Day' }).status, 'holiday');
+});
+
+test('work on a day off still counts as worked', () => {
+  const loginTime = new Date(2025, 0, 18, 9, 0);
+  const record = buildAttendanceDay({
+    user: officeWorker,
+    dateKey: SATURDAY,
+    sessions: [{ _id: new mongoose.Types.ObjectId(), loginTime, logoutTime: new Date(2025, 0, 18, 10, 0), isActive: false }],
+    fixesBySession: new Map(),
+    maxGapMs: 30 * 60 * 1000,
+    now: Date.now(),
+    dayOff: { type: 'weekend' }
+  });
+
+  assert.strictEqual(record.workedMinutes, 60);
+  assert.strictEqual(record.status, 'partial');
+});
+
+test('summaries count days off apart from absences', () => {
+  const summary = summarizeAttendance([
+    emptyDay(officeWorker, SATURDAY, { type: 'weekend' }),
+    emptyDay(officeWorker, SUNDAY, { type: 'weekend' }),
+    emptyDay(officeWorker, WEDNESDAY, null)
+  ]);
+
+  assert.strictEqual(summary.day_off, 2);
+  assert.strictEqual(summary.absent, 1);
+});
@@ -0,0 +1,101 @@
+// test/auth.test.js - Access tokens only work while their session keeps to the lab's policy
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const config = require('../config');
+const ActivityLog = require('../models/ActivityLog');
+const EmployeeSession = require('../models/EmployeeSession');
+const Lab = require('../models/Lab');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { queryOf } = require('./fixtures/query');
+
+const MINUTE_MS = 60 * 1000;
+
+const lab = new Lab({ name: 'Optics Lab', sessionPolicy: { idleTimeoutMinutes: 30, maxSessionHours: 8 } });
+const user = new User({
+  name: 'Ada Lovelace',
+  email: 'ada@lab.test',
+  password: 'not-used-here',
+  role: 'lab_employee',
+  labId: lab._id
+});
+
+const createSession = (idleMinutes, ageMinutes = idleMinutes) => new EmployeeSession({
+  userId: user._id,
+  labId: lab,
+  loginTime: new Date(Date.now() - ageMinutes * MINUTE_MS),
+  lastActivity: new Date(Date.now() - idleMinutes * MINUTE_MS),
+  currentLocation: { latitude: 0, longitude: 0 },
+  deviceInfo: {}
+});
+
+// Run the middleware for a request with a token of `session`
+const authenticate = async (t, session) => {
+  const saved = [];
+  t.mock.method(EmployeeSession, 'findOne', () => queryOf(session));
+  t.mock.method(EmployeeSession.prototype, 'save', async function save() {
+    saved.push(this);
+    return this;
+  });
+  t.mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+  t.mock.method(ActivityLog.prototype, 'save', async function save() {
+    return this;
+  });
+  t.mock.method(User, 'findById', () => queryOf({ ...user.toObject(), labId: { _id: lab._id }, isActive: true }));
+
+  const token = jwt.sign({ id: user._id.toString(), sid: session._id.toString() }, config.jwt.secret);
+  const req = { header: () => `Bearer ${token}` };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+
+  await auth(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled, saved };
+};
+
+test('a session within its policy passes without its activity being touched', async (t) => {
+  const session = createSession(5, 60);
+  const lastActivity = session.lastActivity;
+
+  const { req, nextCalled, saved } = await authenticate(t, session);
+
+  assert.ok(nextCalled);
+  assert.strictEqual(req.user.sessionId, session._id.toString());
+  assert.strictEqual(session.lastActivity, lastActivity);
+  assert.strictEqual(saved.length, 0);
+});
+
+test('a session idle past the lab\'s timeout is ended on its next request', async (t) => {
+  const session = createSession(31);
+
+  const { res, nextCalled } = await authenticate(t, session);
+
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.code, 'SESSION_INACTIVE');
+  assert.strictEqual(session.isActive, false);
+  assert.strictEqual(session.activityLog[session.activityLog.length - 1].metadata.reason, 'idle_timeout');
+  assert.strictEqual(RefreshToken.updateMany.mock.callCount(), 1);
+});
+
+test('a session past the lab\'s maximum length is ended even while in use', async (t) => {
+  const session = createSession(1, 8 * 60 + 1);
+
+  const { res } = await authenticate(t, session);
+
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.code, 'SESSION_EXPIRED');
+  assert.strictEqual(session.isActive, false);
+});
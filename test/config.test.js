@@ -0,0 +1,50 @@
+// test/config.test.js - Settings are checked when the config module loads
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load config/index.js in a fresh process with `env` and print the result as JSON
+const loadWith = (env) => {
+  const result = spawnSync(process.execPath, ['-e', 'console.log(JSON.stringify(require("./config")))'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      CONFIG_FILE: '',
+      JWT_SECRET: 'test-secret',
+      MONGODB_URI: 'mongodb://127.0.0.1:27017/lab-management-test',
+      ...env
+    },
+    encoding: 'utf8'
+  });
+  return {
+    config: result.status === 0 ? JSON.parse(result.stdout) : null,
+    error: result.stderr
+  };
+};
+
+test('WebSocket session timeouts have defaults and can be overridden', () => {
+  assert.deepStrictEqual(loadWith({}).config.websocket, {
+    instanceId: null,
+    sessionStore: 'memory',
+    sessionSecretTtlMinutes: 10,
+    disconnectedSessionTtlMinutes: 5,
+    sessionMaxAgeMinutes: 60,
+    sessionCleanupIntervalMinutes: 60
+  });
+
+  const { config } = loadWith({ WS_SESSION_SECRET_TTL_MINUTES: '3', WS_SESSION_MAX_AGE_MINUTES: '120' });
+  assert.strictEqual(config.websocket.sessionSecretTtlMinutes, 3);
+  assert.strictEqual(config.websocket.sessionMaxAgeMinutes, 120);
+});
+
+test('working hours must be times of day', () => {
+  assert.strictEqual(loadWith({ NOTIFICATION_WORKDAY_START: '08:30' }).config.notifications.workdayStart, '08:30');
+
+  const { config, error } = loadWith({ NOTIFICATION_WORKDAY_START: '8am', NOTIFICATION_WORKDAY_END: '24:00' });
+  assert.strictEqual(config, null);
+  assert.match(error, /NOTIFICATION_WORKDAY_START \(notifications\.workdayStart\) must be a time of day as HH:mm/);
+  assert.match(error, /NOTIFICATION_WORKDAY_END \(notifications\.workdayEnd\) must be a time of day as HH:mm/);
+});
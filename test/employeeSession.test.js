@@ -0,0 +1,148 @@
+// test/employeeSession.test.js - Refresh token rotation and reuse detection
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const ActivityLog = require('../models/ActivityLog');
+const EmployeeSession = require('../models/EmployeeSession');
+const Lab = require('../models/Lab');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { refreshEmployeeSession } = require('../utils/employeeSession');
+const { issueRefreshToken, hashToken } = require('../utils/tokens');
+const { queryOf } = require('./fixtures/query');
+
+const lab = new Lab({ name: 'Optics Lab', sessionPolicy: { idleTimeoutMinutes: 30, maxSessionHours: 8 } });
+const user = new User({
+  name: 'Ada Lovelace',
+  email: 'ada@lab.test',
+  password: 'not-used-here',
+  role: 'lab_employee',
+  labId: lab._id,
+  isActive: true
+});
+
+// Just enough of MongoDB's filters for utils/employeeSession.js and utils/tokens.js
+const toValue = (value) => (value instanceof Date ? value.getTime() : value);
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+  if (condition && condition.$gt !== undefined) {
+    return toValue(value) > toValue(condition.$gt);
+  }
+  return String(toValue(value)) === String(toValue(condition));
+});
+
+/**
+ * An active session and its refresh tokens, kept in memory. Every mocked
+ * call finishes without yielding, so each is atomic like a MongoDB operation.
+ */
+const useStore = (t) => {
+  const session = new EmployeeSession({
+    userId: user._id,
+    labId: lab._id,
+    currentLocation: { latitude: 0, longitude: 0 },
+    deviceInfo: {}
+  });
+  const tokens = [];
+
+  t.mock.method(RefreshToken.prototype, 'save', async function save() {
+    if (!tokens.includes(this)) {
+      tokens.push(this);
+    }
+    return this;
+  });
+  t.mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const doc = tokens.find(candidate => matches(candidate, filter));
+    if (doc) {
+      Object.assign(doc, update);
+    }
+    return doc || null;
+  });
+  t.mock.method(RefreshToken, 'findOne', async (filter) => tokens.find(doc => matches(doc, filter)) || null);
+  t.mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    const revoked = tokens.filter(doc => matches(doc, filter));
+    revoked.forEach(doc => Object.assign(doc, update));
+    return { modifiedCount: revoked.length };
+  });
+
+  t.mock.method(EmployeeSession, 'findOne', (filter) => queryOf(matches(session, filter) ? session : null));
+  t.mock.method(EmployeeSession.prototype, 'save', async function save() {
+    return this;
+  });
+  t.mock.method(User, 'findById', () => queryOf(user));
+  t.mock.method(Lab, 'findById', () => queryOf(lab));
+  t.mock.method(ActivityLog.prototype, 'save', async function save() {
+    return this;
+  });
+
+  return { session, tokens };
+};
+
+const refreshError = (code) => (error) => error.code === code;
+
+test('a refresh token is exchanged for a new pair and cannot be used again', async (t) => {
+  const { session, tokens } = useStore(t);
+  const { token: first } = await issueRefreshToken(session);
+
+  const rotated = await refreshEmployeeSession(first);
+  assert.ok(rotated.token);
+  assert.notStrictEqual(rotated.refreshToken, first);
+
+  const [used, issued] = tokens;
+  assert.strictEqual(used.tokenHash, hashToken(first));
+  assert.ok(used.usedAt);
+  assert.strictEqual(used.replacedBy.toString(), issued._id.toString());
+  assert.strictEqual(issued.tokenHash, hashToken(rotated.refreshToken));
+
+  // The new token rotates in turn
+  const again = await refreshEmployeeSession(rotated.refreshToken);
+  assert.notStrictEqual(again.refreshToken, rotated.refreshToken);
+  assert.strictEqual(session.isActive, true);
+});
+
+test('presenting a used refresh token ends the session and revokes its tokens', async (t) => {
+  const { session, tokens } = useStore(t);
+  const { token: stolen } = await issueRefreshToken(session);
+  const { refreshToken: current } = await refreshEmployeeSession(stolen);
+
+  await assert.rejects(refreshEmployeeSession(stolen), refreshError('REFRESH_TOKEN_REUSED'));
+
+  assert.strictEqual(session.isActive, false);
+  assert.strictEqual(session.activityLog.at(-1).metadata.reason, 'refresh_token_reuse');
+  assert.ok(tokens.every(doc => doc.revokedAt));
+  assert.ok(tokens.every(doc => doc.revokedReason === 'refresh_token_reuse'));
+
+  // The legitimate client's latest token went with the session
+  await assert.rejects(refreshEmployeeSession(current), refreshError('INVALID_REFRESH_TOKEN'));
+});
+
+test('two refreshes with the same token let only one through', async (t) => {
+  const { session } = useStore(t);
+  const { token } = await issueRefreshToken(session);
+
+  const results = await Promise.allSettled([refreshEmployeeSession(token), refreshEmployeeSession(token)]);
+
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.code, 'REFRESH_TOKEN_REUSED');
+});
+
+test('unknown and expired refresh tokens are refused without ending the session', async (t) => {
+  const { session, tokens } = useStore(t);
+  const { token } = await issueRefreshToken(session);
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(refreshEmployeeSession('not-a-token'), refreshError('INVALID_REFRESH_TOKEN'));
+  await assert.rejects(refreshEmployeeSession(token), refreshError('INVALID_REFRESH_TOKEN'));
+  assert.strictEqual(session.isActive, true);
+});
+
+test('a session past the lab\'s idle timeout is not renewed', async (t) => {
+  const { session } = useStore(t);
+  session.lastActivity = new Date(Date.now() - 45 * 60 * 1000);
+  const { token } = await issueRefreshToken(session);
+
+  await assert.rejects(refreshEmployeeSession(token), refreshError('SESSION_EXPIRED'));
+  assert.strictEqual(session.isActive, false);
+});
@@ -0,0 +1,5 @@
+// test/fixtures/env.js - Settings config/index.js requires; load before any app module
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/lab-management-test';
+process.env.WEBAUTHN_RP_ID = 'localhost';
+process.env.WEBAUTHN_ORIGINS = 'http://localhost:3000';
@@ -0,0 +1,21 @@
+// test/fixtures/query.js - Stand-ins for Mongoose queries in mocked model calls
+
+/**
+ * A chainable query that resolves to `result`, whether it is awaited directly
+ * or after .select(), .sort(), .limit(), .populate() or .lean().
+ */
+const queryOf = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    populate: () => query,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+module.exports = {
+  queryOf
+};
@@ -0,0 +1,30 @@
+// test/fixtures/relayPeer.js - One server instance's MongoDB relay, driven over stdio
+// Usage: node relayPeer.js <instanceId>. Each stdin line is a JSON
+// { targetInstance, envelope } to publish; each envelope received is written
+// to stdout as a JSON line. Prints "ready" once polling.
+require('./env');
+const readline = require('readline');
+const mongoose = require('mongoose');
+const { createMongoRelay } = require('../../websocket/relay');
+
+const instanceId = process.argv[2];
+
+mongoose.connect(process.env.TEST_MONGODB_URI).then(() => {
+  const relay = createMongoRelay(instanceId);
+  relay.start(envelope => process.stdout.write(`${JSON.stringify(envelope)}\n`));
+
+  readline.createInterface({ input: process.stdin }).on('line', line => {
+    const { targetInstance, envelope } = JSON.parse(line);
+    relay.publish(targetInstance, envelope).catch(error => {
+      process.stderr.write(`${error.message}\n`);
+    });
+  }).on('close', async () => {
+    relay.stop();
+    await mongoose.disconnect();
+  });
+
+  process.stdout.write('ready\n');
+}).catch(error => {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+});
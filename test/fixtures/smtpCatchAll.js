@@ -0,0 +1,77 @@
+// test/fixtures/smtpCatchAll.js - An SMTP server that keeps every message it accepts
+const net = require('net');
+const { once } = require('events');
+
+/**
+ * Listen on a free local port and collect messages as { from, to, data }.
+ * Recipients listed in `rejectRecipients` are refused with a 550, so tests
+ * can make a send fail.
+ */
+const startSmtpCatchAll = async ({ rejectRecipients = [] } = {}) => {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffered = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+
+    socket.write('220 catch-all ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffered += chunk;
+      let end;
+      while ((end = buffered.indexOf('\r\n')) >= 0) {
+        const line = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, data });
+            envelope = { from: null, to: [] };
+            data = null;
+            socket.write(`250 OK id=${messages.length}\r\n`);
+          } else {
+            data += `${line.replace(/^\./, '')}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        const address = (line.match(/<([^>]*)>/) || [])[1];
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          envelope.from = address;
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          if (rejectRecipients.includes(address)) {
+            socket.write('550 No such mailbox\r\n');
+          } else {
+            envelope.to.push(address);
+            socket.write('250 OK\r\n');
+          }
+        } else if (command === 'DATA') {
+          data = '';
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startSmtpCatchAll
+};
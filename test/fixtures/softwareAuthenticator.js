@@ -0,0 +1,94 @@
+// test/fixtures/softwareAuthenticator.js - A P-256 passkey that signs in-process
+const crypto = require('crypto');
+const { isoBase64URL, isoCBOR } = require('@simplewebauthn/server/helpers');
+
+const toBase64URL = (buffer) => isoBase64URL.fromBuffer(new Uint8Array(buffer));
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Produces the RegistrationResponseJSON and AuthenticationResponseJSON a
+ * browser would hand over after navigator.credentials.create() / get(), so
+ * the WebAuthn ceremonies can be verified without a device.
+ */
+const createSoftwareAuthenticator = ({ rpId = 'localhost', origin = 'http://localhost:3000' } = {}) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  const id = toBase64URL(credentialId);
+  let signCount = 0;
+
+  // COSE_Key for ES256: kty EC2, alg -7, crv P-256, x, y
+  const coseKey = new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, Buffer.from(jwk.x, 'base64url')],
+    [-3, Buffer.from(jwk.y, 'base64url')]
+  ]);
+
+  // Flags: 0x01 user present, 0x40 attested credential data included
+  const authenticatorData = (withCredential) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    const parts = [sha256(rpId), Buffer.from([withCredential ? 0x41 : 0x01]), counter];
+
+    if (withCredential) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, Buffer.from(isoCBOR.encode(coseKey)));
+    }
+    return Buffer.concat(parts);
+  };
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+  return {
+    id,
+
+    // Answer registration options with a 'none' attestation
+    register(options) {
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authenticatorData(true)]
+      ]));
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: toBase64URL(clientData('webauthn.create', options.challenge)),
+          attestationObject: toBase64URL(attestationObject),
+          transports: ['internal']
+        }
+      };
+    },
+
+    // Answer authentication options; every assertion bumps the sign counter
+    authenticate(options) {
+      signCount += 1;
+      const authData = authenticatorData(false);
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: toBase64URL(clientDataJSON),
+          authenticatorData: toBase64URL(authData),
+          signature: toBase64URL(signature)
+        }
+      };
+    }
+  };
+};
+
+module.exports = {
+  createSoftwareAuthenticator
+};
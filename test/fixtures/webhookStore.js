@@ -0,0 +1,56 @@
+// test/fixtures/webhookStore.js - Webhooks and their delivery queue as arrays instead of MongoDB
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+
+/**
+ * Mock the model calls utils/webhooks.js makes so that queueing, claiming and
+ * recording attempts work on `webhooks` and the returned `deliveries` list.
+ * Mocks are restored with the test context `t`.
+ */
+const useWebhookStore = (t, webhooks) => {
+  const deliveries = [];
+
+  t.mock.method(Webhook, 'find', async (filter) => webhooks.filter(webhook => (
+    String(webhook.labId) === String(filter.labId) &&
+    webhook.isActive === filter.isActive &&
+    webhook.events.includes(filter.events)
+  )));
+  t.mock.method(Webhook, 'findById', (id) => ({
+    select: async () => webhooks.find(webhook => webhook._id.equals(id)) || null
+  }));
+
+  t.mock.method(WebhookDelivery.prototype, 'save', async function save() {
+    deliveries.push(this);
+    return this;
+  });
+  t.mock.method(WebhookDelivery, 'findOneAndUpdate', async (filter, update) => {
+    const due = deliveries
+      .filter(delivery => delivery.status === filter.status && delivery.nextAttemptAt <= filter.nextAttemptAt.$lte)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+    if (due) {
+      due.nextAttemptAt = update.nextAttemptAt;
+    }
+    return due || null;
+  });
+  t.mock.method(WebhookDelivery, 'findByIdAndUpdate', async (id, update) => {
+    const delivery = deliveries.find(candidate => candidate._id.equals(id));
+    const { $push, ...fields } = update;
+    Object.assign(delivery, fields);
+    delivery.attemptLog.push($push.attemptLog);
+    return delivery;
+  });
+
+  return deliveries;
+};
+
+// Make every pending delivery due now, as if its retry delay had passed
+const fastForward = (deliveries) => {
+  deliveries.forEach(delivery => {
+    delivery.nextAttemptAt = new Date(Date.now() - 1);
+  });
+};
+
+module.exports = {
+  useWebhookStore,
+  fastForward
+};
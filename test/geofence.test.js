@@ -0,0 +1,149 @@
+// test/geofence.test.js - Circle, polygon and multi-zone geofences with GPS buffers
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const { isWithinGeofence, getLabZones, validateGeofenceZone } = require('../utils/geofence');
+
+const lab = { latitude: 52.2297, longitude: 21.0122 };
+
+// Points a given number of meters north or east of the lab
+const METERS_PER_DEGREE_LATITUDE = 111320;
+const METERS_PER_DEGREE_LONGITUDE = METERS_PER_DEGREE_LATITUDE * Math.cos(lab.latitude * Math.PI / 180);
+const offset = (north, east = 0, accuracy) => ({
+  latitude: lab.latitude + north / METERS_PER_DEGREE_LATITUDE,
+  longitude: lab.longitude + east / METERS_PER_DEGREE_LONGITUDE,
+  accuracy
+});
+
+// GeoJSON ring of a rectangle `halfHeight` by `halfWidth` meters around a point north/east of the lab
+const rectangleRing = (halfHeight, halfWidth, north = 0, east = 0) => {
+  const corner = (dn, de) => {
+    const point = offset(north + dn, east + de);
+    return [point.longitude, point.latitude];
+  };
+  return [
+    corner(-halfHeight, -halfWidth),
+    corner(-halfHeight, halfWidth),
+    corner(halfHeight, halfWidth),
+    corner(halfHeight, -halfWidth),
+    corner(-halfHeight, -halfWidth)
+  ];
+};
+
+const circle = (name, radius, north = 0, east = 0) => ({ name, type: 'circle', center: offset(north, east), radius });
+
+test('a circle takes in points within its radius', () => {
+  const inside = isWithinGeofence(offset(90, 0, 10), lab, 100);
+
+  assert.strictEqual(inside.isWithin, true);
+  assert.strictEqual(inside.isWithinOriginalRadius, true);
+  assert.strictEqual(inside.distanceToEdge, 0);
+  assert.strictEqual(inside.securityLevel, 'standard');
+});
+
+test('half the reported accuracy is credited as buffer, up to the tier maximum', () => {
+  // 110 m out from a 100 m fence: a 30 m accuracy buys 15 m
+  const buffered = isWithinGeofence(offset(110, 0, 30), lab, 100);
+  assert.strictEqual(buffered.gpsAccuracyBuffer, 15);
+  assert.strictEqual(buffered.isWithin, true);
+  assert.strictEqual(buffered.isWithinGPSBuffer, true);
+
+  // A 200 m accuracy buys no more than the standard tier's 20 m
+  assert.strictEqual(isWithinGeofence(offset(110, 0, 200), lab, 100).gpsAccuracyBuffer, 20);
+  assert.strictEqual(isWithinGeofence(offset(125, 0, 200), lab, 100).isWithin, false);
+});
+
+test('missing or nonsense accuracy buys no buffer', () => {
+  for (const accuracy of [undefined, 0, -10, 5000]) {
+    const result = isWithinGeofence(offset(110, 0, accuracy), lab, 100);
+    assert.strictEqual(result.gpsAccuracy, null, `accuracy ${accuracy}`);
+    assert.strictEqual(result.gpsAccuracyBuffer, 0);
+    assert.strictEqual(result.isWithin, false);
+  }
+});
+
+test('small fences tolerate no drift', () => {
+  const result = isWithinGeofence(offset(17, 0, 50), lab, 15);
+
+  assert.strictEqual(result.securityLevel, 'very_strict');
+  assert.strictEqual(result.gpsAccuracyBuffer, 0);
+  assert.strictEqual(result.isWithin, false);
+});
+
+test('a polygon takes in points inside its outer ring and outside its holes', () => {
+  const zones = getLabZones({
+    geofence: {
+      zones: [{
+        name: 'Building',
+        type: 'polygon',
+        polygon: { type: 'Polygon', coordinates: [rectangleRing(100, 100), rectangleRing(30, 30)] }
+      }]
+    }
+  });
+
+  const wing = isWithinGeofence(offset(60, 0), zones);
+  assert.strictEqual(wing.isWithin, true);
+  assert.deepStrictEqual(wing.matchedZone, { id: null, index: 0, name: 'Building', type: 'polygon' });
+
+  // The courtyard is a hole
+  const courtyard = isWithinGeofence(offset(0, 0), zones);
+  assert.strictEqual(courtyard.isWithin, false);
+  assert.ok(Math.abs(courtyard.distanceToEdge - 30) <= 2);
+
+  // 10 m past the outer wall: only the GPS buffer can take it in
+  const outside = isWithinGeofence(offset(110, 0), zones);
+  assert.strictEqual(outside.isWithin, false);
+  assert.ok(Math.abs(outside.distanceToEdge - 10) <= 1);
+  const buffered = isWithinGeofence(offset(110, 0, 30), zones);
+  assert.strictEqual(buffered.isWithin, true);
+  assert.strictEqual(buffered.isWithinGPSBuffer, true);
+});
+
+test('with several zones the point is matched to the one it is in', () => {
+  const zones = getLabZones({
+    geofence: {
+      zones: [
+        circle('Main', 100),
+        { name: 'Annex', type: 'polygon', polygon: { type: 'Polygon', coordinates: [rectangleRing(50, 50, 0, 1000)] } }
+      ]
+    }
+  });
+
+  const annex = isWithinGeofence(offset(10, 1000), zones);
+  assert.strictEqual(annex.isWithin, true);
+  assert.strictEqual(annex.matchedZone.name, 'Annex');
+
+  // Between the two, closer to Main
+  const between = isWithinGeofence(offset(0, 400), zones);
+  assert.strictEqual(between.isWithin, false);
+  assert.strictEqual(between.matchedZone, null);
+  assert.strictEqual(between.nearestZone.name, 'Main');
+  assert.ok(Math.abs(between.distanceToEdge - 300) <= 3);
+});
+
+test('a zone the point is strictly in wins over one it only reaches through the buffer', () => {
+  const zones = getLabZones({ geofence: { zones: [circle('Main', 100), circle('Lab B', 100, 200)] } });
+
+  const result = isWithinGeofence(offset(105, 0, 30), zones);
+
+  assert.strictEqual(result.matchedZone.name, 'Lab B');
+  assert.strictEqual(result.isWithinOriginalRadius, true);
+  assert.strictEqual(result.isWithinGPSBuffer, false);
+});
+
+test('labs without zones fall back to a circle of their geofence radius', () => {
+  const zones = getLabZones({ location: lab, geofence: { radius: 50, zones: [] } });
+
+  assert.deepStrictEqual(zones, [{ id: null, index: 0, name: 'Main', type: 'circle', center: lab, radius: 50 }]);
+  assert.deepStrictEqual(getLabZones({ geofence: { zones: [] } }), []);
+});
+
+test('zones are validated before they are stored', () => {
+  assert.strictEqual(validateGeofenceZone(circle('Main', 100)), null);
+  assert.match(validateGeofenceZone(circle('Tiny', 5)), /radius must be between/);
+
+  const open = rectangleRing(50, 50).slice(0, -1);
+  open.push(rectangleRing(60, 60)[0]);
+  assert.match(validateGeofenceZone({ type: 'polygon', polygon: { type: 'Polygon', coordinates: [open] } }), /must be closed/);
+  assert.strictEqual(validateGeofenceZone({ type: 'polygon', polygon: { type: 'Polygon', coordinates: [rectangleRing(50, 50)] } }), null);
+});
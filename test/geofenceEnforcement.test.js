@@ -0,0 +1,190 @@
+// test/geofenceEnforcement.test.js - Outside-geofence actions, and paused accrual resuming on return
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ActivityLog = require('../models/ActivityLog');
+const AdminEvent = require('../models/AdminEvent');
+const EmployeeSession = require('../models/EmployeeSession');
+const RefreshToken = require('../models/RefreshToken');
+const { enforceGeofencePolicy } = require('../utils/geofenceEnforcement');
+
+const MINUTE_MS = 60 * 1000;
+const LOGIN = new Date('2025-03-10T08:00:00Z').getTime();
+const EXIT = LOGIN + 60 * MINUTE_MS;
+const minutesAfterExit = (minutes) => EXIT + minutes * MINUTE_MS;
+
+const policy = (outsideGeofenceAction, outsideGeofenceMinutes = 5, endSessionOnGeofenceExit = false) => ({
+  outsideGeofenceAction,
+  outsideGeofenceMinutes,
+  endSessionOnGeofenceExit
+});
+
+// Tracking result of a fix while the session has been outside since EXIT
+const outside = { state: 'outside', since: new Date(EXIT), enforcedAt: null, transition: null };
+const returned = (minutes) => ({
+  state: 'inside',
+  since: new Date(minutesAfterExit(minutes)),
+  enforcedAt: null,
+  transition: { from: 'outside', to: 'inside', at: new Date(minutesAfterExit(minutes)), previousSince: new Date(EXIT) }
+});
+
+// Just enough of MongoDB's dotted paths, filters and updates for utils/geofenceEnforcement.js
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => {
+    value[key] = value[key] || {};
+    return value[key];
+  }, doc);
+  parent[keys[keys.length - 1]] = value;
+};
+const sameValue = (a, b) => String(a instanceof Date ? a.getTime() : a) === String(b instanceof Date ? b.getTime() : b);
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = getPath(doc, path);
+  if (condition && condition.$ne !== undefined) {
+    return value != null;
+  }
+  return condition === null ? value == null : sameValue(value, condition);
+});
+const applyUpdate = (doc, update) => {
+  const { $inc = {}, $unset = {}, ...fields } = update;
+  Object.entries($inc).forEach(([path, amount]) => setPath(doc, path, (getPath(doc, path) || 0) + amount));
+  Object.keys($unset).forEach(path => setPath(doc, path, undefined));
+  Object.entries(fields).forEach(([path, value]) => setPath(doc, path, value));
+};
+
+/**
+ * A stored session changed in memory. Each request works on its own copy
+ * from `load()`; every mocked call finishes without yielding, so each is
+ * atomic like a single MongoDB operation.
+ */
+const useStore = (t) => {
+  const stored = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    labId: new mongoose.Types.ObjectId(),
+    loginTime: new Date(LOGIN),
+    isActive: true,
+    currentLocation: { latitude: 0, longitude: 0 },
+    deviceInfo: {},
+    pausedSeconds: 0,
+    geofenceTracking: { state: 'outside', since: new Date(EXIT), enforcedAt: null }
+  };
+  const copy = () => ({ ...stored, geofenceTracking: { ...stored.geofenceTracking } });
+  const load = () => new EmployeeSession(copy());
+  const logged = [];
+
+  t.mock.method(EmployeeSession, 'updateOne', async (filter, update) => {
+    if (!matches(stored, filter)) {
+      return { modifiedCount: 0 };
+    }
+    applyUpdate(stored, update);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(EmployeeSession, 'findOneAndUpdate', async (filter, update) => {
+    if (!matches(stored, filter)) {
+      return null;
+    }
+    const previous = copy();
+    applyUpdate(stored, update);
+    return previous;
+  });
+  t.mock.method(EmployeeSession, 'findOne', async (filter) => (matches(stored, filter) ? load() : null));
+  t.mock.method(EmployeeSession.prototype, 'save', async function save() {
+    Object.assign(stored, { isActive: this.isActive, logoutTime: this.logoutTime, sessionDuration: this.sessionDuration });
+    return this;
+  });
+  t.mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(ActivityLog.prototype, 'save', async function save() {
+    logged.push(this);
+    return this;
+  });
+  t.mock.method(AdminEvent.prototype, 'save', async function save() {
+    return this;
+  });
+
+  return { stored, load, logged };
+};
+
+test('accrual is paused once the session has been outside for the threshold, dated to it', async (t) => {
+  const { stored, load, logged } = useStore(t);
+
+  assert.strictEqual(await enforceGeofencePolicy(load(), policy('pause_accrual'), outside, {}, minutesAfterExit(3)), null);
+  assert.strictEqual(stored.accrualPausedSince, undefined);
+
+  const paused = await enforceGeofencePolicy(load(), policy('pause_accrual'), outside, {}, minutesAfterExit(6));
+  assert.strictEqual(paused.action, 'accrual_paused');
+  assert.strictEqual(paused.ended, false);
+  assert.strictEqual(stored.accrualPausedSince.getTime(), minutesAfterExit(5));
+  assert.deepStrictEqual(logged.map(entry => entry.action), ['accrual_paused']);
+  assert.strictEqual(logged[0].timestamp.getTime(), minutesAfterExit(5));
+
+  // Only once per stay outside
+  assert.strictEqual(await enforceGeofencePolicy(load(), policy('pause_accrual'), outside, {}, minutesAfterExit(7)), null);
+  assert.strictEqual(logged.length, 1);
+});
+
+test('coming back resumes accrual and leaves the time outside uncounted', async (t) => {
+  const { stored, load, logged } = useStore(t);
+  await enforceGeofencePolicy(load(), policy('pause_accrual'), outside, {}, minutesAfterExit(6));
+
+  const session = load();
+  const resumed = await enforceGeofencePolicy(session, policy('pause_accrual'), returned(20), {}, minutesAfterExit(21));
+
+  assert.strictEqual(resumed.action, 'accrual_resumed');
+  assert.strictEqual(stored.accrualPausedSince, undefined);
+  assert.strictEqual(stored.pausedSeconds, 15 * 60);
+  assert.strictEqual(logged[1].metadata.pausedSeconds, 15 * 60);
+
+  // The caller's copy is in step: 81 minutes since login, 15 of them paused
+  assert.strictEqual(session.pausedSeconds, 15 * 60);
+  assert.strictEqual(session.getAccruedMinutes(new Date(minutesAfterExit(21))), 66);
+  assert.strictEqual(load().getAccruedMinutes(new Date(minutesAfterExit(21))), 66);
+});
+
+test('time paused and not yet resumed is left out of the duration', async (t) => {
+  const { load } = useStore(t);
+  await enforceGeofencePolicy(load(), policy('pause_accrual'), outside, {}, minutesAfterExit(6));
+
+  // 70 minutes since login, the last 5 of them paused
+  assert.strictEqual(load().getAccruedMinutes(new Date(minutesAfterExit(10))), 65);
+});
+
+test('coming back without paused accrual does nothing, and neither does a second resume', async (t) => {
+  const { stored, load, logged } = useStore(t);
+
+  assert.strictEqual(await enforceGeofencePolicy(load(), policy('warn'), returned(2), {}, minutesAfterExit(2)), null);
+
+  await enforceGeofencePolicy(load(), policy('pause_accrual'), outside, {}, minutesAfterExit(6));
+  const copies = [load(), load()];
+  const results = await Promise.all(copies.map(copy => (
+    enforceGeofencePolicy(copy, policy('pause_accrual'), returned(20), {}, minutesAfterExit(21))
+  )));
+
+  assert.deepStrictEqual(results.map(result => result && result.action).sort(), ['accrual_resumed', null]);
+  assert.strictEqual(stored.pausedSeconds, 15 * 60);
+  assert.deepStrictEqual(logged.map(entry => entry.action), ['accrual_paused', 'accrual_resumed']);
+});
+
+test('a warning leaves accrual running', async (t) => {
+  const { stored, load, logged } = useStore(t);
+
+  const warned = await enforceGeofencePolicy(load(), policy('warn'), outside, {}, minutesAfterExit(6));
+
+  assert.strictEqual(warned.action, 'geofence_warning');
+  assert.strictEqual(stored.accrualPausedSince, undefined);
+  assert.deepStrictEqual(logged.map(entry => entry.action), ['geofence_warning']);
+});
+
+test('ending the session on exit does so as soon as the exit is confirmed', async (t) => {
+  const { stored, load, logged } = useStore(t);
+
+  const ended = await enforceGeofencePolicy(load(), policy('none', 5, true), outside, {}, minutesAfterExit(0));
+
+  assert.strictEqual(ended.action, 'geofence_session_end');
+  assert.strictEqual(ended.ended, true);
+  assert.strictEqual(stored.isActive, false);
+  assert.deepStrictEqual(logged.map(entry => entry.action), ['geofence_session_end']);
+  assert.strictEqual(logged[0].metadata.reason, 'outside_geofence');
+});
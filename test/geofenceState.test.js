@@ -0,0 +1,161 @@
+// test/geofenceState.test.js - Geofence exits and re-entries confirmed with hysteresis
+process.env.GEOFENCE_CONFIRM_FIXES = '3';
+process.env.GEOFENCE_DWELL_SECONDS = '60';
+process.env.GEOFENCE_GRACE_METERS = '25';
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ActivityLog = require('../models/ActivityLog');
+const AdminEvent = require('../models/AdminEvent');
+const EmployeeSession = require('../models/EmployeeSession');
+const Webhook = require('../models/Webhook');
+const { advanceTracking, trackGeofenceCrossing } = require('../utils/geofenceState');
+const { queryOf } = require('./fixtures/query');
+
+const START = new Date('2025-03-10T09:00:00Z').getTime();
+const at = (seconds) => START + seconds * 1000;
+
+const inside = { state: 'inside', since: new Date(START), pendingState: null, pendingSince: null, pendingFixes: 0 };
+
+// Feed fixes on the given sides `seconds` apart, returning every step
+const feed = (tracking, sides, seconds = 10) => sides.reduce((steps, side, i) => {
+  const previous = steps.length ? steps[steps.length - 1].tracking : tracking;
+  return [...steps, advanceTracking(previous, side, at((i + 1) * seconds))];
+}, []);
+
+test('leaving is confirmed on the third fix outside and dated to the first', () => {
+  const steps = feed(inside, ['outside', 'outside', 'outside']);
+
+  assert.strictEqual(steps[0].transition, null);
+  assert.strictEqual(steps[0].tracking.pendingState, 'outside');
+  assert.strictEqual(steps[1].transition, null);
+  assert.strictEqual(steps[1].tracking.pendingFixes, 2);
+
+  assert.deepStrictEqual(steps[2].transition, {
+    from: 'inside',
+    to: 'outside',
+    at: new Date(at(10)),
+    previousSince: inside.since
+  });
+  assert.strictEqual(steps[2].tracking.state, 'outside');
+  assert.strictEqual(steps[2].tracking.pendingFixes, 0);
+});
+
+test('a fix back on the confirmed side starts the count over', () => {
+  const steps = feed(inside, ['outside', 'outside', 'inside', 'outside', 'outside']);
+
+  assert.ok(steps.every(step => step.transition === null));
+  assert.strictEqual(steps[2].tracking.pendingState, null);
+  assert.strictEqual(steps[4].tracking.pendingFixes, 2);
+});
+
+test('a change of side is also confirmed once the first fix is old enough', () => {
+  const steps = feed(inside, ['outside', 'outside'], 60);
+
+  assert.strictEqual(steps[0].transition, null);
+  assert.strictEqual(steps[1].transition.to, 'outside');
+  assert.strictEqual(steps[1].transition.at.getTime(), at(60));
+});
+
+test('fixes on the confirmed side change nothing', () => {
+  const step = advanceTracking(inside, 'inside', at(10));
+
+  assert.strictEqual(step.changed, false);
+  assert.strictEqual(step.transition, null);
+});
+
+/**
+ * A stored session whose geofence tracking is updated in memory. Each fix
+ * works on its own copy loaded with `load()`, like a request does, and
+ * `updateOne` only applies while the stored tracking is the one it was read from.
+ */
+const useStore = (t) => {
+  const stored = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    labId: new mongoose.Types.ObjectId(),
+    loginTime: new Date(START),
+    currentLocation: { latitude: 0, longitude: 0 },
+    deviceInfo: {}
+  };
+  const load = () => new EmployeeSession({ ...stored, geofenceTracking: stored.geofenceTracking && { ...stored.geofenceTracking } });
+  const logged = [];
+
+  t.mock.method(EmployeeSession, 'updateOne', async (filter, update) => {
+    const current = stored.geofenceTracking ? stored.geofenceTracking.updatedAt : null;
+    const expected = filter['geofenceTracking.updatedAt'];
+    if (String(current || null) !== String(expected || null)) {
+      return { modifiedCount: 0 };
+    }
+    stored.geofenceTracking = update.geofenceTracking;
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(ActivityLog.prototype, 'save', async function save() {
+    logged.push(this);
+    return this;
+  });
+  t.mock.method(AdminEvent.prototype, 'save', async function save() {
+    return this;
+  });
+  t.mock.method(Webhook, 'find', () => queryOf([]));
+
+  return { stored, load, logged };
+};
+
+const location = { latitude: 0, longitude: 0 };
+const status = (isWithin, distanceToEdge = 0) => ({ isWithin, distance: 100 + distanceToEdge, distanceToEdge, radiusInMeters: 100 });
+
+test('drift within the grace distance does not start an exit', async (t) => {
+  const { stored, load } = useStore(t);
+
+  for (let i = 1; i <= 5; i++) {
+    await trackGeofenceCrossing(load(), status(false, 20), location, at(i * 10));
+  }
+
+  assert.strictEqual(EmployeeSession.updateOne.mock.callCount(), 0);
+  assert.strictEqual(stored.geofenceTracking, undefined);
+});
+
+test('an exit and a re-entry are each logged once, from their confirmed fix', async (t) => {
+  const { stored, load, logged } = useStore(t);
+  const track = (geofenceStatus, seconds) => trackGeofenceCrossing(load(), geofenceStatus, location, at(seconds));
+
+  await track(status(false, 40), 10);
+  await track(status(false, 40), 20);
+  const exit = await track(status(false, 40), 30);
+  assert.strictEqual(exit.state, 'outside');
+  assert.deepStrictEqual(logged.map(entry => entry.action), ['geofence_exit']);
+  assert.strictEqual(logged[0].timestamp.getTime(), at(10));
+
+  // Once outside, a fix within the grace distance still counts as outside
+  const drift = await track(status(false, 20), 40);
+  assert.strictEqual(drift.state, 'outside');
+  assert.strictEqual(stored.geofenceTracking.pendingState, null);
+
+  await track(status(true), 50);
+  await track(status(true), 60);
+  const entered = await track(status(true), 70);
+  assert.strictEqual(entered.state, 'inside');
+  assert.deepStrictEqual(logged.map(entry => entry.action), ['geofence_exit', 'geofence_enter']);
+  assert.strictEqual(logged[1].metadata.outsideDurationSeconds, 40);
+});
+
+test('of two fixes read from the same state only one is counted', async (t) => {
+  const { stored, load, logged } = useStore(t);
+  stored.geofenceTracking = {
+    state: 'inside',
+    pendingState: 'outside',
+    pendingSince: new Date(at(10)),
+    pendingFixes: 2,
+    updatedAt: new Date(at(20))
+  };
+
+  const copies = [load(), load()];
+  const [first, second] = await Promise.all(copies.map(copy => (
+    trackGeofenceCrossing(copy, status(false, 40), location, at(30))
+  )));
+
+  assert.deepStrictEqual([first.state, second.state].sort(), ['inside', 'outside']);
+  assert.strictEqual(logged.length, 1);
+});
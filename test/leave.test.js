@@ -0,0 +1,57 @@
+// test/leave.test.js - Leave days and balances over the new year
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Holiday = require('../models/Holiday');
+const LeaveType = require('../models/LeaveType');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeaveRequest = require('../models/LeaveRequest');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const { countLeaveDaysByYear, getLeaveBalances } = require('../utils/leave');
+const { queryOf } = require('./fixtures/query');
+
+const labId = new mongoose.Types.ObjectId();
+const employee = { _id: new mongoose.Types.ObjectId(), labId, department: 'Admin' };
+const annualLeave = { _id: new mongoose.Types.ObjectId(), labId, name: 'Annual leave', annualAllowanceDays: 20, isActive: true };
+
+// Monday 29 December 2025 to Friday 2 January 2026, New Year's Day off
+const START = '2025-12-29';
+const END = '2026-01-02';
+const holidays = [{ date: '2026-01-01', name: "New Year's Day" }];
+
+const mockLab = (t) => {
+  t.mock.method(Holiday, 'find', (filter) => queryOf(
+    holidays.filter(holiday => holiday.date >= filter.date.$gte && holiday.date <= filter.date.$lte)
+  ));
+  t.mock.method(ShiftAssignment, 'find', () => queryOf([]));
+  t.mock.method(Shift, 'find', () => queryOf([]));
+};
+
+test('leave over the new year is counted per year', async (t) => {
+  mockLab(t);
+
+  assert.deepStrictEqual(await countLeaveDaysByYear(employee, START, END), [
+    { year: 2025, days: 3 },
+    { year: 2026, days: 1 }
+  ]);
+  assert.deepStrictEqual(await countLeaveDaysByYear(employee, START, '2025-12-31'), [{ year: 2025, days: 3 }]);
+});
+
+test('each year\'s balance is charged only its own days of the leave', async (t) => {
+  mockLab(t);
+  t.mock.method(LeaveType, 'find', () => queryOf([annualLeave]));
+  t.mock.method(LeaveBalance, 'find', () => queryOf([]));
+  t.mock.method(LeaveRequest, 'find', () => queryOf([
+    { leaveTypeId: annualLeave._id, status: 'approved', startDate: START, endDate: END, days: 4 }
+  ]));
+
+  const [balance2025] = await getLeaveBalances(employee, 2025);
+  const [balance2026] = await getLeaveBalances(employee, 2026);
+
+  assert.strictEqual(balance2025.usedDays, 3);
+  assert.strictEqual(balance2025.remainingDays, 17);
+  assert.strictEqual(balance2026.usedDays, 1);
+  assert.strictEqual(balance2026.remainingDays, 19);
+});
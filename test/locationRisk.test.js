@@ -0,0 +1,101 @@
+// test/locationRisk.test.js - Risk scoring of location fixes
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { assessLocationRisk, shouldBlockLocation } = require('../utils/locationRisk');
+
+const NOW = new Date('2025-03-10T09:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+const desk = { latitude: 52.2297, longitude: 21.0122 };
+const fixAt = (point, accuracy, seconds) => ({ ...point, accuracy, timestamp: secondsAgo(seconds) });
+
+// Earlier fixes every 30 seconds, newest first
+const history = (count, accuracyOf) => Array.from({ length: count }, (_, i) => fixAt(desk, accuracyOf(i), (i + 1) * 30));
+
+test('a first fix with a sane accuracy carries no risk', () => {
+  const risk = assessLocationRisk(fixAt(desk, 12, 0));
+
+  assert.strictEqual(risk.score, 0);
+  assert.strictEqual(risk.level, 'none');
+  assert.deepStrictEqual(risk.flags, []);
+});
+
+test('zero or absurd accuracy scores low', () => {
+  for (const accuracy of [0, -5, 5000, 'abc']) {
+    const risk = assessLocationRisk(fixAt(desk, accuracy, 0));
+    assert.deepStrictEqual(risk.flags.map(flag => flag.type), ['invalid_accuracy'], `accuracy ${accuracy}`);
+    assert.strictEqual(risk.level, 'low');
+  }
+});
+
+test('travel faster than the configured speed scores high', () => {
+  // Warsaw to Berlin, about 520 km, in ten minutes
+  const risk = assessLocationRisk(
+    fixAt({ latitude: 52.52, longitude: 13.405 }, 10, 0),
+    [fixAt(desk, 10, 600)]
+  );
+
+  assert.deepStrictEqual(risk.flags.map(flag => flag.type), ['implausible_speed']);
+  assert.ok(risk.speedKmh > config.locationRisk.maxSpeedKmh);
+  assert.strictEqual(risk.level, 'high');
+});
+
+test('a sudden jump within the window scores medium', () => {
+  // About 1.7 km in 100 seconds: fast, but not impossible
+  const risk = assessLocationRisk(
+    fixAt({ latitude: 52.2297, longitude: 21.037 }, 10, 0),
+    [fixAt(desk, 10, 100)]
+  );
+
+  assert.deepStrictEqual(risk.flags.map(flag => flag.type), ['location_jump']);
+  assert.strictEqual(risk.level, 'medium');
+});
+
+test('movement within the fixes\' reported accuracy is not counted as travel', () => {
+  // About 340 m in 5 seconds, with two 200 m accuracy circles
+  const moved = { latitude: 52.2297, longitude: 21.017 };
+
+  assert.strictEqual(assessLocationRisk(fixAt(moved, 200, 0), [fixAt(desk, 200, 5)]).speedKmh, 0);
+  assert.ok(assessLocationRisk(fixAt(moved, 5, 0), [fixAt(desk, 5, 5)]).speedKmh > 200);
+});
+
+test('identical fixes are flagged only after a full run with unchanged accuracy', () => {
+  const count = config.locationRisk.identicalFixCount;
+  const fix = fixAt(desk, 8, 0);
+
+  const repeated = assessLocationRisk(fix, history(count - 1, () => 8));
+  assert.deepStrictEqual(repeated.flags, [{ type: 'identical_coordinates', count }]);
+  assert.strictEqual(repeated.level, 'medium');
+
+  // One fix short of the run
+  assert.deepStrictEqual(assessLocationRisk(fix, history(count - 2, () => 8)).flags, []);
+  // A device at rest whose accuracy estimate keeps changing
+  assert.deepStrictEqual(assessLocationRisk(fix, history(count - 1, i => 8 + i)).flags, []);
+});
+
+test('the points of several findings add up', () => {
+  const count = config.locationRisk.identicalFixCount;
+  const risk = assessLocationRisk(fixAt(desk, 0, 0), history(count - 1, () => 0));
+
+  assert.deepStrictEqual(risk.flags.map(flag => flag.type).sort(), ['identical_coordinates', 'invalid_accuracy']);
+  assert.strictEqual(risk.score, 65);
+  assert.strictEqual(risk.level, 'high');
+
+  const teleported = assessLocationRisk(
+    fixAt({ latitude: 52.52, longitude: 13.405 }, 0, 0),
+    [fixAt(desk, 10, 10)]
+  );
+  assert.deepStrictEqual(teleported.flags.map(flag => flag.type).sort(), ['implausible_speed', 'invalid_accuracy']);
+  assert.strictEqual(teleported.score, 85);
+});
+
+test('the lab policy blocks fixes at or above its level', () => {
+  const medium = { level: 'medium' };
+
+  assert.strictEqual(shouldBlockLocation(medium, { locationRiskBlockLevel: 'off' }), false);
+  assert.strictEqual(shouldBlockLocation(medium, { locationRiskBlockLevel: 'medium' }), true);
+  assert.strictEqual(shouldBlockLocation(medium, { locationRiskBlockLevel: 'high' }), false);
+  assert.strictEqual(shouldBlockLocation({ level: 'high' }, { locationRiskBlockLevel: 'medium' }), true);
+});
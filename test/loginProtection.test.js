@@ -0,0 +1,212 @@
+// test/loginProtection.test.js - Login delays and lockouts, including guesses sent side by side
+process.env.LOGIN_DELAY_AFTER_FAILURES = '2';
+process.env.LOGIN_MAX_ACCOUNT_FAILURES = '4';
+process.env.LOGIN_MAX_IP_FAILURES = '50';
+process.env.LOGIN_MAX_DELAY_SECONDS = '30';
+process.env.LOGIN_LOCKOUT_MINUTES = '15';
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const mongoose = require('mongoose');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginCounter = require('../models/LoginCounter');
+const LoginLockout = require('../models/LoginLockout');
+const {
+  claimLoginAttempt,
+  recordFailedLogin,
+  recordPasswordVerified,
+  clearLockout
+} = require('../utils/loginProtection');
+
+const EMAIL = 'nobody@lab.test';
+
+// Just enough of MongoDB's filters and updates for utils/loginProtection.js
+const toValue = (value) => (value instanceof Date ? value.getTime() : value);
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = toValue(doc[field]);
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => ({
+      $gt: () => value > toValue(operand),
+      $lte: () => value <= toValue(operand)
+    })[operator]());
+  }
+  return String(value) === String(toValue(condition));
+});
+const applyUpdate = (doc, update) => {
+  const { $inc = {}, $set = {}, $setOnInsert, ...fields } = update;
+  Object.entries($inc).forEach(([field, amount]) => { doc[field] = (doc[field] || 0) + amount; });
+  Object.assign(doc, $set, fields);
+};
+
+/**
+ * LoginCounter and LoginLockout as arrays. Every mocked call finishes without
+ * yielding, so each is atomic like a single MongoDB operation.
+ */
+const useStore = (t) => {
+  const counters = [];
+  const lockouts = [];
+
+  t.mock.method(LoginCounter, 'findOne', async (filter) => counters.find(doc => matches(doc, filter)) || null);
+  t.mock.method(LoginCounter, 'updateOne', async (filter, update) => {
+    const doc = counters.find(candidate => matches(candidate, filter));
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  t.mock.method(LoginCounter, 'findOneAndUpdate', async (filter, update) => {
+    const doc = counters.find(candidate => matches(candidate, filter));
+    if (!doc) {
+      const created = { ...filter, attempts: 0, windowStartedAt: new Date() };
+      applyUpdate(created, update);
+      counters.push(created);
+      return null;
+    }
+    const previous = { ...doc };
+    applyUpdate(doc, update);
+    return previous;
+  });
+
+  t.mock.method(LoginLockout, 'findOne', async (filter) => lockouts.find(doc => matches(doc, filter)) || null);
+  t.mock.method(LoginLockout, 'updateMany', async (filter, update) => {
+    lockouts.filter(doc => matches(doc, filter)).forEach(doc => applyUpdate(doc, update));
+  });
+  t.mock.method(LoginLockout, 'findOneAndUpdate', async (filter, update) => {
+    const existing = lockouts.find(doc => matches(doc, filter));
+    if (existing) {
+      return { value: existing, lastErrorObject: { updatedExisting: true } };
+    }
+    const lock = new LoginLockout({ ...filter, ...update.$setOnInsert });
+    lockouts.push(lock);
+    return { value: lock, lastErrorObject: { updatedExisting: false } };
+  });
+  t.mock.method(LoginLockout.prototype, 'save', async function save() {
+    return this;
+  });
+
+  t.mock.method(LoginAttempt.prototype, 'save', async function save() {
+    return this;
+  });
+  t.mock.method(LoginAttempt, 'distinct', async () => []);
+
+  return { counters, lockouts };
+};
+
+const attemptFrom = (ipAddress) => ({
+  email: EMAIL,
+  user: null,
+  ipAddress,
+  userAgent: 'test',
+  location: { latitude: 0, longitude: 0, accuracy: 10 }
+});
+
+// A wrong password, checked after a bcrypt-like pause
+const guessWrong = async (attempt) => {
+  const { rejection } = await claimLoginAttempt(attempt);
+  if (rejection) {
+    return rejection.status;
+  }
+  await sleep(20);
+  const locks = await recordFailedLogin(attempt);
+  return locks.length > 0 ? 'locked' : 401;
+};
+
+test('wrong passwords sent side by side are counted before any is checked', async (t) => {
+  const { counters, lockouts } = useStore(t);
+
+  const outcomes = await Promise.all(Array.from({ length: 10 }, (_, i) => guessWrong(attemptFrom(`10.0.0.${i}`))));
+
+  // Two attempts are allowed without a delay; the third would have to wait for the second
+  assert.strictEqual(outcomes.filter(outcome => outcome === 401).length, 2);
+  assert.strictEqual(outcomes.filter(outcome => outcome === 429).length, 8);
+  assert.strictEqual(counters.find(counter => counter.scope === 'account').attempts, 2);
+  assert.strictEqual(lockouts.length, 0);
+});
+
+test('delays grow after each failure until the account is locked once', async (t) => {
+  const { counters, lockouts } = useStore(t);
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 15, 9) });
+  const attempt = attemptFrom('10.0.1.1');
+
+  assert.strictEqual(await guessWrong(attempt), 401);
+  assert.strictEqual(await guessWrong(attempt), 401);
+
+  const throttled = await claimLoginAttempt(attempt);
+  assert.strictEqual(throttled.rejection.code, 'LOGIN_THROTTLED');
+  assert.strictEqual(throttled.rejection.retryAfterSeconds, 1);
+  assert.strictEqual(counters.find(counter => counter.scope === 'account').attempts, 2);
+
+  t.mock.timers.tick(1000);
+  assert.strictEqual(await guessWrong(attempt), 401);
+  t.mock.timers.tick(1000);
+  assert.strictEqual((await claimLoginAttempt(attempt)).rejection.retryAfterSeconds, 1);
+  t.mock.timers.tick(1000);
+
+  // The fourth failure reaches maxAccountFailures; failures recorded together at the limit lock once
+  const { claimed } = await claimLoginAttempt(attempt);
+  assert.ok(claimed);
+  const locks = await Promise.all([recordFailedLogin(attempt), recordFailedLogin(attempt), recordFailedLogin(attempt)]);
+  assert.strictEqual(locks.flat().length, 1);
+  assert.strictEqual(lockouts.length, 1);
+  assert.strictEqual(lockouts[0].failedAttempts, 4);
+
+  const locked = await claimLoginAttempt(attemptFrom('10.0.1.2'));
+  assert.strictEqual(locked.rejection.status, 423);
+  assert.strictEqual(locked.rejection.code, 'ACCOUNT_LOCKED');
+  assert.strictEqual(locked.rejection.retryAfterSeconds, 15 * 60);
+
+  // Once the lock is over, counting starts again from nothing
+  t.mock.timers.tick(15 * 60 * 1000);
+  assert.strictEqual(await guessWrong(attempt), 401);
+  assert.strictEqual(counters.find(counter => counter.scope === 'account').attempts, 1);
+});
+
+test('the right password takes its attempt back and starts the account over', async (t) => {
+  const { counters } = useStore(t);
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 15, 9) });
+  const attempt = attemptFrom('10.0.2.1');
+
+  await guessWrong(attempt);
+  t.mock.timers.tick(1000);
+  const { rejection, claimed } = await claimLoginAttempt(attempt);
+  assert.strictEqual(rejection, null);
+  await recordPasswordVerified({ claimed });
+
+  assert.strictEqual(counters.find(counter => counter.scope === 'account').attempts, 0);
+  assert.strictEqual(counters.find(counter => counter.scope === 'ip').attempts, 1);
+});
+
+test('failures older than the window no longer count', async (t) => {
+  const { counters } = useStore(t);
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 15, 9) });
+  const attempt = attemptFrom('10.0.3.1');
+
+  await guessWrong(attempt);
+  await guessWrong(attempt);
+  t.mock.timers.tick(15 * 60 * 1000);
+
+  assert.strictEqual(await guessWrong(attempt), 401);
+  assert.strictEqual(counters.find(counter => counter.scope === 'account').attempts, 1);
+});
+
+test('clearing a lock lets the account try again with a fresh count', async (t) => {
+  const { counters, lockouts } = useStore(t);
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 15, 9) });
+  const labId = new mongoose.Types.ObjectId();
+  const attempt = attemptFrom('10.0.4.1');
+
+  for (let i = 0; i < 4; i += 1) {
+    await guessWrong(attempt);
+    t.mock.timers.tick(30 * 1000);
+  }
+  assert.strictEqual(lockouts.length, 1);
+  lockouts[0].labIds = [labId];
+  counters.find(counter => counter.scope === 'account').attempts = 3;
+
+  const cleared = await clearLockout(lockouts[0]._id, { labId, clearedBy: new mongoose.Types.ObjectId() });
+
+  assert.strictEqual(cleared.active, false);
+  assert.strictEqual(counters.find(counter => counter.scope === 'account').attempts, 0);
+  assert.strictEqual(await guessWrong(attempt), 401);
+});
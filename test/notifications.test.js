@@ -0,0 +1,164 @@
+// test/notifications.test.js - Queued email notifications sent through a local SMTP catch-all
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { startSmtpCatchAll } = require('./fixtures/smtpCatchAll');
+
+const REJECTED = 'nobody@lab.test';
+
+// Loaded once the catch-all is listening, since config is read on first require
+let smtp;
+let Holiday;
+let Lab;
+let Notification;
+let User;
+let notifications;
+
+test.before(async () => {
+  smtp = await startSmtpCatchAll({ rejectRecipients: [REJECTED] });
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.port);
+  process.env.NOTIFICATION_MAX_ATTEMPTS = '2';
+
+  Holiday = require('../models/Holiday');
+  Lab = require('../models/Lab');
+  Notification = require('../models/Notification');
+  User = require('../models/User');
+  notifications = require('../utils/notifications');
+});
+
+test.after(() => smtp.close());
+
+const createLab = (notificationSettings = {}) => new Lab({
+  name: 'Optics Lab',
+  notificationSettings
+});
+
+const createUser = (lab, fields = {}) => new User({
+  name: 'Ada Lovelace',
+  email: 'ada@lab.test',
+  password: 'not-used-here',
+  role: 'lab_employee',
+  labId: lab._id,
+  ...fields
+});
+
+/**
+ * Mock the Notification calls made by notifyUser and processNotifications so
+ * the queue lives in the returned array. Mocks are restored with `t`.
+ */
+const useNotificationQueue = (t, lab) => {
+  const queue = [];
+
+  t.mock.method(Lab, 'findById', () => ({ select: async () => lab }));
+  t.mock.method(Notification.prototype, 'save', async function save() {
+    queue.push(this);
+    return this;
+  });
+  t.mock.method(Notification, 'findOneAndUpdate', async (filter, update) => {
+    const due = queue.find(notification => (
+      notification.status === filter.status && notification.nextAttemptAt <= filter.nextAttemptAt.$lte
+    ));
+    if (due) {
+      due.nextAttemptAt = update.nextAttemptAt;
+    }
+    return due || null;
+  });
+  t.mock.method(Notification, 'updateOne', async (filter, update) => {
+    Object.assign(queue.find(notification => notification._id.equals(filter._id)), update);
+    return { modifiedCount: 1 };
+  });
+
+  return queue;
+};
+
+test('notifyUser queues a rendered email for the user', async (t) => {
+  const lab = createLab();
+  const user = createUser(lab);
+  const queue = useNotificationQueue(t, lab);
+
+  const notification = await notifications.notifyUser(user, 'account_created', { email: user.email });
+
+  assert.strictEqual(queue.length, 1);
+  assert.strictEqual(notification, queue[0]);
+  assert.strictEqual(notification.status, 'pending');
+  assert.strictEqual(notification.to, 'ada@lab.test');
+  assert.strictEqual(notification.subject, 'Your Optics Lab account has been created');
+  assert.match(notification.text, /Hello Ada Lovelace/);
+  assert.strictEqual(smtp.messages.length, 0);
+});
+
+test('nothing is queued for a type the user or the lab turned off', async (t) => {
+  const lab = createLab({ disabledTypes: ['forced_logout'] });
+  const queue = useNotificationQueue(t, lab);
+  const optedOut = createUser(lab, { notificationPreferences: { disabledTypes: ['account_created'] } });
+
+  assert.strictEqual(await notifications.notifyUser(optedOut, 'account_created', {}), null);
+  assert.strictEqual(await notifications.notifyUser(createUser(lab), 'forced_logout', {}), null);
+  assert.strictEqual(await notifications.notifyUser(createUser(lab, { isActive: false }), 'account_created', {}), null);
+  assert.strictEqual(queue.length, 0);
+});
+
+test('processNotifications sends queued emails over SMTP and marks them sent', async (t) => {
+  const lab = createLab();
+  const queue = useNotificationQueue(t, lab);
+  const sentBefore = smtp.messages.length;
+  await notifications.notifyUser(createUser(lab), 'account_created', { email: 'ada@lab.test' });
+
+  assert.strictEqual(await notifications.processNotifications(), 1);
+
+  const [notification] = queue;
+  assert.strictEqual(notification.status, 'sent');
+  assert.strictEqual(notification.attempts, 1);
+  assert.ok(notification.sentAt);
+  assert.ok(notification.messageId);
+
+  const message = smtp.messages[sentBefore];
+  assert.deepStrictEqual(message.to, ['ada@lab.test']);
+  assert.strictEqual(message.from, 'no-reply@localhost');
+  assert.match(message.data, /Subject: Your Optics Lab account has been created/);
+  assert.ok(message.data.includes(notification.messageId));
+
+  // Sent emails are not picked up again
+  assert.strictEqual(await notifications.processNotifications(), 0);
+});
+
+test('a refused email is retried later and fails after the last attempt', async (t) => {
+  const lab = createLab();
+  const queue = useNotificationQueue(t, lab);
+  await notifications.notifyUser(createUser(lab, { email: REJECTED }), 'account_created', {});
+  const [notification] = queue;
+
+  const before = Date.now();
+  assert.strictEqual(await notifications.processNotifications(), 1);
+  assert.strictEqual(notification.status, 'pending');
+  assert.match(notification.lastError, /550/);
+  assert.ok(notification.nextAttemptAt - before >= 60 * 1000);
+  assert.strictEqual(await notifications.processNotifications(), 0);
+
+  notification.nextAttemptAt = new Date(Date.now() - 1);
+  assert.strictEqual(await notifications.processNotifications(), 1);
+  assert.strictEqual(notification.status, 'failed');
+  assert.strictEqual(notification.attempts, 2);
+});
+
+test('isAfterHours checks working hours, weekend days and holidays', async (t) => {
+  const lab = createLab({ workdayStart: '08:00', workdayEnd: '18:00' });
+  const holidays = new Set();
+  t.mock.method(Holiday, 'exists', async ({ date }) => (holidays.has(date) ? { _id: new mongoose.Types.ObjectId() } : null));
+
+  // Wednesday 15 January 2025, local time
+  assert.strictEqual(await notifications.isAfterHours(lab, new Date(2025, 0, 15, 12, 0)), false);
+  assert.strictEqual(await notifications.isAfterHours(lab, new Date(2025, 0, 15, 7, 59)), true);
+  assert.strictEqual(await notifications.isAfterHours(lab, new Date(2025, 0, 15, 18, 0)), true);
+  assert.strictEqual(await notifications.isAfterHours(lab, new Date(2025, 0, 18, 12, 0)), true);
+
+  holidays.add('2025-01-15');
+  assert.strictEqual(await notifications.isAfterHours(lab, new Date(2025, 0, 15, 12, 0)), true);
+
+  // Night shifts run past midnight
+  const nightLab = createLab({ workdayStart: '22:00', workdayEnd: '06:00' });
+  assert.strictEqual(await notifications.isAfterHours(nightLab, new Date(2025, 0, 16, 2, 0)), false);
+  assert.strictEqual(await notifications.isAfterHours(nightLab, new Date(2025, 0, 16, 12, 0)), true);
+});
@@ -0,0 +1,110 @@
+// test/relay.test.js - Messages for sockets held by other server instances
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const WebSocketRelayMessage = require('../models/WebSocketRelayMessage');
+const { createMemoryRelay, createMongoRelay } = require('../websocket/relay');
+
+const grantEnvelope = {
+  sessionId: 'login-1',
+  role: 'desktop',
+  type: 'access_granted',
+  data: { message: 'Access granted! Welcome to the lab.' },
+  issueTokensFor: '64b000000000000000000002'
+};
+
+// The relay collection as an array, standing in for MongoDB in one process
+const useStoredMessages = (t) => {
+  const stored = [];
+  const query = (rows) => ({ sort: () => query(rows), limit: (n) => query(rows.slice(0, n)), lean: async () => rows });
+
+  t.mock.method(WebSocketRelayMessage.prototype, 'save', async function save() {
+    stored.push(this.toObject());
+    return this;
+  });
+  t.mock.method(WebSocketRelayMessage, 'find', (filter) => query(
+    stored.filter(message => message.targetInstance === filter.targetInstance)
+  ));
+  t.mock.method(WebSocketRelayMessage, 'deleteMany', async (filter) => {
+    const ids = filter._id.$in.map(String);
+    const remaining = stored.filter(message => !ids.includes(String(message._id)));
+    stored.splice(0, stored.length, ...remaining);
+  });
+
+  return stored;
+};
+
+const nextMessage = (relay) => new Promise(resolve => relay.start(resolve));
+
+test('memory relays deliver to the named instance only', async () => {
+  const a = createMemoryRelay('instance-a');
+  const b = createMemoryRelay('instance-b');
+  const c = createMemoryRelay('instance-c');
+  let strayMessages = 0;
+  c.start(() => { strayMessages += 1; });
+
+  const received = nextMessage(b);
+  await a.publish('instance-b', grantEnvelope);
+
+  assert.deepStrictEqual(await received, grantEnvelope);
+  assert.strictEqual(strayMessages, 0);
+  [a, b, c].forEach(relay => relay.stop());
+});
+
+test('the MongoDB relay hands each message to its target instance once', async (t) => {
+  const stored = useStoredMessages(t);
+  const a = createMongoRelay('instance-a');
+  const b = createMongoRelay('instance-b');
+
+  await a.publish('instance-b', grantEnvelope);
+  assert.strictEqual(stored.length, 1);
+
+  const received = await nextMessage(b);
+  b.stop();
+
+  assert.deepStrictEqual(received, grantEnvelope);
+  assert.strictEqual(stored.length, 0);
+});
+
+test('a relayed access_granted names the session instead of carrying its tokens', async (t) => {
+  const stored = useStoredMessages(t);
+  const a = createMongoRelay('instance-a');
+
+  await a.publish('instance-b', grantEnvelope);
+
+  const [message] = stored;
+  assert.strictEqual(message.issueTokensFor, grantEnvelope.issueTokensFor);
+  assert.ok(!('token' in message.data));
+  assert.ok(!('refreshToken' in message.data));
+});
+
+// Two real processes sharing a database, as two instances behind a load balancer
+test('two server processes relay messages through MongoDB', {
+  skip: process.env.TEST_MONGODB_URI ? false : 'set TEST_MONGODB_URI to run against a MongoDB server',
+  timeout: 30000
+}, async (t) => {
+  const peerPath = path.join(__dirname, 'fixtures', 'relayPeer.js');
+  const startPeer = async (instanceId) => {
+    const child = spawn(process.execPath, [peerPath, instanceId], { stdio: ['pipe', 'pipe', 'inherit'] });
+    t.after(() => child.kill());
+    const lines = readline.createInterface({ input: child.stdout });
+    const [first] = await once(lines, 'line');
+    assert.strictEqual(first, 'ready');
+    return { child, lines };
+  };
+
+  const suffix = `${process.pid}-${Date.now()}`;
+  const a = await startPeer(`peer-a-${suffix}`);
+  const b = await startPeer(`peer-b-${suffix}`);
+
+  a.child.stdin.write(`${JSON.stringify({ targetInstance: `peer-b-${suffix}`, envelope: grantEnvelope })}\n`);
+  const [line] = await once(b.lines, 'line');
+
+  assert.deepStrictEqual(JSON.parse(line), grantEnvelope);
+  a.child.stdin.end();
+  b.child.stdin.end();
+});
@@ -0,0 +1,104 @@
+// test/webauthn.test.js - Passkey ceremonies verified against a software authenticator
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createRegistrationOptions,
+  createAuthenticationOptions,
+  verifyRegistration,
+  verifyAuthentication
+} = require('../utils/webauthn');
+const { parseInboundMessage } = require('../websocket/protocol');
+const { STATES, getSourceStates } = require('../websocket/sessionState');
+const { createSoftwareAuthenticator } = require('./fixtures/softwareAuthenticator');
+
+const user = { _id: '64b000000000000000000001', email: 'ada@lab.test', name: 'Ada' };
+
+// Register a fresh authenticator and return it with the credential the server stores
+const enroll = async () => {
+  const authenticator = createSoftwareAuthenticator();
+  const { options, challenge } = await createRegistrationOptions(user);
+  const credential = await verifyRegistration(authenticator.register(options), challenge);
+  return { authenticator, credential };
+};
+
+test('registration stores the authenticator public key and credential id', async () => {
+  const { authenticator, credential } = await enroll();
+
+  assert.strictEqual(credential.credentialId, authenticator.id);
+  assert.ok(credential.publicKey);
+  assert.strictEqual(credential.signCount, 0);
+  assert.deepStrictEqual(credential.transports, ['internal']);
+  assert.strictEqual(credential.attestationFormat, 'none');
+});
+
+test('registration is rejected for a challenge that was not issued for it', async () => {
+  const authenticator = createSoftwareAuthenticator();
+  const { options } = await createRegistrationOptions(user);
+  const { challenge: otherChallenge } = await createRegistrationOptions(user);
+
+  await assert.rejects(verifyRegistration(authenticator.register(options), otherChallenge));
+});
+
+test('registration is rejected for an authentication challenge or an expired one', async () => {
+  const { credential } = await enroll();
+  const authenticator = createSoftwareAuthenticator();
+  const { options, challenge } = await createRegistrationOptions(user);
+  const response = authenticator.register(options);
+
+  const { challenge: loginChallenge } = await createAuthenticationOptions(user, [credential]);
+  await assert.rejects(verifyRegistration(response, loginChallenge), /not registration/);
+  await assert.rejects(verifyRegistration(response, { ...challenge, expiresAt: Date.now() - 1 }), /expired/);
+});
+
+test('an assertion verifies against the stored credential and moves its counter', async () => {
+  const { authenticator, credential } = await enroll();
+  const { options, challenge } = await createAuthenticationOptions(user, [credential]);
+
+  const { newSignCount } = await verifyAuthentication(authenticator.authenticate(options), challenge, credential);
+
+  assert.strictEqual(newSignCount, 1);
+});
+
+test('a replayed assertion is rejected once the counter has moved on', async () => {
+  const { authenticator, credential } = await enroll();
+  const { options, challenge } = await createAuthenticationOptions(user, [credential]);
+  const assertion = authenticator.authenticate(options);
+
+  const { newSignCount } = await verifyAuthentication(assertion, challenge, credential);
+  await assert.rejects(verifyAuthentication(assertion, challenge, { ...credential, signCount: newSignCount }));
+});
+
+test('an assertion from another authenticator is rejected', async () => {
+  const { credential } = await enroll();
+  const impostor = createSoftwareAuthenticator();
+  const { options, challenge } = await createAuthenticationOptions(user, [credential]);
+
+  await assert.rejects(
+    verifyAuthentication(impostor.authenticate(options), challenge, credential),
+    /does not match the stored credential/
+  );
+});
+
+test('an assertion signed by another key for the same credential id is rejected', async () => {
+  const { authenticator, credential } = await enroll();
+  const impostor = createSoftwareAuthenticator();
+  const { options, challenge } = await createAuthenticationOptions(user, [credential]);
+
+  const forged = { ...impostor.authenticate(options), id: authenticator.id, rawId: authenticator.id };
+  await assert.rejects(verifyAuthentication(forged, challenge, credential));
+});
+
+test('passkey enrollment needs the access token of the user it is for', () => {
+  const register = (data) => parseInboundMessage(JSON.stringify({ type: 'register_desktop', data }));
+
+  assert.strictEqual(register({ sessionId: 's1', mode: 'register' }).error.code, 'VALIDATION_FAILED');
+  assert.strictEqual(register({ sessionId: 's1', mode: 'register', token: 'access-token' }).error, undefined);
+  assert.strictEqual(register({ sessionId: 's1' }).error, undefined);
+});
+
+test('an enrollment ends in its own state and never reaches the location check', () => {
+  assert.deepStrictEqual(getSourceStates(STATES.ENROLLED), [STATES.MOBILE_CONNECTED]);
+  assert.ok(!getSourceStates(STATES.LOCATION_PENDING).includes(STATES.ENROLLED));
+  assert.ok(!getSourceStates(STATES.GRANTED).includes(STATES.ENROLLED));
+});
@@ -0,0 +1,54 @@
+// test/webhookTargets.test.js - Webhooks cannot reach private networks unless allowed
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'false';
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const { isPrivateAddress, checkWebhookTarget, queueWebhookEvent, processWebhookDeliveries } = require('../utils/webhooks');
+const { useWebhookStore } = require('./fixtures/webhookStore');
+
+test('loopback, private, link-local and mapped addresses count as private', () => {
+  const privateAddresses = [
+    '127.0.0.1', '10.0.0.8', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '[::1]', '::', 'fd12::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+  ];
+  const publicAddresses = ['8.8.8.8', '93.184.216.34', '172.32.0.1', '2001:4860:4860::8888'];
+
+  privateAddresses.forEach(address => assert.ok(isPrivateAddress(address), address));
+  publicAddresses.forEach(address => assert.ok(!isPrivateAddress(address), address));
+});
+
+test('webhook URLs for private destinations are refused', async () => {
+  for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest', 'http://[::1]/', 'http://localhost/hook']) {
+    assert.strictEqual(await checkWebhookTarget(url), 'Webhook URL must not point to a private address', url);
+  }
+  assert.strictEqual(await checkWebhookTarget('https://93.184.216.34/hook'), null);
+});
+
+test('deliveries are not sent to a host that resolves to a private address', async (t) => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received += 1;
+    res.end();
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const labId = new mongoose.Types.ObjectId();
+  const { port } = server.address();
+  const deliveries = useWebhookStore(t, [
+    new Webhook({ labId, url: `http://localhost:${port}/hook`, events: ['login.failed'], secret: 'whsec_test' }),
+    new Webhook({ labId, url: `http://127.0.0.1:${port}/hook`, events: ['login.failed'], secret: 'whsec_test' })
+  ]);
+  await queueWebhookEvent(labId, 'login.failed', {});
+
+  assert.strictEqual(await processWebhookDeliveries(), 2);
+
+  assert.strictEqual(received, 0);
+  assert.match(deliveries[0].lastError, /localhost resolves to a private address/);
+  assert.match(deliveries[1].lastError, /127\.0\.0\.1 is a private address/);
+});
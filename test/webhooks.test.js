@@ -0,0 +1,139 @@
+// test/webhooks.test.js - Signed deliveries to a local HTTP receiver, with retries
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+require('./fixtures/env');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const { signPayload, queueWebhookEvent, processWebhookDeliveries } = require('../utils/webhooks');
+const { useWebhookStore, fastForward } = require('./fixtures/webhookStore');
+
+const SECRET = 'whsec_test';
+const labId = new mongoose.Types.ObjectId();
+
+/**
+ * A receiver answering each request with the next status in `statuses`
+ * (the last one repeats). It checks signatures the way integrators are told to.
+ */
+const startReceiver = async (t, statuses) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const expected = signPayload(SECRET, req.headers['x-webhook-timestamp'], body);
+      requests.push({ headers: req.headers, body: JSON.parse(body), signatureValid: expected === req.headers['x-webhook-signature'] });
+      res.writeHead(statuses[Math.min(requests.length - 1, statuses.length - 1)]);
+      res.end('receiver says: internal details here');
+    });
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+};
+
+const createWebhook = (url, fields = {}) => new Webhook({
+  labId,
+  url,
+  events: ['login.failed'],
+  secret: SECRET,
+  ...fields
+});
+
+test('signatures are an HMAC of the timestamp and the raw body', () => {
+  const body = '{"event":"login.failed"}';
+  const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+  assert.strictEqual(signPayload(SECRET, '1700000000', body), `sha256=${expected}`);
+  assert.notStrictEqual(signPayload(SECRET, '1700000001', body), `sha256=${expected}`);
+});
+
+test('events are queued only for webhooks subscribed to them', async (t) => {
+  const deliveries = useWebhookStore(t, [
+    createWebhook('http://127.0.0.1:1/a'),
+    createWebhook('http://127.0.0.1:1/b', { events: ['employee.created'] }),
+    createWebhook('http://127.0.0.1:1/c', { isActive: false })
+  ]);
+
+  await queueWebhookEvent(labId, 'login.failed', { email: 'ada@lab.test' });
+
+  assert.strictEqual(deliveries.length, 1);
+  assert.strictEqual(deliveries[0].status, 'pending');
+  assert.deepStrictEqual(JSON.parse(deliveries[0].body).data, { email: 'ada@lab.test' });
+});
+
+test('a delivery is signed, and retried with backoff until the receiver accepts it', async (t) => {
+  const receiver = await startReceiver(t, [500, 204]);
+  const deliveries = useWebhookStore(t, [createWebhook(receiver.url)]);
+  await queueWebhookEvent(labId, 'login.failed', { email: 'ada@lab.test' });
+  const [delivery] = deliveries;
+
+  const before = Date.now();
+  assert.strictEqual(await processWebhookDeliveries(), 1);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.lastStatusCode, 500);
+  assert.ok(delivery.nextAttemptAt - before >= 30 * 1000);
+
+  // Not due again until the backoff has passed
+  assert.strictEqual(await processWebhookDeliveries(), 0);
+  fastForward(deliveries);
+  assert.strictEqual(await processWebhookDeliveries(), 1);
+
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(delivery.attempts, 2);
+  assert.strictEqual(receiver.requests.length, 2);
+  receiver.requests.forEach(request => {
+    assert.ok(request.signatureValid);
+    assert.strictEqual(request.headers['x-webhook-event'], 'login.failed');
+    assert.strictEqual(request.headers['x-webhook-delivery'], delivery._id.toString());
+    assert.strictEqual(request.body.id, delivery._id.toString());
+  });
+});
+
+test('receiver responses are not kept, only their status', async (t) => {
+  const receiver = await startReceiver(t, [500]);
+  const deliveries = useWebhookStore(t, [createWebhook(receiver.url)]);
+  await queueWebhookEvent(labId, 'login.failed', {});
+
+  await processWebhookDeliveries();
+
+  const [attempt] = deliveries[0].attemptLog;
+  assert.strictEqual(attempt.statusCode, 500);
+  assert.strictEqual(attempt.error, 'Receiver responded with HTTP 500');
+  assert.ok(!JSON.stringify(deliveries[0]).includes('internal details'));
+});
+
+test('a delivery fails for good after the last attempt', async (t) => {
+  const deliveries = useWebhookStore(t, [createWebhook('http://127.0.0.1:1/unreachable')]);
+  await queueWebhookEvent(labId, 'login.failed', {});
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    fastForward(deliveries);
+    await processWebhookDeliveries();
+  }
+
+  assert.strictEqual(deliveries[0].status, 'failed');
+  assert.strictEqual(deliveries[0].attempts, 3);
+  assert.match(deliveries[0].lastError, /ECONNREFUSED/);
+});
+
+test('deliveries to a webhook that was disabled fail without being sent', async (t) => {
+  const receiver = await startReceiver(t, [204]);
+  const webhook = createWebhook(receiver.url);
+  const deliveries = useWebhookStore(t, [webhook]);
+  await queueWebhookEvent(labId, 'login.failed', {});
+
+  webhook.isActive = false;
+  await processWebhookDeliveries();
+
+  assert.strictEqual(deliveries[0].status, 'failed');
+  assert.strictEqual(deliveries[0].lastError, 'Webhook is disabled');
+  assert.strictEqual(receiver.requests.length, 0);
+});
@@ -0,0 +1,59 @@
+// utils/adminEvents.js - Events pushed to lab admins' live dashboards
+const AdminEvent = require('../models/AdminEvent');
+const { queueWebhookEvent } = require('./webhooks');
+
+/**
+ * Record an event for the admins of a lab. Every server instance picks it up
+ * from the collection and pushes it to its subscribed admin sockets (see
+ * websocket/adminEventStream.js). Failures are logged, never thrown: the
+ * stream must not break the request that caused the event.
+ */
+const publishAdminEvent = async ({ labId, type, userId, sessionId, data = {} }) => {
+  if (!labId) {
+    return null;
+  }
+
+  try {
+    return await new AdminEvent({
+      labId: labId._id || labId,
+      type,
+      userId: userId && (userId._id || userId),
+      sessionId: sessionId && (sessionId._id || sessionId),
+      data
+    }).save();
+  } catch (error) {
+    console.error(`Admin event ${type} error:`, error);
+    return null;
+  }
+};
+
+// A rejected login, for the lab's admins and its login.failed webhooks.
+// Attempts for unknown emails belong to no lab and are skipped.
+const publishFailedLogin = async (attempt) => {
+  const data = {
+    email: attempt.email,
+    failureReason: attempt.failureReason,
+    ipAddress: attempt.ipAddress,
+    location: attempt.attemptLocation,
+    isWithinGeofence: attempt.isWithinGeofence,
+    distanceFromLab: attempt.distanceFromLab
+  };
+
+  await queueWebhookEvent(attempt.labId, 'login.failed', {
+    ...data,
+    userId: attempt.userId ? attempt.userId.toString() : null,
+    attemptedAt: attempt.timestamp
+  });
+
+  return publishAdminEvent({
+    labId: attempt.labId,
+    type: 'failed_login',
+    userId: attempt.userId,
+    data
+  });
+};
+
+module.exports = {
+  publishAdminEvent,
+  publishFailedLogin
+};
@@ -0,0 +1,351 @@
+// utils/attendance.js - Daily attendance derived from employee sessions
+const EmployeeSession = require('../models/EmployeeSession');
+const ActivityLog = require('../models/ActivityLog');
+const Attendance = require('../models/Attendance');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const Holiday = require('../models/Holiday');
+const LeaveRequest = require('../models/LeaveRequest');
+const Lab = require('../models/Lab');
+const config = require('../config');
+const { getSessionPolicy } = require('./sessionPolicy');
+
+const MINUTE_MS = 60 * 1000;
+
+// Activity entries that carry a geofence evaluation of a location fix, besides
+// API calls that were sent with a location
+const FIX_ACTIONS = ['heartbeat', 'location_update', 'geofence_violation'];
+
+// Days are calendar days in server time, keyed YYYY-MM-DD
+const toDateKey = (date) => {
+  const day = new Date(date);
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  return `${day.getFullYear()}-${month}-${String(day.getDate()).padStart(2, '0')}`;
+};
+
+const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const listDateKeys = (fromKey, toKey) => {
+  const keys = [];
+  for (let day = parseDateKey(fromKey); toDateKey(day) <= toKey; day = addDays(day, 1)) {
+    keys.push(toDateKey(day));
+  }
+  return keys;
+};
+
+/**
+ * Days from `fromKey` to `toKey` an employee is not expected at work, keyed
+ * by date: `{ type: 'holiday', name }` for lab holidays, the weekly day off
+ * of utils/shifts.js findWeeklyDayOff (`{ type: 'weekend' }` or
+ * `{ type: 'off', shiftId }`), otherwise `{ type: 'leave', leaveRequestId }`
+ * for approved leave. Pass the lab's `schedule` if it is already loaded.
+ */
+const getDaysOff = async (user, fromKey, toKey, schedule = null) => {
+  // Required here because utils/shifts.js requires this module
+  const { loadLabSchedule, findWeeklyDayOff } = require('./shifts');
+  const labId = user.labId._id || user.labId;
+
+  const [holidays, leaves, labSchedule] = await Promise.all([
+    Holiday.find({ labId, date: { $gte: fromKey, $lte: toKey } }).select('date name').lean(),
+    LeaveRequest.find({
+      userId: user._id,
+      status: 'approved',
+      startDate: { $lte: toKey },
+      endDate: { $gte: fromKey }
+    }).select('startDate endDate').lean(),
+    schedule || loadLabSchedule(labId)
+  ]);
+
+  const daysOff = new Map();
+  leaves.forEach(leave => {
+    const first = leave.startDate > fromKey ? leave.startDate : fromKey;
+    const last = leave.endDate < toKey ? leave.endDate : toKey;
+    listDateKeys(first, last).forEach(key => daysOff.set(key, { type: 'leave', leaveRequestId: leave._id }));
+  });
+  // Leave does not take days the employee has off anyway (see countLeaveDays)
+  listDateKeys(fromKey, toKey).forEach(key => {
+    const weeklyDayOff = findWeeklyDayOff(user, key, labSchedule.assignments, labSchedule.shiftsById);
+    if (weeklyDayOff) {
+      daysOff.set(key, weeklyDayOff);
+    }
+  });
+  holidays.forEach(holiday => daysOff.set(holiday.date, { type: 'holiday', name: holiday.name }));
+
+  return daysOff;
+};
+
+// Union of `{ start, end }` intervals (ms), sorted and without overlaps
+const mergeIntervals = (intervals) => intervals
+  .filter(interval => interval.end > interval.start)
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+    return merged;
+  }, []);
+
+const clipIntervals = (intervals, start, end) => intervals
+  .map(interval => ({ start: Math.max(interval.start, start), end: Math.min(interval.end, end) }))
+  .filter(interval => interval.end > interval.start);
+
+const totalMinutes = (intervals) => Math.round(
+  intervals.reduce((sum, interval) => sum + interval.end - interval.start, 0) / MINUTE_MS
+);
+
+// An open session counts up to its last activity, not up to now
+const getSessionInterval = (session) => ({
+  start: new Date(session.loginTime).getTime(),
+  end: new Date(session.isActive ? session.lastActivity : session.logoutTime || session.lastActivity).getTime()
+});
+
+/**
+ * Periods a session spent outside the geofence. Each fix that was outside
+ * counts until the session's next fix, but for at most `maxGapMs`: a session
+ * that sends nothing for longer would have timed out.
+ */
+const getOutOfFenceIntervals = (fixes, sessionEnd, maxGapMs) => {
+  const intervals = [];
+
+  fixes.forEach((fix, index) => {
+    if (fix.isWithinGeofence !== false) {
+      return;
+    }
+    const start = new Date(fix.timestamp).getTime();
+    const next = fixes[index + 1];
+    const end = Math.min(next ? new Date(next.timestamp).getTime() : sessionEnd, start + maxGapMs, sessionEnd);
+    intervals.push({ start, end });
+  });
+
+  return intervals;
+};
+
+// Attendance status of a day without work, by the type of day off
+const DAY_OFF_STATUSES = {
+  holiday: 'holiday',
+  leave: 'on_leave',
+  weekend: 'day_off',
+  off: 'day_off'
+};
+
+// A day without work is only an absence when the employee was expected
+const getAttendanceStatus = (netMinutes, dayOff) => {
+  if (netMinutes >= config.attendance.fullDayMinutes) {
+    return 'present';
+  }
+  if (netMinutes > 0) {
+    return 'partial';
+  }
+  if (dayOff) {
+    return DAY_OFF_STATUSES[dayOff.type];
+  }
+  return 'absent';
+};
+
+// Sessions as corrected by approved wrong_logout corrections
+const applyLogoutCorrections = (sessions, corrections) => {
+  const logoutTimes = new Map(corrections
+    .filter(correction => correction.sessionId)
+    .map(correction => [correction.sessionId.toString(), correction.endTime]));
+
+  return sessions.map(session => {
+    const logoutTime = logoutTimes.get(session._id.toString());
+    return logoutTime ? { ...session, isActive: false, logoutTime } : session;
+  });
+};
+
+/**
+ * Attendance of one employee on one day from the sessions and location fixes
+ * that touch it, plus approved corrections. Sessions crossing midnight count
+ * towards both days; parallel sessions (several devices) and corrections
+ * overlapping a session are not counted twice.
+ */
+const buildAttendanceDay = ({ user, dateKey, sessions, fixesBySession, maxGapMs, now, corrections = [], dayOff = null }) => {
+  const dayStart = parseDateKey(dateKey).getTime();
+  const dayEnd = addDays(dayStart, 1).getTime();
+
+  const daySessions = applyLogoutCorrections(sessions, corrections).filter(session => {
+    const { start, end } = getSessionInterval(session);
+    return start < dayEnd && (end > dayStart || start >= dayStart);
+  });
+
+  // Time on site without a session (missed punch, denied login)
+  const addedIntervals = corrections
+    .filter(correction => !correction.sessionId)
+    .map(correction => ({ start: new Date(correction.startTime).getTime(), end: new Date(correction.endTime).getTime() }));
+
+  const worked = mergeIntervals(clipIntervals([
+    ...daySessions.map(getSessionInterval),
+    ...addedIntervals
+  ], dayStart, dayEnd));
+
+  const outside = mergeIntervals(clipIntervals(daySessions.flatMap(session => getOutOfFenceIntervals(
+    fixesBySession.get(session._id.toString()) || [],
+    getSessionInterval(session).end,
+    maxGapMs
+  )), dayStart, dayEnd));
+
+  const dayCorrections = corrections.filter(correction => (
+    new Date(correction.startTime).getTime() < dayEnd && new Date(correction.endTime).getTime() > dayStart
+  ));
+
+  const workedMinutes = totalMinutes(worked);
+  const outOfFenceMinutes = Math.min(totalMinutes(outside), workedMinutes);
+  const hasActiveSession = daySessions.some(session => session.isActive);
+
+  return {
+    userId: user._id,
+    labId: user.labId._id || user.labId,
+    date: dateKey,
+    dayStart: new Date(dayStart),
+    firstIn: worked.length > 0 ? new Date(worked[0].start) : null,
+    lastOut: worked.length > 0 ? new Date(worked[worked.length - 1].end) : null,
+    workedMinutes,
+    outOfFenceMinutes,
+    sessionCount: daySessions.length,
+    corrections: dayCorrections.map(correction => correction._id),
+    status: getAttendanceStatus(workedMinutes - outOfFenceMinutes, dayOff),
+    holidayName: dayOff && dayOff.type === 'holiday' ? dayOff.name : null,
+    leaveRequestId: dayOff && dayOff.type === 'leave' ? dayOff.leaveRequestId : null,
+    hasActiveSession,
+    isFinal: now >= dayEnd && !hasActiveSession,
+    computedAt: new Date(now)
+  };
+};
+
+/**
+ * Attendance records of one employee for every day from `fromKey` to `toKey`
+ * (inclusive, not past today and not before the account existed). Final
+ * records are read back; the rest are recomputed and saved. The employee's
+ * lab and its shift `schedule` are loaded unless passed in.
+ */
+const getEmployeeAttendance = async (user, fromKey, toKey, { lab, schedule } = {}) => {
+  const now = Date.now();
+  const firstKey = user.createdAt ? [fromKey, toDateKey(user.createdAt)].sort()[1] : fromKey;
+  const lastKey = [toKey, toDateKey(now)].sort()[0];
+  const dateKeys = firstKey <= lastKey ? listDateKeys(firstKey, lastKey) : [];
+
+  if (dateKeys.length === 0) {
+    return [];
+  }
+
+  const stored = await Attendance.find({ userId: user._id, date: { $in: dateKeys } }).lean();
+  const recordsByDate = new Map(stored.filter(record => record.isFinal).map(record => [record.date, record]));
+  const pendingKeys = dateKeys.filter(key => !recordsByDate.has(key));
+
+  if (pendingKeys.length > 0) {
+    const rangeStart = parseDateKey(pendingKeys[0]);
+    const rangeEnd = addDays(parseDateKey(pendingKeys[pendingKeys.length - 1]), 1);
+
+    const corrections = await AttendanceCorrection.find({
+      userId: user._id,
+      status: 'approved',
+      startTime: { $lt: rangeEnd },
+      endTime: { $gt: rangeStart }
+    }).select('sessionId startTime endTime').lean();
+
+    // A corrected logout may bring a session into range that ended before it
+    const correctedSessionIds = corrections.filter(correction => correction.sessionId).map(correction => correction.sessionId);
+
+    const sessions = await EmployeeSession.find({
+      userId: user._id,
+      $or: [
+        { loginTime: { $lt: rangeEnd }, isActive: true },
+        { loginTime: { $lt: rangeEnd }, logoutTime: { $gte: rangeStart } },
+        { _id: { $in: correctedSessionIds } }
+      ]
+    }).select('loginTime logoutTime lastActivity isActive').lean();
+
+    const fixes = sessions.length > 0
+      ? await ActivityLog.find({
+        sessionId: { $in: sessions.map(session => session._id) },
+        $or: [
+          { action: { $in: FIX_ACTIONS } },
+          { action: 'api_call', 'location.latitude': { $exists: true } }
+        ]
+      }).select('sessionId timestamp isWithinGeofence').sort({ timestamp: 1 }).lean()
+      : [];
+
+    const fixesBySession = new Map();
+    fixes.forEach(fix => {
+      const key = fix.sessionId.toString();
+      if (!fixesBySession.has(key)) {
+        fixesBySession.set(key, []);
+      }
+      fixesBySession.get(key).push(fix);
+    });
+
+    const daysOff = await getDaysOff(user, pendingKeys[0], pendingKeys[pendingKeys.length - 1], schedule);
+    const policyLab = lab || await Lab.findById(user.labId._id || user.labId).select('sessionPolicy');
+    const maxGapMs = getSessionPolicy(policyLab).idleTimeoutMinutes * MINUTE_MS;
+
+    const computed = pendingKeys.map(dateKey => buildAttendanceDay({
+      user,
+      dateKey,
+      sessions,
+      fixesBySession,
+      maxGapMs,
+      now,
+      corrections,
+      dayOff: daysOff.get(dateKey) || null
+    }));
+
+    await Attendance.bulkWrite(computed.map(record => ({
+      updateOne: {
+        filter: { userId: record.userId, date: record.date },
+        update: { $set: record },
+        upsert: true
+      }
+    })));
+
+    computed.forEach(record => recordsByDate.set(record.date, record));
+  }
+
+  return dateKeys.map(key => recordsByDate.get(key));
+};
+
+// Let the days an interval touches be recomputed, e.g. after a correction
+const reopenAttendanceDays = (userId, start, end) => Attendance.updateMany(
+  { userId, date: { $in: listDateKeys(toDateKey(start), toDateKey(end)) } },
+  { isFinal: false }
+);
+
+// Let a day be recomputed for everyone in a lab, e.g. after a holiday change
+const reopenLabAttendanceDay = (labId, dateKey) => Attendance.updateMany(
+  { labId, date: dateKey },
+  { isFinal: false }
+);
+
+// Totals over a list of attendance records
+const summarizeAttendance = (records) => records.reduce((summary, record) => {
+  summary[record.status] += 1;
+  summary.workedMinutes += record.workedMinutes;
+  summary.outOfFenceMinutes += record.outOfFenceMinutes;
+  return summary;
+}, { present: 0, partial: 0, absent: 0, on_leave: 0, holiday: 0, day_off: 0, workedMinutes: 0, outOfFenceMinutes: 0 });
+
+module.exports = {
+  toDateKey,
+  parseDateKey,
+  addDays,
+  listDateKeys,
+  getDaysOff,
+  mergeIntervals,
+  getSessionInterval,
+  buildAttendanceDay,
+  getEmployeeAttendance,
+  reopenAttendanceDays,
+  reopenLabAttendanceDay,
+  summarizeAttendance
+};
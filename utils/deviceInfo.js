@@ -0,0 +1,72 @@
+// utils/deviceInfo.js - Lightweight User-Agent parsing for session device info
+
+const BROWSER_PATTERNS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ }
+];
+
+const OS_PATTERNS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Chrome OS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+// Extract browser, OS and device type from a User-Agent header
+const parseUserAgent = (userAgent) => {
+  const ua = userAgent || '';
+
+  const browserMatch = BROWSER_PATTERNS.find(({ pattern }) => pattern.test(ua));
+  const osMatch = OS_PATTERNS.find(({ pattern }) => pattern.test(ua));
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(ua)) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|Android/.test(ua)) {
+    deviceType = 'mobile';
+  }
+
+  return {
+    browser: browserMatch ? browserMatch.name : 'Unknown',
+    os: osMatch ? osMatch.name : 'Unknown',
+    deviceType
+  };
+};
+
+// Build the deviceInfo block stored on EmployeeSession
+const buildDeviceInfo = (userAgent, ipAddress) => {
+  const agent = userAgent || 'Unknown';
+  const { browser, os } = parseUserAgent(agent);
+
+  return {
+    userAgent: agent,
+    ipAddress: ipAddress || 'unknown',
+    browser,
+    os
+  };
+};
+
+const getDeviceInfo = (req) => buildDeviceInfo(req.get('User-Agent'), req.ip);
+
+// Same for the HTTP upgrade request of a WebSocket connection
+const getUpgradeDeviceInfo = (req) => {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  const ipAddress = forwardedFor
+    ? forwardedFor.split(',')[0].trim()
+    : req.socket && req.socket.remoteAddress;
+
+  return buildDeviceInfo(req.headers['user-agent'], ipAddress);
+};
+
+module.exports = {
+  parseUserAgent,
+  buildDeviceInfo,
+  getDeviceInfo,
+  getUpgradeDeviceInfo
+};
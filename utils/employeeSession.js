@@ -0,0 +1,257 @@
+// utils/employeeSession.js - Opens, renews and ends tracked employee sessions
+const EmployeeSession = require('../models/EmployeeSession');
+const ActivityLog = require('../models/ActivityLog');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const Lab = require('../models/Lab');
+const sessionEvents = require('./sessionEvents');
+const { parseUserAgent } = require('./deviceInfo');
+const { getSessionPolicy, checkSessionPolicy } = require('./sessionPolicy');
+const { issueAccessToken, hashToken, issueRefreshToken, revokeSessionTokens } = require('./tokens');
+
+const sessionError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Open an EmployeeSession and issue its access and refresh tokens. Also
+ * updates the user's last login and writes the 'login' / 'session_start'
+ * activity entries. With `issueTokens` off the tokens are left to
+ * issueSessionTokens, e.g. on the instance that holds the client's socket.
+ */
+const openEmployeeSession = async ({ user, location, deviceInfo, geofenceCheck = null, loginMethod, endpoint, issueTokens = true }) => {
+  const labId = user.labId._id || user.labId;
+
+  const loginTime = new Date();
+  const currentLocation = {
+    latitude: location.latitude,
+    longitude: location.longitude
+  };
+
+  const session = new EmployeeSession({
+    userId: user._id,
+    labId,
+    loginTime,
+    lastActivity: loginTime,
+    currentLocation,
+    deviceInfo,
+    tokensIssuedAt: issueTokens ? loginTime : null,
+    activityLog: [{
+      timestamp: loginTime,
+      action: 'login',
+      location: currentLocation,
+      metadata: {
+        ipAddress: deviceInfo.ipAddress,
+        userAgent: deviceInfo.userAgent,
+        gpsAccuracy: location.accuracy
+      }
+    }]
+  });
+
+  await session.save();
+
+  let token = null;
+  let refreshToken = null;
+  if (issueTokens) {
+    token = issueAccessToken(user, session);
+    ({ token: refreshToken } = await issueRefreshToken(session, {
+      ipAddress: deviceInfo.ipAddress,
+      userAgent: deviceInfo.userAgent
+    }));
+  }
+
+  user.lastLogin = loginTime;
+  user.lastLoginLocation = currentLocation;
+  await user.save();
+
+  const { deviceType } = parseUserAgent(deviceInfo.userAgent);
+
+  const activityBase = {
+    userId: user._id,
+    labId,
+    sessionId: session._id,
+    timestamp: loginTime,
+    location: currentLocation,
+    distanceFromLab: geofenceCheck ? geofenceCheck.distance : 0,
+    isWithinGeofence: geofenceCheck ? geofenceCheck.isWithin : true,
+    metadata: {
+      ipAddress: deviceInfo.ipAddress,
+      userAgent: deviceInfo.userAgent,
+      endpoint,
+      loginMethod,
+      browser: deviceInfo.browser,
+      os: deviceInfo.os,
+      deviceType
+    }
+  };
+
+  await new ActivityLog({ ...activityBase, action: 'login' }).save();
+  await new ActivityLog({ ...activityBase, action: 'session_start' }).save();
+
+  sessionEvents.emit('session_opened', { session, user, loginMethod });
+
+  return { token, refreshToken, session };
+};
+
+/**
+ * Issue the first access and refresh tokens of a session opened with
+ * `issueTokens` off. The session is claimed first, so its tokens are only
+ * ever handed out once. Returns null if it has ended or already has them.
+ */
+const issueSessionTokens = async (sessionId) => {
+  const session = await EmployeeSession.findOneAndUpdate(
+    { _id: sessionId, isActive: true, tokensIssuedAt: null },
+    { tokensIssuedAt: new Date() },
+    { new: true }
+  );
+  if (!session) {
+    return null;
+  }
+
+  const user = await User.findOne({ _id: session.userId, isActive: true });
+  if (!user) {
+    return null;
+  }
+
+  const token = issueAccessToken(user, session);
+  const { token: refreshToken } = await issueRefreshToken(session, {
+    ipAddress: session.deviceInfo && session.deviceInfo.ipAddress,
+    userAgent: session.deviceInfo && session.deviceInfo.userAgent
+  });
+
+  return { token, refreshToken, session };
+};
+
+/**
+ * End an active EmployeeSession, recording `action` both in the session's own
+ * log and as an ActivityLog entry. Its refresh tokens are revoked, auth()
+ * stops accepting its access tokens and a subscribed socket is told.
+ */
+const closeEmployeeSession = async (session, { action, reason, metadata = {} }) => {
+  const now = new Date();
+  const duration = session.getAccruedMinutes(now);
+
+  session.isActive = false;
+  session.logoutTime = now;
+  session.sessionDuration = duration;
+
+  session.activityLog.push({
+    timestamp: now,
+    action,
+    location: session.currentLocation,
+    metadata: {
+      sessionDuration: duration,
+      reason,
+      ...metadata
+    }
+  });
+
+  await session.save();
+  await revokeSessionTokens(session._id, reason || action);
+
+  await new ActivityLog({
+    userId: session.userId._id || session.userId,
+    labId: session.labId._id || session.labId,
+    sessionId: session._id,
+    action,
+    timestamp: now,
+    location: session.currentLocation,
+    metadata: {
+      sessionDuration: duration,
+      reason,
+      ...metadata
+    }
+  }).save();
+
+  sessionEvents.emit('session_closed', { session, action, reason, metadata });
+
+  return session;
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token. Each refresh
+ * token works once; presenting a used one means it has leaked, so the whole
+ * session is ended. Errors carry a `code` for the API response.
+ */
+const refreshEmployeeSession = async (rawToken, { ipAddress, userAgent } = {}) => {
+  const tokenHash = hashToken(rawToken);
+  const now = new Date();
+
+  // Claim the token atomically so two concurrent refreshes cannot both win
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+
+    if (known && known.usedAt) {
+      const session = await EmployeeSession.findOne({ _id: known.sessionId, isActive: true });
+      if (session) {
+        await closeEmployeeSession(session, {
+          action: 'session_end',
+          reason: 'refresh_token_reuse',
+          metadata: { ipAddress, userAgent }
+        });
+      } else {
+        await revokeSessionTokens(known.sessionId, 'refresh_token_reuse');
+      }
+      throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used; the session has been ended');
+    }
+
+    throw sessionError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid or has expired');
+  }
+
+  const session = await EmployeeSession.findOne({ _id: current.sessionId, isActive: true });
+  if (!session) {
+    throw sessionError('SESSION_REVOKED', 'Session has ended, please log in again');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await closeEmployeeSession(session, { action: 'session_end', reason: 'account_inactive' });
+    throw sessionError('SESSION_REVOKED', 'Session has ended, please log in again');
+  }
+
+  // Refreshing does not count as activity, so the lab's limits still apply
+  const lab = await Lab.findById(session.labId).select('sessionPolicy');
+  const violation = checkSessionPolicy(session, getSessionPolicy(lab));
+  if (violation) {
+    await closeEmployeeSession(session, {
+      action: 'timeout',
+      reason: violation.reason,
+      metadata: { thresholdMinutes: violation.thresholdMinutes }
+    });
+    throw sessionError('SESSION_EXPIRED', violation.message);
+  }
+
+  const token = issueAccessToken(user, session);
+  const { token: refreshToken, record } = await issueRefreshToken(session, { ipAddress, userAgent });
+
+  current.replacedBy = record._id;
+  await current.save();
+
+  return { token, refreshToken, session };
+};
+
+/**
+ * End every active session of a user, e.g. "log out all my devices" or when
+ * the account is deactivated. Returns the number of sessions ended.
+ */
+const closeUserSessions = async (userId, { action, reason, metadata = {} }) => {
+  const sessions = await EmployeeSession.find({ userId, isActive: true });
+
+  for (const session of sessions) {
+    await closeEmployeeSession(session, { action, reason, metadata });
+  }
+
+  return sessions.length;
+};
+
+module.exports = {
+  openEmployeeSession,
+  issueSessionTokens,
+  closeEmployeeSession,
+  refreshEmployeeSession,
+  closeUserSessions
+};
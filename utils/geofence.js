@@ -1,90 +1,344 @@
-// utils/geofence.js - Simplified for basic lat/lng only
+// utils/geofence.js - Geofence evaluation with GPS accuracy buffers
 const geolib = require('geolib');
+const config = require('../config');
 
-const isWithinGeofence = (userLocation, labLocation, radius = 100) => {
-  // Validate input coordinates
-  if (!userLocation || !labLocation) {
-    throw new Error('Invalid location data provided');
+// Security tiers by geofence radius. Smaller fences tolerate less GPS drift.
+const SECURITY_TIERS = [
+  {
+    maxRadius: 15,
+    securityLevel: 'very_strict',
+    options: { strictMode: true, customBuffer: 0, minBuffer: 0, maxBuffer: 0 }
+  },
+  {
+    maxRadius: 25,
+    securityLevel: 'strict',
+    options: { strictMode: false, customBuffer: 2, minBuffer: 0, maxBuffer: 3 }
+  },
+  {
+    maxRadius: 50,
+    securityLevel: 'moderate',
+    options: { strictMode: false, customBuffer: null, minBuffer: 0, maxBuffer: 8 }
+  },
+  {
+    maxRadius: Infinity,
+    securityLevel: 'standard',
+    options: { strictMode: false, customBuffer: null, minBuffer: 0, maxBuffer: 20 }
   }
-  
-  if (!validateLocation(userLocation.latitude, userLocation.longitude)) {
-    throw new Error('Invalid user location coordinates');
+];
+
+// Share of the reported GPS accuracy that is credited as buffer
+const SMART_BUFFER_RATIO = 0.5;
+
+const getSecurityTier = (radius) => {
+  const radiusInMeters = parseFloat(radius);
+  return SECURITY_TIERS.find(tier => radiusInMeters <= tier.maxRadius) ||
+    SECURITY_TIERS[SECURITY_TIERS.length - 1];
+};
+
+// Default geofence options for a given radius
+const getGeofenceOptions = (radius) => ({ ...getSecurityTier(radius).options });
+
+// Treat missing, zero, negative or absurd accuracy readings as unknown
+const normalizeAccuracy = (accuracy) => {
+  const value = parseFloat(accuracy);
+  if (isNaN(value) || value <= 0 || value > 1000) {
+    return null;
   }
-  
-  if (!validateLocation(labLocation.latitude, labLocation.longitude)) {
-    throw new Error('Invalid lab location coordinates');
+  return value;
+};
+
+// Work out how many meters of GPS uncertainty to add on top of the radius
+const calculateGPSBuffer = (accuracy, options) => {
+  if (options.strictMode) {
+    return 0;
   }
-  
-  // Calculate distance using geolib
-  let distance;
+
+  const minBuffer = Math.max(0, parseFloat(options.minBuffer) || 0);
+  const maxBuffer = Math.max(minBuffer, parseFloat(options.maxBuffer) || 0);
+
+  let buffer;
+  if (options.customBuffer !== null && options.customBuffer !== undefined) {
+    buffer = parseFloat(options.customBuffer) || 0;
+  } else if (accuracy !== null) {
+    buffer = accuracy * SMART_BUFFER_RATIO;
+  } else {
+    buffer = minBuffer;
+  }
+
+  return Math.round(Math.min(Math.max(buffer, minBuffer), maxBuffer) * 100) / 100;
+};
+
+const toPoint = (location) => ({
+  latitude: parseFloat(location.latitude),
+  longitude: parseFloat(location.longitude)
+});
+
+// GeoJSON positions are [longitude, latitude]
+const ringToPoints = (ring) => ring.map(([longitude, latitude]) => ({ latitude, longitude }));
+
+// Distance between two points in meters, using geolib with a Haversine fallback
+const calculateDistance = (from, to) => {
   try {
     // Try precise distance first, fallback to regular distance
     if (typeof geolib.getPreciseDistance === 'function') {
-      distance = geolib.getPreciseDistance(
-        { 
-          latitude: parseFloat(userLocation.latitude), 
-          longitude: parseFloat(userLocation.longitude) 
-        },
-        { 
-          latitude: parseFloat(labLocation.latitude), 
-          longitude: parseFloat(labLocation.longitude) 
-        },
-        1 // accuracy in meters
-      );
-    } else {
-      // Fallback to regular getDistance
-      distance = geolib.getDistance(
-        { 
-          latitude: parseFloat(userLocation.latitude), 
-          longitude: parseFloat(userLocation.longitude) 
-        },
-        { 
-          latitude: parseFloat(labLocation.latitude), 
-          longitude: parseFloat(labLocation.longitude) 
-        }
-      );
+      return geolib.getPreciseDistance(from, to, 1); // accuracy in meters
     }
+    return geolib.getDistance(from, to);
   } catch (error) {
     console.error('Geolib distance calculation error:', error);
-    // Manual Haversine formula as fallback
-    distance = calculateHaversineDistance(
-      parseFloat(userLocation.latitude), 
-      parseFloat(userLocation.longitude),
-      parseFloat(labLocation.latitude), 
-      parseFloat(labLocation.longitude)
-    );
+    return calculateHaversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
   }
-  
-  const radiusInMeters = parseFloat(radius);
-  
-  // Simple comparison - no GPS buffers or accuracy calculations
-  const isWithin = distance <= radiusInMeters;
-  
-  // Calculate bearing if available
-  let bearing = null;
+};
+
+const calculateBearing = (from, to) => {
   try {
     if (typeof geolib.getBearing === 'function') {
-      bearing = geolib.getBearing(
-        { latitude: parseFloat(labLocation.latitude), longitude: parseFloat(labLocation.longitude) },
-        { latitude: parseFloat(userLocation.latitude), longitude: parseFloat(userLocation.longitude) }
-      );
+      return geolib.getBearing(from, to);
     } else if (typeof geolib.getGreatCircleBearing === 'function') {
-      bearing = geolib.getGreatCircleBearing(
-        { latitude: parseFloat(labLocation.latitude), longitude: parseFloat(labLocation.longitude) },
-        { latitude: parseFloat(userLocation.latitude), longitude: parseFloat(userLocation.longitude) }
-      );
+      return geolib.getGreatCircleBearing(from, to);
     }
   } catch (error) {
     console.error('Bearing calculation error:', error);
-    bearing = null;
+  }
+  return null;
+};
+
+// Radius of a circle with the same area as the polygon; used to pick its security tier
+const getPolygonEquivalentRadius = (outerRing) => {
+  const area = geolib.getAreaOfPolygon(outerRing);
+  return Math.round(Math.sqrt(area / Math.PI));
+};
+
+// Distance in meters from a point to the segment between two others, in a
+// flat projection around the point. geolib.getDistanceFromLine works from
+// rounded distances to the segment's ends and loses a few meters off a long
+// edge, which is the whole GPS buffer.
+const getDistanceToSegment = (point, start, end) => {
+  const metersPerDegree = 6371e3 * Math.PI / 180;
+  const project = (p) => ({
+    x: (p.longitude - point.longitude) * metersPerDegree * Math.cos(point.latitude * Math.PI / 180),
+    y: (p.latitude - point.latitude) * metersPerDegree
+  });
+  const a = project(start);
+  const b = project(end);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.min(Math.max(-(a.x * dx + a.y * dy) / lengthSquared, 0), 1);
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+};
+
+// Shortest distance from a point to any edge of the given rings
+const getDistanceToRings = (point, rings) => {
+  let minDistance = Infinity;
+  rings.forEach(ring => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const distance = getDistanceToSegment(point, ring[i], ring[i + 1]);
+      if (distance < minDistance) minDistance = distance;
+    }
+  });
+  return minDistance;
+};
+
+// Validate a zone definition, returning an error message or null
+const validateGeofenceZone = (zone) => {
+  if (!zone || typeof zone !== 'object') {
+    return 'Zone must be an object';
+  }
+
+  if (zone.type === 'circle') {
+    if (!zone.center || !validateLocation(zone.center.latitude, zone.center.longitude)) {
+      return 'Circle zone requires a valid center';
+    }
+    const radius = parseFloat(zone.radius);
+    const { minRadiusMeters, maxRadiusMeters } = config.geofence;
+    if (isNaN(radius) || radius < minRadiusMeters || radius > maxRadiusMeters) {
+      return `Circle zone radius must be between ${minRadiusMeters} and ${maxRadiusMeters} meters`;
+    }
+    return null;
+  }
+
+  if (zone.type === 'polygon') {
+    const polygon = zone.polygon;
+    if (!polygon || polygon.type !== 'Polygon' || !Array.isArray(polygon.coordinates) || polygon.coordinates.length === 0) {
+      return 'Polygon zone requires a GeoJSON Polygon';
+    }
+    for (const ring of polygon.coordinates) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return 'Polygon rings need at least 4 positions';
+      }
+      if (!ring.every(position => Array.isArray(position) && validateLocation(position[1], position[0]))) {
+        return 'Polygon positions must be valid [longitude, latitude] pairs';
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return 'Polygon rings must be closed (first and last positions equal)';
+      }
+    }
+    return null;
+  }
+
+  return 'Zone type must be circle or polygon';
+};
+
+// Normalized zone set for a lab. Labs without explicit zones get a single circle
+// around their location using the legacy geofence radius.
+const getLabZones = (lab) => {
+  if (!lab) return [];
+
+  const zones = lab.geofence && Array.isArray(lab.geofence.zones) ? lab.geofence.zones : [];
+  if (zones.length > 0) {
+    return zones.map((zone, index) => ({
+      id: zone._id ? zone._id.toString() : null,
+      index,
+      name: zone.name || `Zone ${index + 1}`,
+      type: zone.type,
+      center: zone.center,
+      radius: zone.radius,
+      polygon: zone.polygon
+    }));
+  }
+
+  if (lab.location && lab.geofence && lab.geofence.radius) {
+    return [{
+      id: null,
+      index: 0,
+      name: 'Main',
+      type: 'circle',
+      center: lab.location,
+      radius: lab.geofence.radius
+    }];
+  }
+
+  return [];
+};
+
+const evaluateCircleZone = (point, zone, accuracy, options) => {
+  if (!validateLocation(zone.center.latitude, zone.center.longitude)) {
+    throw new Error('Invalid lab location coordinates');
+  }
+
+  const center = toPoint(zone.center);
+  const radiusInMeters = parseFloat(zone.radius);
+  const tier = getSecurityTier(radiusInMeters);
+  const geofenceOptions = { ...tier.options, ...options };
+  const gpsAccuracyBuffer = calculateGPSBuffer(accuracy, geofenceOptions);
+
+  const distance = calculateDistance(point, center);
+  const effectiveRadius = radiusInMeters + gpsAccuracyBuffer;
+
+  return {
+    distance,
+    distanceToEdge: Math.max(0, distance - radiusInMeters),
+    radiusInMeters,
+    effectiveRadius,
+    gpsAccuracyBuffer,
+    isWithinOriginalRadius: distance <= radiusInMeters,
+    isWithin: distance <= effectiveRadius,
+    securityLevel: tier.securityLevel,
+    strictMode: !!geofenceOptions.strictMode,
+    bearing: calculateBearing(center, point)
+  };
+};
+
+const evaluatePolygonZone = (point, zone, accuracy, options) => {
+  const rings = zone.polygon.coordinates.map(ringToPoints);
+  const [outerRing, ...holes] = rings;
+
+  const equivalentRadius = getPolygonEquivalentRadius(outerRing);
+  const tier = getSecurityTier(equivalentRadius);
+  const geofenceOptions = { ...tier.options, ...options };
+  const gpsAccuracyBuffer = calculateGPSBuffer(accuracy, geofenceOptions);
+
+  const isInside = geolib.isPointInPolygon(point, outerRing) &&
+    !holes.some(hole => geolib.isPointInPolygon(point, hole));
+  const edgeDistance = Math.round(getDistanceToRings(point, rings));
+  const distanceToEdge = isInside ? 0 : edgeDistance;
+
+  const center = geolib.getCenter(outerRing.slice(0, -1));
+  const distance = center ? calculateDistance(point, toPoint(center)) : distanceToEdge;
+
+  return {
+    distance,
+    distanceToEdge,
+    radiusInMeters: null,
+    effectiveRadius: null,
+    gpsAccuracyBuffer,
+    isWithinOriginalRadius: isInside,
+    isWithin: isInside || distanceToEdge <= gpsAccuracyBuffer,
+    securityLevel: tier.securityLevel,
+    strictMode: !!geofenceOptions.strictMode,
+    bearing: center ? calculateBearing(toPoint(center), point) : null
+  };
+};
+
+/**
+ * Evaluate a location against a geofence.
+ * `target` is either a single lab location ({ latitude, longitude }, evaluated as a
+ * circle of `radius` meters) or a zone set as returned by getLabZones(). Options
+ * override the per-zone security tier defaults.
+ */
+const isWithinGeofence = (userLocation, target, radius = 100, options = {}) => {
+  // Validate input coordinates
+  if (!userLocation || !target) {
+    throw new Error('Invalid location data provided');
   }
   
+  if (!validateLocation(userLocation.latitude, userLocation.longitude)) {
+    throw new Error('Invalid user location coordinates');
+  }
+
+  const zones = Array.isArray(target)
+    ? target
+    : [{ id: null, index: 0, name: 'Main', type: 'circle', center: target, radius }];
+
+  if (zones.length === 0) {
+    throw new Error('No geofence zones configured');
+  }
+
+  const point = toPoint(userLocation);
+  const accuracy = normalizeAccuracy(userLocation.accuracy);
+
+  const results = zones.map(zone => ({
+    zone,
+    ...(zone.type === 'polygon'
+      ? evaluatePolygonZone(point, zone, accuracy, options)
+      : evaluateCircleZone(point, zone, accuracy, options))
+  }));
+
+  // Prefer a zone the user is strictly inside, then one reached via GPS buffer
+  const matched = results.find(result => result.isWithinOriginalRadius) ||
+    results.find(result => result.isWithin) ||
+    null;
+  const nearest = results.reduce((best, result) =>
+    result.distanceToEdge < best.distanceToEdge ? result : best
+  );
+  const primary = matched || nearest;
+
+  const describeZone = (result) => result ? {
+    id: result.zone.id,
+    index: result.zone.index,
+    name: result.zone.name,
+    type: result.zone.type
+  } : null;
+
   return {
-    isWithin: isWithin,
-    distance: distance, // actual distance in meters
-    distanceInKm: Math.round((distance / 1000) * 100) / 100,
-    radiusInMeters: radiusInMeters,
-    bearing: bearing
+    isWithin: !!matched,
+    distance: primary.distance, // distance to the zone center in meters
+    distanceInKm: Math.round((primary.distance / 1000) * 100) / 100,
+    distanceToEdge: matched ? 0 : nearest.distanceToEdge,
+    radiusInMeters: primary.radiusInMeters,
+    effectiveRadius: primary.effectiveRadius,
+    gpsAccuracy: accuracy,
+    gpsAccuracyBuffer: primary.gpsAccuracyBuffer,
+    isWithinOriginalRadius: !!matched && matched.isWithinOriginalRadius,
+    isWithinGPSBuffer: !!matched && !matched.isWithinOriginalRadius,
+    securityLevel: primary.securityLevel,
+    strictMode: primary.strictMode,
+    matchedZone: describeZone(matched),
+    nearestZone: describeZone(nearest),
+    bearing: primary.bearing
   };
 };
 
@@ -131,6 +385,10 @@ const formatDistance = (distanceInMeters) => {
 
 module.exports = { 
   isWithinGeofence, 
+  getLabZones,
+  validateGeofenceZone,
+  getGeofenceOptions,
+  getSecurityTier,
   validateLocation, 
   formatDistance,
   calculateHaversineDistance
@@ -0,0 +1,162 @@
+// utils/geofenceEnforcement.js - What a lab's policy does to employees who stay outside the geofence
+const ActivityLog = require('../models/ActivityLog');
+const EmployeeSession = require('../models/EmployeeSession');
+const sessionEvents = require('./sessionEvents');
+const { publishAdminEvent } = require('./adminEvents');
+const { closeEmployeeSession } = require('./employeeSession');
+
+const MINUTE_MS = 60 * 1000;
+
+// ActivityLog action (and admin event type) for each outsideGeofenceAction
+const ENFORCEMENT_ACTIONS = {
+  warn: 'geofence_warning',
+  pause_accrual: 'accrual_paused',
+  end_session: 'geofence_session_end'
+};
+
+// The action a policy takes and after how many minutes outside. Ending the
+// session on leaving the geofence is end_session as soon as the exit is confirmed.
+const getEnforcement = (policy) => (policy.endSessionOnGeofenceExit
+  ? { action: ENFORCEMENT_ACTIONS.end_session, thresholdMinutes: 0 }
+  : { action: ENFORCEMENT_ACTIONS[policy.outsideGeofenceAction], thresholdMinutes: policy.outsideGeofenceMinutes });
+
+const NOTICE_MESSAGES = {
+  geofence_warning: 'You are outside the lab premises',
+  accrual_paused: 'Your time is not being counted while you are outside the lab premises',
+  accrual_resumed: 'You are back on the lab premises and your time is being counted again'
+};
+
+const sessionIds = (session) => ({
+  userId: session.userId._id || session.userId,
+  labId: session.labId._id || session.labId,
+  sessionId: session._id
+});
+
+// Tell the employee's socket and the lab's admins what the policy did
+const notify = async (session, action, data) => {
+  if (NOTICE_MESSAGES[action]) {
+    sessionEvents.emit('geofence_notice', { session, action, message: NOTICE_MESSAGES[action], data });
+  }
+
+  await publishAdminEvent({ ...sessionIds(session), type: action, data });
+};
+
+// Count time again once a session whose accrual was paused is back inside
+const resumeAccrual = async (session, at, { location, ipAddress, userAgent }) => {
+  const paused = await EmployeeSession.findOneAndUpdate(
+    { _id: session._id, accrualPausedSince: { $ne: null } },
+    { $unset: { accrualPausedSince: 1 } },
+    { projection: { accrualPausedSince: 1 } }
+  );
+  if (!paused) {
+    return null;
+  }
+
+  const pausedSeconds = Math.max(Math.round((new Date(at) - paused.accrualPausedSince) / 1000), 0);
+  await EmployeeSession.updateOne({ _id: session._id }, { $inc: { pausedSeconds } });
+
+  // Keep the caller's copy in step for the durations it works out next
+  session.accrualPausedSince = undefined;
+  session.pausedSeconds = (session.pausedSeconds || 0) + pausedSeconds;
+
+  await new ActivityLog({
+    ...sessionIds(session),
+    action: 'accrual_resumed',
+    timestamp: at,
+    location,
+    isWithinGeofence: true,
+    metadata: { pausedSeconds, ipAddress, userAgent }
+  }).save();
+
+  await notify(session, 'accrual_resumed', { pausedSeconds, location });
+  return { action: 'accrual_resumed', ended: false, message: NOTICE_MESSAGES.accrual_resumed };
+};
+
+/**
+ * Apply the lab's outside-geofence policy after a location fix of an employee
+ * session has been tracked (see utils/geofenceState.js). Once the session has
+ * been outside for `outsideGeofenceMinutes` the policy's action is taken, once
+ * per stay outside; with `endSessionOnGeofenceExit` the session ends as soon as
+ * the exit is confirmed. Paused accrual resumes when the session is back
+ * inside. Returns null, or `{ action, thresholdMinutes, ended, message }`.
+ */
+const enforceGeofencePolicy = async (session, policy, tracked, context = {}, now = Date.now()) => {
+  if (tracked.transition && tracked.transition.to === 'inside') {
+    return resumeAccrual(session, tracked.transition.at, context);
+  }
+
+  const { action, thresholdMinutes } = getEnforcement(policy);
+  if (!action || tracked.state !== 'outside' || tracked.enforcedAt) {
+    return null;
+  }
+
+  const since = new Date(tracked.since);
+  const effectiveAt = new Date(since.getTime() + thresholdMinutes * MINUTE_MS);
+  if (effectiveAt.getTime() > now) {
+    return null;
+  }
+
+  // Claimed with a conditional update so concurrent fixes act only once
+  const claimed = await EmployeeSession.updateOne(
+    {
+      _id: session._id,
+      isActive: true,
+      'geofenceTracking.state': 'outside',
+      'geofenceTracking.since': since,
+      'geofenceTracking.enforcedAt': null
+    },
+    {
+      'geofenceTracking.enforcedAt': new Date(now),
+      'geofenceTracking.updatedAt': new Date(now),
+      ...(action === 'accrual_paused' ? { accrualPausedSince: effectiveAt } : {})
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const { location, ipAddress, userAgent } = context;
+  const outsideDurationSeconds = Math.round((now - since.getTime()) / 1000);
+  const metadata = {
+    thresholdMinutes,
+    outsideDurationSeconds,
+    ipAddress,
+    userAgent
+  };
+
+  if (action === 'geofence_session_end') {
+    // Closed from a fresh copy: the duration depends on pause fields that
+    // other requests may have changed since `session` was loaded
+    const current = await EmployeeSession.findOne({ _id: session._id, isActive: true });
+    if (current) {
+      await closeEmployeeSession(current, { action, reason: 'outside_geofence', metadata });
+    }
+  } else {
+    await new ActivityLog({
+      ...sessionIds(session),
+      action,
+      timestamp: effectiveAt,
+      location,
+      isWithinGeofence: false,
+      metadata
+    }).save();
+  }
+
+  await notify(session, action, {
+    thresholdMinutes,
+    outsideDurationSeconds,
+    location
+  });
+
+  return {
+    action,
+    thresholdMinutes,
+    ended: action === 'geofence_session_end',
+    message: NOTICE_MESSAGES[action] || 'Session ended because you stayed outside the lab premises'
+  };
+};
+
+module.exports = {
+  ENFORCEMENT_ACTIONS,
+  enforceGeofencePolicy
+};
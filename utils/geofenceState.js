@@ -0,0 +1,172 @@
+// utils/geofenceState.js - Geofence exits and re-entries of employee sessions
+const ActivityLog = require('../models/ActivityLog');
+const EmployeeSession = require('../models/EmployeeSession');
+const config = require('../config');
+const { publishAdminEvent } = require('./adminEvents');
+const { queueWebhookEvent } = require('./webhooks');
+
+/**
+ * A session is either inside or outside the geofence. GPS jitter at the edge
+ * must not flip it back and forth, so a fix only counts as leaving when it is
+ * more than `graceMeters` beyond the edge, and a change of side is confirmed
+ * only after `confirmFixes` consecutive fixes on the other side or once the
+ * first of them is `dwellSeconds` old (0 turns the dwell rule off). The change
+ * is dated to that first fix.
+ */
+const readTracking = (session) => {
+  const tracking = session.geofenceTracking || {};
+  return {
+    state: tracking.state || 'inside',
+    since: tracking.since || session.loginTime,
+    pendingState: tracking.pendingState || null,
+    pendingSince: tracking.pendingSince || null,
+    pendingFixes: tracking.pendingFixes || 0,
+    enforcedAt: tracking.enforcedAt || null,
+    updatedAt: tracking.updatedAt || null
+  };
+};
+
+// Side of the geofence a fix counts for, given the session's current side
+const classifyFix = (state, geofenceStatus) => {
+  if (geofenceStatus.isWithin) {
+    return 'inside';
+  }
+  return state === 'outside' || geofenceStatus.distanceToEdge > config.geofenceEvents.graceMeters
+    ? 'outside'
+    : 'inside';
+};
+
+/**
+ * Tracking state after one more fix on `side`. Returns `{ tracking, changed,
+ * transition }`; `transition` is `{ from, to, at, previousSince }` when the
+ * fix confirms a change of side, otherwise null.
+ */
+const advanceTracking = (tracking, side, now = Date.now()) => {
+  if (side === tracking.state) {
+    return {
+      tracking: { ...tracking, pendingState: null, pendingSince: null, pendingFixes: 0 },
+      changed: tracking.pendingState !== null,
+      transition: null
+    };
+  }
+
+  const { confirmFixes, dwellSeconds } = config.geofenceEvents;
+  const continuing = tracking.pendingState === side;
+  const pendingSince = continuing ? tracking.pendingSince : new Date(now);
+  const pendingFixes = continuing ? tracking.pendingFixes + 1 : 1;
+  const confirmed = pendingFixes >= confirmFixes ||
+    (dwellSeconds > 0 && now - new Date(pendingSince).getTime() >= dwellSeconds * 1000);
+
+  if (!confirmed) {
+    return {
+      tracking: { ...tracking, pendingState: side, pendingSince, pendingFixes },
+      changed: true,
+      transition: null
+    };
+  }
+
+  return {
+    tracking: { state: side, since: pendingSince, pendingState: null, pendingSince: null, pendingFixes: 0, enforcedAt: null },
+    changed: true,
+    transition: { from: tracking.state, to: side, at: pendingSince, previousSince: tracking.since }
+  };
+};
+
+const logTransition = (session, transition, geofenceStatus, location) => {
+  const entry = {
+    userId: session.userId._id || session.userId,
+    labId: session.labId._id || session.labId,
+    sessionId: session._id,
+    action: transition.to === 'outside' ? 'geofence_exit' : 'geofence_enter',
+    timestamp: transition.at,
+    location,
+    distanceFromLab: geofenceStatus.distance,
+    isWithinGeofence: transition.to === 'inside'
+  };
+
+  if (transition.to === 'outside') {
+    entry.metadata = {
+      violationDistance: geofenceStatus.distanceToEdge,
+      allowedRadius: geofenceStatus.radiusInMeters,
+      nearestZone: geofenceStatus.nearestZone ? geofenceStatus.nearestZone.name : undefined
+    };
+  } else {
+    entry.metadata = {
+      outsideDurationSeconds: Math.round((new Date(transition.at) - new Date(transition.previousSince)) / 1000)
+    };
+  }
+
+  return new ActivityLog(entry).save();
+};
+
+/**
+ * Feed a location fix of an active employee session into its inside/outside
+ * state. Confirmed exits and re-entries are written to the ActivityLog and
+ * sent to the lab's admins; exits also go to geofence.violation webhooks. The state is changed with a conditional update,
+ * so of two concurrent fixes only one is counted. Returns the session's
+ * `{ state, since, enforcedAt, transition }` after the fix.
+ */
+const trackGeofenceCrossing = async (session, geofenceStatus, location, now = Date.now()) => {
+  const current = readTracking(session);
+  const { tracking, changed, transition } = advanceTracking(
+    current,
+    classifyFix(current.state, geofenceStatus),
+    now
+  );
+
+  const unchanged = { state: current.state, since: current.since, enforcedAt: current.enforcedAt, transition: null };
+
+  if (!changed) {
+    return unchanged;
+  }
+
+  const result = await EmployeeSession.updateOne(
+    { _id: session._id, isActive: true, 'geofenceTracking.updatedAt': current.updatedAt },
+    { geofenceTracking: { ...tracking, updatedAt: new Date(now) } }
+  );
+  if (result.modifiedCount === 0 || !transition) {
+    return unchanged;
+  }
+
+  const entry = await logTransition(session, transition, geofenceStatus, location);
+
+  await publishAdminEvent({
+    labId: entry.labId,
+    userId: entry.userId,
+    sessionId: session._id,
+    type: entry.action,
+    data: {
+      location,
+      since: transition.at,
+      ...(transition.to === 'outside'
+        ? {
+          distance: geofenceStatus.distance,
+          distanceToEdge: geofenceStatus.distanceToEdge,
+          nearestZone: entry.metadata.nearestZone
+        }
+        : {
+          matchedZone: geofenceStatus.matchedZone ? geofenceStatus.matchedZone.name : undefined,
+          outsideDurationSeconds: entry.metadata.outsideDurationSeconds
+        })
+    }
+  });
+
+  if (transition.to === 'outside') {
+    await queueWebhookEvent(entry.labId, 'geofence.violation', {
+      userId: entry.userId.toString(),
+      sessionId: session._id.toString(),
+      since: transition.at,
+      location,
+      distanceToEdge: geofenceStatus.distanceToEdge,
+      allowedRadius: geofenceStatus.radiusInMeters,
+      nearestZone: entry.metadata.nearestZone
+    });
+  }
+
+  return { state: tracking.state, since: tracking.since, enforcedAt: null, transition };
+};
+
+module.exports = {
+  advanceTracking,
+  trackGeofenceCrossing
+};
@@ -0,0 +1,105 @@
+// utils/leave.js - Leave day counting and balances
+const Holiday = require('../models/Holiday');
+const LeaveType = require('../models/LeaveType');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeaveRequest = require('../models/LeaveRequest');
+const { listDateKeys } = require('./attendance');
+const { loadLabSchedule, findWeeklyDayOff } = require('./shifts');
+
+/**
+ * Working days of an employee from `startKey` to `endKey`, i.e. the days a
+ * leave over that range takes from their balance. Lab holidays never count;
+ * otherwise the employee's shift pattern decides, or without a shift every
+ * day outside config.leave.weekendDays.
+ */
+const countLeaveDays = async (user, startKey, endKey) => {
+  const labId = user.labId._id || user.labId;
+  const [schedule, holidays] = await Promise.all([
+    loadLabSchedule(labId),
+    Holiday.find({ labId, date: { $gte: startKey, $lte: endKey } }).select('date').lean()
+  ]);
+  const holidayKeys = new Set(holidays.map(holiday => holiday.date));
+
+  return listDateKeys(startKey, endKey).filter(dateKey => (
+    !holidayKeys.has(dateKey) && !findWeeklyDayOff(user, dateKey, schedule.assignments, schedule.shiftsById)
+  )).length;
+};
+
+// First and last day of a leave range that fall in `year`
+const clipToYear = (startKey, endKey, year) => ({
+  startKey: startKey > `${year}-01-01` ? startKey : `${year}-01-01`,
+  endKey: endKey < `${year}-12-31` ? endKey : `${year}-12-31`
+});
+
+/**
+ * Working days of a leave range split by calendar year, as
+ * `[{ year, days }]`: leave over the new year takes each day from the
+ * balance of the year it falls in.
+ */
+const countLeaveDaysByYear = async (user, startKey, endKey) => {
+  const parts = [];
+  for (let year = Number(startKey.slice(0, 4)); year <= Number(endKey.slice(0, 4)); year += 1) {
+    const range = clipToYear(startKey, endKey, year);
+    parts.push({ year, days: await countLeaveDays(user, range.startKey, range.endKey) });
+  }
+  return parts;
+};
+
+/**
+ * Balance of every active leave type of the employee's lab for a year:
+ * `{ leaveType, allowanceDays, usedDays, pendingDays, remainingDays }`.
+ * Allowances of null (no limit) leave remainingDays null.
+ */
+const getLeaveBalances = async (user, year) => {
+  const labId = user.labId._id || user.labId;
+  const [leaveTypes, overrides, requests] = await Promise.all([
+    LeaveType.find({ labId, isActive: true }).sort({ name: 1 }).lean(),
+    LeaveBalance.find({ userId: user._id, year }).lean(),
+    LeaveRequest.find({
+      userId: user._id,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: `${year}-12-31` },
+      endDate: { $gte: `${year}-01-01` }
+    }).select('leaveTypeId status startDate endDate days').lean()
+  ]);
+
+  // Requests over the new year only count their days in this year
+  for (const request of requests) {
+    if (request.startDate.slice(0, 4) !== String(year) || request.endDate.slice(0, 4) !== String(year)) {
+      const range = clipToYear(request.startDate, request.endDate, year);
+      request.days = await countLeaveDays(user, range.startKey, range.endKey);
+    }
+  }
+
+  return leaveTypes.map(leaveType => {
+    const typeId = leaveType._id.toString();
+    const override = overrides.find(balance => balance.leaveTypeId.toString() === typeId);
+    const allowanceDays = override ? override.allowanceDays : leaveType.annualAllowanceDays;
+    const sumDays = (status) => requests
+      .filter(request => request.leaveTypeId.toString() === typeId && request.status === status)
+      .reduce((sum, request) => sum + request.days, 0);
+    const usedDays = sumDays('approved');
+
+    return {
+      leaveType,
+      year,
+      allowanceDays,
+      usedDays,
+      pendingDays: sumDays('pending'),
+      remainingDays: allowanceDays === null || allowanceDays === undefined ? null : allowanceDays - usedDays
+    };
+  });
+};
+
+// Balance of one leave type; null if the type is not active in the lab
+const getLeaveBalance = async (user, leaveTypeId, year) => {
+  const balances = await getLeaveBalances(user, year);
+  return balances.find(balance => balance.leaveType._id.toString() === leaveTypeId.toString()) || null;
+};
+
+module.exports = {
+  countLeaveDays,
+  countLeaveDaysByYear,
+  getLeaveBalances,
+  getLeaveBalance
+};
@@ -0,0 +1,159 @@
+// utils/locationRisk.js - Impossible travel and location spoofing checks
+const ActivityLog = require('../models/ActivityLog');
+const config = require('../config');
+const { calculateHaversineDistance } = require('./geofence');
+
+// Points each finding adds to a fix's risk score (capped at 100)
+const RISK_WEIGHTS = {
+  implausible_speed: 60,
+  identical_coordinates: 40,
+  location_jump: 30,
+  invalid_accuracy: 25
+};
+
+const RISK_LEVELS = ['none', 'low', 'medium', 'high'];
+
+const getRiskLevel = (score) => {
+  if (score >= 60) return 'high';
+  if (score >= 30) return 'medium';
+  if (score > 0) return 'low';
+  return 'none';
+};
+
+// Reported accuracy in meters; null when the client sent none
+const readAccuracy = (accuracy) => (
+  accuracy === undefined || accuracy === null || accuracy === '' ? null : Number(accuracy)
+);
+
+// Accuracy that can be credited as GPS error when comparing two fixes
+const usableAccuracy = (accuracy) => {
+  const value = readAccuracy(accuracy);
+  return Number.isFinite(value) && value > 0 && value <= 1000 ? value : 0;
+};
+
+// Same coordinates with the same reported accuracy. A device at rest may
+// repeat a position, but its accuracy estimate keeps changing.
+const isSameFix = (a, b) => (
+  Number(a.latitude) === Number(b.latitude) &&
+  Number(a.longitude) === Number(b.longitude) &&
+  Object.is(readAccuracy(a.accuracy), readAccuracy(b.accuracy))
+);
+
+/**
+ * Score a location fix `{ latitude, longitude, accuracy, timestamp }` against
+ * earlier fixes of the same user, newest first. Returns
+ * `{ score, level, flags: [{ type, ... }], speedKmh, distanceMeters }`.
+ *
+ * Real GPS readings jitter and report a positive accuracy. Mocked ones tend
+ * to repeat the exact same coordinates, report 0 or nonsense accuracy, or
+ * teleport between places.
+ */
+const assessLocationRisk = (fix, previousFixes = []) => {
+  const { maxSpeedKmh, jumpDistanceMeters, jumpWindowSeconds, identicalFixCount } = config.locationRisk;
+  const flags = [];
+  let speedKmh;
+  let distanceMeters;
+
+  const accuracy = readAccuracy(fix.accuracy);
+  if (accuracy !== null && (!Number.isFinite(accuracy) || accuracy <= 0 || accuracy > 1000)) {
+    flags.push({ type: 'invalid_accuracy', accuracy: fix.accuracy });
+  }
+
+  const previous = previousFixes[0];
+  if (previous) {
+    distanceMeters = calculateHaversineDistance(
+      Number(previous.latitude), Number(previous.longitude),
+      Number(fix.latitude), Number(fix.longitude)
+    );
+    const seconds = Math.max((new Date(fix.timestamp) - new Date(previous.timestamp)) / 1000, 1);
+
+    // Movement within the two fixes' accuracy circles may just be GPS error
+    const moved = Math.max(distanceMeters - usableAccuracy(previous.accuracy) - usableAccuracy(fix.accuracy), 0);
+    speedKmh = Math.round((moved / seconds) * 3.6);
+
+    if (speedKmh > maxSpeedKmh) {
+      flags.push({ type: 'implausible_speed', speedKmh, distanceMeters, seconds: Math.round(seconds) });
+    } else if (moved >= jumpDistanceMeters && seconds <= jumpWindowSeconds) {
+      flags.push({ type: 'location_jump', distanceMeters, seconds: Math.round(seconds) });
+    }
+
+    const recent = previousFixes.slice(0, identicalFixCount - 1);
+    if (recent.length === identicalFixCount - 1 && recent.every(earlier => isSameFix(earlier, fix))) {
+      flags.push({ type: 'identical_coordinates', count: identicalFixCount });
+    }
+  }
+
+  const score = Math.min(flags.reduce((sum, flag) => sum + RISK_WEIGHTS[flag.type], 0), 100);
+
+  return {
+    score,
+    level: getRiskLevel(score),
+    flags,
+    speedKmh,
+    distanceMeters
+  };
+};
+
+// Whether the lab's policy rejects a fix with this assessment
+const shouldBlockLocation = (assessment, policy) => (
+  policy.locationRiskBlockLevel !== 'off' &&
+  RISK_LEVELS.indexOf(assessment.level) >= RISK_LEVELS.indexOf(policy.locationRiskBlockLevel)
+);
+
+// Earlier fixes recorded in a session's own activity log, newest first
+const getSessionFixes = (session, limit = Math.max(10, config.locationRisk.identicalFixCount)) => session.activityLog
+  .filter(entry => entry.location && entry.location.latitude !== undefined && entry.location.longitude !== undefined)
+  .slice(-limit)
+  .reverse()
+  .map(entry => ({
+    latitude: entry.location.latitude,
+    longitude: entry.location.longitude,
+    accuracy: entry.metadata ? entry.metadata.gpsAccuracy : undefined,
+    timestamp: entry.timestamp
+  }));
+
+// The user's last login location as a fix, if known
+const getLastLoginFix = (user) => {
+  const location = user.lastLoginLocation;
+  if (!location || location.latitude === undefined || location.longitude === undefined || !user.lastLogin) {
+    return [];
+  }
+  return [{ latitude: location.latitude, longitude: location.longitude, timestamp: user.lastLogin }];
+};
+
+// Metadata describing an assessment, for ActivityLog and LoginAttempt entries
+const riskMetadata = (assessment) => ({
+  riskScore: assessment.score,
+  riskLevel: assessment.level,
+  riskFlags: assessment.flags.map(flag => flag.type),
+  speedKmh: assessment.speedKmh,
+  jumpDistance: assessment.distanceMeters
+});
+
+// Write a 'location_risk' ActivityLog entry for a flagged fix
+const logLocationRisk = ({ assessment, blocked, userId, labId, sessionId, location, metadata = {} }) => new ActivityLog({
+  userId,
+  labId,
+  sessionId,
+  action: 'location_risk',
+  location: {
+    latitude: location.latitude,
+    longitude: location.longitude
+  },
+  metadata: {
+    ...riskMetadata(assessment),
+    blocked,
+    gpsAccuracy: usableAccuracy(location.accuracy) || undefined,
+    ...metadata
+  }
+}).save();
+
+module.exports = {
+  RISK_WEIGHTS,
+  assessLocationRisk,
+  shouldBlockLocation,
+  getSessionFixes,
+  getLastLoginFix,
+  riskMetadata,
+  logLocationRisk
+};
@@ -0,0 +1,319 @@
+// utils/loginProtection.js - Progressive delays and lockouts for password logins
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginCounter = require('../models/LoginCounter');
+const LoginLockout = require('../models/LoginLockout');
+const config = require('../config');
+const { publishFailedLogin } = require('./adminEvents');
+const { notifyLabAdmins } = require('./notifications');
+
+/**
+ * Failed password attempts are counted per email address (whether or not an
+ * account exists, so responses do not reveal which emails are registered) and
+ * per IP address, in a LoginCounter per email and IP. An attempt is counted
+ * before its password is checked, with an atomic increment, so guesses sent
+ * side by side cannot all pass the limits before the first of them has
+ * failed; it is taken back once the password turns out right. After
+ * `delayAfterFailures` attempts each further one has to wait an exponentially
+ * growing delay after the previous one; at the scope's maximum the email or
+ * IP is locked for `lockoutMinutes`. Counts start over after
+ * `failureWindowMinutes`, after a lock and, for accounts, once the right
+ * password is given.
+ */
+const SCOPES = {
+  account: {
+    field: 'email',
+    maxFailures: () => config.loginProtection.maxAccountFailures,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Too many failed login attempts for this account'
+  },
+  ip: {
+    field: 'ipAddress',
+    maxFailures: () => config.loginProtection.maxIpFailures,
+    code: 'IP_LOCKED',
+    message: 'Too many failed login attempts from this address'
+  }
+};
+
+const secondsUntil = (date, now) => Math.max(Math.ceil((new Date(date).getTime() - now) / 1000), 1);
+
+// Seconds a client must wait after its last attempt before trying again
+const requiredDelaySeconds = (failures) => {
+  const { delayAfterFailures, maxDelaySeconds } = config.loginProtection;
+  if (failures < delayAfterFailures) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - delayAfterFailures), maxDelaySeconds);
+};
+
+const getLoginScopes = ({ email, ipAddress }) => [
+  ['account', email],
+  ['ip', ipAddress]
+].filter(([, key]) => !!key);
+
+const getActiveLock = (scope, key, now) => LoginLockout.findOne({
+  scope,
+  key,
+  active: true,
+  lockedUntil: { $gt: new Date(now) }
+});
+
+// Start counting again for a counter whose failure window is over
+const expireWindow = (scope, key, now) => LoginCounter.updateOne(
+  { scope, key, windowStartedAt: { $lte: new Date(now - config.loginProtection.failureWindowMinutes * 60 * 1000) } },
+  { attempts: 0, windowStartedAt: new Date(now) }
+);
+
+// Count one more attempt; resolves with the counter as it was before (null if new)
+const countAttempt = async (scope, key, now) => {
+  const args = [
+    { scope, key },
+    { $inc: { attempts: 1 }, $set: { lastAttemptAt: new Date(now) } },
+    { upsert: true }
+  ];
+  try {
+    return await LoginCounter.findOneAndUpdate(...args);
+  } catch (error) {
+    // Another first attempt created the counter in the meantime
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return LoginCounter.findOneAndUpdate(...args);
+  }
+};
+
+// Take back an attempt that was turned away or gave the right password
+const uncountAttempt = async ({ scope, key, now, previous }) => {
+  await LoginCounter.updateOne({ scope, key, attempts: { $gt: 0 } }, { $inc: { attempts: -1 } });
+
+  // A turned away attempt does not push back the next one's delay, unless
+  // another attempt was counted since
+  if (previous) {
+    await LoginCounter.updateOne({ scope, key, lastAttemptAt: new Date(now) }, { lastAttemptAt: previous.lastAttemptAt });
+  }
+};
+
+/**
+ * Count a password login attempt against its email and IP, unless one is
+ * locked or has to wait. Returns `{ rejection: null, claimed }` when the
+ * password may be checked, where `claimed` goes back to recordFailedLogin or
+ * recordPasswordVerified; otherwise `{ rejection }` with `{ status, code,
+ * message, retryAfterSeconds, lockedUntil? }` and nothing counted.
+ */
+const claimLoginAttempt = async ({ email, ipAddress }) => {
+  const now = Date.now();
+  const claimed = [];
+  let rejection = null;
+
+  for (const [scope, key] of getLoginScopes({ email, ipAddress })) {
+    const lock = await getActiveLock(scope, key, now);
+    if (lock) {
+      rejection = {
+        status: 423,
+        code: SCOPES[scope].code,
+        message: `${SCOPES[scope].message}. Try again later.`,
+        retryAfterSeconds: secondsUntil(lock.lockedUntil, now),
+        lockedUntil: lock.lockedUntil
+      };
+      break;
+    }
+
+    await expireWindow(scope, key, now);
+    const previous = await countAttempt(scope, key, now);
+    claimed.push({ scope, key, now, previous });
+
+    const failures = previous ? previous.attempts : 0;
+    const retryAt = previous && previous.lastAttemptAt
+      ? new Date(previous.lastAttemptAt).getTime() + requiredDelaySeconds(failures) * 1000
+      : now;
+
+    // At the maximum the attempt that reached it is still being checked
+    // and is about to lock, or to start the account over
+    const waitUntil = failures >= SCOPES[scope].maxFailures() ? Math.max(retryAt, now + 1000) : retryAt;
+    if (waitUntil > now) {
+      const retryAfterSeconds = secondsUntil(waitUntil, now);
+      if (!rejection || retryAfterSeconds > rejection.retryAfterSeconds) {
+        rejection = {
+          status: 429,
+          code: 'LOGIN_THROTTLED',
+          message: `Too many failed login attempts. Try again in ${retryAfterSeconds} seconds.`,
+          retryAfterSeconds
+        };
+      }
+    }
+  }
+
+  if (rejection) {
+    for (const claim of claimed) {
+      await uncountAttempt(claim);
+    }
+    return { rejection };
+  }
+  return { rejection: null, claimed };
+};
+
+/**
+ * Lock an email or IP. The lock is created with an upsert on its one active
+ * lock, so of several failures reaching the limit together only one locks
+ * and emails the admins. Returns the new lock, or null if one already existed.
+ */
+const lockScope = async (scope, key, attempt, counter, now) => {
+  await LoginLockout.updateMany(
+    { scope, key, active: true, lockedUntil: { $lte: new Date(now) } },
+    { active: false }
+  );
+
+  const labIds = await LoginAttempt.distinct('labId', {
+    [SCOPES[scope].field]: key,
+    failureReason: 'invalid_credentials',
+    timestamp: { $gte: counter.windowStartedAt }
+  });
+
+  let result;
+  try {
+    result = await LoginLockout.findOneAndUpdate(
+      { scope, key, active: true },
+      {
+        $setOnInsert: {
+          userId: scope === 'account' && attempt.user ? attempt.user._id : undefined,
+          labIds: labIds.filter(Boolean),
+          failedAttempts: counter.attempts,
+          lockedAt: new Date(now),
+          lockedUntil: new Date(now + config.loginProtection.lockoutMinutes * 60 * 1000)
+        }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (result.lastErrorObject.updatedExisting) {
+    return null;
+  }
+
+  // Failures before the lock do not count towards the next one
+  await LoginCounter.updateOne({ scope, key }, { attempts: 0, windowStartedAt: new Date(now) });
+  return result.value;
+};
+
+const buildAttempt = ({ email, user, ipAddress, userAgent, location }, failureReason) => ({
+  userId: user ? user._id : undefined,
+  labId: user ? user.labId._id || user.labId : undefined,
+  email,
+  attemptLocation: {
+    latitude: location.latitude,
+    longitude: location.longitude
+  },
+  isSuccessful: false,
+  ipAddress,
+  userAgent: userAgent || 'Unknown',
+  failureReason,
+  metadata: {
+    gpsAccuracy: location.accuracy
+  }
+});
+
+/**
+ * Record a wrong password (or unknown email); its attempt stays counted. Lock
+ * the email or IP if it has now reached its limit, emailing the admins of the
+ * labs involved. Returns the locks created.
+ */
+const recordFailedLogin = async (attempt) => {
+  const failed = await new LoginAttempt(buildAttempt(attempt, 'invalid_credentials')).save();
+  await publishFailedLogin(failed);
+
+  const now = Date.now();
+  const locks = [];
+
+  for (const [scope, key] of getLoginScopes(attempt)) {
+    const counter = await LoginCounter.findOne({ scope, key });
+    if (!counter || counter.attempts < SCOPES[scope].maxFailures()) {
+      continue;
+    }
+
+    const lock = await lockScope(scope, key, attempt, counter, now);
+    if (!lock) {
+      continue;
+    }
+
+    console.warn(`🔒 Login ${scope} lock for ${key} after ${lock.failedAttempts} failed attempts`);
+    locks.push(lock);
+
+    for (const labId of lock.labIds) {
+      await notifyLabAdmins(labId, 'failed_logins', {
+        failures: lock.failedAttempts,
+        scopeLabel: scope === 'account' ? 'account' : 'IP address',
+        key,
+        lockedUntil: lock.lockedUntil.toLocaleString()
+      });
+    }
+  }
+
+  return locks;
+};
+
+/**
+ * The right password was given for a claimed attempt: it does not count, and
+ * the account's failures start over.
+ */
+const recordPasswordVerified = async ({ claimed }) => {
+  for (const claim of claimed) {
+    if (claim.scope === 'account') {
+      await LoginCounter.updateOne({ scope: claim.scope, key: claim.key }, { attempts: 0, windowStartedAt: new Date() });
+    } else {
+      await uncountAttempt({ ...claim, previous: null });
+    }
+  }
+};
+
+// Record an attempt turned away by a lock, so admins can see it
+const recordLockedOutAttempt = async (attempt) => {
+  const lockedOut = await new LoginAttempt(buildAttempt(attempt, 'locked_out')).save();
+  await publishFailedLogin(lockedOut);
+  return lockedOut;
+};
+
+// Locks of a lab that are still in force
+const getActiveLockouts = (labId) => LoginLockout.find({
+  labIds: labId,
+  active: true,
+  lockedUntil: { $gt: new Date() }
+})
+  .populate('userId', 'name email employeeId')
+  .sort({ lockedAt: -1 });
+
+/**
+ * Lift a lock early. Failures before now no longer count towards the next
+ * lock. Returns null if the lab has no such active lock.
+ */
+const clearLockout = async (lockId, { labId, clearedBy }) => {
+  const lock = await LoginLockout.findOne({
+    _id: lockId,
+    labIds: labId,
+    active: true,
+    lockedUntil: { $gt: new Date() }
+  });
+
+  if (!lock) {
+    return null;
+  }
+
+  lock.active = false;
+  lock.clearedAt = new Date();
+  lock.clearedBy = clearedBy;
+  await lock.save();
+  await LoginCounter.updateOne({ scope: lock.scope, key: lock.key }, { attempts: 0, windowStartedAt: lock.clearedAt });
+  return lock;
+};
+
+module.exports = {
+  claimLoginAttempt,
+  recordFailedLogin,
+  recordPasswordVerified,
+  recordLockedOutAttempt,
+  getActiveLockouts,
+  clearLockout
+};
@@ -0,0 +1,34 @@
+// utils/mailer.js - SMTP transport for outgoing email
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+let transport = null;
+
+// Email can only be sent once an SMTP host is configured
+const isMailConfigured = () => !!config.smtp.host;
+
+const getTransport = () => {
+  if (!transport) {
+    const { host, port, secure, user, password } = config.smtp;
+    transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+  return transport;
+};
+
+// Send a plain-text email; resolves with nodemailer's info (messageId etc.)
+const sendMail = ({ to, subject, text }) => getTransport().sendMail({
+  from: config.smtp.from,
+  to,
+  subject,
+  text
+});
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
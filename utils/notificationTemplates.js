@@ -0,0 +1,76 @@
+// utils/notificationTemplates.js - Subject and text of each email notification
+
+/**
+ * Placeholders are written {{name}} and filled from the notification's data,
+ * which always has recipientName and labName; a missing value renders empty.
+ */
+const TEMPLATES = {
+  failed_logins: {
+    subject: 'Repeated failed logins at {{labName}}',
+    text: [
+      'Hello {{recipientName}},',
+      '',
+      '{{failures}} failed login attempts were made for the {{scopeLabel}} {{key}}.',
+      'Password logins for it are locked until {{lockedUntil}}.',
+      '',
+      'You can review the attempts and lift the lock from the admin dashboard.'
+    ].join('\n')
+  },
+  after_hours_presence: {
+    subject: '{{employeeName}} is signed in outside working hours',
+    text: [
+      'Hello {{recipientName}},',
+      '',
+      '{{employeeName}} ({{employeeId}}) has been signed in at {{labName}} since {{loginTime}},',
+      'which is outside the lab\'s working hours ({{workdayStart}} to {{workdayEnd}}).'
+    ].join('\n')
+  },
+  account_created: {
+    subject: 'Your {{labName}} account has been created',
+    text: [
+      'Hello {{recipientName}},',
+      '',
+      'An account has been created for you at {{labName}}.',
+      'Sign in with {{email}} and the password your lab administrator gave you.'
+    ].join('\n')
+  },
+  forced_logout: {
+    subject: 'You were signed out of {{labName}}',
+    text: [
+      'Hello {{recipientName}},',
+      '',
+      'A lab administrator signed you out at {{time}} (sessions ended: {{sessionCount}}).',
+      'Reason given: {{reason}}',
+      '',
+      'Contact your lab administrator if you have questions.'
+    ].join('\n')
+  },
+  test: {
+    subject: 'Test email from {{labName}}',
+    text: [
+      'Hello {{recipientName}},',
+      '',
+      'This is a test email. Email notifications are working.'
+    ].join('\n')
+  }
+};
+
+const fill = (template, data) => template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (
+  data[name] === undefined || data[name] === null ? '' : String(data[name])
+));
+
+// `{ subject, text }` of a notification type filled in with `data`
+const renderNotification = (type, data) => {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type ${type}`);
+  }
+  return {
+    subject: fill(template.subject, data),
+    text: fill(template.text, data)
+  };
+};
+
+module.exports = {
+  renderNotification
+};
@@ -0,0 +1,256 @@
+// utils/notifications.js - Queued email notifications for admins and employees
+const EmployeeSession = require('../models/EmployeeSession');
+const Holiday = require('../models/Holiday');
+const Lab = require('../models/Lab');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const config = require('../config');
+const { isMailConfigured, sendMail } = require('./mailer');
+const { renderNotification } = require('./notificationTemplates');
+const { toDateKey } = require('./attendance');
+
+// Notification types, the roles that receive each, and what they are about
+const NOTIFICATION_TYPES = {
+  failed_logins: {
+    roles: ['lab_admin'],
+    description: 'Repeated failed logins locked an account or address'
+  },
+  after_hours_presence: {
+    roles: ['lab_admin'],
+    description: 'An employee is signed in outside working hours'
+  },
+  account_created: {
+    roles: ['lab_employee'],
+    description: 'Your account was created'
+  },
+  forced_logout: {
+    roles: ['lab_admin', 'lab_employee'],
+    description: 'A lab administrator signed you out'
+  }
+};
+
+// Sent by POST /api/notifications/test whatever the preferences say
+const TEST_TYPE = 'test';
+
+const BATCH_SIZE = 20;
+
+const LAB_FIELDS = 'name notificationSettings';
+const RECIPIENT_FIELDS = 'name email role labId isActive notificationPreferences';
+
+const formatTime = (date) => new Date(date).toLocaleString();
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The lab's working hours; fields it has not set fall back to the configured defaults
+const getWorkingHours = (lab) => {
+  const settings = (lab && lab.notificationSettings) || {};
+  return {
+    workdayStart: settings.workdayStart || config.notifications.workdayStart,
+    workdayEnd: settings.workdayEnd || config.notifications.workdayEnd
+  };
+};
+
+/**
+ * Whether `date` is outside the lab's working hours: before the start, after
+ * the end (hours may run past midnight), on a weekend day or a lab holiday.
+ */
+const isAfterHours = async (lab, date = new Date()) => {
+  const { workdayStart, workdayEnd } = getWorkingHours(lab);
+  const start = minutesOfDay(workdayStart);
+  const end = minutesOfDay(workdayEnd);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const withinHours = start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+
+  if (!withinHours || config.leave.weekendDays.includes(String(date.getDay()))) {
+    return true;
+  }
+  return !!(await Holiday.exists({ labId: lab._id, date: toDateKey(date) }));
+};
+
+// Neither the lab nor the user has turned the type off
+const isNotificationWanted = (lab, user, type) => {
+  if (type === TEST_TYPE) {
+    return true;
+  }
+  const labDisabled = (lab.notificationSettings && lab.notificationSettings.disabledTypes) || [];
+  const userDisabled = (user.notificationPreferences && user.notificationPreferences.disabledTypes) || [];
+  return !labDisabled.includes(type) && !userDisabled.includes(type);
+};
+
+/**
+ * Queue an email of `type` to a user, unless mail is not configured or the
+ * lab or user has turned the type off. processNotifications sends it.
+ * Failures are logged, never thrown: a notification must not break the
+ * request that caused it. Returns the Notification or null.
+ */
+const notifyUser = async (user, type, data = {}, lab = null) => {
+  if (!isMailConfigured() || !user || !user.isActive || !user.email) {
+    return null;
+  }
+
+  try {
+    const userLab = lab || await Lab.findById(user.labId._id || user.labId).select(LAB_FIELDS);
+    if (!userLab || !isNotificationWanted(userLab, user, type)) {
+      return null;
+    }
+
+    const { subject, text } = renderNotification(type, {
+      recipientName: user.name,
+      labName: userLab.name,
+      ...data
+    });
+
+    return await new Notification({
+      labId: userLab._id,
+      userId: user._id,
+      type,
+      to: user.email,
+      subject,
+      text
+    }).save();
+  } catch (error) {
+    console.error(`Notification ${type} error:`, error);
+    return null;
+  }
+};
+
+// Queue an email of `type` to every active admin of a lab
+const notifyLabAdmins = async (labId, type, data = {}) => {
+  if (!isMailConfigured() || !labId) {
+    return [];
+  }
+
+  try {
+    const lab = await Lab.findById(labId._id || labId).select(LAB_FIELDS);
+    if (!lab) {
+      return [];
+    }
+
+    const admins = await User.find({ labId: lab._id, role: 'lab_admin', isActive: true }).select(RECIPIENT_FIELDS);
+    const notifications = await Promise.all(admins.map(admin => notifyUser(admin, type, data, lab)));
+    return notifications.filter(Boolean);
+  } catch (error) {
+    console.error(`Notification ${type} error:`, error);
+    return [];
+  }
+};
+
+/**
+ * Tell lab admins about employees signed in outside working hours. Each
+ * session is reported once, claimed with a conditional update so that
+ * instances running this job side by side do not both report it.
+ */
+const notifyAfterHoursPresence = async (now = new Date()) => {
+  if (!isMailConfigured()) {
+    return 0;
+  }
+
+  const sessions = await EmployeeSession.find({ isActive: true, afterHoursNotifiedAt: null })
+    .populate('userId', 'name employeeId role');
+  const labs = new Map();
+  let reported = 0;
+
+  for (const session of sessions) {
+    if (!session.userId || session.userId.role !== 'lab_employee') {
+      continue;
+    }
+
+    const labKey = session.labId.toString();
+    if (!labs.has(labKey)) {
+      const lab = await Lab.findById(session.labId).select(LAB_FIELDS);
+      labs.set(labKey, { lab, afterHours: !!lab && await isAfterHours(lab, now) });
+    }
+    const { lab, afterHours } = labs.get(labKey);
+    if (!afterHours) {
+      continue;
+    }
+
+    const claimed = await EmployeeSession.updateOne(
+      { _id: session._id, afterHoursNotifiedAt: null },
+      { afterHoursNotifiedAt: now }
+    );
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    await notifyLabAdmins(lab._id, 'after_hours_presence', {
+      employeeName: session.userId.name,
+      employeeId: session.userId.employeeId,
+      loginTime: formatTime(session.loginTime),
+      ...getWorkingHours(lab)
+    });
+    reported += 1;
+  }
+
+  return reported;
+};
+
+// Set while this instance works through the queue, so runs do not overlap
+let processing = false;
+
+/**
+ * Send queued emails that are due, up to BATCH_SIZE, claiming each like
+ * webhook deliveries are claimed (see utils/webhooks.js). A failed send is
+ * retried with doubling delays until `maxAttempts`. Returns how many were
+ * attempted.
+ */
+const processNotifications = async () => {
+  if (processing || !isMailConfigured()) {
+    return 0;
+  }
+  processing = true;
+
+  const { maxAttempts, retryBaseSeconds } = config.notifications;
+  let attempted = 0;
+
+  try {
+    while (attempted < BATCH_SIZE) {
+      const now = new Date();
+      const notification = await Notification.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + 5 * 60 * 1000) },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!notification) {
+        break;
+      }
+
+      const attempts = notification.attempts + 1;
+      const update = { attempts };
+      try {
+        const info = await sendMail(notification);
+        Object.assign(update, { status: 'sent', sentAt: new Date(), messageId: info.messageId, lastError: null });
+      } catch (error) {
+        update.lastError = error.message;
+        if (attempts >= maxAttempts) {
+          update.status = 'failed';
+        } else {
+          update.nextAttemptAt = new Date(Date.now() + retryBaseSeconds * 1000 * 2 ** (attempts - 1));
+        }
+      }
+
+      await Notification.updateOne({ _id: notification._id }, update);
+      attempted += 1;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return attempted;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  TEST_TYPE,
+  getWorkingHours,
+  isAfterHours,
+  notifyUser,
+  notifyLabAdmins,
+  notifyAfterHoursPresence,
+  processNotifications
+};
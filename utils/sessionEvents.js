@@ -0,0 +1,13 @@
+// utils/sessionEvents.js - In-process notifications about employee sessions
+const { EventEmitter } = require('events');
+
+/**
+ * Lets code that changes sessions (routes, cleanup jobs) tell the WebSocket
+ * server about it without depending on it. Events:
+ *   'session_opened'  { session, user, loginMethod }
+ *   'session_closed'  { session, action, reason, metadata }
+ *   'geofence_notice' { session, action, message, data }
+ */
+const sessionEvents = new EventEmitter();
+
+module.exports = sessionEvents;
@@ -0,0 +1,64 @@
+// utils/sessionPolicy.js - Per-lab rules for keeping employee sessions alive
+const config = require('../config');
+
+const POLICY_FIELDS = [
+  'heartbeatIntervalSeconds',
+  'idleTimeoutMinutes',
+  'maxSessionHours',
+  'endSessionOnGeofenceExit',
+  'outsideGeofenceAction',
+  'outsideGeofenceMinutes',
+  'locationRiskBlockLevel'
+];
+
+const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+
+/**
+ * Effective session policy of a lab. Fields the lab has not set fall back to
+ * the configured defaults, so changing a default reaches every such lab.
+ */
+const getSessionPolicy = (lab) => {
+  const policy = (lab && lab.sessionPolicy) || {};
+
+  return {
+    heartbeatIntervalSeconds: pick(policy.heartbeatIntervalSeconds, config.sessions.heartbeatIntervalSeconds),
+    idleTimeoutMinutes: pick(policy.idleTimeoutMinutes, config.sessions.idleTimeoutMinutes),
+    maxSessionHours: pick(policy.maxSessionHours, config.sessions.maxAgeHours),
+    endSessionOnGeofenceExit: pick(policy.endSessionOnGeofenceExit, config.sessions.endOnGeofenceExit),
+    outsideGeofenceAction: pick(policy.outsideGeofenceAction, config.sessions.outsideGeofenceAction),
+    outsideGeofenceMinutes: pick(policy.outsideGeofenceMinutes, config.sessions.outsideGeofenceMinutes),
+    locationRiskBlockLevel: pick(policy.locationRiskBlockLevel, config.sessions.locationRiskBlockLevel)
+  };
+};
+
+/**
+ * Check an active session against a policy. Returns null while the session
+ * may continue, otherwise why it has to end and the limit it broke.
+ */
+const checkSessionPolicy = (session, policy, now = Date.now()) => {
+  const sessionMinutes = (now - new Date(session.loginTime).getTime()) / (1000 * 60);
+  if (sessionMinutes > policy.maxSessionHours * 60) {
+    return {
+      reason: 'max_session_length',
+      thresholdMinutes: policy.maxSessionHours * 60,
+      message: 'Session expired due to age'
+    };
+  }
+
+  const idleMinutes = (now - new Date(session.lastActivity).getTime()) / (1000 * 60);
+  if (idleMinutes > policy.idleTimeoutMinutes) {
+    return {
+      reason: 'idle_timeout',
+      thresholdMinutes: policy.idleTimeoutMinutes,
+      message: 'Session expired due to inactivity'
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  POLICY_FIELDS,
+  getSessionPolicy,
+  checkSessionPolicy
+};
@@ -0,0 +1,193 @@
+// utils/shifts.js - Shift schedules and late / early-leave / no-show detection
+const EmployeeSession = require('../models/EmployeeSession');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const ShiftEvent = require('../models/ShiftEvent');
+const config = require('../config');
+const { toDateKey, parseDateKey, addDays, getSessionInterval, getDaysOff } = require('./attendance');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MINUTE_MS = 60 * 1000;
+
+const atTime = (dateKey, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = parseDateKey(dateKey);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+// Start and end of a shift on the day it starts; overnight shifts end the next day
+const getShiftWindow = (shift, dateKey) => {
+  const start = atTime(dateKey, shift.startTime);
+  let end = atTime(dateKey, shift.endTime);
+  if (end <= start) {
+    end = atTime(toDateKey(addDays(start, 1)), shift.endTime);
+  }
+  return { start, end };
+};
+
+const isAssignmentEffective = (assignment, dateKey) => (
+  assignment.effectiveFrom <= dateKey && (!assignment.effectiveTo || dateKey <= assignment.effectiveTo)
+);
+
+/**
+ * The shift an employee is assigned to on a day, whether or not its weekly
+ * pattern includes that weekday. The employee's own assignment wins over
+ * their department's; among several of the same kind the one that took
+ * effect last wins.
+ */
+const findAssignedShift = (user, dateKey, assignments, shiftsById) => {
+  const userId = user._id.toString();
+
+  const [match] = assignments
+    .filter(assignment => isAssignmentEffective(assignment, dateKey))
+    .filter(assignment => (assignment.userId
+      ? assignment.userId.toString() === userId
+      : !!assignment.department && assignment.department === user.department))
+    .map(assignment => ({ assignment, shift: shiftsById.get(assignment.shiftId.toString()) }))
+    .filter(({ shift }) => shift && shift.isActive)
+    .sort((a, b) => (
+      (b.assignment.userId ? 1 : 0) - (a.assignment.userId ? 1 : 0) ||
+      b.assignment.effectiveFrom.localeCompare(a.assignment.effectiveFrom)
+    ));
+
+  return match ? match.shift : null;
+};
+
+// The shift an employee works on a day, or null for a day off
+const findShiftForDay = (user, dateKey, assignments, shiftsById) => {
+  const shift = findAssignedShift(user, dateKey, assignments, shiftsById);
+  return shift && shift.daysOfWeek.includes(parseDateKey(dateKey).getDay()) ? shift : null;
+};
+
+/**
+ * Why an employee is not expected at work on a day by their weekly pattern:
+ * `{ type: 'off', shiftId }` on a weekday their shift does not include, or
+ * without a shift `{ type: 'weekend' }` on config.leave.weekendDays. Null on
+ * a working day.
+ */
+const findWeeklyDayOff = (user, dateKey, assignments, shiftsById) => {
+  const weekday = parseDateKey(dateKey).getDay();
+  const shift = findAssignedShift(user, dateKey, assignments, shiftsById);
+
+  if (shift) {
+    return shift.daysOfWeek.includes(weekday) ? null : { type: 'off', shiftId: shift._id };
+  }
+  return config.leave.weekendDays.includes(String(weekday)) ? { type: 'weekend' } : null;
+};
+
+/**
+ * Compare the sessions of an employee with one day of their shift. Sessions
+ * that overlap the shift count; the first login is checked against the start
+ * straight away, the last logout and absence only once the shift is over.
+ * Returns `{ events, complete }`, where complete means the shift has ended.
+ */
+const evaluateShiftDay = ({ shift, dateKey, sessions, now = Date.now() }) => {
+  const { start, end } = getShiftWindow(shift, dateKey);
+  const startMs = start.getTime();
+  const endMs = end.getTime();
+  const complete = now >= endMs;
+  const events = [];
+
+  const shiftSessions = sessions
+    .map(session => ({ ...getSessionInterval(session), isActive: session.isActive }))
+    .filter(interval => interval.start < endMs && (interval.end > startMs || interval.isActive));
+
+  if (shiftSessions.length === 0) {
+    if (complete) {
+      events.push({ type: 'no_show', expectedAt: start });
+    }
+    return { events, complete };
+  }
+
+  const firstIn = Math.min(...shiftSessions.map(interval => interval.start));
+  if (firstIn > startMs + shift.lateGraceMinutes * MINUTE_MS) {
+    events.push({
+      type: 'late_arrival',
+      expectedAt: start,
+      actualAt: new Date(firstIn),
+      minutes: Math.round((firstIn - startMs) / MINUTE_MS)
+    });
+  }
+
+  const lastOut = Math.max(...shiftSessions.map(interval => interval.end));
+  const stillActive = shiftSessions.some(interval => interval.isActive);
+  if (complete && !stillActive && lastOut < endMs - shift.earlyLeaveGraceMinutes * MINUTE_MS) {
+    events.push({
+      type: 'early_leave',
+      expectedAt: end,
+      actualAt: new Date(lastOut),
+      minutes: Math.round((endMs - lastOut) / MINUTE_MS)
+    });
+  }
+
+  return { events, complete };
+};
+
+// Assignments and shift templates of a lab, as used by findShiftForDay
+const loadLabSchedule = async (labId) => {
+  const [assignments, shifts] = await Promise.all([
+    ShiftAssignment.find({ labId }).lean(),
+    Shift.find({ labId }).lean()
+  ]);
+  return {
+    assignments,
+    shiftsById: new Map(shifts.map(shift => [shift._id.toString(), shift]))
+  };
+};
+
+/**
+ * Bring the stored shift events of one employee and day up to date. Once the
+ * shift is over, events that no longer apply (e.g. the assignment changed)
+ * are removed.
+ */
+const syncShiftEvents = async (user, dateKey, schedule, now = Date.now()) => {
+  const labId = user.labId._id || user.labId;
+  const shift = findShiftForDay(user, dateKey, schedule.assignments, schedule.shiftsById);
+  const daysOff = shift ? await getDaysOff(user, dateKey, dateKey, schedule) : null;
+
+  // Nobody is expected on a holiday or on approved leave
+  if (!shift || daysOff.has(dateKey)) {
+    await ShiftEvent.deleteMany({ userId: user._id, date: dateKey });
+    return [];
+  }
+
+  const { start, end } = getShiftWindow(shift, dateKey);
+  const sessions = await EmployeeSession.find({
+    userId: user._id,
+    loginTime: { $lt: end },
+    $or: [{ isActive: true }, { logoutTime: { $gt: start } }]
+  }).select('loginTime logoutTime lastActivity isActive').lean();
+
+  const { events, complete } = evaluateShiftDay({ shift, dateKey, sessions, now });
+
+  for (const event of events) {
+    await ShiftEvent.updateOne(
+      { userId: user._id, date: dateKey, type: event.type },
+      { $set: { ...event, labId, shiftId: shift._id } },
+      { upsert: true }
+    );
+  }
+
+  if (complete) {
+    await ShiftEvent.deleteMany({
+      userId: user._id,
+      date: dateKey,
+      type: { $nin: events.map(event => event.type) }
+    });
+  }
+
+  return events;
+};
+
+module.exports = {
+  TIME_PATTERN,
+  getShiftWindow,
+  findAssignedShift,
+  findShiftForDay,
+  findWeeklyDayOff,
+  evaluateShiftDay,
+  loadLabSchedule,
+  syncShiftEvents
+};
@@ -0,0 +1,52 @@
+// utils/tokens.js - Access and refresh tokens for employee sessions
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const config = require('../config');
+
+// Access tokens carry the id of their EmployeeSession (`sid`) so that auth()
+// can reject them as soon as the session ends
+const issueAccessToken = (user, session) => jwt.sign(
+  {
+    id: user._id,
+    role: user.role,
+    labId: user.labId._id || user.labId,
+    sid: session._id
+  },
+  config.jwt.secret,
+  { expiresIn: config.jwt.accessTokenExpiresIn }
+);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a refresh token for a session. Returns the raw token, which is
+ * handed to the client once, and the stored record.
+ */
+const issueRefreshToken = async (session, { ipAddress, userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const record = await new RefreshToken({
+    sessionId: session._id,
+    userId: session.userId._id || session.userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + config.jwt.refreshTokenTtlHours * 60 * 60 * 1000),
+    ipAddress,
+    userAgent
+  }).save();
+
+  return { token, record };
+};
+
+// Revoke every refresh token of a session that is still usable
+const revokeSessionTokens = (sessionId, reason) => RefreshToken.updateMany(
+  { sessionId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+module.exports = {
+  issueAccessToken,
+  hashToken,
+  issueRefreshToken,
+  revokeSessionTokens
+};
@@ -0,0 +1,162 @@
+// utils/webauthn.js - WebAuthn ceremony helpers for the WebSocket passkey flow
+const {
+  generateRegistrationOptions,
+  generateAuthenticationOptions,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+const config = require('../config');
+
+// How long an issued challenge stays valid
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Relying party settings. Everything below takes these as an argument so the
+ * ceremonies can be verified offline against software authenticator output.
+ */
+const getRelyingParty = () => ({
+  rpID: config.webauthn.rpId,
+  rpName: config.webauthn.rpName,
+  origins: config.webauthn.origins
+});
+
+const toDescriptor = (credential) => ({
+  id: isoBase64URL.toBuffer(credential.credentialId),
+  type: 'public-key',
+  transports: credential.transports && credential.transports.length > 0 ? credential.transports : undefined
+});
+
+// Options for navigator.credentials.create(); the challenge must be kept server-side
+const createRegistrationOptions = async (user, existingCredentials = [], rp = getRelyingParty()) => {
+  const options = await generateRegistrationOptions({
+    rpName: rp.rpName,
+    rpID: rp.rpID,
+    userID: user._id.toString(),
+    userName: user.email,
+    userDisplayName: user.name,
+    attestationType: 'none',
+    excludeCredentials: existingCredentials.map(toDescriptor),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    }
+  });
+
+  return {
+    options,
+    challenge: {
+      value: options.challenge,
+      type: 'registration',
+      userId: user._id.toString(),
+      expiresAt: Date.now() + CHALLENGE_TTL_MS
+    }
+  };
+};
+
+// Options for navigator.credentials.get(), restricted to the user's credentials
+const createAuthenticationOptions = async (user, credentials, rp = getRelyingParty()) => {
+  const options = await generateAuthenticationOptions({
+    rpID: rp.rpID,
+    allowCredentials: credentials.map(toDescriptor),
+    userVerification: 'preferred'
+  });
+
+  return {
+    options,
+    challenge: {
+      value: options.challenge,
+      type: 'authentication',
+      userId: user._id.toString(),
+      expiresAt: Date.now() + CHALLENGE_TTL_MS
+    }
+  };
+};
+
+const assertChallengeUsable = (challenge, expectedType) => {
+  if (!challenge || !challenge.value) {
+    throw new Error('No challenge was issued for this session');
+  }
+  if (challenge.type !== expectedType) {
+    throw new Error(`Challenge was issued for ${challenge.type}, not ${expectedType}`);
+  }
+  if (Date.now() > challenge.expiresAt) {
+    throw new Error('Challenge has expired');
+  }
+};
+
+/**
+ * Verify an attestation (RegistrationResponseJSON) against the issued challenge.
+ * Returns the credential fields to persist.
+ */
+const verifyRegistration = async (response, challenge, rp = getRelyingParty()) => {
+  assertChallengeUsable(challenge, 'registration');
+
+  const { verified, registrationInfo } = await verifyRegistrationResponse({
+    response,
+    expectedChallenge: challenge.value,
+    expectedOrigin: rp.origins,
+    expectedRPID: rp.rpID,
+    requireUserVerification: false
+  });
+
+  if (!verified || !registrationInfo) {
+    throw new Error('Passkey registration could not be verified');
+  }
+
+  return {
+    credentialId: isoBase64URL.fromBuffer(registrationInfo.credentialID),
+    publicKey: isoBase64URL.fromBuffer(registrationInfo.credentialPublicKey),
+    signCount: registrationInfo.counter,
+    transports: (response.response && response.response.transports) || [],
+    deviceType: registrationInfo.credentialDeviceType,
+    backedUp: registrationInfo.credentialBackedUp,
+    attestationFormat: registrationInfo.fmt,
+    aaguid: registrationInfo.aaguid
+  };
+};
+
+/**
+ * Verify an assertion (AuthenticationResponseJSON) against the issued challenge
+ * and the stored credential. Returns the new signature counter.
+ */
+const verifyAuthentication = async (response, challenge, credential, rp = getRelyingParty()) => {
+  assertChallengeUsable(challenge, 'authentication');
+
+  if (!response || response.id !== credential.credentialId) {
+    throw new Error('Assertion does not match the stored credential');
+  }
+
+  const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+    response,
+    expectedChallenge: challenge.value,
+    expectedOrigin: rp.origins,
+    expectedRPID: rp.rpID,
+    authenticator: {
+      credentialID: isoBase64URL.toBuffer(credential.credentialId),
+      credentialPublicKey: isoBase64URL.toBuffer(credential.publicKey),
+      counter: credential.signCount,
+      transports: credential.transports
+    },
+    requireUserVerification: false
+  });
+
+  if (!verified) {
+    throw new Error('Passkey assertion could not be verified');
+  }
+
+  return {
+    newSignCount: authenticationInfo.newCounter,
+    deviceType: authenticationInfo.credentialDeviceType,
+    backedUp: authenticationInfo.credentialBackedUp
+  };
+};
+
+module.exports = {
+  CHALLENGE_TTL_MS,
+  getRelyingParty,
+  createRegistrationOptions,
+  createAuthenticationOptions,
+  verifyRegistration,
+  verifyAuthentication
+};
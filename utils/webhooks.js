@@ -0,0 +1,333 @@
+// utils/webhooks.js - Signed event deliveries to the HTTP endpoints labs register
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const config = require('../config');
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'login.succeeded',
+  'login.failed',
+  'geofence.violation',
+  'session.timeout',
+  'employee.created',
+  'employee.updated',
+  'employee.deleted'
+];
+
+// Sent by POST /api/webhooks/:id/test whatever the webhook subscribes to
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ERROR_LENGTH = 200;
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and multicast IPv4 ranges
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const DELIVERY_BATCH_SIZE = 20;
+
+// How a user appears in event payloads
+const webhookUser = (user) => ({
+  id: user._id.toString(),
+  name: user.name,
+  email: user.email,
+  employeeId: user.employeeId,
+  role: user.role,
+  department: user.department,
+  designation: user.designation,
+  isActive: user.isActive
+});
+
+const ipv4ToNumber = (address) => address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+
+const isPrivateIPv4 = (address) => PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+  const blockSize = 2 ** (32 - bits);
+  return Math.floor(ipv4ToNumber(address) / blockSize) === Math.floor(ipv4ToNumber(base) / blockSize);
+});
+
+// Whether an IP address is one webhooks must not reach: anything but the public internet
+const isPrivateAddress = (address) => {
+  const ip = address.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIPv4(ip)) {
+    return isPrivateIPv4(ip);
+  }
+  if (!net.isIPv6(ip)) {
+    return false;
+  }
+
+  // IPv4-mapped addresses, written either way
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateIPv4(mapped[1]);
+  }
+  const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  // Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10) and multicast
+  return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip);
+};
+
+/**
+ * Resolve a host the way http.request does, refusing private addresses unless
+ * `webhooks.allowPrivateTargets` is set. Used as the request's `lookup`, so the
+ * address checked is the one connected to, even if DNS changes in between.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (!config.webhooks.allowPrivateTargets && addresses.some(({ address }) => isPrivateAddress(address))) {
+      callback(new Error(`${hostname} resolves to a private address`));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+/**
+ * Why a webhook may not be sent to `url`, or null if it may. Private
+ * destinations are refused so that webhooks cannot probe internal hosts.
+ */
+const checkWebhookTarget = async (url) => {
+  if (config.webhooks.allowPrivateTargets) {
+    return null;
+  }
+
+  const { hostname } = new URL(url);
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) {
+    return isPrivateAddress(hostname) ? 'Webhook URL must not point to a private address' : null;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.some(({ address }) => isPrivateAddress(address))
+      ? 'Webhook URL must not point to a private address'
+      : null;
+  } catch (error) {
+    // Hosts that do not resolve yet are checked again on every delivery
+    return null;
+  }
+};
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Receivers verify a delivery by computing the HMAC-SHA256 of
+ * `${X-Webhook-Timestamp}.${raw body}` with the webhook's secret and comparing
+ * it to X-Webhook-Signature (`sha256=<hex>`). The timestamp is signed so an
+ * old delivery cannot be replayed later.
+ */
+const signPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+const createDelivery = (webhook, event, data, now = new Date()) => {
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id,
+    labId: webhook.labId,
+    event,
+    nextAttemptAt: now
+  });
+
+  delivery.body = JSON.stringify({
+    id: delivery._id.toString(),
+    event,
+    labId: webhook.labId.toString(),
+    createdAt: now.toISOString(),
+    data
+  });
+
+  return delivery.save();
+};
+
+/**
+ * Queue an event for every active webhook of the lab subscribed to it. The
+ * deliveries are sent by processWebhookDeliveries. Failures are logged, never
+ * thrown: a webhook must not break the request that caused the event.
+ */
+const queueWebhookEvent = async (labId, event, data) => {
+  if (!labId) {
+    return [];
+  }
+
+  try {
+    const webhooks = await Webhook.find({ labId: labId._id || labId, isActive: true, events: event });
+    return await Promise.all(webhooks.map(webhook => createDelivery(webhook, event, data)));
+  } catch (error) {
+    console.error(`Webhook ${event} queue error:`, error);
+    return [];
+  }
+};
+
+// POST `body` to `url`; resolves with the response status, rejects on network
+// errors, timeouts and private destinations. The response body is discarded.
+const postJson = (url, body, headers, timeoutMs) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  // IP literals skip the lookup, so they are checked here
+  if (!config.webhooks.allowPrivateTargets && isPrivateAddress(target.hostname)) {
+    reject(new Error(`${target.hostname} is a private address`));
+    return;
+  }
+
+  const req = client.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers
+    },
+    lookup: lookupPublicAddress,
+    timeout: timeoutMs
+  }, (res) => {
+    res.resume();
+    res.on('end', () => resolve({ statusCode: res.statusCode }));
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs} ms`)));
+  req.on('error', reject);
+  req.end(body);
+});
+
+// Wait before attempt number `attempts + 1`: doubles from retryBaseSeconds up to the cap
+const retryDelayMs = (attempts) => {
+  const { retryBaseSeconds, maxRetryDelayMinutes } = config.webhooks;
+  return Math.min(retryBaseSeconds * 1000 * 2 ** (attempts - 1), maxRetryDelayMinutes * 60 * 1000);
+};
+
+/**
+ * Make one attempt at a claimed delivery and record its outcome. Any 2xx
+ * response delivers it; anything else is retried with backoff until
+ * `maxAttempts` have been made.
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  const attemptedAt = new Date();
+  const attempt = { attemptedAt };
+
+  if (!webhook || !webhook.isActive) {
+    attempt.error = webhook ? 'Webhook is disabled' : 'Webhook no longer exists';
+  } else {
+    const timestamp = Math.floor(attemptedAt.getTime() / 1000).toString();
+    try {
+      const response = await postJson(webhook.url, delivery.body, {
+        'User-Agent': 'LabManagement-Webhooks/1.0',
+        'X-Webhook-Id': webhook._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+      }, config.webhooks.timeoutSeconds * 1000);
+
+      attempt.statusCode = response.statusCode;
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        attempt.error = `Receiver responded with HTTP ${response.statusCode}`;
+      }
+    } catch (error) {
+      attempt.error = error.message.slice(0, MAX_ERROR_LENGTH);
+    }
+  }
+  attempt.durationMs = Date.now() - attemptedAt.getTime();
+
+  const attempts = delivery.attempts + 1;
+  const update = {
+    attempts,
+    lastStatusCode: attempt.statusCode || null,
+    lastError: attempt.error || null,
+    $push: { attemptLog: attempt }
+  };
+
+  if (!attempt.error) {
+    Object.assign(update, { status: 'delivered', deliveredAt: new Date() });
+  } else if (!webhook || !webhook.isActive || attempts >= config.webhooks.maxAttempts) {
+    update.status = 'failed';
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts));
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+};
+
+// Set while this instance works through the queue, so runs do not overlap
+let processing = false;
+
+/**
+ * Send deliveries that are due, up to DELIVERY_BATCH_SIZE. Each is claimed by
+ * pushing its nextAttemptAt past the request timeout, so instances sharing
+ * the queue never send the same attempt twice, and one that dies mid-attempt
+ * leaves it to be retried. Returns how many were attempted.
+ */
+const processWebhookDeliveries = async () => {
+  if (processing) {
+    return 0;
+  }
+  processing = true;
+
+  const leaseMs = (config.webhooks.timeoutSeconds + 30) * 1000;
+  const webhooks = new Map();
+  let sent = 0;
+
+  try {
+    while (sent < DELIVERY_BATCH_SIZE) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + leaseMs) },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!delivery) {
+        break;
+      }
+
+      const key = delivery.webhookId.toString();
+      if (!webhooks.has(key)) {
+        webhooks.set(key, await Webhook.findById(delivery.webhookId).select('+secret'));
+      }
+      await attemptDelivery(delivery, webhooks.get(key));
+      sent += 1;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  generateWebhookSecret,
+  webhookUser,
+  isPrivateAddress,
+  checkWebhookTarget,
+  signPayload,
+  createDelivery,
+  queueWebhookEvent,
+  processWebhookDeliveries
+};
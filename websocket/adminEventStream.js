@@ -0,0 +1,173 @@
+// websocket/adminEventStream.js - Pushes lab events to subscribed admin sockets
+const mongoose = require('mongoose');
+const AdminEvent = require('../models/AdminEvent');
+const EmployeeSession = require('../models/EmployeeSession');
+const User = require('../models/User');
+
+const POLL_INTERVAL_MS = 1000;
+// Instances write events concurrently, so they may not become visible in _id
+// order; each poll looks back this far and skips what a socket already got
+const LOOKBACK_MS = 10 * 1000;
+const REPLAY_LIMIT = 100;
+// How often subscriptions are checked against their admin's login session and role
+const SESSION_CHECK_INTERVAL_MS = 30 * 1000;
+
+const toEventMessage = (event, replay) => ({
+  id: event._id.toString(),
+  type: event.type,
+  user: event.userId ? {
+    id: event.userId._id.toString(),
+    name: event.userId.name,
+    email: event.userId.email,
+    employeeId: event.userId.employeeId
+  } : null,
+  sessionId: event.sessionId ? event.sessionId.toString() : null,
+  data: event.data || {},
+  timestamp: new Date(event.createdAt).getTime(),
+  replay
+});
+
+const findEvents = (filter) => AdminEvent.find(filter).populate('userId', 'name email employeeId');
+
+/**
+ * Every instance polls the AdminEvent collection for the labs its admin
+ * sockets watch, so events reach admins whichever instance recorded them.
+ * The stream exposes:
+ *   subscribe(ws, connectionId, { userId, labId, sessionId, lastEventId })
+ *   unsubscribe(connectionId)
+ *   stop()
+ * `send(ws, type, data)` delivers a message; `onSessionEnded(connectionId, ws)`
+ * is called for subscriptions whose admin has been signed out, deactivated,
+ * demoted or moved to another lab.
+ */
+const createAdminEventStream = ({ send, onSessionEnded }) => {
+  const subscriptions = new Map(); // connectionId -> { ws, userId, labId, sessionId, afterId, sent: Map(eventId -> sentAt) }
+  let timer = null;
+  let polling = false;
+  let lastSessionCheck = Date.now();
+
+  const deliver = (subscription, events, replay) => {
+    const now = Date.now();
+    events.forEach(event => {
+      const id = event._id.toString();
+      if (!subscription.sent.has(id) && !(subscription.afterId && id <= subscription.afterId)) {
+        subscription.sent.set(id, now);
+        send(subscription.ws, 'admin_event', toEventMessage(event, replay));
+      }
+    });
+
+    // Anything sent this long ago has dropped out of the look-back window
+    subscription.sent.forEach((sentAt, id) => {
+      if (now - sentAt > 2 * LOOKBACK_MS) {
+        subscription.sent.delete(id);
+      }
+    });
+  };
+
+  const endRevokedSubscriptions = async () => {
+    lastSessionCheck = Date.now();
+    const sessionIds = [...subscriptions.values()].map(subscription => subscription.sessionId);
+    const userIds = [...subscriptions.values()].map(subscription => subscription.userId);
+    const active = await EmployeeSession.find({ _id: { $in: sessionIds }, isActive: true }).distinct('_id');
+    const activeIds = new Set(active.map(id => id.toString()));
+    const admins = await User.find({ _id: { $in: userIds }, role: 'lab_admin', isActive: true }).select('labId').lean();
+    const adminLabs = new Map(admins.map(admin => [admin._id.toString(), admin.labId.toString()]));
+
+    subscriptions.forEach((subscription, connectionId) => {
+      if (!activeIds.has(subscription.sessionId) || adminLabs.get(subscription.userId) !== subscription.labId) {
+        subscriptions.delete(connectionId);
+        onSessionEnded(connectionId, subscription.ws);
+      }
+    });
+  };
+
+  const poll = async () => {
+    if (polling || subscriptions.size === 0) {
+      return;
+    }
+    polling = true;
+
+    try {
+      const labIds = [...new Set([...subscriptions.values()].map(subscription => subscription.labId))];
+      const events = await findEvents({
+        labId: { $in: labIds },
+        createdAt: { $gt: new Date(Date.now() - LOOKBACK_MS) }
+      }).sort({ _id: 1 }).lean();
+
+      subscriptions.forEach(subscription => {
+        deliver(subscription, events.filter(event => event.labId.toString() === subscription.labId), false);
+      });
+
+      if (Date.now() - lastSessionCheck > SESSION_CHECK_INTERVAL_MS) {
+        await endRevokedSubscriptions();
+      }
+    } catch (error) {
+      console.error('Admin event stream poll error:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    /**
+     * Start streaming a lab's events to a socket. Events after `lastEventId`
+     * (or the latest ones without it) are replayed first, at most
+     * REPLAY_LIMIT; `replayTruncated` tells the client it missed more.
+     * Returns false if the socket closed before the subscription was made.
+     */
+    async subscribe(ws, connectionId, { userId, labId, sessionId, lastEventId }) {
+      const afterId = lastEventId && mongoose.Types.ObjectId.isValid(lastEventId) ? lastEventId.toLowerCase() : null;
+      const filter = { labId };
+      if (afterId) {
+        filter._id = { $gt: afterId };
+      }
+
+      const recent = await findEvents(filter).sort({ _id: -1 }).limit(REPLAY_LIMIT + 1).lean();
+      const replay = recent.slice(0, REPLAY_LIMIT).reverse();
+
+      // The socket may have closed, and been unsubscribed, while the replay loaded
+      if (ws.readyState !== ws.OPEN) {
+        return false;
+      }
+
+      // The client already has everything up to afterId
+      const subscription = {
+        ws,
+        userId: userId.toString(),
+        labId: labId.toString(),
+        sessionId: sessionId.toString(),
+        afterId,
+        sent: new Map()
+      };
+      subscriptions.set(connectionId, subscription);
+
+      send(ws, 'admin_events_subscribed', {
+        labId: subscription.labId,
+        replayed: replay.length,
+        replayTruncated: recent.length > REPLAY_LIMIT
+      });
+      deliver(subscription, replay, true);
+
+      if (!timer) {
+        timer = setInterval(poll, POLL_INTERVAL_MS);
+      }
+      return true;
+    },
+
+    unsubscribe(connectionId) {
+      subscriptions.delete(connectionId);
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+      subscriptions.clear();
+    }
+  };
+};
+
+module.exports = {
+  createAdminEventStream
+};
@@ -0,0 +1,413 @@
+// websocket/protocol.js - Message schemas and validation for the WebSocket login flow
+
+/**
+ * Every frame is JSON. Clients send `{ type, data, requestId? }`; the server
+ * sends `{ type, data, version, timestamp }`. Errors are sent as type 'error'
+ * with `{ code, message, requestId?, details? }`, where `code` is one of
+ * ERROR_CODES.
+ *
+ * Clients pick a protocol version with the `protocolVersion` query parameter
+ * of the WebSocket URL; the negotiated version is reported in 'connected'.
+ */
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  UNSUPPORTED_PROTOCOL_VERSION: 'UNSUPPORTED_PROTOCOL_VERSION',
+  NOT_REGISTERED: 'NOT_REGISTERED',
+  ROLE_NOT_ALLOWED: 'ROLE_NOT_ALLOWED',
+  INVALID_STATE: 'INVALID_STATE',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  INVALID_SESSION_SECRET: 'INVALID_SESSION_SECRET',
+  DESKTOP_NOT_CONNECTED: 'DESKTOP_NOT_CONNECTED',
+  MOBILE_NOT_CONNECTED: 'MOBILE_NOT_CONNECTED',
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  PASSKEY_NOT_REGISTERED: 'PASSKEY_NOT_REGISTERED',
+  PASSKEY_CHALLENGE_FAILED: 'PASSKEY_CHALLENGE_FAILED',
+  PASSKEY_VERIFICATION_FAILED: 'PASSKEY_VERIFICATION_FAILED',
+  PASSKEY_REGISTRATION_FAILED: 'PASSKEY_REGISTRATION_FAILED',
+  LOCATION_NOT_VERIFIED: 'LOCATION_NOT_VERIFIED',
+  AUTHENTICATION_FAILED: 'AUTHENTICATION_FAILED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/*
+ * Field specs: { type, required, maxLength, min, max, enum, fields }
+ * Types: 'string', 'number', 'numeric' (number or numeric string), 'boolean',
+ * 'object', 'array' and 'any'. Unknown fields are allowed so that clients can
+ * send extra data without breaking older servers.
+ */
+
+const sessionId = { type: 'string', required: true, maxLength: 128 };
+
+const location = {
+  type: 'object',
+  fields: {
+    latitude: { type: 'numeric', required: true, min: -90, max: 90 },
+    longitude: { type: 'numeric', required: true, min: -180, max: 180 },
+    accuracy: { type: 'numeric', min: 0 },
+    altitude: { type: 'numeric' },
+    timestamp: { type: 'any' }
+  }
+};
+
+// Passkey payloads arrive either wrapped in `authData` or flat
+const passkeyPayload = {
+  fields: {
+    authData: {
+      type: 'object',
+      fields: {
+        credential: { type: 'object' },
+        deviceInfo: { type: 'any' }
+      }
+    },
+    credential: { type: 'object' },
+    deviceInfo: { type: 'any' }
+  },
+  check: (data) => ((data.authData || data).credential ? null : 'credential is required')
+};
+
+const INBOUND_MESSAGES = {
+  register_desktop: {
+    fields: {
+      sessionId,
+      userEmail: { type: 'string', maxLength: 254 },
+      labName: { type: 'string', maxLength: 200 },
+      sessionSecret: { type: 'string', maxLength: 128 },
+      // Enrolling a passkey takes the access token of the user it is for
+      mode: { type: 'string', enum: ['login', 'authenticate', 'register', 'registration', 'create'] },
+      token: { type: 'string', maxLength: 4096 }
+    },
+    check: (data) => (['register', 'registration', 'create'].includes(data.mode) && !data.token
+      ? 'token is required to register a passkey'
+      : null)
+  },
+  // The mobile cannot pick the session mode; the desktop did when it registered
+  register_mobile: {
+    fields: {
+      sessionId,
+      userEmail: { type: 'string', maxLength: 254 },
+      requireLocation: { type: 'boolean' }
+    }
+  },
+  passkey_auth_success: passkeyPayload,
+  passkey_created: passkeyPayload,
+  request_location: {
+    fields: {
+      authData: { type: 'object' },
+      requestId: { type: 'string', maxLength: 128 }
+    }
+  },
+  location_received: {
+    fields: {
+      location: { ...location, required: true },
+      authData: { type: 'object' }
+    }
+  },
+  location_check_complete: {
+    fields: {
+      success: { type: 'boolean' }
+    }
+  },
+  // A signed-in client asks for notices about its own employee session
+  subscribe_session: {
+    fields: {
+      token: { type: 'string', required: true, maxLength: 4096 }
+    }
+  },
+  // A lab admin asks for the live event stream of their lab; lastEventId
+  // resumes after the last event seen before a reconnect
+  subscribe_admin_events: {
+    fields: {
+      token: { type: 'string', required: true, maxLength: 4096 },
+      lastEventId: { type: 'string', maxLength: 24 }
+    }
+  },
+  ping: {
+    fields: {}
+  }
+};
+
+const OUTBOUND_MESSAGES = {
+  connected: {
+    fields: {
+      connectionId: { type: 'string', required: true },
+      protocolVersion: { type: 'number', required: true },
+      supportedVersions: { type: 'array', required: true }
+    }
+  },
+  pong: { fields: { timestamp: { type: 'number', required: true } } },
+  error: {
+    fields: {
+      code: { type: 'string', required: true, enum: Object.values(ERROR_CODES) },
+      message: { type: 'string', required: true }
+    }
+  },
+  desktop_registered: {
+    fields: {
+      sessionId,
+      sessionSecret: { type: 'string', required: true },
+      sessionSecretExpiresAt: { type: 'number', required: true },
+      status: { type: 'string', required: true }
+    }
+  },
+  mobile_registered: {
+    fields: {
+      sessionId,
+      challenge: { type: 'string', required: true },
+      publicKeyOptions: { type: 'object', required: true },
+      requireLocation: { type: 'boolean', required: true },
+      mode: { type: 'string', required: true }
+    }
+  },
+  session_state: {
+    fields: {
+      sessionId,
+      state: { type: 'string', required: true }
+    }
+  },
+  session_expired: {
+    fields: {
+      sessionId,
+      state: { type: 'string', required: true },
+      expiredFrom: { type: 'string', required: true },
+      message: { type: 'string', required: true }
+    }
+  },
+  mobile_connected: { fields: { message: { type: 'string', required: true } } },
+  passkey_verified_confirmed: { fields: { sessionId } },
+  passkey_verified: { fields: { authData: { type: 'object', required: true } } },
+  passkey_created_confirmed: { fields: { sessionId } },
+  passkey_created: { fields: { authData: { type: 'object', required: true } } },
+  request_location: { fields: { sessionId } },
+  location_received: { fields: { sessionId, location: { ...location, required: true } } },
+  access_granted: { fields: { message: { type: 'string', required: true } } },
+  access_denied: { fields: { message: { type: 'string', required: true } } },
+  location_check_complete: {
+    fields: {
+      success: { type: 'boolean', required: true },
+      message: { type: 'string', required: true }
+    }
+  },
+  session_subscribed: { fields: { sessionId } },
+  session_terminated: {
+    fields: {
+      sessionId,
+      action: { type: 'string', required: true },
+      reason: { type: 'string' },
+      message: { type: 'string', required: true }
+    }
+  },
+  // The lab's outside-geofence policy acted on the session (see utils/geofenceEnforcement.js)
+  geofence_notice: {
+    fields: {
+      sessionId,
+      action: { type: 'string', required: true, enum: ['geofence_warning', 'accrual_paused', 'accrual_resumed'] },
+      message: { type: 'string', required: true },
+      thresholdMinutes: { type: 'number' },
+      outsideDurationSeconds: { type: 'number' },
+      pausedSeconds: { type: 'number' }
+    }
+  },
+  admin_events_subscribed: {
+    fields: {
+      labId: { type: 'string', required: true },
+      replayed: { type: 'number', required: true },
+      replayTruncated: { type: 'boolean', required: true }
+    }
+  },
+  admin_event: {
+    fields: {
+      id: { type: 'string', required: true },
+      type: {
+        type: 'string',
+        required: true,
+        enum: [
+          'employee_online', 'employee_offline', 'session_timeout', 'geofence_exit', 'geofence_enter',
+          'geofence_warning', 'accrual_paused', 'accrual_resumed', 'geofence_session_end', 'failed_login'
+        ]
+      },
+      user: { type: 'any' },
+      sessionId: { type: 'any' },
+      data: { type: 'object', required: true },
+      timestamp: { type: 'number', required: true },
+      replay: { type: 'boolean', required: true }
+    }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'numeric':
+      return (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+// Collect `{ field, message }` problems for `value` against a map of field specs
+const validateFields = (value, fields, path = '') => {
+  const problems = [];
+
+  Object.entries(fields).forEach(([name, spec]) => {
+    const field = path ? `${path}.${name}` : name;
+    const fieldValue = value[name];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (spec.required) {
+        problems.push({ field, message: 'is required' });
+      }
+      return;
+    }
+
+    if (spec.type && !checkType(fieldValue, spec.type)) {
+      problems.push({ field, message: `must be of type ${spec.type}` });
+      return;
+    }
+
+    if (spec.maxLength !== undefined && fieldValue.length > spec.maxLength) {
+      problems.push({ field, message: `must be at most ${spec.maxLength} characters` });
+    }
+
+    if (spec.min !== undefined && Number(fieldValue) < spec.min) {
+      problems.push({ field, message: `must be at least ${spec.min}` });
+    }
+
+    if (spec.max !== undefined && Number(fieldValue) > spec.max) {
+      problems.push({ field, message: `must be at most ${spec.max}` });
+    }
+
+    if (spec.enum && !spec.enum.includes(fieldValue)) {
+      problems.push({ field, message: `must be one of ${spec.enum.join(', ')}` });
+    }
+
+    if (spec.fields) {
+      problems.push(...validateFields(fieldValue, spec.fields, field));
+    }
+  });
+
+  return problems;
+};
+
+const validatePayload = (schema, data) => {
+  if (!isPlainObject(data)) {
+    return [{ field: 'data', message: 'must be an object' }];
+  }
+
+  const problems = validateFields(data, schema.fields);
+  if (problems.length === 0 && schema.check) {
+    const problem = schema.check(data);
+    if (problem) {
+      problems.push({ field: 'data', message: problem });
+    }
+  }
+  return problems;
+};
+
+const protocolError = (code, message, details) => ({ error: { code, message, details } });
+
+/**
+ * Parse and validate a raw inbound frame.
+ * Returns `{ type, data, requestId }` or `{ error: { code, message, details } }`;
+ * never throws.
+ */
+const parseInboundMessage = (raw) => {
+  const size = Buffer.isBuffer(raw) ? raw.length : Buffer.byteLength(String(raw));
+  if (size > MAX_MESSAGE_BYTES) {
+    return protocolError(ERROR_CODES.MESSAGE_TOO_LARGE, `Messages must be at most ${MAX_MESSAGE_BYTES} bytes`);
+  }
+
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return protocolError(ERROR_CODES.INVALID_JSON, 'Message is not valid JSON');
+  }
+
+  if (!isPlainObject(message) || typeof message.type !== 'string') {
+    return protocolError(ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with a string type');
+  }
+
+  const requestId = typeof message.requestId === 'string' ? message.requestId : undefined;
+  const schema = Object.prototype.hasOwnProperty.call(INBOUND_MESSAGES, message.type)
+    ? INBOUND_MESSAGES[message.type]
+    : null;
+
+  if (!schema) {
+    return {
+      requestId,
+      ...protocolError(ERROR_CODES.UNKNOWN_MESSAGE_TYPE, `Unknown message type: ${message.type}`)
+    };
+  }
+
+  const data = message.data === undefined ? {} : message.data;
+  const problems = validatePayload(schema, data);
+  if (problems.length > 0) {
+    return {
+      requestId,
+      ...protocolError(ERROR_CODES.VALIDATION_FAILED, `Invalid ${message.type} message`, problems)
+    };
+  }
+
+  return { type: message.type, data, requestId };
+};
+
+// Problems with an outbound payload; an empty list means it matches its schema
+const validateOutboundMessage = (type, data) => {
+  const schema = OUTBOUND_MESSAGES[type];
+  if (!schema) {
+    return [{ field: 'type', message: `undeclared message type ${type}` }];
+  }
+  return validatePayload(schema, data);
+};
+
+/**
+ * Pick the protocol version for a connection from the client's request.
+ * No request means the current version; otherwise the highest supported
+ * version not above the requested one. Returns null if none fits.
+ */
+const negotiateProtocolVersion = (requested) => {
+  if (requested === undefined || requested === null || requested === '') {
+    return PROTOCOL_VERSION;
+  }
+
+  const version = Number(requested);
+  if (!Number.isInteger(version)) {
+    return null;
+  }
+
+  const candidates = SUPPORTED_PROTOCOL_VERSIONS.filter(supported => supported <= version);
+  return candidates.length > 0 ? Math.max(...candidates) : null;
+};
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  ERROR_CODES,
+  INBOUND_MESSAGES,
+  OUTBOUND_MESSAGES,
+  parseInboundMessage,
+  validateOutboundMessage,
+  negotiateProtocolVersion
+};
@@ -0,0 +1,120 @@
+// websocket/relay.js - Delivers messages to sockets held by other server instances
+const { EventEmitter } = require('events');
+const WebSocketRelayMessage = require('../models/WebSocketRelayMessage');
+
+// How often the MongoDB relay checks for messages addressed to this instance
+const RELAY_POLL_INTERVAL_MS = 250;
+const RELAY_BATCH_SIZE = 100;
+
+/**
+ * Every relay exposes:
+ *   instanceId
+ *   publish(targetInstance, { sessionId, role, type, data, issueTokensFor? })
+ *   start(onMessage)  -> onMessage is called with each envelope for this instance
+ *   stop()
+ * Envelopes may be stored on the way, so they never carry secrets: an
+ * access_granted message names the EmployeeSession in `issueTokensFor` and
+ * the receiving instance issues its tokens.
+ */
+
+// Shared by all memory relays in this process, so several instances can be
+// wired together inside one process
+const memoryBus = new EventEmitter();
+memoryBus.setMaxListeners(0);
+
+const createMemoryRelay = (instanceId) => {
+  let listener = null;
+
+  return {
+    type: 'memory',
+    instanceId,
+
+    async publish(targetInstance, envelope) {
+      setImmediate(() => memoryBus.emit(targetInstance, envelope));
+    },
+
+    start(onMessage) {
+      listener = (envelope) => onMessage(envelope);
+      memoryBus.on(instanceId, listener);
+    },
+
+    stop() {
+      if (listener) {
+        memoryBus.off(instanceId, listener);
+        listener = null;
+      }
+    }
+  };
+};
+
+// Relay through a MongoDB collection that each instance polls for its own messages
+const createMongoRelay = (instanceId) => {
+  let timer = null;
+  let polling = false;
+
+  const poll = async (onMessage) => {
+    if (polling) {
+      return;
+    }
+    polling = true;
+
+    try {
+      const messages = await WebSocketRelayMessage.find({ targetInstance: instanceId })
+        .sort({ _id: 1 })
+        .limit(RELAY_BATCH_SIZE)
+        .lean();
+
+      if (messages.length > 0) {
+        await WebSocketRelayMessage.deleteMany({ _id: { $in: messages.map(message => message._id) } });
+        messages.forEach(({ sessionId, role, type, data, issueTokensFor }) => onMessage({
+          sessionId,
+          role,
+          type,
+          data,
+          issueTokensFor
+        }));
+      }
+    } catch (error) {
+      console.error('WebSocket relay poll error:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    type: 'mongo',
+    instanceId,
+
+    async publish(targetInstance, envelope) {
+      await new WebSocketRelayMessage({ ...envelope, targetInstance }).save();
+    },
+
+    start(onMessage) {
+      timer = setInterval(() => poll(onMessage), RELAY_POLL_INTERVAL_MS);
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+};
+
+const createRelay = (type, instanceId) => {
+  switch (type) {
+    case 'memory':
+      return createMemoryRelay(instanceId);
+    case 'mongo':
+      return createMongoRelay(instanceId);
+    default:
+      throw new Error(`Unknown WebSocket relay: ${type}`);
+  }
+};
+
+module.exports = {
+  createRelay,
+  createMemoryRelay,
+  createMongoRelay
+};
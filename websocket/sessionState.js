@@ -0,0 +1,74 @@
+// websocket/sessionState.js - State machine for the desktop/mobile pairing flow
+
+/**
+ *   waiting_for_mobile -> mobile_connected -> authenticated -> location_pending -> granted
+ *                                         \-> enrolled                         \-> denied
+ * Any non-final state can move to denied (passkey or location failure) or to
+ * expired (its timeout ran out). granted can still fall back to denied if the
+ * employee session cannot be opened. A passkey enrollment ends in enrolled:
+ * the user then logs in with the new passkey in a fresh session.
+ */
+const STATES = {
+  WAITING_FOR_MOBILE: 'waiting_for_mobile',
+  MOBILE_CONNECTED: 'mobile_connected',
+  AUTHENTICATED: 'authenticated',
+  LOCATION_PENDING: 'location_pending',
+  GRANTED: 'granted',
+  ENROLLED: 'enrolled',
+  DENIED: 'denied',
+  EXPIRED: 'expired'
+};
+
+const TRANSITIONS = {
+  [STATES.WAITING_FOR_MOBILE]: [STATES.MOBILE_CONNECTED, STATES.DENIED, STATES.EXPIRED],
+  [STATES.MOBILE_CONNECTED]: [STATES.AUTHENTICATED, STATES.ENROLLED, STATES.DENIED, STATES.EXPIRED],
+  [STATES.AUTHENTICATED]: [STATES.LOCATION_PENDING, STATES.DENIED, STATES.EXPIRED],
+  [STATES.LOCATION_PENDING]: [STATES.GRANTED, STATES.DENIED, STATES.EXPIRED],
+  [STATES.GRANTED]: [STATES.DENIED],
+  [STATES.ENROLLED]: [],
+  [STATES.DENIED]: [],
+  [STATES.EXPIRED]: []
+};
+
+// How long a session may sit in each state; final states never time out
+const STATE_TIMEOUTS_MS = {
+  [STATES.WAITING_FOR_MOBILE]: 5 * 60 * 1000,
+  [STATES.MOBILE_CONNECTED]: 2 * 60 * 1000,
+  [STATES.AUTHENTICATED]: 30 * 1000,
+  [STATES.LOCATION_PENDING]: 2 * 60 * 1000
+};
+
+// Which side may send each inbound message, and in which states.
+// Messages not listed here are accepted at any time.
+const MESSAGE_RULES = {
+  register_mobile: { states: [STATES.WAITING_FOR_MOBILE] },
+  passkey_auth_success: { role: 'mobile', states: [STATES.MOBILE_CONNECTED] },
+  passkey_created: { role: 'mobile', states: [STATES.MOBILE_CONNECTED] },
+  request_location: { role: 'desktop', states: [STATES.AUTHENTICATED, STATES.LOCATION_PENDING] },
+  location_received: { role: 'mobile', states: [STATES.LOCATION_PENDING] },
+  location_check_complete: { states: [STATES.GRANTED, STATES.DENIED] }
+};
+
+// States a session must be in to move to `state`
+const getSourceStates = (state) => Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from].includes(state));
+
+// Session fields for entering `state` now
+const enterState = (state, now = Date.now()) => ({
+  state,
+  stateEnteredAt: now,
+  stateExpiresAt: STATE_TIMEOUTS_MS[state] ? now + STATE_TIMEOUTS_MS[state] : null
+});
+
+const isStateExpired = (session, now = Date.now()) => (
+  !!session.stateExpiresAt && now >= session.stateExpiresAt
+);
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  STATE_TIMEOUTS_MS,
+  MESSAGE_RULES,
+  getSourceStates,
+  enterState,
+  isStateExpired
+};
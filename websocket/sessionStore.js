@@ -0,0 +1,185 @@
+// websocket/sessionStore.js - Pluggable storage for WebSocket login sessions
+const WebSocketSession = require('../models/WebSocketSession');
+
+/**
+ * Every store exposes the same async interface:
+ *   create(sessionId, data)    -> session, or null if the id is already taken
+ *   get(sessionId)             -> session or null
+ *   update(sessionId, patch)   -> updated session or null
+ *   updateIfState(sessionId, states, patch)
+ *                              -> updated session, or null unless its state is one of `states`
+ *   consume(sessionId, field)  -> previous value of field, which is cleared atomically
+ *   delete(sessionId)
+ *   list()                     -> all sessions
+ *   count()
+ *   deleteCreatedBefore(time)  -> number of sessions removed
+ * Sessions are plain objects carrying their own `sessionId`.
+ */
+
+// In-process store; the default for single-instance deployments
+const createMemorySessionStore = () => {
+  const sessions = new Map();
+
+  const copy = (session) => (session ? { ...session } : null);
+
+  return {
+    type: 'memory',
+
+    async create(sessionId, data) {
+      if (sessions.has(sessionId)) {
+        return null;
+      }
+      const session = { requireLocation: true, createdAt: Date.now(), ...data, sessionId };
+      sessions.set(sessionId, session);
+      return copy(session);
+    },
+
+    async get(sessionId) {
+      return copy(sessions.get(sessionId));
+    },
+
+    async update(sessionId, patch) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        return null;
+      }
+      Object.assign(session, patch);
+      return copy(session);
+    },
+
+    async updateIfState(sessionId, states, patch) {
+      const session = sessions.get(sessionId);
+      if (!session || !states.includes(session.state)) {
+        return null;
+      }
+      Object.assign(session, patch);
+      return copy(session);
+    },
+
+    async consume(sessionId, field) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        return null;
+      }
+      const value = session[field];
+      session[field] = null;
+      return value === undefined ? null : value;
+    },
+
+    async delete(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async list() {
+      return Array.from(sessions.values()).map(copy);
+    },
+
+    async count() {
+      return sessions.size;
+    },
+
+    async deleteCreatedBefore(time) {
+      let removed = 0;
+      for (const [sessionId, session] of sessions.entries()) {
+        if (session.createdAt < time) {
+          sessions.delete(sessionId);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+// MongoDB-backed store shared by every server instance
+const createMongoSessionStore = () => {
+  const toSession = (doc) => {
+    if (!doc) {
+      return null;
+    }
+    const { _id, __v, expiresAt, ...session } = doc;
+    return session;
+  };
+
+  return {
+    type: 'mongo',
+
+    async create(sessionId, data) {
+      try {
+        const doc = await new WebSocketSession({ ...data, sessionId }).save();
+        return toSession(doc.toObject());
+      } catch (error) {
+        if (error.code === 11000) {
+          return null; // another instance created it first
+        }
+        throw error;
+      }
+    },
+
+    async get(sessionId) {
+      return toSession(await WebSocketSession.findOne({ sessionId }).lean());
+    },
+
+    async update(sessionId, patch) {
+      const doc = await WebSocketSession.findOneAndUpdate(
+        { sessionId },
+        { $set: patch },
+        { new: true }
+      ).lean();
+      return toSession(doc);
+    },
+
+    async updateIfState(sessionId, states, patch) {
+      const doc = await WebSocketSession.findOneAndUpdate(
+        { sessionId, state: { $in: states } },
+        { $set: patch },
+        { new: true }
+      ).lean();
+      return toSession(doc);
+    },
+
+    async consume(sessionId, field) {
+      const doc = await WebSocketSession.findOneAndUpdate(
+        { sessionId },
+        { $set: { [field]: null } },
+        { new: false }
+      ).lean();
+      return doc && doc[field] !== undefined ? doc[field] : null;
+    },
+
+    async delete(sessionId) {
+      await WebSocketSession.deleteOne({ sessionId });
+    },
+
+    async list() {
+      const docs = await WebSocketSession.find().sort({ createdAt: -1 }).lean();
+      return docs.map(toSession);
+    },
+
+    async count() {
+      return WebSocketSession.countDocuments();
+    },
+
+    async deleteCreatedBefore(time) {
+      const result = await WebSocketSession.deleteMany({ createdAt: { $lt: time } });
+      return result.deletedCount;
+    }
+  };
+};
+
+const createSessionStore = (type = 'memory') => {
+  switch (type) {
+    case 'memory':
+      return createMemorySessionStore();
+    case 'mongo':
+      return createMongoSessionStore();
+    default:
+      throw new Error(`Unknown WebSocket session store: ${type}`);
+  }
+};
+
+module.exports = {
+  createSessionStore,
+  createMemorySessionStore,
+  createMongoSessionStore
+};